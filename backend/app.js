@@ -0,0 +1,66 @@
+// app.js - Express application (no listening socket, no DB connection)
+const express = require('express');
+const cors = require('cors');
+const cookieParser = require('cookie-parser');
+const helmet = require('helmet');
+const morgan = require('morgan');
+const config = require('./config');
+const { limiter } = require('./middleware/rateLimiters');
+const requestLogger = require('./middleware/requestLogger');
+const { notFound, handleError } = require('./middleware/errorHandler');
+
+const app = express();
+app.set('trust proxy', 1);
+
+app.use(helmet());
+if (config.NODE_ENV !== 'test') {
+  app.use(morgan('dev'));
+}
+// The raw bytes are kept because payment webhook signatures cover them exactly.
+app.use(express.json({ limit: '10kb', verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); } }));
+app.use(express.urlencoded({ extended: true, limit: '10kb' }));
+app.use(cookieParser());
+
+app.use(cors({
+  origin: config.CORS_ORIGIN,
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  credentials: true
+}));
+
+if (config.NODE_ENV === 'production') {
+  app.use((req, res, next) => {
+    if (!req.secure && req.get('x-forwarded-proto') !== 'https') {
+      return res.redirect('https://' + req.get('host') + req.url);
+    }
+    next();
+  });
+}
+
+app.use('/uploads/menu', (req, res, next) => {
+  res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+  next();
+});
+app.use('/uploads/menu', express.static(config.UPLOAD_DEST));
+
+app.use(limiter);
+app.use(requestLogger);
+
+app.use('/api/auth', require('./routes/auth'));
+app.use('/api/upload', require('./routes/uploads'));
+app.use('/api/menu', require('./routes/menu'));
+app.use('/api/combos', require('./routes/combos'));
+app.use('/api/categories', require('./routes/categories'));
+app.use('/api/orders', require('./routes/orders'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/payments', require('./routes/payments'));
+app.use('/api/pickup-board', require('./routes/pickupBoard'));
+
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+});
+
+app.use(notFound);
+app.use(handleError);
+
+module.exports = app;
@@ -0,0 +1,63 @@
+// config/index.js - Environment-driven settings shared across the backend
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const NODE_ENV = process.env.NODE_ENV || 'development';
+
+module.exports = {
+  NODE_ENV,
+  PORT: process.env.PORT || 5000,
+  JWT_SECRET: process.env.JWT_SECRET,
+  CORS_ORIGIN: process.env.CORS_ORIGIN || 'http://localhost:3001',
+  // Public frontend address used to build links (invites and the like).
+  APP_URL: process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3001',
+  INVITE_TTL_HOURS: parseInt(process.env.INVITE_TTL_HOURS) || 72,
+  ACCESS_TOKEN_TTL: process.env.ACCESS_TOKEN_TTL || '15m',
+  REFRESH_TOKEN_TTL_DAYS: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  PASSWORD_RESET_TTL_MINUTES: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  EMAIL_VERIFICATION_TTL_HOURS: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48,
+  STOCK_RESTOCK_CHECK_MINUTES: parseInt(process.env.STOCK_RESTOCK_CHECK_MINUTES) || 15,
+  // Percentage added to every order after discounts; 0 turns it off.
+  SERVICE_CHARGE_PERCENT: parseFloat(process.env.SERVICE_CHARGE_PERCENT) || 0,
+  // How long after placing it a confirmed order can still be cancelled or
+  // edited by the customer; pending orders always can. 0 turns it off.
+  ORDER_CHANGE_GRACE_MINUTES: process.env.ORDER_CHANGE_GRACE_MINUTES !== undefined
+    ? parseInt(process.env.ORDER_CHANGE_GRACE_MINUTES) || 0
+    : 5,
+  // Scheduled orders are held back and released to the kitchen this long
+  // before their pickup time; the scheduler checks every few seconds.
+  SCHEDULED_ORDER_LEAD_MINUTES: process.env.SCHEDULED_ORDER_LEAD_MINUTES !== undefined
+    ? parseInt(process.env.SCHEDULED_ORDER_LEAD_MINUTES) || 0
+    : 20,
+  SCHEDULED_RELEASE_CHECK_SECONDS: parseInt(process.env.SCHEDULED_RELEASE_CHECK_SECONDS) || 30,
+  // Shared secret the public pickup board must present (?token= and the
+  // socket handshake). Empty leaves the board open to anyone.
+  PICKUP_BOARD_TOKEN: process.env.PICKUP_BOARD_TOKEN || '',
+  UPLOAD_DEST: path.join(__dirname, '..', 'uploads', 'menu'),
+  // Card and wallet orders are paid through this provider; cash is settled
+  // at the counter. 'mock' runs offline.
+  payments: {
+    provider: process.env.PAYMENT_PROVIDER || 'mock',
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || 'mock-webhook-secret',
+    currency: process.env.PAYMENT_CURRENCY || 'NPR'
+  },
+  // 'smtp' in production; 'file' (writes to MAIL_DIR) or 'console' locally.
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || (NODE_ENV === 'production' ? 'smtp' : 'file'),
+    from: process.env.MAIL_FROM || 'Grab N Go <no-reply@grabngo.local>',
+    dir: process.env.MAIL_DIR || path.join(__dirname, '..', 'tmp', 'mail'),
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD
+    }
+  },
+  db: {
+    host: process.env.DB_HOST || 'localhost',
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD || '',
+    database: process.env.DB_NAME || 'grabngo_db'
+  }
+};
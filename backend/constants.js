@@ -0,0 +1,72 @@
+// constants.js - Roles and status values shared by routes, services and sockets
+const ROLES = {
+  CUSTOMER: 'customer',
+  STAFF: 'staff',
+  ADMIN: 'admin'
+};
+
+const ORDER_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  PREPARING: 'preparing',
+  READY: 'ready',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+const PAYMENT_STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  REFUNDED: 'refunded'
+};
+
+// Cash is settled by staff; the others go through the payment provider.
+const PAYMENT_METHODS = {
+  CASH: 'cash',
+  CARD: 'card',
+  WALLET: 'wallet'
+};
+
+// Why money went back to the customer; stored on refunds.reason_code.
+const REFUND_REASONS = {
+  CUSTOMER_REQUEST: 'customer_request',
+  WRONG_ITEM: 'wrong_item',
+  QUALITY_ISSUE: 'quality_issue',
+  LATE_ORDER: 'late_order',
+  OTHER: 'other'
+};
+
+const PERMISSIONS = {
+  MENU_WRITE: 'menu.write',
+  ORDERS_VIEW: 'orders.view',
+  ORDERS_ADVANCE: 'orders.advance',
+  ORDERS_UPDATE_STATUS: 'orders.update_status',
+  ORDERS_UPDATE_PAYMENT: 'orders.update_payment',
+  ORDERS_REFUND: 'orders.refund',
+  REPORTS_VIEW: 'reports.view',
+  USERS_MANAGE: 'users.manage',
+  AUDIT_VIEW: 'audit.view',
+  INVENTORY_MANAGE: 'inventory.manage',
+  PROMOS_MANAGE: 'promos.manage'
+};
+
+// Where an order may go from each status. Completed and cancelled orders
+// are final.
+const ORDER_STATUS_TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: [ORDER_STATUS.CONFIRMED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.CONFIRMED]: [ORDER_STATUS.PREPARING, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PREPARING]: [ORDER_STATUS.READY, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.READY]: [ORDER_STATUS.COMPLETED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.COMPLETED]: [],
+  [ORDER_STATUS.CANCELLED]: []
+};
+
+// Holders of orders.advance (but not orders.update_status) may only move an
+// order one step along this chain, from accepting it to having it ready.
+const KITCHEN_STATUS_FLOW = {
+  [ORDER_STATUS.PENDING]: ORDER_STATUS.CONFIRMED,
+  [ORDER_STATUS.CONFIRMED]: ORDER_STATUS.PREPARING,
+  [ORDER_STATUS.PREPARING]: ORDER_STATUS.READY
+};
+
+module.exports = { ROLES, ORDER_STATUS, PAYMENT_STATUS, PAYMENT_METHODS, REFUND_REASONS, PERMISSIONS, ORDER_STATUS_TRANSITIONS, KITCHEN_STATUS_FLOW };
@@ -0,0 +1,209 @@
+// db/migrations/001_create_core_tables.js - Baseline schema as originally shipped in db/schema.sql
+
+module.exports = {
+  up: [
+    `
+    CREATE TABLE IF NOT EXISTS users (
+      user_id INT AUTO_INCREMENT PRIMARY KEY,
+      username VARCHAR(20) NOT NULL UNIQUE,
+      email VARCHAR(100) NOT NULL UNIQUE,
+      password_hash VARCHAR(255) NOT NULL,
+      full_name VARCHAR(100) NOT NULL,
+      phone VARCHAR(20),
+      role ENUM('customer', 'admin') NOT NULL DEFAULT 'customer',
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      last_login TIMESTAMP NULL,
+      INDEX idx_username (username),
+      INDEX idx_email (email),
+      INDEX idx_role (role),
+      INDEX idx_created_at (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `,
+    `
+    CREATE TABLE IF NOT EXISTS categories (
+      category_id INT AUTO_INCREMENT PRIMARY KEY,
+      category_name VARCHAR(100) NOT NULL UNIQUE,
+      description TEXT,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_is_active (is_active),
+      INDEX idx_category_name (category_name)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `,
+    `
+    CREATE TABLE IF NOT EXISTS menu_items (
+      item_id INT AUTO_INCREMENT PRIMARY KEY,
+      category_id INT,
+      item_name VARCHAR(100) NOT NULL,
+      description TEXT,
+      price DECIMAL(10, 2) NOT NULL CHECK (price >= 0),
+      image_url VARCHAR(500),
+      is_available BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (category_id) REFERENCES categories(category_id) ON DELETE SET NULL,
+      INDEX idx_category_id (category_id),
+      INDEX idx_is_available (is_available),
+      INDEX idx_item_name (item_name),
+      INDEX idx_created_at (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `,
+    `
+    CREATE TABLE IF NOT EXISTS orders (
+      order_id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      order_number VARCHAR(50) NOT NULL UNIQUE,
+      total_amount DECIMAL(12, 2) NOT NULL CHECK (total_amount > 0),
+      payment_method VARCHAR(50) NOT NULL,
+      payment_status ENUM('pending', 'paid', 'refunded') NOT NULL DEFAULT 'pending',
+      status ENUM('pending', 'confirmed', 'preparing', 'ready', 'completed', 'cancelled') NOT NULL DEFAULT 'pending',
+      special_instructions TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+      INDEX idx_user_id (user_id),
+      INDEX idx_order_number (order_number),
+      INDEX idx_status (status),
+      INDEX idx_payment_status (payment_status),
+      INDEX idx_created_at (created_at),
+      INDEX idx_user_created (user_id, created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `,
+    `
+    CREATE TABLE IF NOT EXISTS order_items (
+      order_item_id INT AUTO_INCREMENT PRIMARY KEY,
+      order_id INT NOT NULL,
+      item_id INT NOT NULL,
+      quantity INT NOT NULL CHECK (quantity > 0),
+      unit_price DECIMAL(10, 2) NOT NULL CHECK (unit_price > 0),
+      subtotal DECIMAL(12, 2) NOT NULL CHECK (subtotal > 0),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+      FOREIGN KEY (item_id) REFERENCES menu_items(item_id) ON DELETE RESTRICT,
+      INDEX idx_order_id (order_id),
+      INDEX idx_item_id (item_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `,
+    `
+    CREATE TABLE IF NOT EXISTS audit_logs (
+      log_id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT,
+      action VARCHAR(100) NOT NULL,
+      entity_type VARCHAR(50),
+      entity_id INT,
+      old_values JSON,
+      new_values JSON,
+      ip_address VARCHAR(45),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE SET NULL,
+      INDEX idx_user_id (user_id),
+      INDEX idx_action (action),
+      INDEX idx_entity (entity_type, entity_id),
+      INDEX idx_created_at (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `,
+    'DROP PROCEDURE IF EXISTS GetOrderSummary',
+    `
+    CREATE PROCEDURE GetOrderSummary(IN orderId INT)
+    BEGIN
+      SELECT 
+        o.order_id,
+        o.order_number,
+        o.total_amount,
+        o.status,
+        o.payment_status,
+        o.created_at,
+        u.username,
+        u.full_name,
+        COUNT(oi.order_item_id) as item_count
+      FROM orders o
+      LEFT JOIN users u ON o.user_id = u.user_id
+      LEFT JOIN order_items oi ON o.order_id = oi.order_id
+      WHERE o.order_id = orderId
+      GROUP BY o.order_id;
+    END
+    `,
+    'DROP PROCEDURE IF EXISTS GetDailySales',
+    `
+    CREATE PROCEDURE GetDailySales(IN saleDate DATE)
+    BEGIN
+      SELECT 
+        DATE(created_at) as sale_date,
+        COUNT(DISTINCT order_id) as total_orders,
+        COUNT(DISTINCT user_id) as unique_customers,
+        SUM(total_amount) as total_revenue,
+        AVG(total_amount) as avg_order_value
+      FROM orders
+      WHERE DATE(created_at) = saleDate AND status = 'completed';
+    END
+    `,
+    'DROP PROCEDURE IF EXISTS GetTopSellingItems',
+    `
+    CREATE PROCEDURE GetTopSellingItems(IN limitCount INT)
+    BEGIN
+      SELECT 
+        mi.item_id,
+        mi.item_name,
+        SUM(oi.quantity) as total_quantity_sold,
+        SUM(oi.subtotal) as total_revenue,
+        COUNT(DISTINCT oi.order_id) as times_ordered
+      FROM order_items oi
+      JOIN menu_items mi ON oi.item_id = mi.item_id
+      GROUP BY mi.item_id
+      ORDER BY total_quantity_sold DESC
+      LIMIT limitCount;
+    END
+    `,
+    `
+    CREATE OR REPLACE VIEW vw_recent_orders AS
+    SELECT 
+      o.order_id,
+      o.order_number,
+      o.total_amount,
+      o.status,
+      o.payment_status,
+      o.created_at,
+      u.user_id,
+      u.username,
+      u.full_name,
+      u.email,
+      COUNT(oi.order_item_id) as item_count
+    FROM orders o
+    LEFT JOIN users u ON o.user_id = u.user_id
+    LEFT JOIN order_items oi ON o.order_id = oi.order_id
+    GROUP BY o.order_id
+    ORDER BY o.created_at DESC
+    `,
+    `
+    CREATE OR REPLACE VIEW vw_available_menu AS
+    SELECT 
+      mi.item_id,
+      mi.item_name,
+      mi.description,
+      mi.price,
+      mi.image_url,
+      c.category_id,
+      c.category_name
+    FROM menu_items mi
+    LEFT JOIN categories c ON mi.category_id = c.category_id
+    WHERE mi.is_available = TRUE AND c.is_active = TRUE
+    `
+  ],
+
+  down: [
+    'DROP VIEW IF EXISTS vw_available_menu',
+    'DROP VIEW IF EXISTS vw_recent_orders',
+    'DROP PROCEDURE IF EXISTS GetTopSellingItems',
+    'DROP PROCEDURE IF EXISTS GetDailySales',
+    'DROP PROCEDURE IF EXISTS GetOrderSummary',
+    'DROP TABLE IF EXISTS audit_logs',
+    'DROP TABLE IF EXISTS order_items',
+    'DROP TABLE IF EXISTS orders',
+    'DROP TABLE IF EXISTS menu_items',
+    'DROP TABLE IF EXISTS categories',
+    'DROP TABLE IF EXISTS users'
+  ]
+};
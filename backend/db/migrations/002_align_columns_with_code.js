@@ -0,0 +1,27 @@
+// db/migrations/002_align_columns_with_code.js - Columns the API already relied on
+//
+// The original schema.sql drifted from server.js: the code reads
+// users.password, menu_items.is_active, orders.order_type/scheduled_at and
+// order_items.item_name_snapshot, none of which the baseline created.
+
+module.exports = {
+  up: [
+    'ALTER TABLE users RENAME COLUMN password_hash TO password',
+    'ALTER TABLE menu_items ADD COLUMN is_active BOOLEAN NOT NULL DEFAULT TRUE',
+    'ALTER TABLE menu_items ADD INDEX idx_is_active (is_active)',
+    "ALTER TABLE orders ADD COLUMN order_type ENUM('asap', 'scheduled') NOT NULL DEFAULT 'asap'",
+    'ALTER TABLE orders ADD COLUMN scheduled_at DATETIME NULL',
+    'ALTER TABLE orders ADD INDEX idx_scheduled_at (scheduled_at)',
+    'ALTER TABLE order_items ADD COLUMN item_name_snapshot VARCHAR(100) NULL'
+  ],
+
+  down: [
+    'ALTER TABLE order_items DROP COLUMN item_name_snapshot',
+    'ALTER TABLE orders DROP INDEX idx_scheduled_at',
+    'ALTER TABLE orders DROP COLUMN scheduled_at',
+    'ALTER TABLE orders DROP COLUMN order_type',
+    'ALTER TABLE menu_items DROP INDEX idx_is_active',
+    'ALTER TABLE menu_items DROP COLUMN is_active',
+    'ALTER TABLE users RENAME COLUMN password TO password_hash'
+  ]
+};
@@ -0,0 +1,12 @@
+// db/migrations/003_add_staff_role.js - Allow the 'staff' role the seed data already uses
+
+module.exports = {
+  up: [
+    "ALTER TABLE users MODIFY COLUMN role ENUM('customer', 'staff', 'admin') NOT NULL DEFAULT 'customer'"
+  ],
+
+  down: [
+    "UPDATE users SET role = 'customer' WHERE role = 'staff'",
+    "ALTER TABLE users MODIFY COLUMN role ENUM('customer', 'admin') NOT NULL DEFAULT 'customer'"
+  ]
+};
@@ -0,0 +1,60 @@
+// db/migrations/004_create_permissions.js - Named permissions per role, plus super-admins
+//
+// The permission list is frozen here on purpose; later changes belong in a
+// new migration rather than in constants.js.
+
+const PERMISSIONS = [
+  ['menu.write', 'Create and edit menu items, categories and prices'],
+  ['orders.view', 'See all customer orders'],
+  ['orders.advance', 'Move orders along confirmed → preparing → ready'],
+  ['orders.update_status', 'Set any order status'],
+  ['orders.update_payment', 'Change order payment status'],
+  ['orders.refund', 'Refund orders'],
+  ['reports.view', 'View sales reports and dashboards'],
+  ['users.manage', 'Invite, edit and deactivate users']
+];
+
+const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS.map(([key]) => key),
+  staff: ['orders.view', 'orders.advance']
+};
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS permissions (
+        permission_key VARCHAR(50) PRIMARY KEY,
+        description VARCHAR(255) NOT NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role VARCHAR(20) NOT NULL,
+        permission_key VARCHAR(50) NOT NULL,
+        PRIMARY KEY (role, permission_key),
+        FOREIGN KEY (permission_key) REFERENCES permissions(permission_key) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await db.query('ALTER TABLE users ADD COLUMN is_super_admin BOOLEAN NOT NULL DEFAULT FALSE');
+
+    await db.query('INSERT INTO permissions (permission_key, description) VALUES ?', [PERMISSIONS]);
+
+    const grants = Object.entries(ROLE_PERMISSIONS)
+      .flatMap(([role, keys]) => keys.map((key) => [role, key]));
+    await db.query('INSERT INTO role_permissions (role, permission_key) VALUES ?', [grants]);
+
+    // The oldest existing admin becomes the first super-admin.
+    const [[firstAdmin]] = await db.query("SELECT MIN(user_id) AS user_id FROM users WHERE role = 'admin'");
+    if (firstAdmin && firstAdmin.user_id) {
+      await db.query('UPDATE users SET is_super_admin = TRUE WHERE user_id = ?', [firstAdmin.user_id]);
+    }
+  },
+
+  down: [
+    'ALTER TABLE users DROP COLUMN is_super_admin',
+    'DROP TABLE IF EXISTS role_permissions',
+    'DROP TABLE IF EXISTS permissions'
+  ]
+};
@@ -0,0 +1,24 @@
+// db/migrations/005_create_user_invites.js - Single-use invitations for admin and staff accounts
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS user_invites (
+      invite_id INT AUTO_INCREMENT PRIMARY KEY,
+      email VARCHAR(100) NOT NULL,
+      role ENUM('staff', 'admin') NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      invited_by INT NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME NULL,
+      used_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (invited_by) REFERENCES users(user_id) ON DELETE CASCADE,
+      FOREIGN KEY (used_by) REFERENCES users(user_id) ON DELETE SET NULL,
+      INDEX idx_email (email)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS user_invites'
+  ]
+};
@@ -0,0 +1,23 @@
+// db/migrations/006_create_user_sessions.js - Server-side sessions behind rotating refresh tokens
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS user_sessions (
+      session_id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+      user_agent VARCHAR(255),
+      ip_address VARCHAR(45),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME NOT NULL,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME NULL,
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+      INDEX idx_user_active (user_id, revoked_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS user_sessions'
+  ]
+};
@@ -0,0 +1,23 @@
+// db/migrations/007_create_user_tokens.js - Password-reset and email-verification tokens
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS user_tokens (
+      token_id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      purpose ENUM('password_reset', 'email_verification') NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+      INDEX idx_user_purpose (user_id, purpose)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+    'ALTER TABLE users ADD COLUMN email_verified_at DATETIME NULL'
+  ],
+
+  down: [
+    'ALTER TABLE users DROP COLUMN email_verified_at',
+    'DROP TABLE IF EXISTS user_tokens'
+  ]
+};
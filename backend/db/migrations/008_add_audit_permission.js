@@ -0,0 +1,13 @@
+// db/migrations/008_add_audit_permission.js - Permission to browse the admin activity log
+
+module.exports = {
+  up: [
+    "INSERT INTO permissions (permission_key, description) VALUES ('audit.view', 'Browse the admin activity log')",
+    "INSERT INTO role_permissions (role, permission_key) VALUES ('admin', 'audit.view')"
+  ],
+
+  down: [
+    "DELETE FROM role_permissions WHERE permission_key = 'audit.view'",
+    "DELETE FROM permissions WHERE permission_key = 'audit.view'"
+  ]
+};
@@ -0,0 +1,21 @@
+// db/migrations/009_add_menu_stock.js - Per-item stock counts and daily par levels
+//
+// A NULL stock_quantity means the item is not stock-tracked. par_level is
+// the quantity the item is topped back up to each day; stock_reset_on
+// records the last day that happened.
+
+module.exports = {
+  up: [
+    `ALTER TABLE menu_items
+      ADD COLUMN stock_quantity INT NULL,
+      ADD COLUMN par_level INT NULL,
+      ADD COLUMN stock_reset_on DATE NULL`
+  ],
+
+  down: [
+    `ALTER TABLE menu_items
+      DROP COLUMN stock_reset_on,
+      DROP COLUMN par_level,
+      DROP COLUMN stock_quantity`
+  ]
+};
@@ -0,0 +1,42 @@
+// db/migrations/010_create_ingredients.js - Raw ingredients and per-item recipes
+//
+// menu_items.ingredients_depleted marks items that were taken off sale
+// because an ingredient ran out, so restocking can put back exactly those
+// and leave items an admin switched off alone. orders.ingredients_deducted_at
+// makes the deduction on completion happen once per order.
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS ingredients (
+      ingredient_id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL UNIQUE,
+      unit VARCHAR(20) NOT NULL DEFAULT 'pcs',
+      stock_quantity DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      low_stock_threshold DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+    `CREATE TABLE IF NOT EXISTS menu_item_ingredients (
+      item_id INT NOT NULL,
+      ingredient_id INT NOT NULL,
+      quantity DECIMAL(10, 2) NOT NULL CHECK (quantity > 0),
+      PRIMARY KEY (item_id, ingredient_id),
+      FOREIGN KEY (item_id) REFERENCES menu_items(item_id) ON DELETE CASCADE,
+      FOREIGN KEY (ingredient_id) REFERENCES ingredients(ingredient_id) ON DELETE CASCADE,
+      INDEX idx_ingredient_id (ingredient_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+    'ALTER TABLE menu_items ADD COLUMN ingredients_depleted BOOLEAN NOT NULL DEFAULT FALSE',
+    'ALTER TABLE orders ADD COLUMN ingredients_deducted_at DATETIME NULL',
+    "INSERT INTO permissions (permission_key, description) VALUES ('inventory.manage', 'Manage ingredients, recipes and stock levels')",
+    "INSERT INTO role_permissions (role, permission_key) VALUES ('admin', 'inventory.manage')"
+  ],
+
+  down: [
+    "DELETE FROM role_permissions WHERE permission_key = 'inventory.manage'",
+    "DELETE FROM permissions WHERE permission_key = 'inventory.manage'",
+    'ALTER TABLE orders DROP COLUMN ingredients_deducted_at',
+    'ALTER TABLE menu_items DROP COLUMN ingredients_depleted',
+    'DROP TABLE IF EXISTS menu_item_ingredients',
+    'DROP TABLE IF EXISTS ingredients'
+  ]
+};
@@ -0,0 +1,47 @@
+// db/migrations/011_create_modifiers.js - Option groups on menu items and the choices made per order line
+//
+// order_item_modifiers keeps the group/option names and price as they were
+// when ordered, so editing or removing an option never rewrites history.
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS modifier_groups (
+      group_id INT AUTO_INCREMENT PRIMARY KEY,
+      item_id INT NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      min_select INT NOT NULL DEFAULT 0,
+      max_select INT NOT NULL DEFAULT 1,
+      sort_order INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (item_id) REFERENCES menu_items(item_id) ON DELETE CASCADE,
+      INDEX idx_item_id (item_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+    `CREATE TABLE IF NOT EXISTS modifier_options (
+      option_id INT AUTO_INCREMENT PRIMARY KEY,
+      group_id INT NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      price_delta DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      is_available BOOLEAN NOT NULL DEFAULT TRUE,
+      sort_order INT NOT NULL DEFAULT 0,
+      FOREIGN KEY (group_id) REFERENCES modifier_groups(group_id) ON DELETE CASCADE,
+      INDEX idx_group_id (group_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+    `CREATE TABLE IF NOT EXISTS order_item_modifiers (
+      order_item_modifier_id INT AUTO_INCREMENT PRIMARY KEY,
+      order_item_id INT NOT NULL,
+      option_id INT NULL,
+      group_name VARCHAR(100) NOT NULL,
+      option_name VARCHAR(100) NOT NULL,
+      price_delta DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      FOREIGN KEY (order_item_id) REFERENCES order_items(order_item_id) ON DELETE CASCADE,
+      FOREIGN KEY (option_id) REFERENCES modifier_options(option_id) ON DELETE SET NULL,
+      INDEX idx_order_item_id (order_item_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS order_item_modifiers',
+    'DROP TABLE IF EXISTS modifier_options',
+    'DROP TABLE IF EXISTS modifier_groups'
+  ]
+};
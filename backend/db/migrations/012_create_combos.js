@@ -0,0 +1,46 @@
+// db/migrations/012_create_combos.js - Combo meals sold at a bundle price
+//
+// A slot is either a fixed menu item or a choice from a category. Ordered
+// combos are stored as ordinary order_items for their components; combo_id,
+// combo_name and combo_line (which combo in the order a component belongs
+// to) let receipts and order details group them back together.
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS combos (
+      combo_id INT AUTO_INCREMENT PRIMARY KEY,
+      combo_name VARCHAR(100) NOT NULL,
+      description TEXT NULL,
+      price DECIMAL(10, 2) NOT NULL CHECK (price > 0),
+      image_url VARCHAR(255) NULL,
+      is_available BOOLEAN NOT NULL DEFAULT TRUE,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+    `CREATE TABLE IF NOT EXISTS combo_slots (
+      slot_id INT AUTO_INCREMENT PRIMARY KEY,
+      combo_id INT NOT NULL,
+      label VARCHAR(100) NULL,
+      item_id INT NULL,
+      category_id INT NULL,
+      quantity INT NOT NULL DEFAULT 1 CHECK (quantity > 0),
+      sort_order INT NOT NULL DEFAULT 0,
+      FOREIGN KEY (combo_id) REFERENCES combos(combo_id) ON DELETE CASCADE,
+      FOREIGN KEY (item_id) REFERENCES menu_items(item_id) ON DELETE CASCADE,
+      FOREIGN KEY (category_id) REFERENCES categories(category_id) ON DELETE CASCADE,
+      INDEX idx_combo_id (combo_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+    'ALTER TABLE order_items ADD COLUMN combo_id INT NULL',
+    'ALTER TABLE order_items ADD COLUMN combo_name VARCHAR(100) NULL',
+    'ALTER TABLE order_items ADD COLUMN combo_line INT NULL'
+  ],
+
+  down: [
+    'ALTER TABLE order_items DROP COLUMN combo_line',
+    'ALTER TABLE order_items DROP COLUMN combo_name',
+    'ALTER TABLE order_items DROP COLUMN combo_id',
+    'DROP TABLE IF EXISTS combo_slots',
+    'DROP TABLE IF EXISTS combos'
+  ]
+};
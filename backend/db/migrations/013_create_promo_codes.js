@@ -0,0 +1,56 @@
+// db/migrations/013_create_promo_codes.js - Admin-managed promo codes and the discount applied to each order
+//
+// A code with rows in promo_code_categories or promo_code_items only
+// discounts the matching lines; without any it discounts the whole order.
+// orders.promo_code keeps the code as typed at checkout in case the promo
+// is later renamed or removed.
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS promo_codes (
+      promo_id INT AUTO_INCREMENT PRIMARY KEY,
+      code VARCHAR(40) NOT NULL UNIQUE,
+      description VARCHAR(255) NULL,
+      discount_type ENUM('percentage', 'fixed') NOT NULL,
+      discount_value DECIMAL(10, 2) NOT NULL CHECK (discount_value > 0),
+      max_discount DECIMAL(10, 2) NULL,
+      min_order_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      per_user_limit INT NULL,
+      starts_at DATETIME NULL,
+      ends_at DATETIME NULL,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+    `CREATE TABLE IF NOT EXISTS promo_code_categories (
+      promo_id INT NOT NULL,
+      category_id INT NOT NULL,
+      PRIMARY KEY (promo_id, category_id),
+      FOREIGN KEY (promo_id) REFERENCES promo_codes(promo_id) ON DELETE CASCADE,
+      FOREIGN KEY (category_id) REFERENCES categories(category_id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+    `CREATE TABLE IF NOT EXISTS promo_code_items (
+      promo_id INT NOT NULL,
+      item_id INT NOT NULL,
+      PRIMARY KEY (promo_id, item_id),
+      FOREIGN KEY (promo_id) REFERENCES promo_codes(promo_id) ON DELETE CASCADE,
+      FOREIGN KEY (item_id) REFERENCES menu_items(item_id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+    'ALTER TABLE orders ADD COLUMN discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0',
+    'ALTER TABLE orders ADD COLUMN promo_id INT NULL',
+    'ALTER TABLE orders ADD COLUMN promo_code VARCHAR(40) NULL',
+    "INSERT INTO permissions (permission_key, description) VALUES ('promos.manage', 'Create and edit promo codes')",
+    "INSERT INTO role_permissions (role, permission_key) VALUES ('admin', 'promos.manage')"
+  ],
+
+  down: [
+    "DELETE FROM role_permissions WHERE permission_key = 'promos.manage'",
+    "DELETE FROM permissions WHERE permission_key = 'promos.manage'",
+    'ALTER TABLE orders DROP COLUMN promo_code',
+    'ALTER TABLE orders DROP COLUMN promo_id',
+    'ALTER TABLE orders DROP COLUMN discount_amount',
+    'DROP TABLE IF EXISTS promo_code_items',
+    'DROP TABLE IF EXISTS promo_code_categories',
+    'DROP TABLE IF EXISTS promo_codes'
+  ]
+};
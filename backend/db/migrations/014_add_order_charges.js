@@ -0,0 +1,24 @@
+// db/migrations/014_add_order_charges.js - Per-category tax rates and the itemised totals stored on each order
+//
+// Rates are percentages. order_items.tax_rate is a snapshot so later rate
+// changes don't alter past receipts. Existing orders had no tax or service
+// charge, so their subtotal is what was charged before any discount.
+
+module.exports = {
+  up: [
+    'ALTER TABLE categories ADD COLUMN tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 0',
+    'ALTER TABLE order_items ADD COLUMN tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 0',
+    'ALTER TABLE orders ADD COLUMN subtotal_amount DECIMAL(10, 2) NOT NULL DEFAULT 0',
+    'ALTER TABLE orders ADD COLUMN tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0',
+    'ALTER TABLE orders ADD COLUMN service_charge_amount DECIMAL(10, 2) NOT NULL DEFAULT 0',
+    'UPDATE orders SET subtotal_amount = total_amount + discount_amount'
+  ],
+
+  down: [
+    'ALTER TABLE orders DROP COLUMN service_charge_amount',
+    'ALTER TABLE orders DROP COLUMN tax_amount',
+    'ALTER TABLE orders DROP COLUMN subtotal_amount',
+    'ALTER TABLE order_items DROP COLUMN tax_rate',
+    'ALTER TABLE categories DROP COLUMN tax_rate'
+  ]
+};
@@ -0,0 +1,37 @@
+// db/migrations/015_create_payments.js - Payment intents created with the payment provider and the webhooks received
+//
+// Amounts are stored in the order's currency units, as on orders. The
+// webhook log is keyed by the provider's event id, so a redelivered event
+// is recognised and skipped.
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS payments (
+      payment_id INT AUTO_INCREMENT PRIMARY KEY,
+      order_id INT NOT NULL,
+      provider VARCHAR(30) NOT NULL,
+      intent_id VARCHAR(100) NOT NULL UNIQUE,
+      method VARCHAR(20) NOT NULL,
+      amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+      currency VARCHAR(3) NOT NULL,
+      status ENUM('requires_payment', 'succeeded', 'failed') NOT NULL DEFAULT 'requires_payment',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+      INDEX idx_payments_order (order_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+    `CREATE TABLE IF NOT EXISTS payment_webhook_events (
+      provider VARCHAR(30) NOT NULL,
+      event_id VARCHAR(100) NOT NULL,
+      event_type VARCHAR(50) NOT NULL,
+      intent_id VARCHAR(100) NULL,
+      received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (provider, event_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS payment_webhook_events',
+    'DROP TABLE IF EXISTS payments'
+  ]
+};
@@ -0,0 +1,44 @@
+// db/migrations/016_create_refunds.js - Refunds against paid orders, item by item, with a reason
+//
+// A refund returns some units of one or more order items. refund_items
+// records which; refunds.amount is what went back to the customer.
+// orders.refunded_amount is the running total, so order lists and revenue
+// reports don't have to sum refunds per row.
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS refunds (
+      refund_id INT AUTO_INCREMENT PRIMARY KEY,
+      order_id INT NOT NULL,
+      amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+      reason_code ENUM('customer_request', 'wrong_item', 'quality_issue', 'late_order', 'other') NOT NULL,
+      note VARCHAR(255) NULL,
+      payment_id INT NULL,
+      provider VARCHAR(30) NULL,
+      provider_refund_id VARCHAR(100) NULL,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+      FOREIGN KEY (payment_id) REFERENCES payments(payment_id) ON DELETE SET NULL,
+      FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL,
+      INDEX idx_refunds_order (order_id),
+      INDEX idx_refunds_created (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+    `CREATE TABLE IF NOT EXISTS refund_items (
+      refund_id INT NOT NULL,
+      order_item_id INT NOT NULL,
+      quantity INT NOT NULL CHECK (quantity > 0),
+      amount DECIMAL(10, 2) NOT NULL,
+      PRIMARY KEY (refund_id, order_item_id),
+      FOREIGN KEY (refund_id) REFERENCES refunds(refund_id) ON DELETE CASCADE,
+      FOREIGN KEY (order_item_id) REFERENCES order_items(order_item_id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+    'ALTER TABLE orders ADD COLUMN refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0'
+  ],
+
+  down: [
+    'ALTER TABLE orders DROP COLUMN refunded_amount',
+    'DROP TABLE IF EXISTS refund_items',
+    'DROP TABLE IF EXISTS refunds'
+  ]
+};
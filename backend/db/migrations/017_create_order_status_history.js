@@ -0,0 +1,32 @@
+// db/migrations/017_create_order_status_history.js - Every status an order has moved through, with who moved it
+//
+// from_status is NULL for the row written when the order is placed.
+// changed_by is NULL for system changes. Existing orders get a "placed"
+// row and, if they have moved on, one row for their current status dated
+// at their last update; the steps in between were never recorded.
+
+const STATUSES = "'pending', 'confirmed', 'preparing', 'ready', 'completed', 'cancelled'";
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS order_status_history (
+      history_id INT AUTO_INCREMENT PRIMARY KEY,
+      order_id INT NOT NULL,
+      from_status ENUM(${STATUSES}) NULL,
+      to_status ENUM(${STATUSES}) NOT NULL,
+      changed_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+      FOREIGN KEY (changed_by) REFERENCES users(user_id) ON DELETE SET NULL,
+      INDEX idx_order_status_history_order (order_id, created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+    `INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, created_at)
+     SELECT order_id, NULL, 'pending', user_id, created_at FROM orders`,
+    `INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, created_at)
+     SELECT order_id, 'pending', status, NULL, COALESCE(updated_at, created_at) FROM orders WHERE status <> 'pending'`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS order_status_history'
+  ]
+};
@@ -0,0 +1,23 @@
+// db/migrations/018_add_scheduled_release.js - When each order was released to the kitchen, and when a late one was flagged
+//
+// Scheduled orders are held (released_at NULL) until their lead time before
+// scheduled_at; ASAP orders are released as they are placed. overdue_at is
+// set once, the first time the scheduler finds a scheduled order past due.
+// Existing orders are all treated as released when they were placed.
+
+module.exports = {
+  up: [
+    `ALTER TABLE orders
+      ADD COLUMN released_at DATETIME NULL,
+      ADD COLUMN overdue_at DATETIME NULL,
+      ADD INDEX idx_orders_release (released_at, scheduled_at)`,
+    'UPDATE orders SET released_at = created_at'
+  ],
+
+  down: [
+    `ALTER TABLE orders
+      DROP INDEX idx_orders_release,
+      DROP COLUMN overdue_at,
+      DROP COLUMN released_at`
+  ]
+};
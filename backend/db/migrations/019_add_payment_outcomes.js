@@ -0,0 +1,18 @@
+// db/migrations/019_add_payment_outcomes.js - Payment states for voided intents and money the order could not take
+//
+// cancelled: an open intent voided before it was paid, because its order
+// was cancelled or repriced. rejected: the provider took the money but the order could
+// no longer be settled by it; refunded: a rejected payment that was sent
+// back automatically. Rolling back folds them into the nearest old state.
+module.exports = {
+  up: [
+    `ALTER TABLE payments MODIFY COLUMN status
+      ENUM('requires_payment', 'succeeded', 'failed', 'cancelled', 'rejected', 'refunded') NOT NULL DEFAULT 'requires_payment'`
+  ],
+  down: [
+    "UPDATE payments SET status = 'failed' WHERE status = 'cancelled'",
+    "UPDATE payments SET status = 'succeeded' WHERE status IN ('rejected', 'refunded')",
+    `ALTER TABLE payments MODIFY COLUMN status
+      ENUM('requires_payment', 'succeeded', 'failed') NOT NULL DEFAULT 'requires_payment'`
+  ]
+};
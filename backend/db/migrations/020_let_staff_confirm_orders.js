@@ -0,0 +1,11 @@
+// db/migrations/020_let_staff_confirm_orders.js - orders.advance now starts at accepting a pending order
+
+module.exports = {
+  up: [
+    "UPDATE permissions SET description = 'Move orders along pending → confirmed → preparing → ready' WHERE permission_key = 'orders.advance'"
+  ],
+
+  down: [
+    "UPDATE permissions SET description = 'Move orders along confirmed → preparing → ready' WHERE permission_key = 'orders.advance'"
+  ]
+};
@@ -0,0 +1,90 @@
+// db/migrator.js - Applies and reverts the numbered files in db/migrations
+//
+// Each migration exports `up` and `down`, either as an array of SQL
+// statements run in order or as an async function receiving the connection.
+// Applied versions are recorded in schema_migrations.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_(\w+)\.js$/;
+
+const loadMigrations = (dir = MIGRATIONS_DIR) =>
+  fs.readdirSync(dir)
+    .filter((file) => FILE_PATTERN.test(file))
+    .sort()
+    .map((file) => {
+      const [, version, name] = file.match(FILE_PATTERN);
+      const { up, down } = require(path.join(dir, file));
+      return { version, name, up, down };
+    });
+
+const ensureMigrationsTable = (db) =>
+  db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+const appliedMigrations = async (db) => {
+  await ensureMigrationsTable(db);
+  const [rows] = await db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return rows;
+};
+
+const runSteps = async (db, steps) => {
+  if (typeof steps === 'function') {
+    return steps(db);
+  }
+  for (const statement of steps) {
+    await db.query(statement);
+  }
+};
+
+// Applies every pending migration in order; returns the ones applied.
+const migrate = async (db, { migrations = loadMigrations(), log = () => {} } = {}) => {
+  const applied = new Set((await appliedMigrations(db)).map((row) => row.version));
+  const pending = migrations.filter((migration) => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    log(`[MIGRATE] ↑ ${migration.version}_${migration.name}`);
+    await runSteps(db, migration.up);
+    await db.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+  }
+
+  return pending;
+};
+
+// Reverts the last `steps` applied migrations, newest first.
+const rollback = async (db, { steps = 1, migrations = loadMigrations(), log = () => {} } = {}) => {
+  const byVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+  const applied = (await appliedMigrations(db)).reverse().slice(0, steps);
+  const reverted = [];
+
+  for (const row of applied) {
+    const migration = byVersion.get(row.version);
+    if (!migration) {
+      throw new Error(`Migration file for version ${row.version} (${row.name}) is missing`);
+    }
+    log(`[MIGRATE] ↓ ${migration.version}_${migration.name}`);
+    await runSteps(db, migration.down);
+    await db.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    reverted.push(migration);
+  }
+
+  return reverted;
+};
+
+// Every known migration with its applied_at timestamp (null when pending).
+const status = async (db, { migrations = loadMigrations() } = {}) => {
+  const applied = new Map((await appliedMigrations(db)).map((row) => [row.version, row]));
+  return migrations.map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    appliedAt: applied.get(migration.version)?.applied_at || null
+  }));
+};
+
+module.exports = { loadMigrations, migrate, rollback, status, MIGRATIONS_DIR };
@@ -0,0 +1,68 @@
+// db/pool.js - Lazily created mysql2 promise pool and transaction helper
+const mysql = require('mysql2/promise');
+const config = require('../config');
+
+let pool = null;
+
+// The pool is only created on first use so that requiring the app
+// (e.g. from tests) never opens a database connection by itself.
+const getPool = () => {
+  if (!pool) {
+    pool = mysql.createPool({
+      ...config.db,
+      waitForConnections: true,
+      connectionLimit: 10,
+      queueLimit: 0,
+      enableKeepAlive: true,
+      keepAliveInitialDelayMs: 0
+    });
+  }
+  return pool;
+};
+
+// Swap in another pool-like object (anything with query/getConnection).
+const setPool = (replacement) => {
+  pool = replacement;
+};
+
+// Runs `work(connection)` inside a transaction, committing on success and
+// rolling back on any thrown error. The connection is always released.
+const withTransaction = async (work) => {
+  const connection = await getPool().getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (err) {
+    try {
+      await connection.rollback();
+    } catch (rollbackErr) {
+      console.error('[DB] Transaction rollback error:', rollbackErr.message);
+    }
+    throw err;
+  } finally {
+    connection.release();
+  }
+};
+
+const checkConnection = async () => {
+  try {
+    const connection = await getPool().getConnection();
+    console.log('[DB] ✓ Database connected successfully');
+    connection.release();
+  } catch (err) {
+    console.error('[DB ERROR]', err.message);
+    if (err.code === 'PROTOCOL_CONNECTION_LOST') {
+      console.error('DATABASE CONNECTION WAS CLOSED');
+    }
+    if (err.code === 'ER_CON_COUNT_ERROR') {
+      console.error('DATABASE HAS TOO MANY CONNECTIONS');
+    }
+    if (err.code === 'ER_ACCESS_DENIED_ERROR') {
+      console.error('DATABASE ACCESS WAS DENIED - CHECK CREDENTIALS');
+    }
+  }
+};
+
+module.exports = { getPool, setPool, withTransaction, checkConnection };
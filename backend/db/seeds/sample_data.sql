@@ -0,0 +1,78 @@
+-- GrabNGo sample data
+-- Loaded by `npm run db:seed` on a freshly migrated, empty database.
+
+-- ==================== SAMPLE DATA ====================
+
+-- Insert sample categories
+INSERT INTO categories (category_name, description, is_active) VALUES
+('Burgers', 'Delicious handcrafted burgers', TRUE),
+('Pizza', 'Wood-fired pizzas with fresh ingredients', TRUE),
+('Salads', 'Fresh and healthy salads', TRUE),
+('Beverages', 'Soft drinks, juices, and coffee', TRUE),
+('Desserts', 'Sweet treats and pastries', TRUE);
+
+-- Insert sample menu items
+INSERT INTO menu_items (category_id, item_name, description, price, is_available) VALUES
+(1, 'Classic Burger', 'Beef patty with lettuce, tomato, and onion', 8.99, TRUE),
+(1, 'Cheese Burger', 'Classic burger with melted cheddar cheese', 9.99, TRUE),
+(1, 'Bacon Burger', 'Beef patty with crispy bacon and Swiss cheese', 10.99, TRUE),
+(2, 'Margherita Pizza', 'Fresh mozzarella, basil, and tomato sauce', 11.99, TRUE),
+(2, 'Pepperoni Pizza', 'Classic pepperoni with extra cheese', 12.99, TRUE),
+(3, 'Caesar Salad', 'Crispy romaine with parmesan and croutons', 7.99, TRUE),
+(3, 'Greek Salad', 'Fresh vegetables with feta cheese', 8.99, TRUE),
+(4, 'Iced Coffee', 'Cold brew coffee with ice', 3.99, TRUE),
+(4, 'Fresh Juice', 'Orange or apple juice', 2.99, TRUE),
+(5, 'Chocolate Cake', 'Rich chocolate cake with frosting', 4.99, TRUE);
+
+-- Insert sample admin user (password: Admin@12345)
+INSERT INTO users (username, email, password, full_name, phone, role, is_active, is_super_admin) VALUES
+('admin', 'admin@grabngo.com', '$2b$10$LIiLpE3eJQxZu7Y/ZrxKU.9Yz0sBdywY98sG28YoL3mPGnFkTr.U.', 'Admin User', '1234567890', 'admin', TRUE, TRUE);
+
+-- Insert sample staff user (password: Staff@12345)
+INSERT INTO users (username, email, password, full_name, phone, role, is_active) VALUES
+('staff1', 'staff@grabngo.com', '$2b$10$/e5G7jf95fMRhc9pviGenuXOqVNHd7pjZde24xUhdt/Ezl4hDq4Va', 'Staff Member', '0987654321', 'staff', TRUE);
+
+-- Insert sample customer user (password: Customer@12345)
+INSERT INTO users (username, email, password, full_name, phone, role, is_active) VALUES
+('customer1', 'customer@grabngo.com', '$2b$10$qpRkztaA0gMbHUltEDowEevn/GJfdJklJ2D2X1LN/istx37q1KQOW', 'John Doe', '5555555555', 'customer', TRUE);
+
+-- Insert sample orders
+INSERT INTO orders (user_id, order_number, total_amount, payment_method, payment_status, status, special_instructions, created_at) VALUES
+(3, 'ORD1700000001', 19.98, 'credit_card', 'paid', 'completed', 'No onions please', NOW() - INTERVAL 7 DAY),
+(3, 'ORD1700000002', 15.99, 'cash', 'pending', 'ready', NULL, NOW() - INTERVAL 3 DAY),
+(3, 'ORD1700000003', 23.97, 'credit_card', 'paid', 'preparing', 'Extra sauce on the side', NOW());
+
+-- Insert sample order items
+INSERT INTO order_items (order_id, item_id, quantity, unit_price, subtotal) VALUES
+(1, 1, 2, 8.99, 17.98),
+(1, 9, 1, 2.99, 2.99),
+(2, 2, 1, 9.99, 9.99),
+(2, 10, 1, 4.99, 4.99),
+(3, 5, 1, 12.99, 12.99),
+(3, 7, 1, 8.99, 8.99);
+
+-- ==================== CREDENTIALS FOR TESTING ====================
+/*
+Sample Login Credentials:
+
+ADMIN USER:
+  Username: admin
+  Email: admin@grabngo.com
+  Password: Admin@12345
+  Role: admin (super-admin: can edit role permissions)
+
+STAFF USER:
+  Username: staff1
+  Email: staff@grabngo.com
+  Password: Staff@12345
+  Role: staff
+
+CUSTOMER USER:
+  Username: customer1
+  Email: customer@grabngo.com
+  Password: Customer@12345
+  Role: customer
+
+Note: Passwords are hashed using bcrypt (salt rounds: 10)
+Generated with: bcrypt.hash(password, 10)
+*/
\ No newline at end of file
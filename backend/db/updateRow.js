@@ -0,0 +1,17 @@
+// db/updateRow.js - Shared partial UPDATE for the repositories
+const { getPool } = require('./pool');
+
+// Writes `fields` (column => value pairs the caller has already validated)
+// to the row `idColumn = id` and bumps updated_at. Column names go into the
+// SQL as-is, so they must never come straight from a request body. `where`
+// adds an extra condition, e.g. 'is_active = 1'. Resolves to affectedRows.
+const updateRow = async ({ table, idColumn, id, fields, where = null }, conn = getPool()) => {
+  const columns = Object.keys(fields);
+  const assignments = columns.map((column) => `${column} = ?`);
+  const condition = where ? ` AND ${where}` : '';
+  const query = `UPDATE ${table} SET ${assignments.join(', ')}, updated_at = NOW() WHERE ${idColumn} = ?${condition}`;
+  const [result] = await conn.query(query, [...columns.map((column) => fields[column]), id]);
+  return result.affectedRows;
+};
+
+module.exports = { updateRow };
@@ -0,0 +1,27 @@
+// jobs/parRestock.js - Periodically tops stock-tracked items up to their daily par
+//
+// Checking every few minutes (rather than scheduling for midnight) means a
+// server that was down over the day boundary still restocks once it is up.
+const config = require('../config');
+const menuService = require('../services/menuService');
+
+let timer = null;
+
+const run = () =>
+  menuService.restockToPar().catch((err) => {
+    console.error('[STOCK] Par restock failed:', err.message);
+  });
+
+const start = (intervalMs = config.STOCK_RESTOCK_CHECK_MINUTES * 60 * 1000) => {
+  if (timer) return;
+  run();
+  timer = setInterval(run, intervalMs);
+  timer.unref();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { start, stop };
@@ -0,0 +1,24 @@
+// jobs/scheduledOrders.js - Periodically releases scheduled orders to the kitchen and flags late ones
+const config = require('../config');
+const scheduleService = require('../services/scheduleService');
+
+let timer = null;
+
+const run = () =>
+  scheduleService.runSchedule().catch((err) => {
+    console.error('[SCHEDULE] Scheduled order check failed:', err.message);
+  });
+
+const start = (intervalMs = config.SCHEDULED_RELEASE_CHECK_SECONDS * 1000) => {
+  if (timer) return;
+  run();
+  timer = setInterval(run, intervalMs);
+  timer.unref();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { start, stop };
@@ -0,0 +1,27 @@
+// mailer/fileMailer.js - Development mailer: writes each message to disk and logs it
+const fs = require('fs');
+const path = require('path');
+
+let sequence = 0;
+
+// Messages land in `dir` as one JSON file each, so links can be copied out
+// during development and asserted on in tests. Without a `dir` the message
+// is only logged.
+const createFileMailer = ({ dir } = {}) => ({
+  async send(message) {
+    const sentAt = new Date();
+    if (dir) {
+      fs.mkdirSync(dir, { recursive: true });
+      // Sortable names keep messages in the order they were sent.
+      sequence += 1;
+      const name = `${sentAt.getTime()}-${String(sequence).padStart(6, '0')}.json`;
+      fs.writeFileSync(path.join(dir, name), JSON.stringify({ ...message, sent_at: sentAt }, null, 2));
+    }
+    console.log(`[MAIL] → ${message.to}: ${message.subject}`);
+    if (!dir) {
+      console.log(message.text);
+    }
+  }
+});
+
+module.exports = { createFileMailer };
@@ -0,0 +1,38 @@
+// mailer/index.js - Picks the configured mail adapter and sends through it
+//
+// Every adapter exposes `send({ to, subject, text, html })`. The adapter is
+// built lazily from config; tests swap it with setMailer().
+const config = require('../config');
+const { createFileMailer } = require('./fileMailer');
+
+let mailer = null;
+
+const createMailer = () => {
+  switch (config.mail.transport) {
+    case 'smtp': {
+      const { createSmtpMailer } = require('./smtpMailer');
+      return createSmtpMailer({ ...config.mail.smtp, from: config.mail.from });
+    }
+    case 'console':
+      return createFileMailer();
+    case 'file':
+      return createFileMailer({ dir: config.mail.dir });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${config.mail.transport}"`);
+  }
+};
+
+const getMailer = () => {
+  if (!mailer) {
+    mailer = createMailer();
+  }
+  return mailer;
+};
+
+const setMailer = (instance) => {
+  mailer = instance;
+};
+
+const sendMail = (message) => getMailer().send(message);
+
+module.exports = { getMailer, setMailer, sendMail };
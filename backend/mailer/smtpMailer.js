@@ -0,0 +1,20 @@
+// mailer/smtpMailer.js - Sends mail through an SMTP server via nodemailer
+const nodemailer = require('nodemailer');
+
+const createSmtpMailer = ({ host, port, secure, user, password, from }) => {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined
+  });
+
+  return {
+    async send({ to, subject, text, html }) {
+      await transport.sendMail({ from, to, subject, text, html });
+      console.log(`[MAIL] ✓ Sent "${subject}" to ${to}`);
+    }
+  };
+};
+
+module.exports = { createSmtpMailer };
@@ -0,0 +1,47 @@
+// mailer/templates.js - Subject and body for each transactional email
+const config = require('../config');
+
+const appLink = (pathname) => `${config.APP_URL.replace(/\/$/, '')}${pathname}`;
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+
+const passwordReset = ({ username, token, ttlMinutes }) => {
+  const url = appLink(`/reset-password/${token}`);
+  const name = escapeHtml(username);
+  return {
+    subject: 'Reset your Grab N Go password',
+    text: [
+      `Hi ${username},`,
+      '',
+      'We received a request to reset your password. Open the link below to choose a new one:',
+      url,
+      '',
+      `The link expires in ${ttlMinutes} minutes. If you didn't ask for this, you can ignore this email.`
+    ].join('\n'),
+    html: `<p>Hi ${name},</p>
+<p>We received a request to reset your password. <a href="${url}">Choose a new password</a>.</p>
+<p>The link expires in ${ttlMinutes} minutes. If you didn't ask for this, you can ignore this email.</p>`
+  };
+};
+
+const emailVerification = ({ username, token, ttlHours }) => {
+  const url = appLink(`/verify-email/${token}`);
+  const name = escapeHtml(username);
+  return {
+    subject: 'Confirm your Grab N Go email address',
+    text: [
+      `Hi ${username},`,
+      '',
+      'Please confirm your email address by opening the link below:',
+      url,
+      '',
+      `The link expires in ${ttlHours} hours.`
+    ].join('\n'),
+    html: `<p>Hi ${name},</p>
+<p>Please <a href="${url}">confirm your email address</a>.</p>
+<p>The link expires in ${ttlHours} hours.</p>`
+  };
+};
+
+module.exports = { passwordReset, emailVerification };
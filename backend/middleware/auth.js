@@ -0,0 +1,79 @@
+// middleware/auth.js - JWT authentication, role and permission guards
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const permissionService = require('../services/permissionService');
+const { tokensMatch } = require('../utils/tokens');
+
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    console.warn('[AUTH] No token provided');
+    return res.status(401).json({ error: 'Access denied. No token provided.' });
+  }
+
+  jwt.verify(token, config.JWT_SECRET, (err, user) => {
+    // Expiry is a 401 so the client knows to use its refresh cookie.
+    if (err && err.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Access token expired' });
+    }
+    if (err) {
+      console.warn(`[AUTH] Invalid token: ${err.message}`);
+      return res.status(403).json({ error: 'Invalid or expired token' });
+    }
+    req.user = user;
+    next();
+  });
+};
+
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    console.warn(`[AUTH] Access denied for role: ${req.user?.role || 'unknown'}`);
+    return res.status(403).json({ error: 'Access denied. Insufficient permissions.' });
+  }
+  next();
+};
+
+// Permissions are read from the database on every guarded request, so edits
+// by a super-admin apply without waiting for tokens to expire.
+const loadAccess = async (req) => {
+  if (req.access === undefined) {
+    req.access = req.user ? await permissionService.getUserAccess(req.user.userId) : null;
+  }
+  return req.access;
+};
+
+const guard = (isAllowed, describe) => async (req, res, next) => {
+  try {
+    const access = await loadAccess(req);
+    if (!access || !isAllowed(access)) {
+      console.warn(`[AUTH] Access denied for user ${req.user?.userId || 'unknown'}: needs ${describe}`);
+      return res.status(403).json({ error: 'Access denied. Insufficient permissions.' });
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Passes when the user holds at least one of the given permissions.
+const requirePermission = (...permissions) =>
+  guard((access) => permissions.some((p) => access.permissions.includes(p)), permissions.join(' or '));
+
+const requireSuperAdmin = guard((access) => access.isSuperAdmin, 'super-admin');
+
+// The pickup board has no user; when PICKUP_BOARD_TOKEN is set the screen
+// must present it instead.
+const isDisplayTokenValid = (token) =>
+  !config.PICKUP_BOARD_TOKEN || (typeof token === 'string' && tokensMatch(token, config.PICKUP_BOARD_TOKEN));
+
+const requireDisplayToken = (req, res, next) => {
+  if (!isDisplayTokenValid(req.query.token)) {
+    console.warn(`[SECURITY] Pickup board request with an invalid display token from ${req.ip}`);
+    return res.status(401).json({ error: 'A valid display token is required' });
+  }
+  next();
+};
+
+module.exports = { authenticateToken, requireRole, requirePermission, requireSuperAdmin, isDisplayTokenValid, requireDisplayToken };
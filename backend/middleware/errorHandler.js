@@ -0,0 +1,30 @@
+// middleware/errorHandler.js - 404 fallback and central error responses
+const multer = require('multer');
+const config = require('../config');
+
+const notFound = (req, res) => {
+  res.status(404).json({ error: 'Route not found' });
+};
+
+const handleError = (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  // Errors raised on purpose (HttpError) are safe to show as-is.
+  if (err.status && err.status < 500) {
+    const payload = { error: err.message };
+    if (err.details !== undefined) {
+      payload.details = err.details;
+    }
+    return res.status(err.status).json(payload);
+  }
+
+  console.error(`[ERROR] ${err.message}`, err.stack);
+  const statusCode = err.status || 500;
+  res.status(statusCode).json({
+    error: err.publicMessage || (config.NODE_ENV === 'production' ? 'Internal server error' : err.message)
+  });
+};
+
+module.exports = { notFound, handleError };
@@ -0,0 +1,29 @@
+// middleware/rateLimiters.js - Request throttling for the API
+const rateLimit = require('express-rate-limit');
+const config = require('../config');
+
+// The integration suite fires far more requests than any limit allows.
+const skip = () => config.NODE_ENV === 'test';
+
+const limiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+  message: 'Too many requests, please try again later',
+  skip
+});
+
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  skipSuccessfulRequests: false,
+  skip
+});
+
+const orderLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 3,
+  message: 'Too many order requests, please try again later',
+  skip
+});
+
+module.exports = { limiter, authLimiter, orderLimiter };
@@ -0,0 +1,12 @@
+// middleware/requestLogger.js - One log line per finished request
+const requestLogger = (req, res, next) => {
+  req.startTime = Date.now();
+  res.on('finish', () => {
+    const duration = Date.now() - req.startTime;
+    const logLevel = res.statusCode >= 400 ? 'ERROR' : 'INFO';
+    console.log(`[${logLevel}] ${req.method} ${req.path} - ${res.statusCode} - ${duration}ms`);
+  });
+  next();
+};
+
+module.exports = requestLogger;
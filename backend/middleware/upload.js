@@ -0,0 +1,34 @@
+// middleware/upload.js - Multer disk storage for menu images
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const config = require('../config');
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    if (!fs.existsSync(config.UPLOAD_DEST)) {
+      fs.mkdirSync(config.UPLOAD_DEST, { recursive: true });
+    }
+    cb(null, config.UPLOAD_DEST);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const allowedMimeTypes = /jpeg|jpg|png|gif/;
+    const isValid = allowedMimeTypes.test(file.mimetype);
+    if (isValid) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files (JPEG, PNG, GIF) are allowed'), false);
+    }
+  }
+});
+
+module.exports = upload;
@@ -0,0 +1,25 @@
+// middleware/validate.js - Turns express-validator results into 400 responses
+const { validationResult } = require('express-validator');
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.error('[VALIDATION] Errors:', errors.array());
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array().map(e => ({ field: e.param, message: e.msg }))
+    });
+  }
+  next();
+};
+
+// Variant used by routes that report only the first failing rule.
+const handleFirstValidationError = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+  next();
+};
+
+module.exports = { handleValidationErrors, handleFirstValidationError };
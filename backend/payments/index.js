@@ -0,0 +1,63 @@
+// payments/index.js - Picks the configured payment provider
+//
+// Every provider exposes:
+//   name
+//   createIntent({ orderId, orderNumber, amountMinor, currency, method })
+//     -> { intentId, status }
+//   parseWebhook(rawBody, headers)
+//     -> { id, type: 'payment.succeeded' | 'payment.failed', intentId, amountMinor },
+//        or null when the signature does not check out
+//   refund({ intentId, amountMinor, currency, reason })
+//     -> { refundId }, throwing if the provider turns the refund down
+// Amounts cross this boundary in minor units (paisa) to avoid rounding.
+// The provider is built lazily from config; tests swap it with setProvider().
+const config = require('../config');
+const { createMockProvider } = require('./mockProvider');
+
+let provider = null;
+
+const createProvider = () => {
+  switch (config.payments.provider) {
+    case 'mock':
+      return createMockProvider({ webhookSecret: config.payments.webhookSecret });
+    default:
+      throw new Error(`Unknown PAYMENT_PROVIDER "${config.payments.provider}"`);
+  }
+};
+
+const getProvider = () => {
+  if (!provider) {
+    provider = createProvider();
+  }
+  return provider;
+};
+
+const setProvider = (instance) => {
+  provider = instance;
+};
+
+// Webhook secrets that are public knowledge: the built-in default and the
+// env.example placeholder.
+const PLACEHOLDER_SECRETS = ['', 'mock-webhook-secret', 'change_me'];
+
+// Payment settings a production server must not start with, as messages
+// for server.js to print. Anything goes outside production.
+const checkProductionConfig = ({ NODE_ENV, payments }) => {
+  if (NODE_ENV !== 'production') {
+    return [];
+  }
+  const problems = [];
+  if (payments.provider === 'mock') {
+    problems.push('PAYMENT_PROVIDER must name a real provider in production, not mock');
+  }
+  if (PLACEHOLDER_SECRETS.includes(payments.webhookSecret)) {
+    problems.push('PAYMENT_WEBHOOK_SECRET must be set to the secret the provider signs webhooks with');
+  }
+  return problems;
+};
+
+// The mock checkout lets a customer mark their own order paid, so it only
+// exists with the mock provider and never in production.
+const isMockCheckoutEnabled = () => config.payments.provider === 'mock' && config.NODE_ENV !== 'production';
+
+module.exports = { getProvider, setProvider, checkProductionConfig, isMockCheckoutEnabled };
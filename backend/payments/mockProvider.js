@@ -0,0 +1,56 @@
+// payments/mockProvider.js - Offline payment provider for development and tests
+//
+// Intents are only ids; nothing leaves the machine. simulateWebhook() builds
+// the signed event a real provider would send once the customer has paid,
+// so the webhook path is exercised exactly as in production.
+const crypto = require('crypto');
+const { SIGNATURE_HEADER, signPayload, verifySignature } = require('./signature');
+
+const EVENT_TYPES = {
+  succeeded: 'payment.succeeded',
+  failed: 'payment.failed'
+};
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const createMockProvider = ({ webhookSecret }) => ({
+  name: 'mock',
+
+  async createIntent() {
+    return { intentId: randomId('mock_pi'), status: 'requires_payment' };
+  },
+
+  // Refunds settle immediately; only a positive amount is checked.
+  async refund({ amountMinor }) {
+    if (!Number.isInteger(amountMinor) || amountMinor <= 0) {
+      throw new Error('Refund amount must be a positive number of paisa');
+    }
+    return { refundId: randomId('mock_re') };
+  },
+
+  // Returns null when the signature is missing or wrong.
+  parseWebhook(rawBody, headers) {
+    if (!verifySignature(rawBody, headers[SIGNATURE_HEADER], webhookSecret)) {
+      return null;
+    }
+    const event = JSON.parse(rawBody);
+    return {
+      id: event.id,
+      type: event.type,
+      intentId: event.data.intent_id,
+      amountMinor: event.data.amount
+    };
+  },
+
+  // `outcome` is 'succeeded' or 'failed'; `amountMinor` is in paisa.
+  simulateWebhook({ intentId, amountMinor, currency, outcome }) {
+    const rawBody = JSON.stringify({
+      id: randomId('mock_evt'),
+      type: EVENT_TYPES[outcome],
+      data: { intent_id: intentId, amount: amountMinor, currency }
+    });
+    return { rawBody, headers: { [SIGNATURE_HEADER]: signPayload(rawBody, webhookSecret) } };
+  }
+});
+
+module.exports = { createMockProvider };
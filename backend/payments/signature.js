@@ -0,0 +1,33 @@
+// payments/signature.js - HMAC signatures for webhook bodies
+//
+// The header reads `t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">`.
+// Binding the timestamp into the signature stops old deliveries from being
+// replayed outside the tolerance window.
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-payment-signature';
+const TOLERANCE_SECONDS = 5 * 60;
+
+const hmac = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const signPayload = (body, secret, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${hmac(secret, timestamp, body)}`;
+
+// True when `header` is a valid, recent signature of `body`.
+const verifySignature = (body, header, secret) => {
+  if (typeof header !== 'string') {
+    return false;
+  }
+  const parts = Object.fromEntries(header.split(',').map((part) => part.split('=')));
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = Buffer.from(hmac(secret, timestamp, body), 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+module.exports = { SIGNATURE_HEADER, signPayload, verifySignature };
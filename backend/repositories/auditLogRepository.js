@@ -0,0 +1,87 @@
+// repositories/auditLogRepository.js - Data access for the audit_logs table
+const { getPool } = require('../db/pool');
+
+const create = async ({ userId, action, entityType, entityId, oldValues, newValues, ipAddress }, conn = getPool()) => {
+  const query = `
+    INSERT INTO audit_logs (user_id, action, entity_type, entity_id, old_values, new_values, ip_address)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `;
+  const [result] = await conn.query(query, [
+    userId,
+    action,
+    entityType,
+    entityId,
+    oldValues === null ? null : JSON.stringify(oldValues),
+    newValues === null ? null : JSON.stringify(newValues),
+    ipAddress
+  ]);
+  return result.insertId;
+};
+
+const buildLogFilter = ({ entityType, entityId, actorId, actor, action, from, to }) => {
+  const clauses = [];
+  const params = [];
+  if (entityType) {
+    clauses.push('l.entity_type = ?');
+    params.push(entityType);
+  }
+  if (entityId !== undefined) {
+    clauses.push('l.entity_id = ?');
+    params.push(entityId);
+  }
+  if (actorId !== undefined) {
+    clauses.push('l.user_id = ?');
+    params.push(actorId);
+  }
+  if (actor) {
+    clauses.push('u.username = ?');
+    params.push(actor);
+  }
+  if (action) {
+    clauses.push('l.action = ?');
+    params.push(action);
+  }
+  if (from) {
+    clauses.push('l.created_at >= ?');
+    params.push(from);
+  }
+  if (to) {
+    clauses.push('l.created_at < ?');
+    params.push(to);
+  }
+  return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+};
+
+const findPage = async (filters, { limit, offset }, conn = getPool()) => {
+  const { where, params } = buildLogFilter(filters);
+  const query = `
+    SELECT l.log_id, l.user_id, u.username AS actor_username, l.action, l.entity_type, l.entity_id,
+           l.old_values, l.new_values, l.ip_address, l.created_at
+    FROM audit_logs l
+    LEFT JOIN users u ON l.user_id = u.user_id
+    ${where}
+    ORDER BY l.created_at DESC, l.log_id DESC
+    LIMIT ? OFFSET ?
+  `;
+  const [rows] = await conn.query(query, [...params, limit, offset]);
+  return rows;
+};
+
+const countMatching = async (filters, conn = getPool()) => {
+  const { where, params } = buildLogFilter(filters);
+  const query = `
+    SELECT COUNT(*) AS total
+    FROM audit_logs l
+    LEFT JOIN users u ON l.user_id = u.user_id
+    ${where}
+  `;
+  const [rows] = await conn.query(query, params);
+  return Number(rows[0].total);
+};
+
+const findEntityTypes = async (conn = getPool()) => {
+  const [rows] = await conn.query('SELECT DISTINCT entity_type FROM audit_logs ORDER BY entity_type');
+  return rows.map((row) => row.entity_type);
+};
+
+module.exports = { create, findPage, countMatching, findEntityTypes };
@@ -0,0 +1,31 @@
+// repositories/categoryRepository.js - Data access for the categories table
+const { getPool } = require('../db/pool');
+const { updateRow } = require('../db/updateRow');
+
+const findActive = async (conn = getPool()) => {
+  const [rows] = await conn.query('SELECT * FROM categories WHERE is_active = TRUE ORDER BY category_name');
+  return rows;
+};
+
+const findAll = async (conn = getPool()) => {
+  const [rows] = await conn.query('SELECT * FROM categories ORDER BY category_name ASC');
+  return rows;
+};
+
+const findById = async (categoryId, conn = getPool()) => {
+  const [rows] = await conn.query('SELECT * FROM categories WHERE category_id = ?', [categoryId]);
+  return rows[0] || null;
+};
+
+const create = async ({ category_name, is_active, tax_rate }, conn = getPool()) => {
+  const [result] = await conn.query(
+    'INSERT INTO categories (category_name, is_active, tax_rate, created_at) VALUES (?, ?, ?, NOW())',
+    [category_name, is_active, tax_rate]
+  );
+  return result.insertId;
+};
+
+const update = (categoryId, fields, conn = getPool()) =>
+  updateRow({ table: 'categories', idColumn: 'category_id', id: categoryId, fields }, conn);
+
+module.exports = { findActive, findAll, findById, create, update };
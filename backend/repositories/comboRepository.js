@@ -0,0 +1,60 @@
+// repositories/comboRepository.js - Data access for combo meals and their slots
+const { getPool } = require('../db/pool');
+const { updateRow } = require('../db/updateRow');
+
+const findActive = async (conn = getPool()) => {
+  const [rows] = await conn.query('SELECT * FROM combos WHERE is_active = 1 ORDER BY combo_name');
+  return rows;
+};
+
+const findActiveById = async (comboId, conn = getPool()) => {
+  const [rows] = await conn.query('SELECT * FROM combos WHERE combo_id = ? AND is_active = 1', [comboId]);
+  return rows[0] || null;
+};
+
+const findByIds = async (comboIds, conn = getPool()) => {
+  const [rows] = await conn.query('SELECT * FROM combos WHERE combo_id IN (?)', [comboIds]);
+  return rows;
+};
+
+// Fixed slots carry the item's name and price; choice slots the category name.
+const findSlotsByComboIds = async (comboIds, conn = getPool()) => {
+  const query = `
+    SELECT cs.slot_id, cs.combo_id, cs.label, cs.item_id, cs.category_id, cs.quantity, cs.sort_order,
+      mi.item_name, mi.price AS item_price, c.category_name
+    FROM combo_slots cs
+    LEFT JOIN menu_items mi ON cs.item_id = mi.item_id
+    LEFT JOIN categories c ON cs.category_id = c.category_id
+    WHERE cs.combo_id IN (?)
+    ORDER BY cs.combo_id, cs.sort_order, cs.slot_id
+  `;
+  const [rows] = await conn.query(query, [comboIds]);
+  return rows;
+};
+
+const create = async ({ combo_name, description, price, image_url, is_available }, conn = getPool()) => {
+  const [result] = await conn.query(
+    'INSERT INTO combos (combo_name, description, price, image_url, is_available, created_at) VALUES (?, ?, ?, ?, ?, NOW())',
+    [combo_name, description, price, image_url, is_available]
+  );
+  return result.insertId;
+};
+
+const update = (comboId, fields, conn = getPool()) =>
+  updateRow({ table: 'combos', idColumn: 'combo_id', id: comboId, fields, where: 'is_active = 1' }, conn);
+
+const replaceSlots = async (comboId, slots, conn = getPool()) => {
+  await conn.query('DELETE FROM combo_slots WHERE combo_id = ?', [comboId]);
+  const rows = slots.map((slot, index) => [comboId, slot.label, slot.item_id, slot.category_id, slot.quantity, index]);
+  await conn.query('INSERT INTO combo_slots (combo_id, label, item_id, category_id, quantity, sort_order) VALUES ?', [rows]);
+};
+
+module.exports = {
+  findActive,
+  findActiveById,
+  findByIds,
+  findSlotsByComboIds,
+  create,
+  update,
+  replaceSlots
+};
@@ -0,0 +1,110 @@
+// repositories/ingredientRepository.js - Data access for ingredients and recipes
+const { getPool } = require('../db/pool');
+const { updateRow } = require('../db/updateRow');
+
+const findAll = async (conn = getPool()) => {
+  const [rows] = await conn.query('SELECT * FROM ingredients ORDER BY name');
+  return rows;
+};
+
+const findById = async (ingredientId, conn = getPool()) => {
+  const [rows] = await conn.query('SELECT * FROM ingredients WHERE ingredient_id = ?', [ingredientId]);
+  return rows[0] || null;
+};
+
+const findByIds = async (ingredientIds, conn = getPool()) => {
+  const [rows] = await conn.query('SELECT * FROM ingredients WHERE ingredient_id IN (?)', [ingredientIds]);
+  return rows;
+};
+
+const create = async ({ name, unit, stock_quantity, low_stock_threshold }, conn = getPool()) => {
+  const [result] = await conn.query(
+    'INSERT INTO ingredients (name, unit, stock_quantity, low_stock_threshold, created_at) VALUES (?, ?, ?, ?, NOW())',
+    [name, unit, stock_quantity, low_stock_threshold]
+  );
+  return result.insertId;
+};
+
+const update = (ingredientId, fields, conn = getPool()) =>
+  updateRow({ table: 'ingredients', idColumn: 'ingredient_id', id: ingredientId, fields }, conn);
+
+// Stock never goes below zero: a recipe that over-counts should not leave
+// the report showing negative buns.
+const deduct = async (ingredientId, amount, conn = getPool()) => {
+  const [result] = await conn.query(
+    'UPDATE ingredients SET stock_quantity = GREATEST(stock_quantity - ?, 0), updated_at = NOW() WHERE ingredient_id = ?',
+    [amount, ingredientId]
+  );
+  return result.affectedRows;
+};
+
+const findLowStock = async (conn = getPool()) => {
+  const query = `
+    SELECT *
+    FROM ingredients
+    WHERE stock_quantity <= low_stock_threshold
+    ORDER BY stock_quantity - low_stock_threshold ASC, name ASC
+  `;
+  const [rows] = await conn.query(query);
+  return rows;
+};
+
+// Total of each ingredient an order used, from its items' recipes.
+const findUsageForOrder = async (orderId, conn = getPool()) => {
+  const query = `
+    SELECT mii.ingredient_id, SUM(oi.quantity * mii.quantity) AS amount
+    FROM order_items oi
+    JOIN menu_item_ingredients mii ON mii.item_id = oi.item_id
+    WHERE oi.order_id = ?
+    GROUP BY mii.ingredient_id
+  `;
+  const [rows] = await conn.query(query, [orderId]);
+  return rows;
+};
+
+const findRecipe = async (itemId, conn = getPool()) => {
+  const query = `
+    SELECT mii.ingredient_id, mii.quantity, i.name, i.unit, i.stock_quantity
+    FROM menu_item_ingredients mii
+    JOIN ingredients i ON i.ingredient_id = mii.ingredient_id
+    WHERE mii.item_id = ?
+    ORDER BY i.name
+  `;
+  const [rows] = await conn.query(query, [itemId]);
+  return rows;
+};
+
+// `lines` is [{ ingredient_id, quantity }]; an empty list clears the recipe.
+const replaceRecipe = async (itemId, lines, conn = getPool()) => {
+  await conn.query('DELETE FROM menu_item_ingredients WHERE item_id = ?', [itemId]);
+  if (lines.length === 0) return;
+  const rows = lines.map((line) => [itemId, line.ingredient_id, line.quantity]);
+  await conn.query('INSERT INTO menu_item_ingredients (item_id, ingredient_id, quantity) VALUES ?', [rows]);
+};
+
+// Active menu items that use any of `ingredientIds`, for the low-stock report.
+const findItemsUsing = async (ingredientIds, conn = getPool()) => {
+  const query = `
+    SELECT mii.ingredient_id, mi.item_id, mi.item_name, mi.is_available
+    FROM menu_item_ingredients mii
+    JOIN menu_items mi ON mi.item_id = mii.item_id
+    WHERE mii.ingredient_id IN (?) AND mi.is_active = 1
+    ORDER BY mi.item_name
+  `;
+  const [rows] = await conn.query(query, [ingredientIds]);
+  return rows;
+};
+
+module.exports = {
+  findAll,
+  findById,
+  findByIds,
+  create,
+  update,
+  deduct,
+  findLowStock,
+  findUsageForOrder,
+  findRecipe,
+  replaceRecipe,
+  findItemsUsing
+};
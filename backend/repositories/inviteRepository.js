@@ -0,0 +1,48 @@
+// repositories/inviteRepository.js - Data access for the user_invites table
+const { getPool } = require('../db/pool');
+
+const create = async ({ email, role, tokenHash, invitedBy, expiresAt }, conn = getPool()) => {
+  const query = `
+    INSERT INTO user_invites (email, role, token_hash, invited_by, expires_at)
+    VALUES (?, ?, ?, ?, ?)
+  `;
+  const [result] = await conn.query(query, [email, role, tokenHash, invitedBy, expiresAt]);
+  return result.insertId;
+};
+
+// Unused and unexpired invites only; `now` is passed in so expiry is judged
+// by the app clock rather than the database's.
+const findUsableByTokenHash = async (tokenHash, now, conn = getPool()) => {
+  const query = `
+    SELECT invite_id, email, role, expires_at
+    FROM user_invites
+    WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?
+    FOR UPDATE
+  `;
+  const [rows] = await conn.query(query, [tokenHash, now]);
+  return rows[0] || null;
+};
+
+const markUsed = async (inviteId, userId, now, conn = getPool()) => {
+  const [result] = await conn.query(
+    'UPDATE user_invites SET used_at = ?, used_by = ? WHERE invite_id = ? AND used_at IS NULL',
+    [now, userId, inviteId]
+  );
+  return result.affectedRows;
+};
+
+const findRecent = async (limit, conn = getPool()) => {
+  const query = `
+    SELECT i.invite_id, i.email, i.role, i.expires_at, i.used_at, i.created_at,
+           inviter.username AS invited_by_username, invitee.username AS used_by_username
+    FROM user_invites i
+    LEFT JOIN users inviter ON i.invited_by = inviter.user_id
+    LEFT JOIN users invitee ON i.used_by = invitee.user_id
+    ORDER BY i.created_at DESC, i.invite_id DESC
+    LIMIT ?
+  `;
+  const [rows] = await conn.query(query, [limit]);
+  return rows;
+};
+
+module.exports = { create, findUsableByTokenHash, markUsed, findRecent };
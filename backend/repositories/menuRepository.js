@@ -0,0 +1,232 @@
+// repositories/menuRepository.js - Data access for the menu_items table
+const { getPool } = require('../db/pool');
+const { updateRow } = require('../db/updateRow');
+
+const findActiveWithCategory = async (conn = getPool()) => {
+  const query = `
+    SELECT mi.*, c.category_name
+    FROM menu_items mi
+    LEFT JOIN categories c ON mi.category_id = c.category_id
+    WHERE mi.is_active = 1
+      AND c.is_active = 1
+    ORDER BY c.category_name, mi.item_name
+  `;
+  const [rows] = await conn.query(query);
+  return rows;
+};
+
+const findActiveById = async (itemId, conn = getPool()) => {
+  const [rows] = await conn.query('SELECT * FROM menu_items WHERE item_id = ? AND is_active = 1', [itemId]);
+  return rows[0] || null;
+};
+
+const findByIdWithCategory = async (itemId, conn = getPool()) => {
+  const query = `
+    SELECT mi.*, c.category_name
+    FROM menu_items mi
+    LEFT JOIN categories c ON mi.category_id = c.category_id
+    WHERE mi.item_id = ?
+  `;
+  const [rows] = await conn.query(query, [itemId]);
+  return rows[0] || null;
+};
+
+const findByIds = async (itemIds, conn = getPool()) => {
+  const query = `
+    SELECT m.item_id, m.category_id, m.price, m.is_active, m.is_available, m.item_name, m.stock_quantity,
+      COALESCE(c.tax_rate, 0) AS tax_rate
+    FROM menu_items m
+    LEFT JOIN categories c ON m.category_id = c.category_id
+    WHERE m.item_id IN (?)
+  `;
+  const [rows] = await conn.query(query, [itemIds]);
+  return rows;
+};
+
+const create = async ({ category_id, item_name, description, price, image_url, is_available }, conn = getPool()) => {
+  const query = `
+    INSERT INTO menu_items (category_id, item_name, description, price, image_url, is_available, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, NOW())
+  `;
+  const [result] = await conn.query(query, [category_id, item_name, description, price, image_url, is_available]);
+  return result.insertId;
+};
+
+// An item whose ingredients ran out stays off sale whatever the edit says;
+// restocking the ingredients puts it back.
+const update = async (itemId, { category_id, item_name, description, price, is_available }, conn = getPool()) => {
+  const query = `
+    UPDATE menu_items
+    SET category_id = ?, item_name = ?, description = ?, price = ?,
+        is_available = IF(ingredients_depleted = 1, 0, ?), updated_at = NOW()
+    WHERE item_id = ?
+  `;
+  const [result] = await conn.query(query, [category_id, item_name, description, price, is_available, itemId]);
+  return result.affectedRows;
+};
+
+const deactivate = async (itemId, conn = getPool()) => {
+  const [result] = await conn.query('UPDATE menu_items SET is_active = 0, updated_at = NOW() WHERE item_id = ?', [itemId]);
+  return result.affectedRows;
+};
+
+const updateStock = (itemId, fields, conn = getPool()) =>
+  updateRow({ table: 'menu_items', idColumn: 'item_id', id: itemId, fields, where: 'is_active = 1' }, conn);
+
+// Takes `quantity` off a tracked item only if that leaves it at zero or
+// more, so concurrent orders can never oversell. The item stops being
+// available once it reaches zero. is_available is assigned first because
+// MySQL evaluates SET left to right against the already-updated row.
+const decrementStock = async (itemId, quantity, conn = getPool()) => {
+  const query = `
+    UPDATE menu_items
+    SET is_available = IF(stock_quantity - ? <= 0, 0, is_available),
+        stock_quantity = stock_quantity - ?,
+        updated_at = NOW()
+    WHERE item_id = ? AND stock_quantity IS NOT NULL AND stock_quantity >= ?
+  `;
+  const [result] = await conn.query(query, [quantity, quantity, itemId, quantity]);
+  return result.affectedRows;
+};
+
+// Puts units from a cancelled or edited order back on a tracked item. An
+// item that had sold out goes back on sale unless its ingredients ran out.
+const incrementStock = async (itemId, quantity, conn = getPool()) => {
+  const query = `
+    UPDATE menu_items
+    SET is_available = IF(stock_quantity <= 0 AND ingredients_depleted = 0, 1, is_available),
+        stock_quantity = stock_quantity + ?,
+        updated_at = NOW()
+    WHERE item_id = ? AND stock_quantity IS NOT NULL
+  `;
+  const [result] = await conn.query(query, [quantity, itemId]);
+  return result.affectedRows;
+};
+
+const findStockByIds = async (itemIds, conn = getPool()) => {
+  const query = `
+    SELECT item_id, item_name, stock_quantity, par_level, is_available
+    FROM menu_items
+    WHERE item_id IN (?)
+  `;
+  const [rows] = await conn.query(query, [itemIds]);
+  return rows;
+};
+
+// Items with a par level that have not been topped up on `day` yet.
+const findDueForRestock = async (day, conn = getPool()) => {
+  const query = `
+    SELECT item_id, stock_quantity, par_level, is_available, ingredients_depleted
+    FROM menu_items
+    WHERE par_level IS NOT NULL
+      AND is_active = 1
+      AND (stock_reset_on IS NULL OR stock_reset_on < ?)
+    FOR UPDATE
+  `;
+  const [rows] = await conn.query(query, [day]);
+  return rows;
+};
+
+// Available items with at least one ingredient short of a single portion.
+const findItemsShortOfIngredients = async (conn = getPool()) => {
+  const query = `
+    SELECT DISTINCT mi.item_id
+    FROM menu_items mi
+    JOIN menu_item_ingredients mii ON mii.item_id = mi.item_id
+    JOIN ingredients i ON i.ingredient_id = mii.ingredient_id
+    WHERE mi.is_active = 1
+      AND mi.is_available = 1
+      AND i.stock_quantity < mii.quantity
+  `;
+  const [rows] = await conn.query(query);
+  return rows.map((row) => row.item_id);
+};
+
+// Items taken off sale for ingredients that can now make a portion again.
+const findItemsWithIngredientsRestored = async (conn = getPool()) => {
+  const query = `
+    SELECT mi.item_id
+    FROM menu_items mi
+    WHERE mi.is_active = 1
+      AND mi.ingredients_depleted = 1
+      AND NOT EXISTS (
+        SELECT 1
+        FROM menu_item_ingredients mii
+        JOIN ingredients i ON i.ingredient_id = mii.ingredient_id
+        WHERE mii.item_id = mi.item_id AND i.stock_quantity < mii.quantity
+      )
+  `;
+  const [rows] = await conn.query(query);
+  return rows.map((row) => row.item_id);
+};
+
+const markIngredientsDepleted = async (itemIds, conn = getPool()) => {
+  const [result] = await conn.query(
+    'UPDATE menu_items SET is_available = 0, ingredients_depleted = 1, updated_at = NOW() WHERE item_id IN (?)',
+    [itemIds]
+  );
+  return result.affectedRows;
+};
+
+// A sold-out stock count still keeps the item off sale.
+const clearIngredientsDepleted = async (itemIds, conn = getPool()) => {
+  const query = `
+    UPDATE menu_items
+    SET is_available = IF(stock_quantity IS NOT NULL AND stock_quantity <= 0, 0, 1),
+        ingredients_depleted = 0,
+        updated_at = NOW()
+    WHERE item_id IN (?)
+  `;
+  const [result] = await conn.query(query, [itemIds]);
+  return result.affectedRows;
+};
+
+// Category activation cascades to every item in that category, except that
+// items out of ingredients stay off sale.
+const setActiveByCategory = async (categoryId, active, conn = getPool()) => {
+  const [result] = await conn.query(
+    `UPDATE menu_items SET is_active = ?, is_available = IF(ingredients_depleted = 1, 0, ?), updated_at = NOW()
+     WHERE category_id = ?`,
+    [active, active, categoryId]
+  );
+  return result.affectedRows;
+};
+
+const findOrderCounts = async (conn = getPool()) => {
+  const query = `
+    SELECT 
+      mi.item_id,
+      mi.item_name,
+      mi.image_url,
+      c.category_name,
+      SUM(oi.quantity) AS total_quantity_ordered
+    FROM menu_items mi
+    LEFT JOIN order_items oi ON mi.item_id = oi.item_id
+    LEFT JOIN categories c ON mi.category_id = c.category_id
+    GROUP BY mi.item_id, mi.item_name, mi.image_url, c.category_name
+    ORDER BY total_quantity_ordered DESC, mi.item_name ASC
+  `;
+  const [rows] = await conn.query(query);
+  return rows;
+};
+
+module.exports = {
+  findActiveWithCategory,
+  findActiveById,
+  findByIdWithCategory,
+  findByIds,
+  create,
+  update,
+  deactivate,
+  setActiveByCategory,
+  updateStock,
+  decrementStock,
+  incrementStock,
+  findStockByIds,
+  findDueForRestock,
+  findItemsShortOfIngredients,
+  findItemsWithIngredientsRestored,
+  markIngredientsDepleted,
+  clearIngredientsDepleted,
+  findOrderCounts
+};
@@ -0,0 +1,91 @@
+// repositories/modifierRepository.js - Data access for modifier groups, options and order selections
+const { getPool } = require('../db/pool');
+
+const findGroupsByItemIds = async (itemIds, conn = getPool()) => {
+  const query = `
+    SELECT group_id, item_id, name, min_select, max_select, sort_order
+    FROM modifier_groups
+    WHERE item_id IN (?)
+    ORDER BY item_id, sort_order, group_id
+  `;
+  const [rows] = await conn.query(query, [itemIds]);
+  return rows;
+};
+
+const findOptionsByGroupIds = async (groupIds, conn = getPool()) => {
+  const query = `
+    SELECT option_id, group_id, name, price_delta, is_available, sort_order
+    FROM modifier_options
+    WHERE group_id IN (?)
+    ORDER BY group_id, sort_order, option_id
+  `;
+  const [rows] = await conn.query(query, [groupIds]);
+  return rows;
+};
+
+// Options are deleted explicitly rather than through the cascade so the
+// result does not depend on foreign-key enforcement being switched on.
+const deleteForItem = async (itemId, conn = getPool()) => {
+  await conn.query(
+    'DELETE FROM modifier_options WHERE group_id IN (SELECT group_id FROM modifier_groups WHERE item_id = ?)',
+    [itemId]
+  );
+  await conn.query('DELETE FROM modifier_groups WHERE item_id = ?', [itemId]);
+};
+
+const createGroup = async (itemId, { name, min_select, max_select, sort_order }, conn = getPool()) => {
+  const [result] = await conn.query(
+    'INSERT INTO modifier_groups (item_id, name, min_select, max_select, sort_order, created_at) VALUES (?, ?, ?, ?, ?, NOW())',
+    [itemId, name, min_select, max_select, sort_order]
+  );
+  return result.insertId;
+};
+
+const createOptions = async (groupId, options, conn = getPool()) => {
+  const rows = options.map((option, index) => [groupId, option.name, option.price_delta, option.is_available, index]);
+  await conn.query('INSERT INTO modifier_options (group_id, name, price_delta, is_available, sort_order) VALUES ?', [rows]);
+};
+
+// `rows` is [{ order_item_id, option_id, group_name, option_name, price_delta }].
+const addOrderItemModifiers = async (rows, conn = getPool()) => {
+  const values = rows.map((row) => [row.order_item_id, row.option_id, row.group_name, row.option_name, row.price_delta]);
+  await conn.query(
+    'INSERT INTO order_item_modifiers (order_item_id, option_id, group_name, option_name, price_delta) VALUES ?',
+    [values]
+  );
+};
+
+const findByOrderId = async (orderId, conn = getPool()) => {
+  const query = `
+    SELECT oim.order_item_id, oim.option_id, oim.group_name, oim.option_name, oim.price_delta
+    FROM order_item_modifiers oim
+    JOIN order_items oi ON oi.order_item_id = oim.order_item_id
+    WHERE oi.order_id = ?
+    ORDER BY oim.order_item_modifier_id
+  `;
+  const [rows] = await conn.query(query, [orderId]);
+  return rows;
+};
+
+const findByOrderIds = async (orderIds, conn = getPool()) => {
+  const query = `
+    SELECT oim.order_item_id, oim.option_id, oim.group_name, oim.option_name, oim.price_delta
+    FROM order_item_modifiers oim
+    JOIN order_items oi ON oi.order_item_id = oim.order_item_id
+    WHERE oi.order_id IN (?)
+    ORDER BY oim.order_item_modifier_id
+  `;
+  const [rows] = await conn.query(query, [orderIds]);
+  return rows;
+};
+
+module.exports = {
+  findGroupsByItemIds,
+  findOptionsByGroupIds,
+  deleteForItem,
+  createGroup,
+  createOptions,
+  addOrderItemModifiers,
+  findByOrderId,
+  findByOrderIds
+};
@@ -0,0 +1,372 @@
+// repositories/orderRepository.js - Data access for orders and order_items
+const { getPool } = require('../db/pool');
+const { updateRow } = require('../db/updateRow');
+
+// `order.released` sends it to the kitchen straight away; otherwise
+// released_at stays NULL until the scheduler releases it.
+const create = async (order, conn = getPool()) => {
+  const query = `
+    INSERT INTO orders (user_id, order_number, subtotal_amount, discount_amount, tax_amount, service_charge_amount, total_amount, promo_id, promo_code, payment_method, special_instructions, status, payment_status, order_type, scheduled_at, released_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${order.released ? 'NOW()' : 'NULL'}, NOW())
+  `;
+  const [result] = await conn.query(query, [
+    order.user_id,
+    order.order_number,
+    order.subtotal_amount,
+    order.discount_amount || 0,
+    order.tax_amount || 0,
+    order.service_charge_amount || 0,
+    order.total_amount,
+    order.promo_id || null,
+    order.promo_code || null,
+    order.payment_method,
+    order.special_instructions,
+    order.status,
+    order.payment_status,
+    order.order_type,
+    order.scheduled_at
+  ]);
+  return result.insertId;
+};
+
+// `items` is a list of { item_id, quantity, unit_price, subtotal, tax_rate }.
+// Inserted one row at a time so each line's order_item_id is known for
+// its modifiers. Returns the ids in the order of `items`.
+const addItems = async (orderId, items, conn = getPool()) => {
+  const ids = [];
+  for (const item of items) {
+    const combo = item.combo || {};
+    const [result] = await conn.query(
+      `INSERT INTO order_items (order_id, item_id, quantity, unit_price, subtotal, tax_rate, combo_id, combo_name, combo_line)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [orderId, item.item_id, item.quantity, item.unit_price, item.subtotal, item.tax_rate || 0, combo.combo_id || null, combo.combo_name || null, combo.combo_line || null]
+    );
+    ids.push(result.insertId);
+  }
+  return ids;
+};
+
+const findByUserWithItemCount = async (userId, { limit, offset, changeCutoff }, conn = getPool()) => {
+  const query = `
+    SELECT o.*, COUNT(oi.order_item_id) as item_count, (o.created_at >= ?) AS within_grace
+    FROM orders o
+    LEFT JOIN order_items oi ON o.order_id = oi.order_id
+    WHERE o.user_id = ?
+    GROUP BY o.order_id
+    ORDER BY o.created_at DESC
+    LIMIT ? OFFSET ?
+  `;
+  const [rows] = await conn.query(query, [changeCutoff, userId, limit, offset]);
+  return rows;
+};
+
+const countByUser = async (userId, conn = getPool()) => {
+  const [rows] = await conn.query('SELECT COUNT(order_id) as total_count FROM orders WHERE user_id = ?', [userId]);
+  return rows[0]?.total_count || 0;
+};
+
+const findByUserWithItemQuantity = async (userId, { limit, offset, changeCutoff }, conn = getPool()) => {
+  const query = `
+    SELECT o.*, SUM(oi.quantity) AS item_count, (o.created_at >= ?) AS within_grace
+    FROM orders o
+    LEFT JOIN order_items oi ON o.order_id = oi.order_id
+    WHERE o.user_id = ? 
+    GROUP BY o.order_id
+    ORDER BY o.created_at DESC
+    LIMIT ? OFFSET ?
+  `;
+  const [rows] = await conn.query(query, [changeCutoff, userId, limit, offset]);
+  return rows;
+};
+
+// One row per order item (or a single row with NULL item columns).
+// within_grace says whether the order was placed at or after `changeCutoff`.
+const findUserOrderRows = async (orderId, userId, changeCutoff, conn = getPool()) => {
+  const query = `
+    SELECT o.*, (o.created_at >= ?) AS within_grace, oi.order_item_id, oi.item_id, oi.quantity, oi.unit_price, oi.subtotal, oi.tax_rate,
+      oi.combo_id, oi.combo_name, oi.combo_line, mi.item_name, mi.image_url
+    FROM orders o
+    LEFT JOIN order_items oi ON o.order_id = oi.order_id
+    LEFT JOIN menu_items mi ON oi.item_id = mi.item_id
+    WHERE o.order_id = ? AND o.user_id = ?
+  `;
+  const [rows] = await conn.query(query, [changeCutoff, orderId, userId]);
+  return rows;
+};
+
+// Scheduled orders not yet released to the kitchen; see scheduleService.
+const NOT_HELD = "(o.order_type <> 'scheduled' OR o.released_at IS NOT NULL)";
+
+const ADMIN_LIST_COLUMNS = `
+  o.order_id, o.order_number, o.total_amount, o.refunded_amount, o.payment_method, o.status, o.payment_status, o.order_type, o.scheduled_at, o.released_at, o.overdue_at, o.created_at,
+  u.user_id, u.username, u.full_name, COUNT(oi.order_item_id) AS item_count
+`;
+
+// Orders the kitchen has been sent, latest first. Scheduled orders still
+// held back only appear once released.
+const findAllWithCustomer = async ({ limit, offset }, conn = getPool()) => {
+  const query = `
+    SELECT ${ADMIN_LIST_COLUMNS}
+    FROM orders o
+    LEFT JOIN users u ON o.user_id = u.user_id
+    LEFT JOIN order_items oi ON o.order_id = oi.order_id
+    WHERE ${NOT_HELD}
+    GROUP BY o.order_id
+    ORDER BY COALESCE(o.released_at, o.created_at) DESC, o.order_id DESC
+    LIMIT ? OFFSET ?
+  `;
+  const [rows] = await conn.query(query, [limit, offset]);
+  return rows;
+};
+
+// Released orders in `statuses`, oldest first, however many there are.
+const findOpenWithCustomer = async (statuses, conn = getPool()) => {
+  const query = `
+    SELECT ${ADMIN_LIST_COLUMNS}
+    FROM orders o
+    LEFT JOIN users u ON o.user_id = u.user_id
+    LEFT JOIN order_items oi ON o.order_id = oi.order_id
+    WHERE ${NOT_HELD} AND o.status IN (?)
+    GROUP BY o.order_id
+    ORDER BY COALESCE(o.released_at, o.created_at), o.order_id
+  `;
+  const [rows] = await conn.query(query, [statuses]);
+  return rows;
+};
+
+// Scheduled orders in `statuses`, held or released, by pickup time.
+const findScheduledWithCustomer = async (statuses, conn = getPool()) => {
+  const query = `
+    SELECT ${ADMIN_LIST_COLUMNS}
+    FROM orders o
+    LEFT JOIN users u ON o.user_id = u.user_id
+    LEFT JOIN order_items oi ON o.order_id = oi.order_id
+    WHERE o.order_type = 'scheduled' AND o.status IN (?)
+    GROUP BY o.order_id
+    ORDER BY o.scheduled_at, o.order_id
+  `;
+  const [rows] = await conn.query(query, [statuses]);
+  return rows;
+};
+
+const findAdminOrderRows = async (orderId, conn = getPool()) => {
+  const query = `
+    SELECT 
+      o.order_id,
+      o.order_number,
+      o.subtotal_amount,
+      o.discount_amount,
+      o.tax_amount,
+      o.service_charge_amount,
+      o.total_amount,
+      o.refunded_amount,
+      o.promo_code,
+      o.payment_method,
+      o.status,
+      o.payment_status,
+      o.order_type,
+      o.scheduled_at,
+      o.special_instructions,
+      o.created_at,
+      o.updated_at,
+      u.user_id,
+      u.username,
+      u.full_name,
+      u.email,
+      u.phone,
+      oi.order_item_id,
+      oi.item_id,
+      oi.quantity,
+      oi.unit_price,
+      oi.subtotal,
+      oi.tax_rate,
+      oi.combo_id,
+      oi.combo_name,
+      oi.combo_line,
+      COALESCE(oi.item_name_snapshot, mi.item_name) AS item_name,
+      mi.image_url,
+      mi.description
+    FROM orders o
+    LEFT JOIN users u ON o.user_id = u.user_id
+    LEFT JOIN order_items oi ON o.order_id = oi.order_id
+    LEFT JOIN menu_items mi ON oi.item_id = mi.item_id
+    WHERE o.order_id = ?
+  `;
+  const [rows] = await conn.query(query, [orderId]);
+  return rows;
+};
+
+const findWithCustomer = async (orderId, conn = getPool()) => {
+  const query = `
+    SELECT 
+      o.*, 
+      u.username,
+      u.email,
+      u.full_name
+    FROM orders o
+    JOIN users u ON o.user_id = u.user_id
+    WHERE o.order_id = ?
+  `;
+  const [rows] = await conn.query(query, [orderId]);
+  return rows[0] || null;
+};
+
+// Locked so concurrent changes to the same order are serialized.
+const findByIdForUpdate = async (orderId, conn = getPool()) => {
+  const [rows] = await conn.query('SELECT * FROM orders WHERE order_id = ? FOR UPDATE', [orderId]);
+  return rows[0] || null;
+};
+
+// One row per item of every order in `statuses`, oldest order first, for
+// the kitchen display.
+const findKitchenRows = async (statuses, conn = getPool()) => {
+  const query = `
+    SELECT o.order_id, o.order_number, o.status, o.order_type, o.scheduled_at, o.special_instructions, o.created_at,
+      u.username, u.full_name,
+      oi.order_item_id, oi.item_id, oi.quantity, oi.combo_name, oi.combo_line,
+      COALESCE(oi.item_name_snapshot, mi.item_name) AS item_name
+    FROM orders o
+    LEFT JOIN users u ON o.user_id = u.user_id
+    LEFT JOIN order_items oi ON o.order_id = oi.order_id
+    LEFT JOIN menu_items mi ON oi.item_id = mi.item_id
+    WHERE o.status IN (?) AND ${NOT_HELD}
+    ORDER BY o.created_at, o.order_id, oi.order_item_id
+  `;
+  const [rows] = await conn.query(query, [statuses]);
+  return rows;
+};
+
+// Order numbers in `statuses`, in the order they last changed, for the
+// pickup board.
+const findBoardOrders = async (statuses, conn = getPool()) => {
+  const [rows] = await conn.query(
+    `SELECT order_number, status FROM orders o WHERE status IN (?) AND ${NOT_HELD} ORDER BY COALESCE(updated_at, created_at), order_id`,
+    [statuses]
+  );
+  return rows;
+};
+
+// The customer's own order, locked for a cancel or edit, with whether it
+// was placed at or after `changeCutoff`.
+const findForCustomerChange = async (orderId, userId, changeCutoff, conn = getPool()) => {
+  const [rows] = await conn.query(
+    'SELECT o.*, (o.created_at >= ?) AS within_grace FROM orders o WHERE o.order_id = ? AND o.user_id = ? FOR UPDATE',
+    [changeCutoff, orderId, userId]
+  );
+  return rows[0] || null;
+};
+
+// Held scheduled orders due at or before `cutoff` (a UTC DATETIME string,
+// the same form scheduled_at is stored in), locked so an order is only
+// released once.
+const findDueForRelease = async (cutoff, conn = getPool()) => {
+  const query = `
+    SELECT o.order_id, o.order_number, o.total_amount, o.user_id, o.status, o.order_type, o.scheduled_at, u.username
+    FROM orders o
+    JOIN users u ON o.user_id = u.user_id
+    WHERE o.order_type = 'scheduled' AND o.released_at IS NULL AND o.status <> 'cancelled' AND o.scheduled_at <= ?
+    ORDER BY o.scheduled_at, o.order_id
+    FOR UPDATE
+  `;
+  const [rows] = await conn.query(query, [cutoff]);
+  return rows;
+};
+
+const markReleased = async (orderIds, conn = getPool()) => {
+  const [result] = await conn.query(
+    'UPDATE orders SET released_at = NOW() WHERE order_id IN (?) AND released_at IS NULL',
+    [orderIds]
+  );
+  return result.affectedRows;
+};
+
+// Scheduled orders in `statuses` whose pickup time passed before `now` and
+// that haven't been flagged yet.
+const findNewlyOverdue = async (now, statuses, conn = getPool()) => {
+  const query = `
+    SELECT order_id, order_number, user_id, status, scheduled_at
+    FROM orders
+    WHERE order_type = 'scheduled' AND overdue_at IS NULL AND status IN (?) AND scheduled_at < ?
+    ORDER BY scheduled_at, order_id
+    FOR UPDATE
+  `;
+  const [rows] = await conn.query(query, [statuses, now]);
+  return rows;
+};
+
+const markOverdue = async (orderIds, conn = getPool()) => {
+  const [result] = await conn.query(
+    'UPDATE orders SET overdue_at = NOW() WHERE order_id IN (?) AND overdue_at IS NULL',
+    [orderIds]
+  );
+  return result.affectedRows;
+};
+
+// Removes every line of an order before an edit re-adds them. Their chosen
+// modifiers go with them (ON DELETE CASCADE).
+const deleteItems = async (orderId, conn = getPool()) => {
+  const [result] = await conn.query('DELETE FROM order_items WHERE order_id = ?', [orderId]);
+  return result.affectedRows;
+};
+
+// Takings for orders placed in [from, to) that were paid, before and after
+// refunds. Either bound may be omitted.
+const sumRevenue = async ({ from, to }, conn = getPool()) => {
+  const clauses = ["payment_status IN ('paid', 'refunded')"];
+  const params = [];
+  if (from) {
+    clauses.push('created_at >= ?');
+    params.push(from);
+  }
+  if (to) {
+    clauses.push('created_at < ?');
+    params.push(to);
+  }
+  const query = `
+    SELECT COUNT(*) AS order_count,
+      COALESCE(SUM(total_amount), 0) AS gross,
+      COALESCE(SUM(refunded_amount), 0) AS refunded
+    FROM orders
+    WHERE ${clauses.join(' AND ')}
+  `;
+  const [rows] = await conn.query(query, params);
+  return rows[0];
+};
+
+const update = (orderId, fields, conn = getPool()) =>
+  updateRow({ table: 'orders', idColumn: 'order_id', id: orderId, fields }, conn);
+
+// Claims the one-time ingredient deduction; 0 rows means it already ran.
+const markIngredientsDeducted = async (orderId, conn = getPool()) => {
+  const [result] = await conn.query(
+    'UPDATE orders SET ingredients_deducted_at = NOW() WHERE order_id = ? AND ingredients_deducted_at IS NULL',
+    [orderId]
+  );
+  return result.affectedRows;
+};
+
+module.exports = {
+  create,
+  addItems,
+  findByUserWithItemCount,
+  countByUser,
+  findByUserWithItemQuantity,
+  findUserOrderRows,
+  findAllWithCustomer,
+  findOpenWithCustomer,
+  findScheduledWithCustomer,
+  findAdminOrderRows,
+  findWithCustomer,
+  findKitchenRows,
+  findBoardOrders,
+  findByIdForUpdate,
+  findForCustomerChange,
+  deleteItems,
+  findDueForRelease,
+  markReleased,
+  findNewlyOverdue,
+  markOverdue,
+  sumRevenue,
+  update,
+  markIngredientsDeducted
+};
@@ -0,0 +1,25 @@
+// repositories/orderStatusHistoryRepository.js - Data access for order_status_history
+const { getPool } = require('../db/pool');
+
+const create = async ({ order_id, from_status, to_status, changed_by }, conn = getPool()) => {
+  await conn.query(
+    `INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, created_at)
+     VALUES (?, ?, ?, ?, NOW())`,
+    [order_id, from_status, to_status, changed_by]
+  );
+};
+
+// Oldest first, with the username of whoever made each change.
+const findByOrder = async (orderId, conn = getPool()) => {
+  const query = `
+    SELECT h.*, u.username AS changed_by_username
+    FROM order_status_history h
+    LEFT JOIN users u ON h.changed_by = u.user_id
+    WHERE h.order_id = ?
+    ORDER BY h.created_at, h.history_id
+  `;
+  const [rows] = await conn.query(query, [orderId]);
+  return rows;
+};
+
+module.exports = { create, findByOrder };
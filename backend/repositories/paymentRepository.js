@@ -0,0 +1,84 @@
+// repositories/paymentRepository.js - Data access for payments and payment_webhook_events
+const { getPool } = require('../db/pool');
+
+const create = async ({ order_id, provider, intent_id, method, amount, currency, status }, conn = getPool()) => {
+  const [result] = await conn.query(
+    `INSERT INTO payments (order_id, provider, intent_id, method, amount, currency, status, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [order_id, provider, intent_id, method, amount, currency, status]
+  );
+  return result.insertId;
+};
+
+const findById = async (paymentId, conn = getPool()) => {
+  const [rows] = await conn.query('SELECT * FROM payments WHERE payment_id = ?', [paymentId]);
+  return rows[0] || null;
+};
+
+// The newest intent still waiting for the customer, if any.
+const findOpenByOrder = async (orderId, conn = getPool()) => {
+  const [rows] = await conn.query(
+    `SELECT * FROM payments WHERE order_id = ? AND status = 'requires_payment'
+     ORDER BY payment_id DESC LIMIT 1`,
+    [orderId]
+  );
+  return rows[0] || null;
+};
+
+const findByIntentId = async (intentId, conn = getPool()) => {
+  const [rows] = await conn.query('SELECT * FROM payments WHERE intent_id = ?', [intentId]);
+  return rows[0] || null;
+};
+
+const findByIntentIdForUpdate = async (intentId, conn = getPool()) => {
+  const [rows] = await conn.query('SELECT * FROM payments WHERE intent_id = ? FOR UPDATE', [intentId]);
+  return rows[0] || null;
+};
+
+// The payment that settled the order, if it was paid online.
+const findSucceededByOrder = async (orderId, conn = getPool()) => {
+  const [rows] = await conn.query(
+    `SELECT * FROM payments WHERE order_id = ? AND status = 'succeeded'
+     ORDER BY payment_id DESC LIMIT 1`,
+    [orderId]
+  );
+  return rows[0] || null;
+};
+
+const updateStatus = async (paymentId, status, conn = getPool()) => {
+  const [result] = await conn.query(
+    'UPDATE payments SET status = ?, updated_at = NOW() WHERE payment_id = ?',
+    [status, paymentId]
+  );
+  return result.affectedRows;
+};
+
+// Voids every intent of the order still waiting for the customer.
+const cancelOpenByOrder = async (orderId, conn = getPool()) => {
+  const [result] = await conn.query(
+    `UPDATE payments SET status = 'cancelled', updated_at = NOW()
+     WHERE order_id = ? AND status = 'requires_payment'`,
+    [orderId]
+  );
+  return result.affectedRows;
+};
+
+// Throws ER_DUP_ENTRY when the provider has delivered this event before.
+const recordWebhookEvent = async ({ provider, event_id, event_type, intent_id }, conn = getPool()) => {
+  await conn.query(
+    'INSERT INTO payment_webhook_events (provider, event_id, event_type, intent_id, received_at) VALUES (?, ?, ?, ?, NOW())',
+    [provider, event_id, event_type, intent_id]
+  );
+};
+
+module.exports = {
+  create,
+  findById,
+  findOpenByOrder,
+  findByIntentId,
+  findByIntentIdForUpdate,
+  findSucceededByOrder,
+  updateStatus,
+  cancelOpenByOrder,
+  recordWebhookEvent
+};
@@ -0,0 +1,37 @@
+// repositories/permissionRepository.js - Data access for permissions and role_permissions
+const { getPool } = require('../db/pool');
+
+const findAll = async (conn = getPool()) => {
+  const [rows] = await conn.query('SELECT permission_key, description FROM permissions ORDER BY permission_key');
+  return rows;
+};
+
+const findRoleGrants = async (conn = getPool()) => {
+  const [rows] = await conn.query('SELECT role, permission_key FROM role_permissions ORDER BY role, permission_key');
+  return rows;
+};
+
+// One row per granted permission; a user whose role has none still yields
+// a single row with a null permission_key. Deactivated users yield nothing.
+const findAccessRowsForUser = async (userId, conn = getPool()) => {
+  const query = `
+    SELECT u.role, u.is_super_admin, rp.permission_key
+    FROM users u
+    LEFT JOIN role_permissions rp ON rp.role = u.role
+    WHERE u.user_id = ? AND u.is_active = TRUE
+  `;
+  const [rows] = await conn.query(query, [userId]);
+  return rows;
+};
+
+const replaceForRole = async (role, permissionKeys, conn = getPool()) => {
+  await conn.query('DELETE FROM role_permissions WHERE role = ?', [role]);
+  if (permissionKeys.length > 0) {
+    await conn.query(
+      'INSERT INTO role_permissions (role, permission_key) VALUES ?',
+      [permissionKeys.map((key) => [role, key])]
+    );
+  }
+};
+
+module.exports = { findAll, findRoleGrants, findAccessRowsForUser, replaceForRole };
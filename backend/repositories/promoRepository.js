@@ -0,0 +1,104 @@
+// repositories/promoRepository.js - Data access for promo codes and their restrictions
+const { getPool } = require('../db/pool');
+const { updateRow } = require('../db/updateRow');
+
+const findAll = async (conn = getPool()) => {
+  const [rows] = await conn.query('SELECT * FROM promo_codes ORDER BY created_at DESC, promo_id DESC');
+  return rows;
+};
+
+const findById = async (promoId, conn = getPool()) => {
+  const [rows] = await conn.query('SELECT * FROM promo_codes WHERE promo_id = ?', [promoId]);
+  return rows[0] || null;
+};
+
+// starts_at and ends_at are stored in UTC, so the window is checked
+// against `now`, a UTC DATETIME string, rather than the session's NOW().
+const WINDOW_COLUMNS = `
+  (starts_at IS NULL OR starts_at <= ?) AS has_started,
+  (ends_at IS NULL OR ends_at > ?) AS has_not_ended
+`;
+
+const findByCode = async (code, now, conn = getPool()) => {
+  const [rows] = await conn.query(`SELECT *, ${WINDOW_COLUMNS} FROM promo_codes WHERE code = ?`, [now, now, code]);
+  return rows[0] || null;
+};
+
+// Locked so two orders using the last allowed redemption are serialized.
+const findByCodeForUpdate = async (code, now, conn = getPool()) => {
+  const [rows] = await conn.query(`SELECT *, ${WINDOW_COLUMNS} FROM promo_codes WHERE code = ? FOR UPDATE`, [now, now, code]);
+  return rows[0] || null;
+};
+
+const create = async (fields, conn = getPool()) => {
+  const columns = Object.keys(fields);
+  const [result] = await conn.query(
+    `INSERT INTO promo_codes (${columns.join(', ')}, created_at) VALUES (${columns.map(() => '?').join(', ')}, NOW())`,
+    columns.map((column) => fields[column])
+  );
+  return result.insertId;
+};
+
+const update = (promoId, fields, conn = getPool()) =>
+  updateRow({ table: 'promo_codes', idColumn: 'promo_id', id: promoId, fields }, conn);
+
+// Map of promo_id => { category_ids, item_ids }.
+const findRestrictions = async (promoIds, conn = getPool()) => {
+  const byPromo = new Map(promoIds.map((id) => [id, { category_ids: [], item_ids: [] }]));
+  if (promoIds.length === 0) {
+    return byPromo;
+  }
+  const [categories] = await conn.query('SELECT promo_id, category_id FROM promo_code_categories WHERE promo_id IN (?)', [promoIds]);
+  const [items] = await conn.query('SELECT promo_id, item_id FROM promo_code_items WHERE promo_id IN (?)', [promoIds]);
+  categories.forEach((row) => byPromo.get(row.promo_id).category_ids.push(row.category_id));
+  items.forEach((row) => byPromo.get(row.promo_id).item_ids.push(row.item_id));
+  return byPromo;
+};
+
+const replaceRestrictions = async (promoId, { category_ids, item_ids }, conn = getPool()) => {
+  await conn.query('DELETE FROM promo_code_categories WHERE promo_id = ?', [promoId]);
+  await conn.query('DELETE FROM promo_code_items WHERE promo_id = ?', [promoId]);
+  if (category_ids.length > 0) {
+    await conn.query('INSERT INTO promo_code_categories (promo_id, category_id) VALUES ?', [category_ids.map((id) => [promoId, id])]);
+  }
+  if (item_ids.length > 0) {
+    await conn.query('INSERT INTO promo_code_items (promo_id, item_id) VALUES ?', [item_ids.map((id) => [promoId, id])]);
+  }
+};
+
+// Cancelled orders give the redemption back.
+// `excludeOrderId` leaves out an order being edited, which already holds
+// one use of the code.
+const countUsesByUser = async (promoId, userId, { excludeOrderId = null } = {}, conn = getPool()) => {
+  const [rows] = await conn.query(
+    "SELECT COUNT(*) AS uses FROM orders WHERE promo_id = ? AND user_id = ? AND status <> 'cancelled' AND order_id <> ?",
+    [promoId, userId, excludeOrderId || 0]
+  );
+  return Number(rows[0].uses);
+};
+
+const countUses = async (promoIds, conn = getPool()) => {
+  const uses = new Map();
+  if (promoIds.length === 0) {
+    return uses;
+  }
+  const [rows] = await conn.query(
+    "SELECT promo_id, COUNT(*) AS uses FROM orders WHERE promo_id IN (?) AND status <> 'cancelled' GROUP BY promo_id",
+    [promoIds]
+  );
+  rows.forEach((row) => uses.set(row.promo_id, Number(row.uses)));
+  return uses;
+};
+
+module.exports = {
+  findAll,
+  findById,
+  findByCode,
+  findByCodeForUpdate,
+  create,
+  update,
+  findRestrictions,
+  replaceRestrictions,
+  countUsesByUser,
+  countUses
+};
@@ -0,0 +1,105 @@
+// repositories/refundRepository.js - Data access for refunds and refund_items
+const { getPool } = require('../db/pool');
+
+const create = async ({ order_id, amount, reason_code, note, payment_id, provider, provider_refund_id, created_by }, conn = getPool()) => {
+  const [result] = await conn.query(
+    `INSERT INTO refunds (order_id, amount, reason_code, note, payment_id, provider, provider_refund_id, created_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [order_id, amount, reason_code, note, payment_id, provider, provider_refund_id, created_by]
+  );
+  return result.insertId;
+};
+
+// `items` is a list of { order_item_id, quantity, amount }.
+const addItems = async (refundId, items, conn = getPool()) => {
+  for (const item of items) {
+    await conn.query(
+      'INSERT INTO refund_items (refund_id, order_item_id, quantity, amount) VALUES (?, ?, ?, ?)',
+      [refundId, item.order_item_id, item.quantity, item.amount]
+    );
+  }
+};
+
+const setProviderRefundId = async (refundId, providerRefundId, conn = getPool()) => {
+  await conn.query('UPDATE refunds SET provider_refund_id = ? WHERE refund_id = ?', [providerRefundId, refundId]);
+};
+
+// Drops a refund the provider turned down. Its refund_items go with it
+// (ON DELETE CASCADE).
+const remove = async (refundId, conn = getPool()) => {
+  await conn.query('DELETE FROM refunds WHERE refund_id = ?', [refundId]);
+};
+
+const findByOrder = async (orderId, conn = getPool()) => {
+  const query = `
+    SELECT r.*, u.username AS created_by_username
+    FROM refunds r
+    LEFT JOIN users u ON r.created_by = u.user_id
+    WHERE r.order_id = ?
+    ORDER BY r.created_at DESC, r.refund_id DESC
+  `;
+  const [rows] = await conn.query(query, [orderId]);
+  return rows;
+};
+
+const findItemsByRefundIds = async (refundIds, conn = getPool()) => {
+  const query = `
+    SELECT ri.*, COALESCE(oi.item_name_snapshot, mi.item_name) AS item_name
+    FROM refund_items ri
+    JOIN order_items oi ON ri.order_item_id = oi.order_item_id
+    LEFT JOIN menu_items mi ON oi.item_id = mi.item_id
+    WHERE ri.refund_id IN (?)
+    ORDER BY ri.refund_id, ri.order_item_id
+  `;
+  const [rows] = await conn.query(query, [refundIds]);
+  return rows;
+};
+
+// Units refunded so far for each item of the order.
+const sumQuantitiesByOrder = async (orderId, conn = getPool()) => {
+  const query = `
+    SELECT ri.order_item_id, SUM(ri.quantity) AS quantity
+    FROM refund_items ri
+    JOIN refunds r ON ri.refund_id = r.refund_id
+    WHERE r.order_id = ?
+    GROUP BY ri.order_item_id
+  `;
+  const [rows] = await conn.query(query, [orderId]);
+  return rows;
+};
+
+// Refunds of orders placed in [from, to), per reason, matching the period
+// orderRepository.sumRevenue reports them under. Either bound may be omitted.
+const sumByReason = async ({ from, to }, conn = getPool()) => {
+  const clauses = [];
+  const params = [];
+  if (from) {
+    clauses.push('o.created_at >= ?');
+    params.push(from);
+  }
+  if (to) {
+    clauses.push('o.created_at < ?');
+    params.push(to);
+  }
+  const query = `
+    SELECT r.reason_code, COUNT(*) AS refund_count, SUM(r.amount) AS amount
+    FROM refunds r
+    JOIN orders o ON r.order_id = o.order_id
+    ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''}
+    GROUP BY r.reason_code
+    ORDER BY r.reason_code
+  `;
+  const [rows] = await conn.query(query, params);
+  return rows;
+};
+
+module.exports = {
+  create,
+  addItems,
+  setProviderRefundId,
+  remove,
+  findByOrder,
+  findItemsByRefundIds,
+  sumQuantitiesByOrder,
+  sumByReason
+};
@@ -0,0 +1,82 @@
+// repositories/sessionRepository.js - Data access for the user_sessions table
+const { getPool } = require('../db/pool');
+
+const create = async ({ userId, tokenHash, userAgent, ipAddress, now, expiresAt }, conn = getPool()) => {
+  const query = `
+    INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, last_used_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `;
+  const [result] = await conn.query(query, [userId, tokenHash, userAgent, ipAddress, now, expiresAt]);
+  return result.insertId;
+};
+
+// Live session for a refresh token, joined with the user it belongs to.
+const findActiveByTokenHash = async (tokenHash, now, conn = getPool()) => {
+  const query = `
+    SELECT s.session_id, s.user_id, u.username, u.email, u.full_name, u.role, u.email_verified_at
+    FROM user_sessions s
+    JOIN users u ON s.user_id = u.user_id
+    WHERE s.refresh_token_hash = ? AND s.revoked_at IS NULL AND s.expires_at > ?
+      AND u.is_active = TRUE
+  `;
+  const [rows] = await conn.query(query, [tokenHash, now]);
+  return rows[0] || null;
+};
+
+// Swaps in the next refresh token only if `currentHash` is still the live
+// one, so two concurrent refreshes cannot both succeed.
+const rotate = async (sessionId, currentHash, nextHash, now, expiresAt, conn = getPool()) => {
+  const query = `
+    UPDATE user_sessions
+    SET refresh_token_hash = ?, last_used_at = ?, expires_at = ?
+    WHERE session_id = ? AND refresh_token_hash = ? AND revoked_at IS NULL
+  `;
+  const [result] = await conn.query(query, [nextHash, now, expiresAt, sessionId, currentHash]);
+  return result.affectedRows;
+};
+
+const findActiveByUser = async (userId, now, conn = getPool()) => {
+  const query = `
+    SELECT session_id, user_agent, ip_address, created_at, last_used_at, expires_at
+    FROM user_sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+    ORDER BY last_used_at DESC
+  `;
+  const [rows] = await conn.query(query, [userId, now]);
+  return rows;
+};
+
+const revokeByTokenHash = async (tokenHash, now, conn = getPool()) => {
+  const [result] = await conn.query(
+    'UPDATE user_sessions SET revoked_at = ? WHERE refresh_token_hash = ? AND revoked_at IS NULL',
+    [now, tokenHash]
+  );
+  return result.affectedRows;
+};
+
+const revokeForUser = async (userId, sessionId, now, conn = getPool()) => {
+  const [result] = await conn.query(
+    'UPDATE user_sessions SET revoked_at = ? WHERE user_id = ? AND session_id = ? AND revoked_at IS NULL',
+    [now, userId, sessionId]
+  );
+  return result.affectedRows;
+};
+
+// Every live session of the user except `keepSessionId` (null keeps none).
+const revokeAllForUser = async (userId, keepSessionId, now, conn = getPool()) => {
+  const [result] = await conn.query(
+    'UPDATE user_sessions SET revoked_at = ? WHERE user_id = ? AND session_id <> ? AND revoked_at IS NULL',
+    [now, userId, keepSessionId || 0]
+  );
+  return result.affectedRows;
+};
+
+module.exports = {
+  create,
+  findActiveByTokenHash,
+  rotate,
+  findActiveByUser,
+  revokeByTokenHash,
+  revokeForUser,
+  revokeAllForUser
+};
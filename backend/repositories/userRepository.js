@@ -0,0 +1,127 @@
+// repositories/userRepository.js - Data access for the users table
+const { getPool } = require('../db/pool');
+const { updateRow } = require('../db/updateRow');
+
+const create = async ({ username, email, passwordHash, full_name, phone, role }, conn = getPool()) => {
+  const query = `
+    INSERT INTO users (username, email, password, full_name, phone, role, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())
+  `;
+  const [result] = await conn.query(query, [username, email, passwordHash, full_name || null, phone || null, role]);
+  return result.insertId;
+};
+
+const findByLogin = async (login, conn = getPool()) => {
+  const query = 'SELECT user_id, username, email, password, role, full_name, is_active, email_verified_at FROM users WHERE username = ? OR email = ?';
+  const [rows] = await conn.query(query, [login, login]);
+  return rows[0] || null;
+};
+
+const findByEmail = async (email, conn = getPool()) => {
+  const query = 'SELECT user_id, username, email, is_active, email_verified_at FROM users WHERE email = ?';
+  const [rows] = await conn.query(query, [email]);
+  return rows[0] || null;
+};
+
+const findProfileById = async (userId, conn = getPool()) => {
+  const query = 'SELECT user_id, username, email, full_name, phone, role, is_active, email_verified_at FROM users WHERE user_id = ?';
+  const [rows] = await conn.query(query, [userId]);
+  return rows[0] || null;
+};
+
+const findPasswordById = async (userId, conn = getPool()) => {
+  const [rows] = await conn.query('SELECT user_id, password, is_super_admin FROM users WHERE user_id = ?', [userId]);
+  return rows[0] || null;
+};
+
+const update = (userId, fields, conn = getPool()) =>
+  updateRow({ table: 'users', idColumn: 'user_id', id: userId, fields }, conn);
+
+// Shared WHERE clause for the admin user list.
+const buildUserFilter = ({ search, role, isActive }) => {
+  const clauses = [];
+  const params = [];
+  if (search) {
+    clauses.push('(u.username LIKE ? OR u.email LIKE ? OR u.full_name LIKE ?)');
+    const pattern = `%${search}%`;
+    params.push(pattern, pattern, pattern);
+  }
+  if (role) {
+    clauses.push('u.role = ?');
+    params.push(role);
+  }
+  if (isActive !== undefined) {
+    clauses.push('u.is_active = ?');
+    params.push(isActive);
+  }
+  return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+};
+
+// Users with how many orders they placed and how much they have paid.
+const findPageWithOrderStats = async (filters, { limit, offset, paidStatus }, conn = getPool()) => {
+  const { where, params } = buildUserFilter(filters);
+  const query = `
+    SELECT u.user_id, u.username, u.email, u.full_name, u.phone, u.role, u.is_active, u.is_super_admin,
+           u.email_verified_at, u.created_at,
+           COUNT(o.order_id) AS order_count,
+           COALESCE(SUM(CASE WHEN o.payment_status = ? THEN o.total_amount ELSE 0 END), 0) AS lifetime_spend
+    FROM users u
+    LEFT JOIN orders o ON o.user_id = u.user_id
+    ${where}
+    GROUP BY u.user_id
+    ORDER BY u.created_at DESC, u.user_id DESC
+    LIMIT ? OFFSET ?
+  `;
+  const [rows] = await conn.query(query, [paidStatus, ...params, limit, offset]);
+  return rows;
+};
+
+const countMatching = async (filters, conn = getPool()) => {
+  const { where, params } = buildUserFilter(filters);
+  const [rows] = await conn.query(`SELECT COUNT(*) AS total FROM users u ${where}`, params);
+  return Number(rows[0].total);
+};
+
+const findAccountById = async (userId, conn = getPool()) => {
+  const [rows] = await conn.query(
+    'SELECT user_id, username, email, role, is_active, is_super_admin FROM users WHERE user_id = ?',
+    [userId]
+  );
+  return rows[0] || null;
+};
+
+const countActiveSuperAdmins = async (conn = getPool()) => {
+  const [rows] = await conn.query('SELECT COUNT(*) AS total FROM users WHERE is_super_admin = TRUE AND is_active = TRUE');
+  return Number(rows[0].total);
+};
+
+const updatePassword = async (userId, passwordHash, conn = getPool()) => {
+  const [result] = await conn.query(
+    'UPDATE users SET password = ?, updated_at = NOW() WHERE user_id = ?',
+    [passwordHash, userId]
+  );
+  return result.affectedRows;
+};
+
+const markEmailVerified = async (userId, now, conn = getPool()) => {
+  const [result] = await conn.query(
+    'UPDATE users SET email_verified_at = ? WHERE user_id = ? AND email_verified_at IS NULL',
+    [now, userId]
+  );
+  return result.affectedRows;
+};
+
+module.exports = {
+  create,
+  findByLogin,
+  findByEmail,
+  findProfileById,
+  findPasswordById,
+  findAccountById,
+  findPageWithOrderStats,
+  countMatching,
+  update,
+  countActiveSuperAdmins,
+  updatePassword,
+  markEmailVerified
+};
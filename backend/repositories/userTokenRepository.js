@@ -0,0 +1,43 @@
+// repositories/userTokenRepository.js - Data access for the user_tokens table
+const { getPool } = require('../db/pool');
+
+const create = async ({ userId, purpose, tokenHash, expiresAt }, conn = getPool()) => {
+  const query = `
+    INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+    VALUES (?, ?, ?, ?)
+  `;
+  const [result] = await conn.query(query, [userId, purpose, tokenHash, expiresAt]);
+  return result.insertId;
+};
+
+// Unused and unexpired tokens of the given purpose only.
+const findUsableByTokenHash = async (tokenHash, purpose, now, conn = getPool()) => {
+  const query = `
+    SELECT t.token_id, t.user_id, u.email, u.username
+    FROM user_tokens t
+    JOIN users u ON t.user_id = u.user_id
+    WHERE t.token_hash = ? AND t.purpose = ? AND t.used_at IS NULL AND t.expires_at > ?
+    FOR UPDATE
+  `;
+  const [rows] = await conn.query(query, [tokenHash, purpose, now]);
+  return rows[0] || null;
+};
+
+const markUsed = async (tokenId, now, conn = getPool()) => {
+  const [result] = await conn.query(
+    'UPDATE user_tokens SET used_at = ? WHERE token_id = ? AND used_at IS NULL',
+    [now, tokenId]
+  );
+  return result.affectedRows;
+};
+
+// Burns any outstanding tokens so only the most recently sent link works.
+const invalidateForUser = async (userId, purpose, now, conn = getPool()) => {
+  const [result] = await conn.query(
+    'UPDATE user_tokens SET used_at = ? WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+    [now, userId, purpose]
+  );
+  return result.affectedRows;
+};
+
+module.exports = { create, findUsableByTokenHash, markUsed, invalidateForUser };
@@ -0,0 +1,228 @@
+// routes/admin.js - /api/admin
+const express = require('express');
+const categoryService = require('../services/categoryService');
+const menuService = require('../services/menuService');
+const orderService = require('../services/orderService');
+const inviteService = require('../services/inviteService');
+const permissionService = require('../services/permissionService');
+const userService = require('../services/userService');
+const auditService = require('../services/auditService');
+const inventoryService = require('../services/inventoryService');
+const kitchenService = require('../services/kitchenService');
+const promoService = require('../services/promoService');
+const receiptService = require('../services/receiptService');
+const refundService = require('../services/refundService');
+const reportService = require('../services/reportService');
+const scheduleService = require('../services/scheduleService');
+const asyncHandler = require('../utils/asyncHandler');
+const auditContext = require('../utils/auditContext');
+const { handleFirstValidationError } = require('../middleware/validate');
+const { validateInvite } = require('../validators/auth');
+const { validateIngredient, validateIngredientUpdate, validateRecipe } = require('../validators/inventory');
+const { validatePromo, validatePromoUpdate } = require('../validators/promo');
+const { validateRefund } = require('../validators/refund');
+const { PERMISSIONS } = require('../constants');
+const { authenticateToken, requirePermission, requireSuperAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get('/categories', requirePermission(PERMISSIONS.MENU_WRITE), asyncHandler(async (req, res) => {
+  res.json(await categoryService.listAllCategories());
+}, 'Failed to retrieve categories from database'));
+
+router.get('/menu/order-counts', requirePermission(PERMISSIONS.REPORTS_VIEW), asyncHandler(async (req, res) => {
+  res.json(await menuService.getItemOrderCounts());
+}, 'Failed to fetch item order counts'));
+
+router.get('/reports/revenue', requirePermission(PERMISSIONS.REPORTS_VIEW), asyncHandler(async (req, res) => {
+  res.json(await reportService.getRevenue({ from: req.query.from, to: req.query.to }));
+}, 'Failed to fetch revenue report'));
+
+router.get('/ingredients', requirePermission(PERMISSIONS.INVENTORY_MANAGE), asyncHandler(async (req, res) => {
+  res.json(await inventoryService.listIngredients());
+}, 'Failed to fetch ingredients'));
+
+router.post('/ingredients', requirePermission(PERMISSIONS.INVENTORY_MANAGE), validateIngredient, handleFirstValidationError, asyncHandler(async (req, res) => {
+  res.status(201).json(await inventoryService.createIngredient(req.body, auditContext(req)));
+}, 'Failed to create ingredient'));
+
+router.put('/ingredients/:id', requirePermission(PERMISSIONS.INVENTORY_MANAGE), validateIngredientUpdate, handleFirstValidationError, asyncHandler(async (req, res) => {
+  const ingredientId = parseInt(req.params.id);
+  if (isNaN(ingredientId)) {
+    return res.status(400).json({ error: 'Invalid ingredient ID' });
+  }
+  res.json(await inventoryService.updateIngredient(ingredientId, req.body, auditContext(req)));
+}, 'Failed to update ingredient'));
+
+router.get('/inventory/low-stock', requirePermission(PERMISSIONS.INVENTORY_MANAGE), asyncHandler(async (req, res) => {
+  res.json(await inventoryService.getLowStockReport());
+}, 'Failed to fetch low-stock report'));
+
+router.get('/menu/:id/recipe', requirePermission(PERMISSIONS.INVENTORY_MANAGE), asyncHandler(async (req, res) => {
+  const itemId = parseInt(req.params.id);
+  if (isNaN(itemId)) {
+    return res.status(400).json({ error: 'Invalid item ID' });
+  }
+  res.json(await inventoryService.getRecipe(itemId));
+}, 'Failed to fetch recipe'));
+
+router.put('/menu/:id/recipe', requirePermission(PERMISSIONS.INVENTORY_MANAGE), validateRecipe, handleFirstValidationError, asyncHandler(async (req, res) => {
+  const itemId = parseInt(req.params.id);
+  if (isNaN(itemId)) {
+    return res.status(400).json({ error: 'Invalid item ID' });
+  }
+  res.json(await inventoryService.setRecipe(itemId, req.body, auditContext(req)));
+}, 'Failed to update recipe'));
+
+router.get('/promo-codes', requirePermission(PERMISSIONS.PROMOS_MANAGE), asyncHandler(async (req, res) => {
+  res.json(await promoService.listPromos());
+}, 'Failed to fetch promo codes'));
+
+router.post('/promo-codes', requirePermission(PERMISSIONS.PROMOS_MANAGE), validatePromo, handleFirstValidationError, asyncHandler(async (req, res) => {
+  res.status(201).json(await promoService.createPromo(req.body, auditContext(req)));
+}, 'Failed to create promo code'));
+
+router.put('/promo-codes/:id', requirePermission(PERMISSIONS.PROMOS_MANAGE), validatePromoUpdate, handleFirstValidationError, asyncHandler(async (req, res) => {
+  const promoId = parseInt(req.params.id);
+  if (isNaN(promoId)) {
+    return res.status(400).json({ error: 'Invalid promo code ID' });
+  }
+  res.json(await promoService.updatePromo(promoId, req.body, auditContext(req)));
+}, 'Failed to update promo code'));
+
+// ?view=scheduled lists open scheduled orders by pickup time, including
+// those still held back from the kitchen. ?view=queue lists every released
+// order from pending to ready, oldest first, for the staff queue.
+router.get('/orders', requirePermission(PERMISSIONS.ORDERS_VIEW), asyncHandler(async (req, res) => {
+  const { view } = req.query;
+  if (view !== undefined && view !== 'scheduled' && view !== 'queue') {
+    return res.status(400).json({ error: 'Unknown orders view' });
+  }
+  if (view === 'scheduled') {
+    return res.json(await scheduleService.listScheduledOrders());
+  }
+  if (view === 'queue') {
+    return res.json(await orderService.listQueueOrders());
+  }
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  res.json(await orderService.listAllOrders(page));
+}, 'Failed to fetch orders'));
+
+// Tickets for the kitchen display; it refreshes them on the admins room's
+// order events.
+router.get('/kitchen/tickets', requirePermission(PERMISSIONS.ORDERS_VIEW), asyncHandler(async (req, res) => {
+  res.json(await kitchenService.listTickets());
+}, 'Failed to fetch kitchen tickets'));
+
+router.get('/orders/:id', requirePermission(PERMISSIONS.ORDERS_VIEW), asyncHandler(async (req, res) => {
+  const orderId = parseInt(req.params.id);
+  if (isNaN(orderId)) {
+    return res.status(400).json({ error: 'Invalid order ID' });
+  }
+  res.json(await orderService.getAdminOrder(orderId));
+}, 'Failed to fetch order details'));
+
+router.get('/orders/:id/receipt', requirePermission(PERMISSIONS.ORDERS_VIEW), asyncHandler(async (req, res) => {
+  const orderId = parseInt(req.params.id);
+  if (isNaN(orderId)) {
+    return res.status(400).json({ error: 'Invalid order ID' });
+  }
+  const format = req.query.format || 'pdf';
+  if (!['pdf', 'text'].includes(format)) {
+    return res.status(400).json({ error: 'Format must be pdf or text' });
+  }
+  const receipt = await receiptService.getReceipt(orderId);
+  const { contentType, filename, body } = receiptService.formatReceipt(receipt, format);
+  res.set({ 'Content-Type': contentType, 'Content-Disposition': `attachment; filename="${filename}"` }).send(body);
+}, 'Failed to create receipt'));
+
+router.get('/orders/:id/refunds', requirePermission(PERMISSIONS.ORDERS_VIEW), asyncHandler(async (req, res) => {
+  const orderId = parseInt(req.params.id);
+  if (isNaN(orderId)) {
+    return res.status(400).json({ error: 'Invalid order ID' });
+  }
+  res.json(await refundService.listRefunds(orderId));
+}, 'Failed to fetch refunds'));
+
+router.post('/orders/:id/refunds', requirePermission(PERMISSIONS.ORDERS_REFUND), validateRefund, handleFirstValidationError, asyncHandler(async (req, res) => {
+  const orderId = parseInt(req.params.id);
+  if (isNaN(orderId)) {
+    return res.status(400).json({ error: 'Invalid order ID' });
+  }
+  res.status(201).json(await refundService.issueRefund(orderId, req.body, auditContext(req)));
+}, 'Failed to refund order'));
+
+router.put('/orders/:id', requirePermission(
+  PERMISSIONS.ORDERS_UPDATE_STATUS,
+  PERMISSIONS.ORDERS_ADVANCE,
+  PERMISSIONS.ORDERS_UPDATE_PAYMENT,
+  PERMISSIONS.ORDERS_REFUND
+), asyncHandler(async (req, res) => {
+  const orderId = parseInt(req.params.id);
+  if (isNaN(orderId)) {
+    return res.status(400).json({ error: 'Invalid order ID' });
+  }
+  res.json(await orderService.updateOrderStatus(orderId, req.body, req.access, auditContext(req)));
+}, 'Failed to update order'));
+
+router.get('/users', requirePermission(PERMISSIONS.USERS_MANAGE), asyncHandler(async (req, res) => {
+  res.json(await userService.listUsers({
+    page: Math.max(1, parseInt(req.query.page) || 1),
+    limit: parseInt(req.query.limit) || undefined,
+    search: req.query.search,
+    role: req.query.role,
+    status: req.query.status
+  }));
+}, 'Failed to fetch users'));
+
+router.patch('/users/:id/status', requirePermission(PERMISSIONS.USERS_MANAGE), asyncHandler(async (req, res) => {
+  const userId = parseInt(req.params.id);
+  if (isNaN(userId)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+  res.json(await userService.setActive(req.user, req.access, userId, req.body.is_active, auditContext(req)));
+}, 'Failed to update user status'));
+
+router.patch('/users/:id/role', requirePermission(PERMISSIONS.USERS_MANAGE), asyncHandler(async (req, res) => {
+  const userId = parseInt(req.params.id);
+  if (isNaN(userId)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+  res.json(await userService.changeRole(req.user, req.access, userId, req.body.role, auditContext(req)));
+}, 'Failed to change user role'));
+
+router.post('/users/:id/reset-password', requirePermission(PERMISSIONS.USERS_MANAGE), asyncHandler(async (req, res) => {
+  const userId = parseInt(req.params.id);
+  if (isNaN(userId)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+  res.json(await userService.sendPasswordReset(req.user, req.access, userId, auditContext(req)));
+}, 'Failed to send password reset'));
+
+router.get('/audit-logs', requirePermission(PERMISSIONS.AUDIT_VIEW), asyncHandler(async (req, res) => {
+  res.json(await auditService.listLogs({
+    ...req.query,
+    page: Math.max(1, parseInt(req.query.page) || 1),
+    limit: parseInt(req.query.limit) || undefined
+  }));
+}, 'Failed to fetch audit logs'));
+
+router.get('/invites', requirePermission(PERMISSIONS.USERS_MANAGE), asyncHandler(async (req, res) => {
+  res.json(await inviteService.listInvites());
+}, 'Failed to fetch invites'));
+
+router.post('/invites', requirePermission(PERMISSIONS.USERS_MANAGE), validateInvite, handleFirstValidationError, asyncHandler(async (req, res) => {
+  res.status(201).json(await inviteService.createInvite(req.user, req.access, req.body, auditContext(req)));
+}, 'Failed to create invite'));
+
+router.get('/permissions', requireSuperAdmin, asyncHandler(async (req, res) => {
+  res.json(await permissionService.listRolePermissions());
+}, 'Failed to fetch permissions'));
+
+router.put('/permissions/:role', requireSuperAdmin, asyncHandler(async (req, res) => {
+  res.json(await permissionService.updateRolePermissions(req.params.role, req.body.permissions, auditContext(req)));
+}, 'Failed to update permissions'));
+
+module.exports = router;
@@ -0,0 +1,157 @@
+// routes/auth.js - /api/auth
+const express = require('express');
+const config = require('../config');
+const authService = require('../services/authService');
+const inviteService = require('../services/inviteService');
+const sessionService = require('../services/sessionService');
+const accountTokenService = require('../services/accountTokenService');
+const profileService = require('../services/profileService');
+const asyncHandler = require('../utils/asyncHandler');
+const auditContext = require('../utils/auditContext');
+const { authenticateToken } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimiters');
+const { handleValidationErrors, handleFirstValidationError } = require('../middleware/validate');
+const {
+  validateRegistration,
+  validateInviteAcceptance,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateProfileUpdate,
+  validatePasswordChange,
+  validateDeactivation,
+  validateLogin
+} = require('../validators/auth');
+
+const router = express.Router();
+
+const REFRESH_COOKIE = 'refresh_token';
+
+// The refresh token never reaches JavaScript: it lives in an httpOnly cookie
+// scoped to /api/auth, and only its hash is stored server-side.
+const refreshCookieOptions = {
+  httpOnly: true,
+  secure: config.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: '/api/auth'
+};
+
+const setRefreshCookie = (res, { token, expiresAt }) => {
+  res.cookie(REFRESH_COOKIE, token, { ...refreshCookieOptions, expires: expiresAt });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+};
+
+const sessionContext = (req) => ({ userAgent: req.get('user-agent'), ip: req.ip });
+
+router.post('/register', validateRegistration, handleFirstValidationError, asyncHandler(async (req, res) => {
+  const { token, user, refresh } = await authService.register(req.body, sessionContext(req));
+  setRefreshCookie(res, refresh);
+  res.status(201).json({
+    message: 'User registered successfully',
+    token,
+    user
+  });
+}, 'Registration failed'));
+
+router.post('/login', authLimiter, validateLogin, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { token, user, refresh } = await authService.login(req.body, sessionContext(req));
+  setRefreshCookie(res, refresh);
+  res.json({ token, user });
+}, 'Login failed'));
+
+router.post('/refresh', asyncHandler(async (req, res) => {
+  try {
+    const { token, user, refresh } = await authService.refresh(req.cookies[REFRESH_COOKIE]);
+    setRefreshCookie(res, refresh);
+    res.json({ token, user });
+  } catch (err) {
+    if (err.status === 401) {
+      clearRefreshCookie(res);
+    }
+    throw err;
+  }
+}, 'Failed to refresh session'));
+
+router.post('/logout', asyncHandler(async (req, res) => {
+  await authService.logout(req.cookies[REFRESH_COOKIE]);
+  clearRefreshCookie(res);
+  res.json({ message: 'Logged out' });
+}, 'Logout failed'));
+
+router.post('/forgot-password', authLimiter, validateForgotPassword, handleFirstValidationError, asyncHandler(async (req, res) => {
+  await accountTokenService.requestPasswordReset(req.body);
+  res.json({ message: 'If that email is registered, a password reset link is on its way' });
+}, 'Failed to request password reset'));
+
+router.post('/reset-password', authLimiter, validatePasswordReset, handleFirstValidationError, asyncHandler(async (req, res) => {
+  await accountTokenService.resetPassword(req.body, auditContext(req));
+  clearRefreshCookie(res);
+  res.json({ message: 'Password has been reset. Please log in with your new password.' });
+}, 'Failed to reset password'));
+
+router.post('/verify-email', validateEmailVerification, handleFirstValidationError, asyncHandler(async (req, res) => {
+  await accountTokenService.verifyEmail(req.body);
+  res.json({ message: 'Email verified' });
+}, 'Failed to verify email'));
+
+router.post('/verify-email/resend', authenticateToken, asyncHandler(async (req, res) => {
+  await accountTokenService.resendVerification(req.user.userId);
+  res.json({ message: 'Verification email sent' });
+}, 'Failed to send verification email'));
+
+router.get('/invites/:token', asyncHandler(async (req, res) => {
+  res.json(await inviteService.getInvite(req.params.token));
+}, 'Failed to fetch invite'));
+
+router.post('/invites/:token/accept', authLimiter, validateInviteAcceptance, handleFirstValidationError, asyncHandler(async (req, res) => {
+  const { token, user, refresh } = await inviteService.acceptInvite(req.params.token, req.body, sessionContext(req));
+  setRefreshCookie(res, refresh);
+  res.status(201).json({
+    message: 'Account created successfully',
+    token,
+    user
+  });
+}, 'Failed to accept invite'));
+
+router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
+  res.json(await authService.getProfile(req.user.userId));
+}, 'Failed to fetch profile'));
+
+router.patch('/me', authenticateToken, validateProfileUpdate, handleFirstValidationError, asyncHandler(async (req, res) => {
+  res.json(await profileService.updateProfile(req.user.userId, req.body, auditContext(req)));
+}, 'Failed to update profile'));
+
+router.put('/me/password', authenticateToken, authLimiter, validatePasswordChange, handleFirstValidationError, asyncHandler(async (req, res) => {
+  await profileService.changePassword(req.user.userId, req.user.sid, req.body, auditContext(req));
+  res.json({ message: 'Password updated. Other devices have been signed out.' });
+}, 'Failed to change password'));
+
+router.post('/me/deactivate', authenticateToken, authLimiter, validateDeactivation, handleFirstValidationError, asyncHandler(async (req, res) => {
+  await profileService.deactivateAccount(req.user.userId, req.body, auditContext(req));
+  clearRefreshCookie(res);
+  res.json({ message: 'Account deactivated' });
+}, 'Failed to deactivate account'));
+
+router.get('/sessions', authenticateToken, asyncHandler(async (req, res) => {
+  res.json(await sessionService.listSessions(req.user.userId, req.user.sid));
+}, 'Failed to fetch sessions'));
+
+// Signs out every other device; the current session stays alive.
+router.delete('/sessions', authenticateToken, asyncHandler(async (req, res) => {
+  const revoked = await sessionService.revokeOtherSessions(req.user.userId, req.user.sid);
+  res.json({ message: 'Other sessions signed out', revoked });
+}, 'Failed to revoke sessions'));
+
+router.delete('/sessions/:id', authenticateToken, asyncHandler(async (req, res) => {
+  const sessionId = parseInt(req.params.id);
+  if (isNaN(sessionId)) {
+    return res.status(400).json({ error: 'Invalid session ID' });
+  }
+  await sessionService.revokeSession(req.user.userId, sessionId);
+  res.json({ message: 'Session revoked' });
+}, 'Failed to revoke session'));
+
+module.exports = router;
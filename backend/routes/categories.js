@@ -0,0 +1,29 @@
+// routes/categories.js - /api/categories
+const express = require('express');
+const categoryService = require('../services/categoryService');
+const asyncHandler = require('../utils/asyncHandler');
+const auditContext = require('../utils/auditContext');
+const { PERMISSIONS } = require('../constants');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validate');
+const { validateCategory } = require('../validators/category');
+
+const router = express.Router();
+
+router.get('/', asyncHandler(async (req, res) => {
+  res.json(await categoryService.listActiveCategories());
+}, 'Failed to fetch categories'));
+
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.MENU_WRITE), validateCategory, handleValidationErrors, asyncHandler(async (req, res) => {
+  res.status(201).json(await categoryService.createCategory(req.body, auditContext(req)));
+}, 'Failed to create category'));
+
+router.put('/:id', authenticateToken, requirePermission(PERMISSIONS.MENU_WRITE), validateCategory, handleValidationErrors, asyncHandler(async (req, res) => {
+  const catId = parseInt(req.params.id);
+  if (isNaN(catId)) {
+    return res.status(400).json({ error: 'Invalid category ID' });
+  }
+  res.json(await categoryService.updateCategory(catId, req.body, auditContext(req)));
+}, 'Failed to update category'));
+
+module.exports = router;
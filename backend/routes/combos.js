@@ -0,0 +1,48 @@
+// routes/combos.js - /api/combos
+const express = require('express');
+const comboService = require('../services/comboService');
+const asyncHandler = require('../utils/asyncHandler');
+const auditContext = require('../utils/auditContext');
+const { PERMISSIONS } = require('../constants');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validate');
+const { validateCombo } = require('../validators/combo');
+
+const router = express.Router();
+
+router.get('/', asyncHandler(async (req, res) => {
+  res.json(await comboService.listCombos());
+}, 'Failed to fetch combos'));
+
+router.get('/:id', asyncHandler(async (req, res) => {
+  const comboId = parseInt(req.params.id);
+  if (isNaN(comboId)) {
+    return res.status(400).json({ error: 'Invalid combo ID' });
+  }
+  res.json(await comboService.getCombo(comboId));
+}, 'Failed to fetch combo'));
+
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.MENU_WRITE), validateCombo, handleValidationErrors, asyncHandler(async (req, res) => {
+  const combo = await comboService.createCombo(req.body, auditContext(req));
+  res.status(201).json({ message: 'Combo added successfully', combo });
+}, 'Failed to add combo'));
+
+router.put('/:id', authenticateToken, requirePermission(PERMISSIONS.MENU_WRITE), validateCombo, handleValidationErrors, asyncHandler(async (req, res) => {
+  const comboId = parseInt(req.params.id);
+  if (isNaN(comboId)) {
+    return res.status(400).json({ error: 'Invalid combo ID' });
+  }
+  const combo = await comboService.updateCombo(comboId, req.body, auditContext(req));
+  res.json({ message: 'Combo updated successfully', combo });
+}, 'Failed to update combo'));
+
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.MENU_WRITE), asyncHandler(async (req, res) => {
+  const comboId = parseInt(req.params.id);
+  if (isNaN(comboId)) {
+    return res.status(400).json({ error: 'Invalid combo ID' });
+  }
+  await comboService.deactivateCombo(comboId, auditContext(req));
+  res.json({ message: `Combo ${comboId} successfully deactivated.` });
+}, 'Failed to deactivate combo'));
+
+module.exports = router;
@@ -0,0 +1,66 @@
+// routes/menu.js - /api/menu
+const express = require('express');
+const menuService = require('../services/menuService');
+const asyncHandler = require('../utils/asyncHandler');
+const auditContext = require('../utils/auditContext');
+const { PERMISSIONS } = require('../constants');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validate');
+const { validateMenuItem, validateStockUpdate, validateModifiers } = require('../validators/menu');
+
+const router = express.Router();
+
+router.get('/', asyncHandler(async (req, res) => {
+  res.json(await menuService.listMenu());
+}, 'Failed to fetch menu items'));
+
+router.get('/:id', asyncHandler(async (req, res) => {
+  const itemId = parseInt(req.params.id);
+  if (isNaN(itemId)) {
+    return res.status(400).json({ error: 'Invalid item ID' });
+  }
+  res.json(await menuService.getMenuItem(itemId));
+}, 'Failed to fetch menu item'));
+
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.MENU_WRITE), validateMenuItem, handleValidationErrors, asyncHandler(async (req, res) => {
+  const itemId = await menuService.createMenuItem(req.body, auditContext(req));
+  res.status(201).json({ message: 'Menu item added successfully', itemId });
+}, 'Failed to add menu item'));
+
+router.put('/:id', authenticateToken, requirePermission(PERMISSIONS.MENU_WRITE), validateMenuItem, handleValidationErrors, asyncHandler(async (req, res) => {
+  const itemId = parseInt(req.params.id);
+  if (isNaN(itemId)) {
+    return res.status(400).json({ error: 'Invalid item ID' });
+  }
+  const item = await menuService.updateMenuItem(itemId, req.body, auditContext(req));
+  res.json({ message: 'Menu item updated successfully', item });
+}, 'Failed to update menu item'));
+
+router.put('/:id/modifiers', authenticateToken, requirePermission(PERMISSIONS.MENU_WRITE), validateModifiers, handleValidationErrors, asyncHandler(async (req, res) => {
+  const itemId = parseInt(req.params.id);
+  if (isNaN(itemId)) {
+    return res.status(400).json({ error: 'Invalid item ID' });
+  }
+  const item = await menuService.updateModifiers(itemId, req.body, auditContext(req));
+  res.json({ message: 'Options updated successfully', item });
+}, 'Failed to update options'));
+
+router.patch('/:id/stock', authenticateToken, requirePermission(PERMISSIONS.MENU_WRITE), validateStockUpdate, handleValidationErrors, asyncHandler(async (req, res) => {
+  const itemId = parseInt(req.params.id);
+  if (isNaN(itemId)) {
+    return res.status(400).json({ error: 'Invalid item ID' });
+  }
+  const item = await menuService.updateStock(itemId, req.body, auditContext(req));
+  res.json({ message: 'Stock updated successfully', item });
+}, 'Failed to update stock'));
+
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.MENU_WRITE), asyncHandler(async (req, res) => {
+  const itemId = parseInt(req.params.id);
+  if (isNaN(itemId)) {
+    return res.status(400).json({ error: 'Invalid item ID' });
+  }
+  await menuService.deactivateMenuItem(itemId, auditContext(req));
+  res.status(200).json({ message: `Menu item ${itemId} successfully deactivated.` });
+}, 'Failed to deactivate menu item'));
+
+module.exports = router;
@@ -0,0 +1,90 @@
+// routes/orders.js - /api/orders (customer side)
+const express = require('express');
+const orderService = require('../services/orderService');
+const receiptService = require('../services/receiptService');
+const paymentService = require('../services/paymentService');
+const asyncHandler = require('../utils/asyncHandler');
+const auditContext = require('../utils/auditContext');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { orderLimiter } = require('../middleware/rateLimiters');
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole('customer'));
+
+router.post('/', orderLimiter, asyncHandler(async (req, res) => {
+  const { orderId, orderNumber, totalAmount } = await orderService.createOrder(req.user, req.body);
+  res.status(201).json({
+    message: 'Order placed successfully',
+    orderId,
+    orderNumber,
+    totalAmount
+  });
+}, 'Failed to create order'));
+
+router.post('/quote', asyncHandler(async (req, res) => {
+  res.json(await orderService.quoteOrder(req.user, req.body));
+}, 'Failed to price order'));
+
+router.get('/my-orders', asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  res.json(await orderService.listRecentOrders(req.user.userId, page));
+}, 'Failed to fetch orders'));
+
+router.get('/', asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  res.json(await orderService.listOrders(req.user.userId, page, limit));
+}, 'Failed to fetch orders'));
+
+router.get('/:id', asyncHandler(async (req, res) => {
+  const orderId = parseInt(req.params.id);
+  if (isNaN(orderId)) {
+    return res.status(400).json({ error: 'Invalid order ID' });
+  }
+  res.json(await orderService.getCustomerOrder(orderId, req.user.userId));
+}, 'Failed to fetch order details'));
+
+// Customers can change an order until the kitchen starts on it (see
+// orderService.cancelOrder / modifyOrder); both return the updated order.
+router.post('/:id/cancel', asyncHandler(async (req, res) => {
+  const orderId = parseInt(req.params.id);
+  if (isNaN(orderId)) {
+    return res.status(400).json({ error: 'Invalid order ID' });
+  }
+  res.json(await orderService.cancelOrder(req.user, orderId, auditContext(req)));
+}, 'Failed to cancel order'));
+
+router.patch('/:id', orderLimiter, asyncHandler(async (req, res) => {
+  const orderId = parseInt(req.params.id);
+  if (isNaN(orderId)) {
+    return res.status(400).json({ error: 'Invalid order ID' });
+  }
+  res.json(await orderService.modifyOrder(req.user, orderId, req.body, auditContext(req)));
+}, 'Failed to update order'));
+
+// Card and wallet orders are paid against the intent returned here.
+router.post('/:id/payment-intent', asyncHandler(async (req, res) => {
+  const orderId = parseInt(req.params.id);
+  if (isNaN(orderId)) {
+    return res.status(400).json({ error: 'Invalid order ID' });
+  }
+  res.json(await paymentService.createIntent(orderId, req.user));
+}, 'Failed to start payment'));
+
+// ?format=text gives the thermal-printer layout; the default is a PDF.
+router.get('/:id/receipt', asyncHandler(async (req, res) => {
+  const orderId = parseInt(req.params.id);
+  if (isNaN(orderId)) {
+    return res.status(400).json({ error: 'Invalid order ID' });
+  }
+  const format = req.query.format || 'pdf';
+  if (!['pdf', 'text'].includes(format)) {
+    return res.status(400).json({ error: 'Format must be pdf or text' });
+  }
+  const receipt = await receiptService.getReceipt(orderId, { userId: req.user.userId });
+  const { contentType, filename, body } = receiptService.formatReceipt(receipt, format);
+  res.set({ 'Content-Type': contentType, 'Content-Disposition': `attachment; filename="${filename}"` }).send(body);
+}, 'Failed to create receipt'));
+
+module.exports = router;
@@ -0,0 +1,26 @@
+// routes/payments.js - /api/payments (provider webhooks and the offline mock checkout)
+const express = require('express');
+const paymentService = require('../services/paymentService');
+const asyncHandler = require('../utils/asyncHandler');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { isMockCheckoutEnabled } = require('../payments');
+
+const router = express.Router();
+
+// Called by the provider, not the browser: authenticated by its signature.
+router.post('/webhook', asyncHandler(async (req, res) => {
+  const { duplicate } = await paymentService.handleWebhook(req.rawBody, req.headers);
+  res.json({ received: true, duplicate });
+}, 'Failed to process payment webhook'));
+
+if (isMockCheckoutEnabled()) {
+  router.post('/mock/:intentId/complete', authenticateToken, requireRole('customer'), asyncHandler(async (req, res) => {
+    const outcome = req.body.outcome || 'succeeded';
+    if (!['succeeded', 'failed'].includes(outcome)) {
+      return res.status(400).json({ error: 'Outcome must be succeeded or failed' });
+    }
+    res.json(await paymentService.completeMockPayment(req.params.intentId, outcome, req.user));
+  }, 'Failed to complete payment'));
+}
+
+module.exports = router;
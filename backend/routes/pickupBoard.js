@@ -0,0 +1,15 @@
+// routes/pickupBoard.js - /api/pickup-board (public, read-only)
+const express = require('express');
+const kitchenService = require('../services/kitchenService');
+const asyncHandler = require('../utils/asyncHandler');
+const { requireDisplayToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Order numbers being prepared and ready for pickup. The screen keeps up
+// through board:update events on the pickup-board socket room.
+router.get('/', requireDisplayToken, asyncHandler(async (req, res) => {
+  res.json(await kitchenService.getPickupBoard());
+}, 'Failed to fetch the pickup board'));
+
+module.exports = router;
@@ -0,0 +1,25 @@
+// routes/uploads.js - /api/upload
+const express = require('express');
+const upload = require('../middleware/upload');
+const { PERMISSIONS } = require('../constants');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.post('/image', authenticateToken, requirePermission(PERMISSIONS.MENU_WRITE), upload.single('image'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded.' });
+  }
+
+  const filename = req.file.filename;
+  const protocol = req.protocol === 'https' || req.headers['x-forwarded-proto'] === 'https' ? 'https' : 'http';
+  const host = req.get('host');
+
+  res.json({
+    message: 'File uploaded successfully',
+    imageUrl: `${protocol}://${host}/uploads/menu/${filename}`,
+    fileName: filename
+  });
+});
+
+module.exports = router;
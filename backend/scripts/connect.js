@@ -0,0 +1,19 @@
+// scripts/connect.js - Shared MySQL connection for the maintenance scripts
+const path = require('path');
+const mysql = require('mysql2/promise');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+// Connects to DB_NAME, creating the database first when it does not exist.
+async function connect(options = {}) {
+  const host = process.env.DB_HOST || 'localhost';
+  const user = process.env.DB_USER || 'root';
+  const password = process.env.DB_PASSWORD || '';
+  const database = process.env.DB_NAME || 'grabngo_db';
+
+  const connection = await mysql.createConnection({ host, user, password, ...options });
+  await connection.query(`CREATE DATABASE IF NOT EXISTS \`${database}\` CHARACTER SET utf8mb4 COLLATE utf8mb4_general_ci;`);
+  await connection.changeUser({ database });
+  return connection;
+}
+
+module.exports = { connect };
@@ -1,34 +0,0 @@
-// scripts/db_reset.js
-const fs = require('fs');
-const path = require('path');
-const mysql = require('mysql2/promise');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
-
-async function main() {
-  const host = process.env.DB_HOST || 'localhost';
-  const user = process.env.DB_USER || 'root';
-  const password = process.env.DB_PASSWORD || '';
-  const database = process.env.DB_NAME || 'grabngo_db';
-
-  const schemaPath = path.join(__dirname, '..', 'db', 'schema.sql');
-  const sql = fs.readFileSync(schemaPath, 'utf8');
-
-  const connection = await mysql.createConnection({ host, user, password, multipleStatements: true });
-  try {
-    await connection.query(`CREATE DATABASE IF NOT EXISTS \`${database}\` CHARACTER SET utf8mb4 COLLATE utf8mb4_general_ci;`);
-    await connection.changeUser({ database });
-    await connection.query(sql);
-    console.log('Database reset complete.');
-  } finally {
-    await connection.end();
-  }
-}
-
-main().catch((err) => {
-  console.error('DB reset failed:', err);
-  process.exit(1);
-});
-
-
-
-
@@ -0,0 +1,26 @@
+// scripts/db_seed.js - Loads db/seeds/sample_data.sql into a migrated, empty database
+const fs = require('fs');
+const path = require('path');
+const { connect } = require('./connect');
+
+async function main() {
+  const seedPath = path.join(__dirname, '..', 'db', 'seeds', 'sample_data.sql');
+  const sql = fs.readFileSync(seedPath, 'utf8');
+
+  const connection = await connect({ multipleStatements: true });
+  try {
+    const [[{ count }]] = await connection.query('SELECT COUNT(*) AS count FROM users');
+    if (count > 0) {
+      throw new Error('users table already has data; refusing to seed');
+    }
+    await connection.query(sql);
+    console.log('Sample data loaded.');
+  } finally {
+    await connection.end();
+  }
+}
+
+main().catch((err) => {
+  console.error('DB seed failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,40 @@
+// scripts/migrate.js - CLI for db/migrator.js
+//
+//   node scripts/migrate.js up            apply all pending migrations
+//   node scripts/migrate.js down [steps]  revert the last `steps` (default 1)
+//   node scripts/migrate.js status        list applied and pending migrations
+const { connect } = require('./connect');
+const { migrate, rollback, status } = require('../db/migrator');
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+  const connection = await connect();
+
+  try {
+    if (command === 'up') {
+      const applied = await migrate(connection, { log: console.log });
+      console.log(applied.length ? `Applied ${applied.length} migration(s).` : 'Database is up to date.');
+    } else if (command === 'down') {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (isNaN(steps) || steps < 1) {
+        throw new Error(`Invalid step count: ${arg}`);
+      }
+      const reverted = await rollback(connection, { steps, log: console.log });
+      console.log(reverted.length ? `Reverted ${reverted.length} migration(s).` : 'Nothing to roll back.');
+    } else if (command === 'status') {
+      for (const migration of await status(connection)) {
+        const state = migration.appliedAt ? `applied ${new Date(migration.appliedAt).toISOString()}` : 'pending';
+        console.log(`${migration.version}_${migration.name}  ${state}`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+    }
+  } finally {
+    await connection.end();
+  }
+}
+
+main().catch((err) => {
+  console.error('Migration failed:', err.message);
+  process.exit(1);
+});
@@ -1,1538 +1,34 @@
-// server.js - Main Express Server
-const express = require('express');
-const mysql = require('mysql2');
-const cors = require('cors');
-const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
-const helmet = require('helmet');
-const morgan = require('morgan');
-const rateLimit = require('express-rate-limit');
-const { body, validationResult } = require('express-validator');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-require('dotenv').config();
+// server.js - HTTP entry point: wires the Express app, sockets and database
+const http = require('http');
+const config = require('./config');
+const { checkProductionConfig } = require('./payments');
 
-const app = express();
-const http = require('http').createServer(app);
-app.set('trust proxy', 1);
-const { Server } = require('socket.io');
-
-const ORDER_STATUS = {
-  PENDING: 'pending',
-  CONFIRMED: 'confirmed',
-  PREPARING: 'preparing',
-  READY: 'ready',
-  COMPLETED: 'completed',
-  CANCELLED: 'cancelled'
-};
-
-const PAYMENT_STATUS = {
-  PENDING: 'pending',
-  PAID: 'paid',
-  REFUNDED: 'refunded'
-};
-
-const JWT_SECRET = process.env.JWT_SECRET;
-if (!JWT_SECRET) {
+if (!config.JWT_SECRET) {
   console.error('CRITICAL: JWT_SECRET must be set in .env file');
   process.exit(1);
 }
 
-const allowedOrigin = process.env.CORS_ORIGIN || 'http://localhost:3001';
-const NODE_ENV = process.env.NODE_ENV || 'development';
-
-app.use(helmet());
-app.use(morgan('dev'));
-app.use(express.json({ limit: '10kb' }));
-app.use(express.urlencoded({ extended: true, limit: '10kb' }));
-const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Limit each IP to 100 requests per windowMs (Increased from default)
-  message: 'Too many requests from this IP, please try again after 15 minutes',
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-app.use(cors({
-  origin: allowedOrigin,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
-}));
-
-if (NODE_ENV === 'production') {
-  app.use((req, res, next) => {
-    if (!req.secure && req.get('x-forwarded-proto') !== 'https') {
-      return res.redirect('https://' + req.get('host') + req.url);
-    }
-    next();
-  });
+const paymentProblems = checkProductionConfig(config);
+if (paymentProblems.length > 0) {
+  paymentProblems.forEach((problem) => console.error(`CRITICAL: ${problem}`));
+  process.exit(1);
 }
 
+const app = require('./app');
+const { attachSockets } = require('./sockets');
+const { checkConnection } = require('./db/pool');
+const parRestock = require('./jobs/parRestock');
+const scheduledOrders = require('./jobs/scheduledOrders');
 
-app.use('/uploads/menu', (req, res, next) => {
-    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin'); 
-    next();
-});
-
-const UPLOAD_DEST = path.join(__dirname, 'uploads', 'menu');
-app.use('/uploads/menu', express.static(UPLOAD_DEST));
-
-
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 100,
-  message: 'Too many requests, please try again later'
-});
-
-const authLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 10,
-  skipSuccessfulRequests: false
-});
-
-const orderLimiter = rateLimit({
-  windowMs: 60 * 1000,
-  max: 3,
-  message: 'Too many order requests, please try again later'
-});
-
-app.use(limiter);
-
-const requestLogger = (req, res, next) => {
-  req.startTime = Date.now();
-  res.on('finish', () => {
-    const duration = Date.now() - req.startTime;
-    const logLevel = res.statusCode >= 400 ? 'ERROR' : 'INFO';
-    console.log(`[${logLevel}] ${req.method} ${req.path} - ${res.statusCode} - ${duration}ms`);
-  });
-  next();
-};
-app.use(requestLogger);
-
-const handleError = (err, req, res, next) => {
-  console.error(`[ERROR] ${err.message}`, err.stack);
-  if (err instanceof multer.MulterError) {
-    return res.status(400).json({ error: err.message });
-  }
-  const statusCode = err.status || 500;
-  res.status(statusCode).json({
-    error: NODE_ENV === 'production' ? 'Internal server error' : err.message
-  });
-};
-
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        if (!fs.existsSync(UPLOAD_DEST)) {
-            fs.mkdirSync(UPLOAD_DEST, { recursive: true });
-        }
-        cb(null, UPLOAD_DEST);
-    },
-    filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-    }
-});
-
-const upload = multer({
-    storage: storage,
-    limits: { fileSize: 5 * 1024 * 1024 },
-    fileFilter: (req, file, cb) => {
-        const allowedMimeTypes = /jpeg|jpg|png|gif/;
-        const isValid = allowedMimeTypes.test(file.mimetype);
-        if (isValid) {
-            cb(null, true);
-        } else {
-            cb(new Error('Only image files (JPEG, PNG, GIF) are allowed'), false); 
-        }
-    }
-});
-
-const io = new Server(http, {
-  cors: {
-    origin: allowedOrigin,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Authorization', 'Content-Type']
-  }
-});
-
-io.use((socket, next) => {
-  const token = socket.handshake.auth?.token;
-  
-  if (!token) {
-    return next(new Error('Authentication error: No token provided'));
-  }
-  
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      console.warn(`[SECURITY] Invalid socket token from ${socket.handshake.address}`);
-      return next(new Error('Authentication error: Invalid token'));
-    }
-    
-    if (!user.userId || !user.username || !user.role) {
-      return next(new Error('Authentication error: Invalid token payload'));
-    }
-    
-    socket.user = user;
-    next();
-  });
-});
-
-io.on('connection', (socket) => {
-  console.log(`[SOCKET] User ${socket.user.userId} connected`);
-  
-  const role = socket.user.role;
-  
-  if (role === 'admin') {
-    socket.join('admins');
-  } else {
-    socket.join('customers');
-  }
-  
-  socket.join(`user:${socket.user.userId}`);
-  
-  socket.on('cart:add', (payload) => {
-    if (!payload || typeof payload !== 'object') {
-      console.warn(`[SECURITY] Invalid cart:add payload from user ${socket.user.userId}`);
-      return;
-    }
-    
-    const { item } = payload;
-    if (!item || typeof item !== 'object' || !Number.isInteger(item.item_id)) {
-      console.warn(`[SECURITY] Malformed item data from user ${socket.user.userId}`);
-      return;
-    }
-    
-    io.to('admins').emit('cart:activity', {
-      type: 'cart_add',
-      userId: socket.user.userId,
-      username: socket.user.username,
-      item: {
-        item_id: item.item_id,
-        quantity: Number.isInteger(item.quantity) ? item.quantity : 1
-      },
-      at: Date.now()
-    });
-  });
-  
-  socket.on('disconnect', () => {
-    console.log(`[SOCKET] User ${socket.user.userId} disconnected`);
-  });
-});
-
-const db = mysql.createPool({
-  host: process.env.DB_HOST || 'localhost',
-  user: process.env.DB_USER || 'root',
-  password: process.env.DB_PASSWORD || '',
-  database: process.env.DB_NAME || 'grabngo_db',
-  waitForConnections: true,
-  connectionLimit: 10,
-  queueLimit: 0,
-  enableKeepAlive: true,
-  keepAliveInitialDelayMs: 0
-});
-
-db.getConnection((err, connection) => {
-  if (err) {
-    console.error('[DB ERROR]', err.message);
-    if (err.code === 'PROTOCOL_CONNECTION_LOST') {
-      console.error('DATABASE CONNECTION WAS CLOSED');
-    }
-    if (err.code === 'ER_CON_COUNT_ERROR') {
-      console.error('DATABASE HAS TOO MANY CONNECTIONS');
-    }
-    if (err.code === 'ER_ACCESS_DENIED_ERROR') {
-      console.error('DATABASE ACCESS WAS DENIED - CHECK CREDENTIALS');
-    }
-  } else {
-    console.log('[DB] ✓ Database connected successfully');
-    connection.release();
-  }
-});
-
-const validateRegister = [
-  body('username')
-    .trim()
-    .isLength({ min: 3, max: 20 })
-    .withMessage('Username must be 3-20 characters')
-    .matches(/^[a-zA-Z0-9_]+$/)
-    .withMessage('Username can only contain letters, numbers, and underscores'),
-  
-  body('email')
-    .trim()
-    .isEmail()
-    .withMessage('Invalid email format')
-    .normalizeEmail(),
-  
-  body('password')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters')
-    .matches(/^(?=.*[A-Z])(?=.*[a-z])(?=.*[0-9])(?=.*[!@#$%^&*])/)
-    .withMessage('Password must contain: Uppercase, lowercase, number, and special char (!@#$%^&*)'),
-  
-  body('full_name')
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Full name must be 2-100 characters'),
-  
-  body('phone')
-    .optional()
-    .trim()
-    .matches(/^[0-9\-\+\s]+$/)
-    .withMessage('Invalid phone format')
-];
-
-const validateLogin = [
-  body('username')
-    .trim()
-    .isLength({ min: 1 })
-    .withMessage('Username is required'),
-  
-  body('password')
-    .isLength({ min: 1 })
-    .withMessage('Password is required')
-];
-
-const validateMenuItem = [
-  body('item_name')
-    .trim()
-    .notEmpty()
-    .withMessage('Item name is required')
-    .isLength({ min: 1, max: 100 })
-    .withMessage('Item name must be 1-100 characters'),
-  
-  body('price')
-    .notEmpty()
-    .withMessage('Price is required')
-    .custom((value) => {
-      const num = Number(value);
-      if (isNaN(num) || num <= 0) {
-        throw new Error('Price must be a valid number greater than 0');
-      }
-      return true;
-    }),
-  
-  body('category_id')
-    .optional()
-    .custom((value) => {
-      if (value && isNaN(Number(value))) {
-        throw new Error('Invalid category ID');
-      }
-      return true;
-    }),
-  
-  body('description')
-    .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Description must be less than 500 characters'),
-  
-  body('image_url')
-    .optional()
-    .trim(),
-  
-  body('is_available')
-    .optional()
-    .custom((value) => {
-      if (value !== undefined && typeof value !== 'boolean') {
-        throw new Error('is_available must be a boolean');
-      }
-      return true;
-    })
-];
-
-const validateCategory = [
-  body('category_name')
-    .trim()
-    .isLength({ min: 1, max: 100 })
-    .withMessage('Category name required (1-100 chars)'),
-  
-  body('is_active')
-    .optional()
-    .isBoolean()
-    .withMessage('is_active must be boolean')
-];
-
-const handleValidationErrors = (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    console.error('[VALIDATION] Errors:', errors.array());
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: errors.array().map(e => ({ field: e.param, message: e.msg }))
-    });
-  }
-  next();
-};
-
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-  
-  if (!token) {
-    console.warn('[AUTH] No token provided');
-    return res.status(401).json({ error: 'Access denied. No token provided.' });
-  }
-  
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      console.warn(`[AUTH] Invalid token: ${err.message}`);
-      return res.status(403).json({ error: 'Invalid or expired token' });
-    }
-    req.user = user;
-    next();
-  });
-};
-
-const requireRole = (...roles) => (req, res, next) => {
-  if (!req.user || !roles.includes(req.user.role)) {
-    console.warn(`[AUTH] Access denied for role: ${req.user?.role || 'unknown'}`);
-    return res.status(403).json({ error: 'Access denied. Insufficient permissions.' });
-  }
-  next();
-};
-
-app.post(
-  '/api/auth/register',
-  [
-    body('username').trim().isLength({ min: 3 }).withMessage('Username must be at least 3 characters'),
-    body('email').isEmail().withMessage('Invalid email address'),
-    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-    body('role').isIn(['customer', 'admin']).optional().withMessage('Invalid role specified'), 
-  ],
-  async (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ error: errors.array()[0].msg });
-    }
-
-    const { username, email, password, full_name, phone } = req.body;
-    
-    const requestedRole = req.body.role;
-    const finalRole = requestedRole === 'admin' ? 'admin' : 'customer';
-    
-    const executeRegistration = async (roleToInsert) => {
-      try {
-        const hashedPassword = await bcrypt.hash(password, 10);
-        
-        const query = `
-          INSERT INTO users (username, email, password, full_name, phone, role, created_at, updated_at)
-          VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())
-        `;
-        
-        db.query(query, [username, email, hashedPassword, full_name || null, phone || null, roleToInsert], (err, result) => {
-          if (err) {
-            console.error('[DB] Registration error:', err.message);
-            if (err.code === 'ER_DUP_ENTRY') {
-              return res.status(409).json({ error: 'Username or email already exists' });
-            }
-            return res.status(500).json({ error: 'Registration failed', details: err.message });
-          }
-          
-          const userId = result.insertId;
-          const token = jwt.sign({ user_id: userId, role: roleToInsert }, process.env.JWT_SECRET, { expiresIn: '1d' }); 
-          
-          console.log('[REGISTER] ✓ User registered:', username, 'as', roleToInsert);
-          res.status(201).json({
-            message: 'User registered successfully',
-            token,
-            user: { user_id: userId, username, email, full_name, phone, role: roleToInsert }
-          });
-        });
-      } catch (error) {
-        console.error('[AUTH] Sync Error during registration:', error);
-        return res.status(500).json({ error: 'Internal server error during registration' });
-      }
-    };
-
-    if (finalRole === 'admin') {
-      const countQuery = 'SELECT COUNT(*) AS admin_count FROM users WHERE role = ?';
-      db.query(countQuery, ['admin'], (err, results) => {
-        if (err) {
-          console.error('[DB] Admin count check error:', err.message);
-          return res.status(500).json({ error: 'Database error during admin limit check' });
-        }
-        
-        const adminCount = results[0]?.admin_count || 0;
-        
-        if (adminCount >= 2) { 
-          console.warn(`[REGISTER] Admin limit reached. Count: ${adminCount}`);
-          return res.status(403).json({ 
-            error: 'Admin registration failed: Maximum of 2 admin accounts allowed.' 
-          });
-        }
-        
-        executeRegistration(finalRole);
-      });
-    } else {
-      executeRegistration(finalRole);
-    }
-  }
-);
-
-app.post('/api/auth/login', authLimiter, validateLogin, handleValidationErrors, async (req, res, next) => {
-  try {
-    const { username, password } = req.body;
-    
-    console.log('[LOGIN] Attempting login for:', username);
-    
-    
-    const query = 'SELECT user_id, username, email, password, role, full_name FROM users WHERE username = ? OR email = ?'; 
-    db.query(query, [username, username], async (err, results) => {
-      if (err) {
-        console.error('[DB] Login query error:', err.message);
-        return res.status(500).json({ error: 'Login failed' });
-      }
-      
-      if (results.length === 0) {
-        console.warn('[LOGIN] User not found:', username);
-        return res.status(401).json({ error: 'Invalid credentials' });
-      }
-      
-      const user = results[0];
-      console.log('[LOGIN] User found:', user.username, 'Role:', user.role);
-      
-      try {
-        if (!user.password) {
-            console.warn('[LOGIN] Password hash missing for user:', username);
-            return res.status(401).json({ error: 'Invalid credentials' });
-        }
-        
-        const validPassword = await bcrypt.compare(password, user.password);
-        console.log('[LOGIN] Password comparison result:', validPassword);
-        
-        if (!validPassword) {
-          console.warn('[LOGIN] Invalid password for user:', username);
-          return res.status(401).json({ error: 'Invalid credentials' });
-        }
-        
-        const token = jwt.sign(
-          {
-            userId: user.user_id,
-            username: user.username,
-            role: user.role
-          },
-          JWT_SECRET,
-          { expiresIn: '24h' }
-        );
-        
-        console.log('[LOGIN] ✓ Login successful:', username);
-        
-        res.json({
-          token,
-          user: {
-            userId: user.user_id,
-            username: user.username,
-            email: user.email,
-            fullName: user.full_name,
-            role: user.role
-          }
-        });
-      } catch (bcryptErr) {
-        console.error('[LOGIN] Bcrypt error:', bcryptErr.message);
-        return res.status(500).json({ error: 'Login failed - password comparison error' });
-      }
-    });
-  } catch (error) {
-    console.error('[LOGIN] Exception:', error.message);
-    next(error);
-  }
-});
-
-app.get('/api/auth/me', authenticateToken, (req, res, next) => {
-  const query = 'SELECT user_id, username, email, full_name, phone, role FROM users WHERE user_id = ?';
-  db.query(query, [req.user.userId], (err, results) => {
-    if (err) {
-      console.error('[DB] Profile fetch error:', err.message);
-      return res.status(500).json({ error: 'Failed to fetch profile' });
-    }
-    
-    if (results.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-    
-    const u = results[0];
-    res.json({
-      userId: u.user_id,
-      username: u.username,
-      email: u.email,
-      fullName: u.full_name,
-      phone: u.phone,
-      role: u.role
-    });
-  });
-});
-
-app.post('/api/upload/image', authenticateToken, requireRole('admin'), upload.single('image'), (req, res, next) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded.' });
-    }
-
-    const filename = req.file.filename;
-
-    const protocol = req.protocol === 'https' || req.headers['x-forwarded-proto'] === 'https' ? 'https' : 'http';
-    const host = req.get('host');
-    
-    const fileUrl = `${protocol}://${host}/uploads/menu/${filename}`;
-
-    res.json({
-      message: 'File uploaded successfully',
-      imageUrl: fileUrl,
-      fileName: filename
-    });
-  } catch (error) {
-    console.error('[UPLOAD] Error:', error.message);
-    next(error);
-  }
-});
-
-
-app.get('/api/menu', (req, res, next) => {
-  const query = `
-    SELECT mi.*, c.category_name
-    FROM menu_items mi
-    LEFT JOIN categories c ON mi.category_id = c.category_id
-    WHERE mi.is_active = 1
-      AND c.is_active = 1
-    ORDER BY c.category_name, mi.item_name
-  `;
-  
-  db.query(query, (err, results) => {
-    if (err) {
-      console.error('[DB] Menu fetch error:', err.message);
-      return res.status(500).json({ error: 'Failed to fetch menu items' });
-    }
-    res.json(results);
-  });
-});
-
-app.get('/api/menu/:id', (req, res, next) => {
-  const itemId = parseInt(req.params.id);
-  if (isNaN(itemId)) {
-    return res.status(400).json({ error: 'Invalid item ID' });
-  }
-  
-  const query = 'SELECT * FROM menu_items WHERE item_id = ? AND is_active = 1';
-  db.query(query, [itemId], (err, results) => {
-    if (err) {
-      console.error('[DB] Menu item fetch error:', err.message);
-      return res.status(500).json({ error: 'Failed to fetch menu item' });
-    }
-    if (results.length === 0) {
-      return res.status(404).json({ error: 'Menu item not found' });
-    }
-    res.json(results[0]);
-  });
-});
-
-app.post('/api/menu', authenticateToken, requireRole('admin'), validateMenuItem, handleValidationErrors, (req, res, next) => {
-  try {
-    const { category_id, item_name, description, price, image_url, is_available } = req.body;
-    
-    const query = `
-      INSERT INTO menu_items (category_id, item_name, description, price, image_url, is_available, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, NOW())
-    `;
-    
-    db.query(query, [category_id || null, item_name, description || null, price, image_url || null, is_available ? 1 : 0], (err, result) => {
-      if (err) {
-        console.error('[DB] Menu item creation error:', err.message);
-        return res.status(500).json({ error: 'Failed to add menu item' });
-      }
-      
-      const newId = result.insertId;
-      const fetchQuery = `
-        SELECT mi.*, c.category_name
-        FROM menu_items mi
-        LEFT JOIN categories c ON mi.category_id = c.category_id
-        WHERE mi.item_id = ?
-      `;
-      
-      db.query(fetchQuery, [newId], (fErr, rows) => {
-        const newItem = rows && rows[0] ? rows[0] : { item_id: newId, item_name, category_id, description, price, image_url, is_available: 1 };
-        
-        try {
-          io.to('admins').emit('menu:item:add', newItem);
-          io.to('customers').emit('menu:item:add', newItem);
-        } catch (_e) {
-          console.warn('[SOCKET] Failed to emit menu:item:add');
-        }
-        
-        res.status(201).json({ message: 'Menu item added successfully', itemId: newId });
-      });
-    });
-  } catch (error) {
-    next(error);
-  }
-});
-
-app.put('/api/menu/:id', authenticateToken, requireRole('admin'), validateMenuItem, handleValidationErrors, (req, res, next) => {
-  try {
-    const itemId = parseInt(req.params.id);
-    if (isNaN(itemId)) {
-      return res.status(400).json({ error: 'Invalid item ID' });
-    }
-    
-    const { category_id, item_name, description, price, is_available } = req.body;
-    const safeAvailable = is_available ? 1 : 0;
-    
-    const query = `
-      UPDATE menu_items
-      SET category_id = ?, item_name = ?, description = ?, price = ?, is_available = ?, updated_at = NOW()
-      WHERE item_id = ?
-    `;
-    
-    db.query(query, [category_id || null, item_name, description || null, price, safeAvailable, itemId], (err, result) => {
-      if (err) {
-        console.error('[DB] Menu item update error:', err.message);
-        return res.status(500).json({ error: 'Failed to update menu item' });
-      }
-      
-      if (result.affectedRows === 0) {
-        return res.status(404).json({ error: 'Menu item not found' });
-      }
-      
-      const fetchQuery = `
-        SELECT mi.*, c.category_name
-        FROM menu_items mi
-        LEFT JOIN categories c ON mi.category_id = c.category_id
-        WHERE mi.item_id = ?
-      `;
-      
-      db.query(fetchQuery, [itemId], (fErr, rows) => {
-        const updated = rows && rows[0] ? rows[0] : { item_id: itemId, is_available: safeAvailable };
-        
-        try {
-          io.to('admins').emit('menu:item:update', updated);
-          io.to('customers').emit('menu:item:update', updated);
-        } catch (_e) {
-          console.warn('[SOCKET] Failed to emit menu:item:update');
-        }
-        
-        res.json({ message: 'Menu item updated successfully', item: updated });
-      });
-    });
-  } catch (error) {
-    next(error);
-  }
-});
-
-app.delete('/api/menu/:id', authenticateToken, requireRole('admin'), async (req, res, next) => {
-  const itemId = parseInt(req.params.id);
-
-  if (isNaN(itemId)) {
-      return res.status(400).json({ error: 'Invalid item ID' });
-  }
-
-  
-  const updateQuery = 'UPDATE menu_items SET is_active = 0, updated_at = NOW() WHERE item_id = ?';
-
-  db.query(updateQuery, [itemId], (err, result) => {
-      if (err) {
-          console.error('[DB] Menu item soft deletion error:', err.message);
-          // We use 500 here if the UPDATE query fails, but not for FK constraint issues
-          return res.status(500).json({ error: 'Failed to deactivate menu item' });
-      }
-
-      if (result.affectedRows === 0) {
-          return res.status(404).json({ error: 'Menu item not found or already inactive' });
-      }
-
-      // Successfully "deleted" (deactivated)
-      res.status(200).json({ message: `Menu item ${itemId} successfully deactivated.` });
-  });
-});
-
-app.get('/api/categories', (req, res, next) => {
-  const query = 'SELECT * FROM categories WHERE is_active = TRUE ORDER BY category_name';
-  db.query(query, (err, results) => {
-    if (err) {
-      console.error('[DB] Categories fetch error:', err.message);
-      return res.status(500).json({ error: 'Failed to fetch categories' });
-    }
-    res.json(results);
-  });
-});
-
-app.post('/api/categories', authenticateToken, requireRole('admin'), validateCategory, handleValidationErrors, (req, res, next) => {
-  try {
-    const { category_name, is_active } = req.body;
-    const active = is_active !== false ? 1 : 0;
-    
-    const query = 'INSERT INTO categories (category_name, is_active, created_at) VALUES (?, ?, NOW())';
-    db.query(query, [category_name, active], (err, result) => {
-      if (err) {
-        console.error('[DB] Category creation error:', err.message);
-        return res.status(500).json({ error: 'Failed to create category' });
-      }
-      
-      const newId = result.insertId;
-      db.query('SELECT * FROM categories WHERE category_id = ?', [newId], (fErr, rows) => {
-        const cat = rows && rows[0] ? rows[0] : { category_id: newId, category_name, is_active: active };
-        
-        try {
-          io.to('admins').emit('category:add', cat);
-        } catch (_e) {
-          console.warn('[SOCKET] Failed to emit category:add');
-        }
-        
-        res.status(201).json(cat);
-      });
-    });
-  } catch (error) {
-    next(error);
-  }
-});
-
-app.put('/api/categories/:id', authenticateToken, requireRole('admin'), validateCategory, handleValidationErrors, (req, res, next) => {
-  try {
-    const catId = parseInt(req.params.id);
-    if (isNaN(catId)) {
-      return res.status(400).json({ error: 'Invalid category ID' });
-    }
-    
-    const { category_name, is_active } = req.body;
-    const updates = [];
-    const params = [];
-    
-    if (typeof category_name === 'string' && category_name.trim()) {
-      updates.push('category_name = ?');
-      params.push(category_name.trim());
-    }
-
-    let isStatusChange = false;
-    let newIsActiveStatus = null; 
-
-    if (typeof is_active !== 'undefined') {
-      isStatusChange = true;
-      newIsActiveStatus = is_active ? 1 : 0;
-      updates.push('is_active = ?');
-      params.push(newIsActiveStatus);
-    }
-    
-    if (updates.length === 0) {
-      return res.status(400).json({ error: 'No valid fields to update' });
-    }
-    
-    const categoryUpdateQuery = `UPDATE categories SET ${updates.join(', ')}, updated_at = NOW() WHERE category_id = ?`;
-
-    // Start database transaction
-    db.getConnection((err, connection) => {
-      if (err) {
-        console.error('[DB] Connection error:', err.message);
-        return res.status(500).json({ error: 'Database connection failed' });
-      }
-
-      connection.beginTransaction((err) => {
-        if (err) {
-          connection.release();
-          console.error('[DB] Transaction start error:', err.message);
-          return res.status(500).json({ error: 'Transaction failed' });
-        }
-
-        // 1. Update the category itself
-        connection.query(categoryUpdateQuery, [...params, catId], (err, result) => {
-          if (err) {
-            return connection.rollback(() => {
-              connection.release();
-              console.error('[DB] Category update error:', err.message);
-              res.status(500).json({ error: 'Failed to update category' });
-            });
-          }
-          
-          if (result.affectedRows === 0) {
-            return connection.rollback(() => {
-              connection.release();
-              res.status(404).json({ error: 'Category not found' });
-            });
-          }
-
-          let cascadeQuery = null;
-          let successMessage = 'Category updated successfully';
-          
-          if (isStatusChange) {
-            if (newIsActiveStatus === 0) {
-              // Deactivation: Cascade to menu items
-              cascadeQuery = 'UPDATE menu_items SET is_active = 0, is_available = 0, updated_at = NOW() WHERE category_id = ?';
-              successMessage = 'Category and associated items deactivated successfully';
-            } else {
-              // Activation: Cascade to menu items
-              // Set both is_active and is_available to 1 to restore menu visibility.
-              cascadeQuery = 'UPDATE menu_items SET is_active = 1, is_available = 1, updated_at = NOW() WHERE category_id = ?';
-              successMessage = 'Category activated, associated items re-activated successfully';
-            }
-          }
-
-          // 2. Cascade update (if status was changed)
-          if (cascadeQuery) {
-            connection.query(cascadeQuery, [catId], (err, menuResult) => {
-              if (err) {
-                return connection.rollback(() => {
-                  connection.release();
-                  console.error('[DB] Menu item cascade error:', err.message);
-                  res.status(500).json({ error: 'Failed to update associated menu items' });
-                });
-              }
-
-              // 3. Commit transaction
-              connection.commit((err) => {
-                if (err) {
-                  return connection.rollback(() => {
-                    connection.release();
-                    console.error('[DB] Transaction commit error:', err.message);
-                    res.status(500).json({ error: 'Failed to complete category update transaction' });
-                  });
-                }
-                
-                connection.release();
-                
-                // Fetch and emit update
-                db.query('SELECT * FROM categories WHERE category_id = ?', [catId], (fErr, rows) => {
-                  const cat = rows && rows[0] ? rows[0] : null;
-                  
-                  try {
-                    io.to('admins').emit('category:update', cat || { category_id: catId, is_active: newIsActiveStatus });
-                    io.to('customers').emit('menu:full:refresh'); 
-                  } catch (_e) {
-                    console.warn('[SOCKET] Failed to emit category update or menu refresh');
-                  }
-                  
-                  res.json(cat || { message: successMessage });
-                });
-              });
-            });
-
-          } else {
-            // 2b. Only category_name was updated (no status change)
-            connection.commit((err) => {
-              if (err) {
-                return connection.rollback(() => {
-                  connection.release();
-                  console.error('[DB] Transaction commit error:', err.message);
-                  res.status(500).json({ error: 'Failed to complete category update transaction' });
-                });
-              }
-              
-              connection.release();
-              
-              db.query('SELECT * FROM categories WHERE category_id = ?', [catId], (fErr, rows) => {
-                const cat = rows && rows[0] ? rows[0] : null;
-                
-                try {
-                  io.to('admins').emit('category:update', cat || { category_id: catId });
-                } catch (_e) {
-                  console.warn('[SOCKET] Failed to emit category update');
-                }
-                
-                res.json(cat || { message: successMessage });
-              });
-            });
-          }
-        });
-      });
-    });
-  } catch (error) {
-    next(error);
-  }
-});
-
-app.post('/api/orders', authenticateToken, requireRole('customer'), orderLimiter, (req, res, next) => {
-  try {
-    if (!req.user) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
-    
-    const { items, payment_method, special_instructions, order_type, scheduled_at } = req.body;
-    const userId = req.user.userId;
-    
-    let finalScheduledTime = null;
-    const finalOrderType = order_type === 'scheduled' ? 'scheduled' : 'asap';
-
-    // (Existing scheduled time validation logic remains here)
-    if (finalOrderType === 'scheduled') {
-      if (!scheduled_at) {
-        return res.status(400).json({ error: 'Scheduled time is required for scheduled orders.' });
-      }
-      
-      const orderDate = new Date(scheduled_at);
-      const now = new Date();
-      
-      if (isNaN(orderDate.getTime()) || orderDate <= now) {
-          return res.status(400).json({ error: 'Invalid or past scheduled time.' });
-      }
-      
-      finalScheduledTime = new Date(scheduled_at).toISOString().slice(0, 19).replace('T', ' ');
-    }
-    
-    if (!Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ error: 'Order must contain at least one item' });
-    }
-    
-    if (!payment_method || typeof payment_method !== 'string') {
-      return res.status(400).json({ error: 'Payment method is required' });
-    }
-    
-    // Only validate item structure (ID, quantity), price is ignored/overwritten later
-    for (const item of items) {
-      if (!Number.isInteger(item.item_id) || !Number.isInteger(item.quantity)) {
-        // Removed item.price check as it's unreliable client data
-        return res.status(400).json({ error: 'Invalid item data (item ID or quantity missing/invalid).' });
-      }
-      if (item.quantity < 1) {
-        return res.status(400).json({ error: 'Item quantity must be at least 1' });
-      }
-    }
-    
-    const orderNumber = 'ORD' + Date.now();
-    // const total = items.reduce((sum, item) => sum + (item.price * item.quantity), 0); // REMOVED - Total will be calculated based on DB price
-
-    db.getConnection((err, connection) => {
-      if (err) {
-        console.error('[DB] Connection error:', err.message);
-        return res.status(500).json({ error: 'Database connection failed' });
-      }
-      
-      connection.beginTransaction((err) => {
-        if (err) {
-          connection.release();
-          console.error('[DB] Transaction start error:', err.message);
-          return res.status(500).json({ error: 'Transaction failed' });
-        }
-
-        // --- 🎯 STEP 1: Fetch and Validate Item Details from DB ---
-        const itemIds = items.map(item => item.item_id);
-        const itemDetailsQuery = `
-          SELECT item_id, price, is_active, item_name 
-          FROM menu_items 
-          WHERE item_id IN (?)
-        `;
-
-        connection.query(itemDetailsQuery, [itemIds], (err, dbItems) => {
-          if (err) {
-            return connection.rollback(() => {
-              connection.release();
-              console.error('[DB] Item details fetch error:', err.message);
-              return res.status(500).json({ error: 'Failed to validate order items' });
-            });
-          }
-
-          let finalTotal = 0;
-          const finalOrderItemsData = [];
-          const dbItemMap = new Map(dbItems.map(item => [item.item_id, item]));
-
-          for (const item of items) {
-            const dbItem = dbItemMap.get(item.item_id);
-
-            // 1. Check for deletion/existence
-            if (!dbItem || dbItem.is_active === 0) {
-              return connection.rollback(() => {
-                connection.release();
-                // Return a specific error message for the soft-deleted item
-                return res.status(400).json({ 
-                  error: `Item "${dbItem?.item_name || item.item_id}" is no longer available. Please remove it from your cart.` 
-                });
-              });
-            }
-
-            // 2. Use database price (unitPrice) and calculate new total
-            const unitPrice = dbItem.price;
-            const subtotal = unitPrice * item.quantity;
-            finalTotal += subtotal;
-
-            finalOrderItemsData.push([
-              0, // Placeholder for orderId (updated later)
-              item.item_id, 
-              item.quantity, 
-              unitPrice, // Use DB price
-              subtotal
-            ]);
-          }
-          // --- 🎯 END STEP 1: Validation and Total Calculation Complete ---
-
-
-          // --- 🎯 STEP 2: Insert Order (Now using validated finalTotal) ---
-          const orderQuery = `
-            INSERT INTO orders (user_id, order_number, total_amount, payment_method, special_instructions, status, payment_status, order_type, scheduled_at, created_at)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
-          `;
-          
-          connection.query(orderQuery, [userId, orderNumber, finalTotal, payment_method, special_instructions || null, ORDER_STATUS.PENDING, PAYMENT_STATUS.PENDING, finalOrderType, finalScheduledTime], (err, orderResult) => {
-            if (err) {
-              return connection.rollback(() => {
-                connection.release();
-                console.error('[DB] Order creation error:', err.message);
-                res.status(500).json({ error: 'Failed to create order' });
-              });
-            }
-            
-            const orderId = orderResult.insertId;
-            
-            // 🎯 Update orderId placeholder in the final order items data
-            const orderItemsDataForInsert = finalOrderItemsData.map(data => {
-              data[0] = orderId; // Set the first element (order_id) to the new orderId
-              return data;
-            });
-
-            // --- 🎯 STEP 3: Insert Order Items (Using server-validated data) ---
-            const orderItemsQuery = 'INSERT INTO order_items (order_id, item_id, quantity, unit_price, subtotal) VALUES ?';
-            
-            connection.query(orderItemsQuery, [orderItemsDataForInsert], (err) => {
-              if (err) {
-                return connection.rollback(() => {
-                  connection.release();
-                  console.error('[DB] Order items creation error:', err.message);
-                  // This is likely a foreign key error if a soft-deleted item somehow slipped through
-                  res.status(500).json({ error: 'Failed to add order items (item reference error)' });
-                });
-              }
-              
-              // --- 🎯 STEP 4: Commit Transaction ---
-              connection.commit((err) => {
-                if (err) {
-                  return connection.rollback(() => {
-                    connection.release();
-                    console.error('[DB] Transaction commit error:', err.message);
-                    res.status(500).json({ error: 'Failed to complete order' });
-                  });
-                }
-                
-                connection.release();
-                
-                try {
-                  io.to('admins').emit('order:new', {
-                    orderId,
-                    orderNumber,
-                    totalAmount: finalTotal, // Use finalTotal
-                    userId,
-                    username: req.user.username,
-                    orderType: finalOrderType,
-                    scheduledAt: finalScheduledTime,
-                    at: Date.now()
-                  });
-                } catch (_e) {
-                  console.warn('[SOCKET] Failed to emit order:new');
-                }
-                
-                console.log(`[ORDER] New order ${orderNumber} created by user ${userId}`);
-                res.status(201).json({
-                  message: 'Order placed successfully',
-                  orderId,
-                  orderNumber,
-                  totalAmount: finalTotal
-                });
-              });
-            });
-          });
-        });
-      });
-    });
-  } catch (error) {
-    next(error);
-  }
-});
-
-app.get('/api/orders/my-orders', authenticateToken, requireRole('customer'), (req, res, next) => {
-  const userId = req.user.userId;
-  const page = Math.max(1, parseInt(req.query.page) || 1);
-  const limit = 20;
-  const offset = (page - 1) * limit;
-  
-  const query = `
-    SELECT o.*, COUNT(oi.order_item_id) as item_count
-    FROM orders o
-    LEFT JOIN order_items oi ON o.order_id = oi.order_id
-    WHERE o.user_id = ?
-    GROUP BY o.order_id
-    ORDER BY o.created_at DESC
-    LIMIT ? OFFSET ?
-  `;
-  
-  db.query(query, [userId, limit, offset], (err, results) => {
-    if (err) {
-      console.error('[DB] User orders fetch error:', err.message);
-      return res.status(500).json({ error: 'Failed to fetch orders' });
-    }
-    res.json({
-      orders: results,
-      page,
-      limit,
-      count: results.length
-    });
-  });
-});
-
-// server.js (Add this route in the Order API section)
-
-app.get('/api/orders', authenticateToken, requireRole('customer'), (req, res, next) => {
-  const userId = req.user.userId;
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 20;
-  const offset = (page - 1) * limit;
-
-  const countQuery = `SELECT COUNT(order_id) as total_count FROM orders WHERE user_id = ?`;
-  
-  // 1. Get the total count of orders for this user
-  db.query(countQuery, [userId], (err, countRows) => {
-    if (err) {
-      console.error('[DB] User orders count error:', err.message);
-      return res.status(500).json({ error: 'Failed to fetch orders count' });
-    }
-    const totalCount = countRows[0]?.total_count || 0;
-
-    const ordersQuery = `
-      SELECT o.*, SUM(oi.quantity) AS item_count
-      FROM orders o
-      LEFT JOIN order_items oi ON o.order_id = oi.order_id
-      WHERE o.user_id = ? 
-      GROUP BY o.order_id
-      ORDER BY o.created_at DESC
-      LIMIT ? OFFSET ?
-    `;
-
-    // 2. Fetch the paginated list of orders
-    db.query(ordersQuery, [userId, limit, offset], (err, ordersList) => {
-      if (err) {
-        console.error('[DB] User orders fetch error:', err.message);
-        return res.status(500).json({ error: 'Failed to fetch orders' });
-      }
-
-      res.json({
-        orders: ordersList,
-        page: page,
-        limit: limit,
-        count: totalCount
-      });
-    });
-  });
-});
+const server = http.createServer(app);
+attachSockets(server);
+checkConnection();
+parRestock.start();
+scheduledOrders.start();
 
-app.get('/api/orders/:id', authenticateToken, requireRole('customer'), (req, res, next) => {
-  const orderId = parseInt(req.params.id);
-  const userId = req.user.userId;
-  
-  if (isNaN(orderId)) {
-    return res.status(400).json({ error: 'Invalid order ID' });
-  }
-  
-  const query = `
-    SELECT o.*, oi.order_item_id, oi.item_id, oi.quantity, oi.unit_price, oi.subtotal, mi.item_name, mi.image_url
-    FROM orders o
-    LEFT JOIN order_items oi ON o.order_id = oi.order_id
-    LEFT JOIN menu_items mi ON oi.item_id = mi.item_id
-    WHERE o.order_id = ? AND o.user_id = ?
-  `;
-  
-  db.query(query, [orderId, userId], (err, results) => {
-    if (err) {
-      console.error('[DB] Order details fetch error:', err.message);
-      return res.status(500).json({ error: 'Failed to fetch order details' });
-    }
-    
-    if (results.length === 0) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
-    
-    const orderData = results[0];
-    const items = results
-      .filter(r => r.order_item_id !== null)
-      .map(r => ({
-        orderItemId: r.order_item_id,
-        itemId: r.item_id,
-        quantity: r.quantity,
-        unitPrice: r.unit_price,
-        subtotal: r.subtotal,
-        itemName: r.item_name,
-        imageUrl: r.image_url
-      }));
-    
-    res.json({
-      orderId: orderData.order_id,
-      orderNumber: orderData.order_number,
-      totalAmount: orderData.total_amount,
-      paymentMethod: orderData.payment_method,
-      status: orderData.status,
-      paymentStatus: orderData.payment_status,
-      specialInstructions: orderData.special_instructions,
-      createdAt: orderData.created_at,
-      items
-    });
-  });
-});
-
-app.get('/api/admin/categories', authenticateToken, requireRole('admin'), (req, res, next) => {
-  const query = 'SELECT * FROM categories ORDER BY category_name ASC'; 
-
-  db.query(query, (err, results) => {
-    if (err) {
-      console.error('[DB] Failed to fetch admin categories:', err.message);
-      return res.status(500).json({ error: 'Failed to retrieve categories from database' });
-    }
-    res.json(results); 
-  });
-});
-
-app.get('/api/admin/menu/order-counts', authenticateToken, requireRole('admin'), (req, res, next) => {
-  const query = `
-    SELECT 
-      mi.item_id,
-      mi.item_name,
-      mi.image_url,
-      c.category_name,
-      SUM(oi.quantity) AS total_quantity_ordered
-    FROM menu_items mi
-    LEFT JOIN order_items oi ON mi.item_id = oi.item_id
-    LEFT JOIN categories c ON mi.category_id = c.category_id
-    GROUP BY mi.item_id, mi.item_name, mi.image_url, c.category_name
-    ORDER BY total_quantity_ordered DESC, mi.item_name ASC
-  `;
-
-  db.query(query, (err, results) => {
-    if (err) {
-      console.error('[DB] Item order counts fetch error:', err.message);
-      return res.status(500).json({ error: 'Failed to fetch item order counts' });
-    }
-    res.json(results);
-  });
-});
-
-app.get('/api/admin/orders', authenticateToken, requireRole('admin'), (req, res, next) => {
-  const page = Math.max(1, parseInt(req.query.page) || 1);
-  const limit = 20;
-  const offset = (page - 1) * limit;
-  
-  const query = `
-    SELECT o.order_id, o.order_number, o.total_amount, o.payment_method, o.status, o.payment_status, o.order_type, o.scheduled_at, o.created_at, u.user_id, u.username, u.full_name, COUNT(oi.order_item_id) AS item_count
-    FROM orders o
-    LEFT JOIN users u ON o.user_id = u.user_id
-    LEFT JOIN order_items oi ON o.order_id = oi.order_id
-    GROUP BY o.order_id
-    ORDER BY o.created_at DESC
-    LIMIT ? OFFSET ?
-  `;
-  
-  db.query(query, [limit, offset], (err, results) => {
-    if (err) {
-      console.error('[DB] Admin orders fetch error:', err.message);
-      return res.status(500).json({ error: 'Failed to fetch orders' });
-    }
-    
-    res.json({
-      orders: results,
-      page,
-      limit,
-      count: results.length
-    });
-  });
-});
-
-app.get('/api/admin/orders/:id', authenticateToken, requireRole('admin'), (req, res, next) => {
-  const orderId = parseInt(req.params.id);
-  
-  if (isNaN(orderId)) {
-    return res.status(400).json({ error: 'Invalid order ID' });
-  }
-  
-  const query = `
-    SELECT 
-      o.order_id,
-      o.order_number,
-      o.total_amount,
-      o.payment_method,
-      o.status,
-      o.payment_status,
-      o.order_type,
-      o.scheduled_at,
-      o.special_instructions,
-      o.created_at,
-      o.updated_at,
-      u.user_id,
-      u.username,
-      u.full_name,
-      u.email,
-      u.phone,
-      oi.order_item_id,
-      oi.item_id,
-      oi.quantity,
-      oi.unit_price,
-      oi.subtotal,
-      COALESCE(oi.item_name_snapshot, mi.item_name) AS item_name, 
-      mi.image_url,
-      mi.description
-    FROM orders o
-    LEFT JOIN users u ON o.user_id = u.user_id
-    LEFT JOIN order_items oi ON o.order_id = oi.order_id
-    LEFT JOIN menu_items mi ON oi.item_id = mi.item_id
-    WHERE o.order_id = ?
-  `;
-  
-  db.query(query, [orderId], (err, results) => {
-    if (err) {
-      console.error('[DB] Admin order details error:', err.message);
-      return res.status(500).json({ error: 'Failed to fetch order details' });
-    }
-    
-    if (results.length === 0) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
-    
-    const orderData = results[0];
-    
-    const items = results
-      .filter(r => r.order_item_id !== null)
-      .map(r => {
-        const safeQuantity = parseInt(r.quantity) || 0;
-        const safeUnitPrice = parseFloat(r.unit_price) || 0.00;
-        const safeSubtotal = parseFloat(r.subtotal) || (safeQuantity * safeUnitPrice);
-
-        const safeItemName = r.item_name || `Item Not Found (ID: ${r.item_id})`;
-        const safeDescription = r.description || 'No description available.'; 
-        
-        return {
-          order_item_id: r.order_item_id,
-          item_id: r.item_id,
-          item_name: safeItemName,
-          description: safeDescription,
-          quantity: safeQuantity, 
-          price: safeUnitPrice,
-          subtotal: safeSubtotal,
-          image_url: r.image_url
-        };
-      });
-    
-    const itemCount = items.reduce((sum, item) => sum + item.quantity, 0);
-    
-    res.json({
-      order_id: orderData.order_id,
-      order_number: orderData.order_number,
-      user_id: orderData.user_id,
-      username: orderData.username,
-      full_name: orderData.full_name,
-      email: orderData.email,
-      phone: orderData.phone,
-      total_amount: orderData.total_amount,
-      payment_method: orderData.payment_method,
-      status: orderData.status,
-      payment_status: orderData.payment_status,
-      order_type: orderData.order_type,
-      scheduled_at: orderData.scheduled_at,
-      special_instructions: orderData.special_instructions,
-      created_at: orderData.created_at,
-      updated_at: orderData.updated_at,
-      item_count: itemCount,
-      items: items
-    });
-  });
-});
-
-// New Route to Update Order Status (including payment_status) - Corrected Version
-app.put('/api/admin/orders/:id', authenticateToken, requireRole('admin'), async (req, res, next) => {
-  const orderId = parseInt(req.params.id);
-  const { status, payment_status } = req.body;
-
-  if (isNaN(orderId)) {
-    return res.status(400).json({ error: 'Invalid order ID' });
-  }
-
-  const updates = [];
-  const values = [];
-
-  // Use the global constants for validation
-  if (status && [ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED, ORDER_STATUS.PREPARING, ORDER_STATUS.READY, ORDER_STATUS.COMPLETED, ORDER_STATUS.CANCELLED].includes(status)) {
-    updates.push('status = ?');
-    values.push(status);
-  }
-
-  if (payment_status && [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.PAID, PAYMENT_STATUS.REFUNDED].includes(payment_status)) {
-    updates.push('payment_status = ?');
-    values.push(payment_status);
-  }
-
-  if (updates.length === 0) {
-    return res.status(400).json({ error: 'No valid fields provided for update' });
-  }
-
-  const query = `UPDATE orders SET ${updates.join(', ')}, updated_at = NOW() WHERE order_id = ?`;
-  values.push(orderId);
-
-  db.query(query, values, (err, result) => {
-    if (err) {
-      console.error('[DB] Admin order update error:', err.message);
-      return res.status(500).json({ error: 'Failed to update order' });
-    }
-
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
-
-    // --- CRITICAL FIX: Fetch the full, updated order data before emitting ---
-    const fetchQuery = `
-      SELECT 
-        o.*, 
-        u.username,
-        u.email,
-        u.full_name
-      FROM orders o
-      JOIN users u ON o.user_id = u.user_id
-      WHERE o.order_id = ?
-    `;
-
-    db.query(fetchQuery, [orderId], (fetchErr, fetchResults) => {
-        if (fetchErr || fetchResults.length === 0) {
-            console.error('[DB] Failed to fetch updated order for socket:', fetchErr?.message || 'Not found');
-            const fallbackData = { order_id: orderId, status: status || req.body.status, payment_status: payment_status || req.body.payment_status };
-            io.to('admins').emit('order:update', fallbackData);
-            return res.json(fallbackData); 
-        }
-
-        const updatedOrderData = fetchResults[0];
-
-        // Format the data to match the frontend's expected order structure
-        const socketData = {
-            order_id: updatedOrderData.order_id,
-            order_number: updatedOrderData.order_number,
-            user_id: updatedOrderData.user_id,
-            username: updatedOrderData.username,
-            full_name: updatedOrderData.full_name,
-            total_amount: updatedOrderData.total_amount,
-            status: updatedOrderData.status,
-            payment_status: updatedOrderData.payment_status,
-            order_type: updatedOrderData.order_type,
-            scheduled_at: updatedOrderData.scheduled_at,
-            created_at: updatedOrderData.created_at, // CRITICAL: This was missing previously
-            email: updatedOrderData.email,
-        };
-
-        // Emit socket event with complete order data
-        try {
-            io.to('admins').emit('order:update', socketData);
-            if (status) {
-               io.to(`user:${socketData.user_id}`).emit('order:update', socketData);
-            }
-        } catch (_e) {
-            console.warn('[SOCKET] Failed to emit complete order:update');
-        }
-
-        
-        res.json(socketData);
-    });
-  });
-});
-
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
-});
-
-app.use((req, res) => {
-  res.status(404).json({ error: 'Route not found' });
-});
-
-app.use(handleError);
-
-const PORT = process.env.PORT || 5000;
-http.listen(PORT, () => {
+server.listen(config.PORT, () => {
   console.log(`
-      Server running on port ${PORT}
-      Environment: ${NODE_ENV}
+      Server running on port ${config.PORT}
+      Environment: ${config.NODE_ENV}
   `);
-});
\ No newline at end of file
+});
@@ -0,0 +1,134 @@
+// services/accountTokenService.js - Password resets and email verification by emailed link
+const bcrypt = require('bcrypt');
+const config = require('../config');
+const HttpError = require('../utils/httpError');
+const { withTransaction } = require('../db/pool');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { sendMail } = require('../mailer');
+const templates = require('../mailer/templates');
+const userRepository = require('../repositories/userRepository');
+const userTokenRepository = require('../repositories/userTokenRepository');
+const sessionRepository = require('../repositories/sessionRepository');
+const auditService = require('./auditService');
+
+const PURPOSE = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+// A failed delivery is logged rather than surfaced: callers such as
+// registration should still succeed, and forgot-password must not reveal
+// anything about the address.
+const deliver = async (to, message) => {
+  try {
+    await sendMail({ to, ...message });
+  } catch (err) {
+    console.error(`[MAIL] ✗ Failed to send "${message.subject}" to ${to}:`, err.message);
+  }
+};
+
+// Replaces any outstanding token of the same purpose and returns the raw one.
+const issueToken = async (userId, purpose, ttlMs) => {
+  const now = new Date();
+  const { token, tokenHash } = generateToken();
+  await userTokenRepository.invalidateForUser(userId, purpose, now);
+  await userTokenRepository.create({
+    userId,
+    purpose,
+    tokenHash,
+    expiresAt: new Date(now.getTime() + ttlMs)
+  });
+  return token;
+};
+
+const sendPasswordReset = async (user) => {
+  const ttlMinutes = config.PASSWORD_RESET_TTL_MINUTES;
+  const token = await issueToken(user.user_id, PURPOSE.PASSWORD_RESET, ttlMinutes * 60 * 1000);
+  await deliver(user.email, templates.passwordReset({ username: user.username, token, ttlMinutes }));
+  console.log('[PASSWORD RESET] Link sent to:', user.email);
+};
+
+// Always resolves the same way so the endpoint cannot be used to probe
+// which emails are registered.
+const requestPasswordReset = async ({ email }) => {
+  const user = await userRepository.findByEmail(email);
+  if (!user || !user.is_active) {
+    console.warn('[PASSWORD RESET] No active account for:', email);
+    return;
+  }
+
+  await sendPasswordReset(user);
+};
+
+// Sets the new password, burns the token and signs the user out everywhere.
+// Following the emailed link also proves the address, so it counts as
+// verification. The request is anonymous, so the audit entry is attributed
+// to the account owner.
+const resetPassword = async ({ token, password }, context) => {
+  const passwordHash = await bcrypt.hash(password, 10);
+
+  const username = await withTransaction(async (connection) => {
+    const now = new Date();
+    const row = await userTokenRepository.findUsableByTokenHash(
+      hashToken(token), PURPOSE.PASSWORD_RESET, now, connection
+    );
+    if (!row || (await userTokenRepository.markUsed(row.token_id, now, connection)) === 0) {
+      throw new HttpError(400, 'Reset link is invalid or has expired');
+    }
+
+    await userRepository.updatePassword(row.user_id, passwordHash, connection);
+    await userRepository.markEmailVerified(row.user_id, now, connection);
+    await sessionRepository.revokeAllForUser(row.user_id, null, now, connection);
+    await auditService.record({ ...context, userId: row.user_id }, {
+      action: 'user.password_reset',
+      entityType: 'user',
+      entityId: row.user_id
+    }, connection);
+    return row.username;
+  });
+
+  console.log('[PASSWORD RESET] ✓ Password reset for:', username);
+};
+
+const sendVerificationEmail = async (user) => {
+  const ttlHours = config.EMAIL_VERIFICATION_TTL_HOURS;
+  const token = await issueToken(user.user_id, PURPOSE.EMAIL_VERIFICATION, ttlHours * 60 * 60 * 1000);
+  await deliver(user.email, templates.emailVerification({ username: user.username, token, ttlHours }));
+};
+
+const resendVerification = async (userId) => {
+  const user = await userRepository.findProfileById(userId);
+  if (!user) {
+    throw new HttpError(404, 'User not found');
+  }
+  if (user.email_verified_at) {
+    throw new HttpError(400, 'Email is already verified');
+  }
+  await sendVerificationEmail(user);
+};
+
+const verifyEmail = async ({ token }) => {
+  const username = await withTransaction(async (connection) => {
+    const now = new Date();
+    const row = await userTokenRepository.findUsableByTokenHash(
+      hashToken(token), PURPOSE.EMAIL_VERIFICATION, now, connection
+    );
+    if (!row || (await userTokenRepository.markUsed(row.token_id, now, connection)) === 0) {
+      throw new HttpError(400, 'Verification link is invalid or has expired');
+    }
+
+    await userRepository.markEmailVerified(row.user_id, now, connection);
+    return row.username;
+  });
+
+  console.log('[VERIFY EMAIL] ✓ Email verified for:', username);
+};
+
+module.exports = {
+  requestPasswordReset,
+  sendPasswordReset,
+  resetPassword,
+  sendVerificationEmail,
+  resendVerification,
+  verifyEmail
+};
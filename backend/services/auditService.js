@@ -0,0 +1,69 @@
+// services/auditService.js - Writes and queries the audit trail of admin mutations
+const HttpError = require('../utils/httpError');
+const auditLogRepository = require('../repositories/auditLogRepository');
+const { parseBound } = require('../utils/dateRange');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Keeps only `fields` from a row so snapshots stay small and never carry
+// secrets such as password hashes.
+const pick = (row, fields) => {
+  if (!row) return null;
+  return Object.fromEntries(fields.filter((field) => row[field] !== undefined).map((field) => [field, row[field]]));
+};
+
+// Pass the caller's transaction connection so the entry commits or rolls
+// back together with the change it describes. `context` comes from
+// utils/auditContext; it is absent for system-initiated changes.
+const record = (context, { action, entityType, entityId = null, before = null, after = null }, conn) =>
+  auditLogRepository.create({
+    userId: context ? context.userId : null,
+    action,
+    entityType,
+    entityId,
+    oldValues: before,
+    newValues: after,
+    ipAddress: context ? context.ip : null
+  }, conn);
+
+// mysql2 hands JSON columns back parsed; other drivers return strings.
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const parseId = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const id = parseInt(value);
+  if (isNaN(id)) {
+    throw new HttpError(400, 'Invalid ID filter');
+  }
+  return id;
+};
+
+const listLogs = async ({ page = 1, limit = DEFAULT_PAGE_SIZE, entity_type, entity_id, actor_id, actor, action, from, to }) => {
+  const pageSize = Math.min(Math.max(1, limit), MAX_PAGE_SIZE);
+  const filters = {
+    entityType: entity_type || undefined,
+    entityId: parseId(entity_id),
+    actorId: parseId(actor_id),
+    actor: actor ? actor.trim() : undefined,
+    action: action || undefined,
+    from: parseBound(from, false),
+    to: parseBound(to, true)
+  };
+
+  const [rows, total, entityTypes] = await Promise.all([
+    auditLogRepository.findPage(filters, { limit: pageSize, offset: (page - 1) * pageSize }),
+    auditLogRepository.countMatching(filters),
+    auditLogRepository.findEntityTypes()
+  ]);
+
+  return {
+    logs: rows.map((row) => ({ ...row, old_values: parseJson(row.old_values), new_values: parseJson(row.new_values) })),
+    page,
+    limit: pageSize,
+    total,
+    entity_types: entityTypes
+  };
+};
+
+module.exports = { record, pick, listLogs };
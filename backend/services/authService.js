@@ -0,0 +1,140 @@
+// services/authService.js - Registration, login, token refresh and profile lookups
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const HttpError = require('../utils/httpError');
+const { ROLES } = require('../constants');
+const userRepository = require('../repositories/userRepository');
+const permissionService = require('./permissionService');
+const sessionService = require('./sessionService');
+const accountTokenService = require('./accountTokenService');
+
+// Short-lived access token; `sid` ties it to the refresh session it came from.
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      userId: user.user_id,
+      username: user.username,
+      role: user.role,
+      sid: sessionId
+    },
+    config.JWT_SECRET,
+    { expiresIn: config.ACCESS_TOKEN_TTL }
+  );
+
+const toUserPayload = async (user) => {
+  const access = await permissionService.getUserAccess(user.user_id);
+  return {
+    userId: user.user_id,
+    username: user.username,
+    email: user.email,
+    emailVerified: Boolean(user.email_verified_at),
+    fullName: user.full_name,
+    role: user.role,
+    isSuperAdmin: access.isSuperAdmin,
+    permissions: access.permissions
+  };
+};
+
+// Opens a refresh session and returns the access token, the /login user
+// payload and the refresh token the route puts in its httpOnly cookie.
+const issueSession = async (user, context) => {
+  const { sessionId, refresh } = await sessionService.createSession(user.user_id, context);
+  return {
+    token: signAccessToken(user, sessionId),
+    user: await toUserPayload(user),
+    refresh
+  };
+};
+
+const refresh = async (refreshToken) => {
+  const { session, refresh: next } = await sessionService.rotateSession(refreshToken);
+  return {
+    token: signAccessToken(session, session.session_id),
+    user: await toUserPayload(session),
+    refresh: next
+  };
+};
+
+const logout = (refreshToken) => sessionService.revokeByRefreshToken(refreshToken);
+
+// Public sign-up only ever creates customers; staff and admins are invited
+// (see inviteService).
+const register = async ({ username, email, password, full_name, phone }, context) => {
+  const finalRole = ROLES.CUSTOMER;
+
+  const passwordHash = await bcrypt.hash(password, 10);
+
+  let userId;
+  try {
+    userId = await userRepository.create({ username, email, passwordHash, full_name, phone, role: finalRole });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      throw new HttpError(409, 'Username or email already exists');
+    }
+    throw err;
+  }
+
+  const { token, refresh } = await issueSession({ user_id: userId, username, email, full_name, role: finalRole }, context);
+  await accountTokenService.sendVerificationEmail({ user_id: userId, username, email });
+
+  console.log('[REGISTER] ✓ User registered:', username, 'as', finalRole);
+  return {
+    token,
+    refresh,
+    user: { user_id: userId, username, email, full_name, phone, role: finalRole }
+  };
+};
+
+const login = async ({ username, password }, context) => {
+  console.log('[LOGIN] Attempting login for:', username);
+
+  const user = await userRepository.findByLogin(username);
+  if (!user) {
+    console.warn('[LOGIN] User not found:', username);
+    throw new HttpError(401, 'Invalid credentials');
+  }
+
+  if (!user.password) {
+    console.warn('[LOGIN] Password hash missing for user:', username);
+    throw new HttpError(401, 'Invalid credentials');
+  }
+
+  const validPassword = await bcrypt.compare(password, user.password);
+  if (!validPassword) {
+    console.warn('[LOGIN] Invalid password for user:', username);
+    throw new HttpError(401, 'Invalid credentials');
+  }
+
+  if (!user.is_active) {
+    console.warn('[LOGIN] Deactivated account:', username);
+    throw new HttpError(403, 'Account is deactivated');
+  }
+
+  console.log('[LOGIN] ✓ Login successful:', username);
+  return issueSession(user, context);
+};
+
+const getProfile = async (userId) => {
+  const u = await userRepository.findProfileById(userId);
+  if (!u) {
+    throw new HttpError(404, 'User not found');
+  }
+  if (!u.is_active) {
+    throw new HttpError(403, 'Account is deactivated');
+  }
+  const access = await permissionService.getUserAccess(userId);
+  return {
+    userId: u.user_id,
+    username: u.username,
+    email: u.email,
+    emailVerified: Boolean(u.email_verified_at),
+    fullName: u.full_name,
+    phone: u.phone,
+    role: u.role,
+    isSuperAdmin: access.isSuperAdmin,
+    permissions: access.permissions
+  };
+};
+
+module.exports = { register, login, refresh, logout, getProfile, issueSession };
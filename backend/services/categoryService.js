@@ -0,0 +1,98 @@
+// services/categoryService.js - Categories and the item activation cascade
+const HttpError = require('../utils/httpError');
+const { withTransaction } = require('../db/pool');
+const categoryRepository = require('../repositories/categoryRepository');
+const menuRepository = require('../repositories/menuRepository');
+const auditService = require('./auditService');
+const { emit } = require('../sockets/emitter');
+
+const AUDIT_FIELDS = ['category_name', 'is_active', 'tax_rate'];
+
+const listActiveCategories = () => categoryRepository.findActive();
+
+const listAllCategories = () => categoryRepository.findAll();
+
+const createCategory = async ({ category_name, is_active, tax_rate }, context) => {
+  const active = is_active !== false ? 1 : 0;
+  const { categoryId, created } = await withTransaction(async (connection) => {
+    const id = await categoryRepository.create({ category_name, is_active: active, tax_rate: tax_rate || 0 }, connection);
+    const row = await categoryRepository.findById(id, connection);
+    await auditService.record(context, {
+      action: 'category.create',
+      entityType: 'category',
+      entityId: id,
+      after: auditService.pick(row, AUDIT_FIELDS)
+    }, connection);
+    return { categoryId: id, created: row };
+  });
+
+  const category = created || { category_id: categoryId, category_name, is_active: active };
+  emit('admins', 'category:add', category);
+
+  return category;
+};
+
+const updateCategory = async (categoryId, { category_name, is_active, tax_rate }, context) => {
+  const fields = {};
+
+  if (typeof category_name === 'string' && category_name.trim()) {
+    fields.category_name = category_name.trim();
+  }
+
+  // Only affects new orders; past order lines keep the rate they were taxed at.
+  if (typeof tax_rate === 'number') {
+    fields.tax_rate = tax_rate;
+  }
+
+  const isStatusChange = typeof is_active !== 'undefined';
+  const newIsActiveStatus = isStatusChange ? (is_active ? 1 : 0) : null;
+  if (isStatusChange) {
+    fields.is_active = newIsActiveStatus;
+  }
+
+  if (Object.keys(fields).length === 0) {
+    throw new HttpError(400, 'No valid fields to update');
+  }
+
+  await withTransaction(async (connection) => {
+    const before = await categoryRepository.findById(categoryId, connection);
+    const affected = await categoryRepository.update(categoryId, fields, connection);
+    if (affected === 0) {
+      throw new HttpError(404, 'Category not found');
+    }
+
+    // Deactivating hides every item in the category; activating restores them.
+    let itemsAffected;
+    if (isStatusChange) {
+      itemsAffected = await menuRepository.setActiveByCategory(categoryId, newIsActiveStatus, connection);
+    }
+
+    const after = await categoryRepository.findById(categoryId, connection);
+    await auditService.record(context, {
+      action: 'category.update',
+      entityType: 'category',
+      entityId: categoryId,
+      before: auditService.pick(before, AUDIT_FIELDS),
+      after: { ...auditService.pick(after, AUDIT_FIELDS), ...(isStatusChange && { items_affected: itemsAffected }) }
+    }, connection);
+  });
+
+  let successMessage = 'Category updated successfully';
+  if (isStatusChange) {
+    successMessage = newIsActiveStatus === 0
+      ? 'Category and associated items deactivated successfully'
+      : 'Category activated, associated items re-activated successfully';
+  }
+
+  const category = await categoryRepository.findById(categoryId);
+  if (isStatusChange) {
+    emit('admins', 'category:update', category || { category_id: categoryId, is_active: newIsActiveStatus });
+    emit('customers', 'menu:full:refresh');
+  } else {
+    emit('admins', 'category:update', category || { category_id: categoryId });
+  }
+
+  return category || { message: successMessage };
+};
+
+module.exports = { listActiveCategories, listAllCategories, createCategory, updateCategory };
@@ -0,0 +1,275 @@
+// services/comboService.js - Combo meals: admin CRUD and expansion of ordered combos into their items
+const HttpError = require('../utils/httpError');
+const { withTransaction } = require('../db/pool');
+const { toMinor } = require('../utils/money');
+const comboRepository = require('../repositories/comboRepository');
+const menuRepository = require('../repositories/menuRepository');
+const categoryRepository = require('../repositories/categoryRepository');
+const modifierRepository = require('../repositories/modifierRepository');
+const auditService = require('./auditService');
+const { emit } = require('../sockets/emitter');
+
+const AUDIT_FIELDS = ['combo_name', 'description', 'price', 'image_url', 'is_available', 'is_active'];
+const SLOT_FIELDS = ['label', 'item_id', 'category_id', 'quantity'];
+
+const toSlot = (row) => ({
+  slot_id: row.slot_id,
+  label: row.label,
+  item_id: row.item_id,
+  item_name: row.item_name,
+  item_price: row.item_price,
+  category_id: row.category_id,
+  category_name: row.category_name,
+  quantity: row.quantity
+});
+
+// Adds `slots` to each combo row.
+const attachSlots = async (combos, conn) => {
+  if (combos.length === 0) {
+    return [];
+  }
+  const slots = await comboRepository.findSlotsByComboIds(combos.map((combo) => combo.combo_id), conn);
+  return combos.map((combo) => ({
+    ...combo,
+    slots: slots.filter((slot) => slot.combo_id === combo.combo_id).map(toSlot)
+  }));
+};
+
+const listCombos = async () => attachSlots(await comboRepository.findActive());
+
+const getCombo = async (comboId, conn) => {
+  const combo = await comboRepository.findActiveById(comboId, conn);
+  if (!combo) {
+    throw new HttpError(404, 'Combo not found');
+  }
+  const [withSlots] = await attachSlots([combo], conn);
+  return withSlots;
+};
+
+// Each slot is a fixed item or a category to choose from, never both.
+// Combos carry no per-item options, so a fixed item must not need any.
+const checkSlots = async (slots, conn) => {
+  const itemIds = slots.filter((slot) => slot.item_id).map((slot) => slot.item_id);
+  const items = itemIds.length > 0 ? await menuRepository.findByIds(itemIds, conn) : [];
+  const activeIds = new Set(items.filter((item) => item.is_active).map((item) => item.item_id));
+  const groups = itemIds.length > 0 ? await modifierRepository.findGroupsByItemIds(itemIds, conn) : [];
+  const needsOptions = new Set(groups.filter((group) => group.min_select > 0).map((group) => group.item_id));
+
+  for (const slot of slots) {
+    if (Boolean(slot.item_id) === Boolean(slot.category_id)) {
+      throw new HttpError(400, 'Each combo slot needs either an item or a category');
+    }
+    if (slot.item_id && !activeIds.has(slot.item_id)) {
+      throw new HttpError(400, `Menu item ${slot.item_id} not found`);
+    }
+    if (slot.item_id && needsOptions.has(slot.item_id)) {
+      const { item_name } = items.find((item) => item.item_id === slot.item_id);
+      throw new HttpError(400, `"${item_name}" has options that must be chosen, so it cannot be a fixed combo item`);
+    }
+    if (slot.category_id && !(await categoryRepository.findById(slot.category_id, conn))) {
+      throw new HttpError(400, `Category ${slot.category_id} not found`);
+    }
+  }
+
+  return slots.map((slot) => ({
+    label: slot.label ? slot.label.trim() : null,
+    item_id: slot.item_id || null,
+    category_id: slot.item_id ? null : slot.category_id,
+    quantity: slot.quantity || 1
+  }));
+};
+
+const snapshot = (combo) => ({
+  ...auditService.pick(combo, AUDIT_FIELDS),
+  slots: combo.slots.map((slot) => auditService.pick(slot, SLOT_FIELDS))
+});
+
+const createCombo = async ({ combo_name, description, price, image_url, is_available, slots }, context) => {
+  const created = await withTransaction(async (connection) => {
+    const checked = await checkSlots(slots, connection);
+    const comboId = await comboRepository.create({
+      combo_name: combo_name.trim(),
+      description: description || null,
+      price,
+      image_url: image_url || null,
+      is_available: is_available === false ? 0 : 1
+    }, connection);
+    await comboRepository.replaceSlots(comboId, checked, connection);
+
+    const combo = await getCombo(comboId, connection);
+    await auditService.record(context, {
+      action: 'combo.create',
+      entityType: 'combo',
+      entityId: comboId,
+      after: snapshot(combo)
+    }, connection);
+    return combo;
+  });
+
+  emit(['admins', 'customers'], 'menu:combo:add', created);
+  return created;
+};
+
+const updateCombo = async (comboId, { combo_name, description, price, image_url, is_available, slots }, context) => {
+  const updated = await withTransaction(async (connection) => {
+    const before = await getCombo(comboId, connection);
+    const checked = await checkSlots(slots, connection);
+    await comboRepository.update(comboId, {
+      combo_name: combo_name.trim(),
+      description: description || null,
+      price,
+      image_url: image_url || null,
+      is_available: is_available === false ? 0 : 1
+    }, connection);
+    await comboRepository.replaceSlots(comboId, checked, connection);
+
+    const after = await getCombo(comboId, connection);
+    await auditService.record(context, {
+      action: 'combo.update',
+      entityType: 'combo',
+      entityId: comboId,
+      before: snapshot(before),
+      after: snapshot(after)
+    }, connection);
+    return after;
+  });
+
+  emit(['admins', 'customers'], 'menu:combo:update', updated);
+  return updated;
+};
+
+// Soft delete, like menu items, so past orders keep their combo_id.
+const deactivateCombo = async (comboId, context) => {
+  await withTransaction(async (connection) => {
+    const before = await getCombo(comboId, connection);
+    await comboRepository.update(comboId, { is_active: 0 }, connection);
+    await auditService.record(context, {
+      action: 'combo.delete',
+      entityType: 'combo',
+      entityId: comboId,
+      before: snapshot(before),
+      after: { is_active: 0 }
+    }, connection);
+  });
+
+  emit(['admins', 'customers'], 'menu:combo:delete', { combo_id: comboId });
+};
+
+// Splits a bundle price (in cents) across its parts in proportion to their
+// menu prices. Every unit gets at least a cent and the lines always add up
+// to the bundle price exactly: the leftover cents go to the dearest part,
+// split onto a line of its own when they don't divide evenly.
+// `parts` is [{ listCents, quantity }]; returns [{ part, unitCents, quantity }].
+const apportion = (totalCents, parts) => {
+  const listTotal = parts.reduce((sum, part) => sum + part.listCents * part.quantity, 0);
+  const units = parts.map((part) => Math.max(1, Math.floor((totalCents * part.listCents) / listTotal)));
+  const main = parts.reduce((best, part, index) => (part.listCents > parts[best].listCents ? index : best), 0);
+
+  let remainder = totalCents - units.reduce((sum, unit, index) => sum + unit * parts[index].quantity, 0);
+  const step = Math.floor(remainder / parts[main].quantity);
+  units[main] += step;
+  remainder -= step * parts[main].quantity;
+
+  if (units[main] < 1) {
+    return null;
+  }
+
+  return parts.flatMap((part, index) => {
+    if (index !== main || remainder === 0) {
+      return [{ part: index, unitCents: units[index], quantity: part.quantity }];
+    }
+    const lines = [{ part: index, unitCents: units[index] + remainder, quantity: 1 }];
+    if (part.quantity > 1) {
+      lines.unshift({ part: index, unitCents: units[index], quantity: part.quantity - 1 });
+    }
+    return lines;
+  });
+};
+
+// Replaces each combo line of an order request with its component items,
+// priced at their share of the bundle (`base_price`). Plain item lines pass
+// through untouched. Component options are charged on top of the bundle.
+const expandOrderLines = async (lines, connection) => {
+  const comboIds = [...new Set(lines.filter((line) => line.combo_id).map((line) => line.combo_id))];
+  if (comboIds.length === 0) {
+    return lines;
+  }
+
+  const combos = await attachSlots(await comboRepository.findByIds(comboIds, connection), connection);
+  const comboMap = new Map(combos.map((combo) => [combo.combo_id, combo]));
+
+  const chosenIds = lines.flatMap((line) => (line.selections || []).map((selection) => selection.item_id).filter(Boolean));
+  const fixedIds = combos.flatMap((combo) => combo.slots.map((slot) => slot.item_id).filter(Boolean));
+  const menuIds = [...new Set([...chosenIds, ...fixedIds])];
+  const menuItems = menuIds.length > 0 ? await menuRepository.findByIds(menuIds, connection) : [];
+  const menuMap = new Map(menuItems.map((item) => [item.item_id, item]));
+
+  let comboLine = 0;
+  return lines.flatMap((line) => {
+    if (!line.combo_id) {
+      return [line];
+    }
+
+    const combo = comboMap.get(line.combo_id);
+    if (!combo || !combo.is_active || !combo.is_available) {
+      throw new HttpError(
+        400,
+        `Combo "${combo?.combo_name || line.combo_id}" is no longer available. Please remove it from your cart.`
+      );
+    }
+
+    const selections = new Map((line.selections || []).map((selection) => [selection.slot_id, selection]));
+    for (const slotId of selections.keys()) {
+      if (!combo.slots.some((slot) => slot.slot_id === slotId)) {
+        throw new HttpError(400, `The choices for "${combo.combo_name}" have changed. Please add it to your cart again.`);
+      }
+    }
+
+    const components = combo.slots.map((slot) => {
+      const selection = selections.get(slot.slot_id) || {};
+      const itemId = slot.item_id || selection.item_id;
+      if (!itemId) {
+        throw new HttpError(400, `Please choose ${slot.label || `a ${slot.category_name}`} for "${combo.combo_name}".`);
+      }
+
+      const item = menuMap.get(itemId);
+      if (slot.category_id && (!item || item.category_id !== slot.category_id)) {
+        throw new HttpError(400, `That choice is not part of "${combo.combo_name}". Please add it to your cart again.`);
+      }
+      if (!item || !item.is_active || !item.is_available) {
+        throw new HttpError(
+          400,
+          `"${item?.item_name || itemId}" in "${combo.combo_name}" is no longer available. Please remove it from your cart.`
+        );
+      }
+
+      return { item, quantity: slot.quantity, modifiers: selection.modifiers || [] };
+    });
+
+    const shares = apportion(
+      toMinor(combo.price),
+      components.map((component) => ({ listCents: toMinor(component.item.price), quantity: component.quantity }))
+    );
+    if (!shares) {
+      throw new HttpError(400, `Combo "${combo.combo_name}" cannot be ordered right now.`);
+    }
+
+    comboLine += 1;
+    return shares.map((share) => ({
+      item_id: components[share.part].item.item_id,
+      quantity: share.quantity * line.quantity,
+      modifiers: components[share.part].modifiers,
+      base_price: share.unitCents / 100,
+      combo: { combo_id: combo.combo_id, combo_name: combo.combo_name, combo_line: comboLine }
+    }));
+  });
+};
+
+module.exports = {
+  listCombos,
+  getCombo,
+  createCombo,
+  updateCombo,
+  deactivateCombo,
+  expandOrderLines
+};
@@ -0,0 +1,202 @@
+// services/inventoryService.js - Ingredients, recipes and ingredient-driven availability
+const HttpError = require('../utils/httpError');
+const { withTransaction } = require('../db/pool');
+const ingredientRepository = require('../repositories/ingredientRepository');
+const menuRepository = require('../repositories/menuRepository');
+const orderRepository = require('../repositories/orderRepository');
+const auditService = require('./auditService');
+const menuService = require('./menuService');
+
+const AUDIT_FIELDS = ['name', 'unit', 'stock_quantity', 'low_stock_threshold'];
+
+const listIngredients = () => ingredientRepository.findAll();
+
+// Takes items off sale when an ingredient can no longer cover one portion,
+// and puts back the ones this process took off once it can. Returns the
+// changed items' stock rows so callers can broadcast them after commit.
+const syncAvailability = async (connection) => {
+  const depleted = await menuRepository.findItemsShortOfIngredients(connection);
+  if (depleted.length > 0) {
+    await menuRepository.markIngredientsDepleted(depleted, connection);
+  }
+
+  const restored = await menuRepository.findItemsWithIngredientsRestored(connection);
+  if (restored.length > 0) {
+    await menuRepository.clearIngredientsDepleted(restored, connection);
+  }
+
+  const changed = [...depleted, ...restored];
+  if (changed.length === 0) {
+    return [];
+  }
+
+  console.log(`[INVENTORY] ${depleted.length} item(s) off sale, ${restored.length} back on sale`);
+  return menuRepository.findStockByIds(changed, connection);
+};
+
+const createIngredient = async ({ name, unit, stock_quantity, low_stock_threshold }, context) => {
+  try {
+    return await withTransaction(async (connection) => {
+      const id = await ingredientRepository.create({
+        name: name.trim(),
+        unit: unit ? unit.trim() : 'pcs',
+        stock_quantity: stock_quantity || 0,
+        low_stock_threshold: low_stock_threshold || 0
+      }, connection);
+
+      const created = await ingredientRepository.findById(id, connection);
+      await auditService.record(context, {
+        action: 'ingredient.create',
+        entityType: 'ingredient',
+        entityId: id,
+        after: auditService.pick(created, AUDIT_FIELDS)
+      }, connection);
+      return created;
+    });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      throw new HttpError(409, 'An ingredient with that name already exists');
+    }
+    throw err;
+  }
+};
+
+// Restocking or correcting a count may put items back on sale (or take
+// them off), which is broadcast like any other stock change.
+const updateIngredient = async (ingredientId, { name, unit, stock_quantity, low_stock_threshold }, context) => {
+  const fields = {};
+  if (typeof name === 'string' && name.trim()) fields.name = name.trim();
+  if (typeof unit === 'string' && unit.trim()) fields.unit = unit.trim();
+  if (stock_quantity !== undefined) fields.stock_quantity = stock_quantity;
+  if (low_stock_threshold !== undefined) fields.low_stock_threshold = low_stock_threshold;
+
+  if (Object.keys(fields).length === 0) {
+    throw new HttpError(400, 'No fields to update');
+  }
+
+  let result;
+  try {
+    result = await withTransaction(async (connection) => {
+      const before = await ingredientRepository.findById(ingredientId, connection);
+      if (!before) {
+        throw new HttpError(404, 'Ingredient not found');
+      }
+
+      await ingredientRepository.update(ingredientId, fields, connection);
+      const after = await ingredientRepository.findById(ingredientId, connection);
+      const availability = await syncAvailability(connection);
+
+      await auditService.record(context, {
+        action: 'ingredient.update',
+        entityType: 'ingredient',
+        entityId: ingredientId,
+        before: auditService.pick(before, AUDIT_FIELDS),
+        after: auditService.pick(after, AUDIT_FIELDS)
+      }, connection);
+      return { ingredient: after, availability };
+    });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      throw new HttpError(409, 'An ingredient with that name already exists');
+    }
+    throw err;
+  }
+
+  menuService.broadcastStock(result.availability);
+  return result.ingredient;
+};
+
+const getRecipe = async (itemId) => {
+  const item = await menuRepository.findByIdWithCategory(itemId);
+  if (!item || item.is_active === 0) {
+    throw new HttpError(404, 'Menu item not found');
+  }
+  return { item_id: itemId, item_name: item.item_name, ingredients: await ingredientRepository.findRecipe(itemId) };
+};
+
+// Replaces the whole recipe; `ingredients` is [{ ingredient_id, quantity }].
+const setRecipe = async (itemId, { ingredients }, context) => {
+  const ids = ingredients.map((line) => line.ingredient_id);
+  if (new Set(ids).size !== ids.length) {
+    throw new HttpError(400, 'Each ingredient can only appear once in a recipe');
+  }
+
+  const { recipe, availability } = await withTransaction(async (connection) => {
+    const item = await menuRepository.findByIdWithCategory(itemId, connection);
+    if (!item || item.is_active === 0) {
+      throw new HttpError(404, 'Menu item not found');
+    }
+
+    if (ids.length > 0) {
+      const found = await ingredientRepository.findByIds(ids, connection);
+      if (found.length !== ids.length) {
+        throw new HttpError(400, 'Unknown ingredient in recipe');
+      }
+    }
+
+    const before = await ingredientRepository.findRecipe(itemId, connection);
+    await ingredientRepository.replaceRecipe(itemId, ingredients, connection);
+    const after = await ingredientRepository.findRecipe(itemId, connection);
+
+    const toLines = (rows) => rows.map((row) => ({ ingredient_id: row.ingredient_id, quantity: row.quantity }));
+    await auditService.record(context, {
+      action: 'menu_item.recipe_update',
+      entityType: 'menu_item',
+      entityId: itemId,
+      before: { ingredients: toLines(before) },
+      after: { ingredients: toLines(after) }
+    }, connection);
+
+    return {
+      recipe: { item_id: itemId, item_name: item.item_name, ingredients: after },
+      availability: await syncAvailability(connection)
+    };
+  });
+
+  menuService.broadcastStock(availability);
+  return recipe;
+};
+
+// Runs inside the order-status transaction when an order is completed.
+// Completed is final, but the status can be saved again unchanged; the
+// ingredients_deducted_at claim keeps that from deducting twice.
+const deductForOrder = async (orderId, connection) => {
+  const claimed = await orderRepository.markIngredientsDeducted(orderId, connection);
+  if (claimed === 0) {
+    return [];
+  }
+
+  const usage = await ingredientRepository.findUsageForOrder(orderId, connection);
+  for (const { ingredient_id, amount } of usage) {
+    await ingredientRepository.deduct(ingredient_id, amount, connection);
+  }
+
+  return usage.length > 0 ? syncAvailability(connection) : [];
+};
+
+// Ingredients at or below their threshold, with the menu items that use them.
+const getLowStockReport = async () => {
+  const ingredients = await ingredientRepository.findLowStock();
+  if (ingredients.length === 0) {
+    return [];
+  }
+
+  const usedBy = await ingredientRepository.findItemsUsing(ingredients.map((i) => i.ingredient_id));
+  return ingredients.map((ingredient) => ({
+    ...ingredient,
+    depleted: Number(ingredient.stock_quantity) <= 0,
+    items: usedBy
+      .filter((row) => row.ingredient_id === ingredient.ingredient_id)
+      .map(({ item_id, item_name, is_available }) => ({ item_id, item_name, is_available }))
+  }));
+};
+
+module.exports = {
+  listIngredients,
+  createIngredient,
+  updateIngredient,
+  getRecipe,
+  setRecipe,
+  deductForOrder,
+  getLowStockReport
+};
@@ -0,0 +1,106 @@
+// services/inviteService.js - Admin-issued invitations for staff and admin accounts
+const bcrypt = require('bcrypt');
+const config = require('../config');
+const HttpError = require('../utils/httpError');
+const { withTransaction } = require('../db/pool');
+const { ROLES } = require('../constants');
+const { generateToken, hashToken } = require('../utils/tokens');
+const inviteRepository = require('../repositories/inviteRepository');
+const userRepository = require('../repositories/userRepository');
+const { issueSession } = require('./authService');
+const auditService = require('./auditService');
+
+const RECENT_INVITES_LIMIT = 50;
+
+const inviteUrl = (token) => `${config.APP_URL.replace(/\/$/, '')}/register/invite/${token}`;
+
+// The raw token is only ever returned here; the database keeps its hash.
+// `access` comes from the permission guard; as with changing a role, only
+// a super-admin can bring in another admin.
+const createInvite = async (actor, access, { email, role }, context) => {
+  if (role === ROLES.ADMIN && !access.isSuperAdmin) {
+    throw new HttpError(403, 'Only a super-admin can invite admins');
+  }
+  if (await userRepository.findByLogin(email)) {
+    throw new HttpError(409, 'A user with this email already exists');
+  }
+
+  const { token, tokenHash } = generateToken();
+  const expiresAt = new Date(Date.now() + config.INVITE_TTL_HOURS * 60 * 60 * 1000);
+
+  const inviteId = await withTransaction(async (connection) => {
+    const id = await inviteRepository.create({
+      email,
+      role,
+      tokenHash,
+      invitedBy: actor.userId,
+      expiresAt
+    }, connection);
+    await auditService.record(context, {
+      action: 'invite.create',
+      entityType: 'invite',
+      entityId: id,
+      after: { email, role, expires_at: expiresAt }
+    }, connection);
+    return id;
+  });
+
+  console.log(`[INVITE] ✓ ${actor.username} invited ${email} as ${role}`);
+  return {
+    invite_id: inviteId,
+    email,
+    role,
+    expires_at: expiresAt,
+    token,
+    invite_url: inviteUrl(token)
+  };
+};
+
+const listInvites = () => inviteRepository.findRecent(RECENT_INVITES_LIMIT);
+
+const getInvite = async (token) => {
+  const invite = await inviteRepository.findUsableByTokenHash(hashToken(token), new Date());
+  if (!invite) {
+    throw new HttpError(404, 'Invite is invalid or has expired');
+  }
+  return { email: invite.email, role: invite.role, expires_at: invite.expires_at };
+};
+
+// Creates the account and burns the invite in one transaction, so a token
+// can never be redeemed twice.
+const acceptInvite = async (token, { username, password, full_name, phone }, context) => {
+  const passwordHash = await bcrypt.hash(password, 10);
+
+  const user = await withTransaction(async (connection) => {
+    const now = new Date();
+    const invite = await inviteRepository.findUsableByTokenHash(hashToken(token), now, connection);
+    if (!invite) {
+      throw new HttpError(404, 'Invite is invalid or has expired');
+    }
+
+    let userId;
+    try {
+      userId = await userRepository.create(
+        { username, email: invite.email, passwordHash, full_name, phone, role: invite.role },
+        connection
+      );
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        throw new HttpError(409, 'Username or email already exists');
+      }
+      throw err;
+    }
+
+    const used = await inviteRepository.markUsed(invite.invite_id, userId, now, connection);
+    if (used === 0) {
+      throw new HttpError(404, 'Invite is invalid or has expired');
+    }
+
+    return { user_id: userId, username, email: invite.email, full_name: full_name || null, role: invite.role };
+  });
+
+  console.log(`[INVITE] ✓ ${username} joined as ${user.role}`);
+  return issueSession(user, context);
+};
+
+module.exports = { createInvite, listInvites, getInvite, acceptInvite };
@@ -0,0 +1,66 @@
+// services/kitchenService.js - Live ticket lists for the kitchen display and the pickup board
+const { ORDER_STATUS } = require('../constants');
+const orderRepository = require('../repositories/orderRepository');
+const modifierService = require('./modifierService');
+
+// The columns of the kitchen display, in the order tickets move through them.
+const KITCHEN_COLUMNS = [ORDER_STATUS.CONFIRMED, ORDER_STATUS.PREPARING, ORDER_STATUS.READY];
+
+// Every order the kitchen is working on, oldest first, with what to cook:
+// item quantities, the options chosen and the customer's instructions.
+const listTickets = async () => {
+  const rows = await orderRepository.findKitchenRows(KITCHEN_COLUMNS);
+  const modifiers = await modifierService.loadForOrders([...new Set(rows.map((row) => row.order_id))]);
+
+  const tickets = new Map();
+  for (const row of rows) {
+    if (!tickets.has(row.order_id)) {
+      tickets.set(row.order_id, {
+        order_id: row.order_id,
+        order_number: row.order_number,
+        status: row.status,
+        order_type: row.order_type,
+        scheduled_at: row.scheduled_at,
+        special_instructions: row.special_instructions,
+        created_at: row.created_at,
+        customer_name: row.full_name || row.username,
+        items: []
+      });
+    }
+    if (row.order_item_id !== null) {
+      tickets.get(row.order_id).items.push({
+        order_item_id: row.order_item_id,
+        item_name: row.item_name,
+        quantity: row.quantity,
+        combo_name: row.combo_name,
+        modifiers: (modifiers.get(row.order_item_id) || []).map((modifier) => modifier.option_name)
+      });
+    }
+  }
+
+  return { columns: KITCHEN_COLUMNS, tickets: [...tickets.values()] };
+};
+
+// Where an order shows on the public pickup board. Confirmed orders are
+// already with the kitchen, so customers see them as being prepared; any
+// other status takes the order off the board.
+const BOARD_COLUMNS = {
+  [ORDER_STATUS.CONFIRMED]: 'preparing',
+  [ORDER_STATUS.PREPARING]: 'preparing',
+  [ORDER_STATUS.READY]: 'ready'
+};
+
+// Only the order number is shown: no names, items or amounts.
+const toBoardEntry = (order) => ({
+  order_number: order.order_number,
+  column: BOARD_COLUMNS[order.status] || null
+});
+
+const getPickupBoard = async () => {
+  const orders = await orderRepository.findBoardOrders(Object.keys(BOARD_COLUMNS));
+  const board = { preparing: [], ready: [] };
+  orders.forEach((order) => board[BOARD_COLUMNS[order.status]].push(order.order_number));
+  return board;
+};
+
+module.exports = { listTickets, toBoardEntry, getPickupBoard };
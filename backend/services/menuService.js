@@ -0,0 +1,240 @@
+// services/menuService.js - Menu item reads, writes and broadcasts
+const HttpError = require('../utils/httpError');
+const { withTransaction } = require('../db/pool');
+const menuRepository = require('../repositories/menuRepository');
+const auditService = require('./auditService');
+const modifierService = require('./modifierService');
+const { emit } = require('../sockets/emitter');
+
+const AUDIT_FIELDS = ['category_id', 'item_name', 'description', 'price', 'image_url', 'is_available', 'is_active'];
+const STOCK_FIELDS = ['item_id', 'stock_quantity', 'par_level', 'is_available'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Par levels reset on the restaurant's calendar day, i.e. server local time.
+const toLocalDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Menu.js greys items out from these without refetching the menu.
+const broadcastStock = (items) => {
+  for (const item of items) {
+    emit(['admins', 'customers'], 'menu:item:stock', auditService.pick(item, STOCK_FIELDS));
+  }
+};
+
+// Items carry their modifier groups so the menu can offer options without
+// a request per item.
+const listMenu = async () => modifierService.attachToItems(await menuRepository.findActiveWithCategory());
+
+const getMenuItem = async (itemId) => {
+  const item = await menuRepository.findActiveById(itemId);
+  if (!item) {
+    throw new HttpError(404, 'Menu item not found');
+  }
+  const [withModifiers] = await modifierService.attachToItems([item]);
+  return withModifiers;
+};
+
+const createMenuItem = async ({ category_id, item_name, description, price, image_url, is_available }, context) => {
+  const { itemId, created } = await withTransaction(async (connection) => {
+    const id = await menuRepository.create({
+      category_id: category_id || null,
+      item_name,
+      description: description || null,
+      price,
+      image_url: image_url || null,
+      is_available: is_available ? 1 : 0
+    }, connection);
+
+    const row = await menuRepository.findByIdWithCategory(id, connection);
+    await auditService.record(context, {
+      action: 'menu_item.create',
+      entityType: 'menu_item',
+      entityId: id,
+      after: auditService.pick(row, AUDIT_FIELDS)
+    }, connection);
+    return { itemId: id, created: row };
+  });
+
+  const newItem = { ...(created || { item_id: itemId, item_name, category_id, description, price, image_url, is_available: 1 }), modifier_groups: [] };
+  emit(['admins', 'customers'], 'menu:item:add', newItem);
+
+  return itemId;
+};
+
+const updateMenuItem = async (itemId, { category_id, item_name, description, price, is_available }, context) => {
+  const safeAvailable = is_available ? 1 : 0;
+  const fetched = await withTransaction(async (connection) => {
+    const before = await menuRepository.findByIdWithCategory(itemId, connection);
+    const affected = await menuRepository.update(itemId, {
+      category_id: category_id || null,
+      item_name,
+      description: description || null,
+      price,
+      is_available: safeAvailable
+    }, connection);
+
+    if (affected === 0) {
+      throw new HttpError(404, 'Menu item not found');
+    }
+
+    const after = await menuRepository.findByIdWithCategory(itemId, connection);
+    await auditService.record(context, {
+      action: 'menu_item.update',
+      entityType: 'menu_item',
+      entityId: itemId,
+      before: auditService.pick(before, AUDIT_FIELDS),
+      after: auditService.pick(after, AUDIT_FIELDS)
+    }, connection);
+    return after;
+  });
+
+  const updated = fetched
+    ? (await modifierService.attachToItems([fetched]))[0]
+    : { item_id: itemId, is_available: safeAvailable };
+  emit(['admins', 'customers'], 'menu:item:update', updated);
+
+  return updated;
+};
+
+// Menu items are soft-deleted so past order_items keep their reference.
+const deactivateMenuItem = async (itemId, context) => {
+  await withTransaction(async (connection) => {
+    const before = await menuRepository.findByIdWithCategory(itemId, connection);
+    const affected = await menuRepository.deactivate(itemId, connection);
+    if (affected === 0) {
+      throw new HttpError(404, 'Menu item not found or already inactive');
+    }
+
+    const after = await menuRepository.findByIdWithCategory(itemId, connection);
+    await auditService.record(context, {
+      action: 'menu_item.delete',
+      entityType: 'menu_item',
+      entityId: itemId,
+      before: auditService.pick(before, AUDIT_FIELDS),
+      after: auditService.pick(after, AUDIT_FIELDS)
+    }, connection);
+  });
+};
+
+// Replaces the item's option groups. Past orders keep their own copies of
+// the names and prices they were placed with.
+const updateModifiers = async (itemId, { groups }, context) => {
+  const updated = await withTransaction(async (connection) => {
+    const item = await menuRepository.findByIdWithCategory(itemId, connection);
+    if (!item || item.is_active === 0) {
+      throw new HttpError(404, 'Menu item not found');
+    }
+
+    const before = (await modifierService.loadForItems([itemId], connection)).get(itemId) || [];
+    const after = await modifierService.replaceForItem(itemId, groups, connection);
+
+    await auditService.record(context, {
+      action: 'menu_item.modifiers_update',
+      entityType: 'menu_item',
+      entityId: itemId,
+      before: { modifier_groups: before },
+      after: { modifier_groups: after }
+    }, connection);
+
+    return { ...item, modifier_groups: after };
+  });
+
+  emit(['admins', 'customers'], 'menu:item:update', updated);
+  return updated;
+};
+
+// `stock_quantity: null` stops tracking the item; a number is today's count
+// and stands in for the par top-up until tomorrow.
+const updateStock = async (itemId, { stock_quantity, par_level }, context) => {
+  const fields = {};
+  if (stock_quantity !== undefined) fields.stock_quantity = stock_quantity;
+  if (par_level !== undefined) fields.par_level = par_level;
+
+  if (Object.keys(fields).length === 0) {
+    throw new HttpError(400, 'No fields to update');
+  }
+
+  const updated = await withTransaction(async (connection) => {
+    const before = await menuRepository.findByIdWithCategory(itemId, connection);
+    if (!before || before.is_active === 0) {
+      throw new HttpError(404, 'Menu item not found');
+    }
+
+    if (stock_quantity !== undefined && stock_quantity !== null) {
+      fields.stock_reset_on = toLocalDate(new Date());
+      if (stock_quantity === 0) {
+        fields.is_available = 0;
+      } else if (before.stock_quantity === 0 && !before.ingredients_depleted) {
+        // Back on sale after selling out.
+        fields.is_available = 1;
+      }
+    }
+
+    await menuRepository.updateStock(itemId, fields, connection);
+
+    const after = await menuRepository.findByIdWithCategory(itemId, connection);
+    await auditService.record(context, {
+      action: 'menu_item.stock_update',
+      entityType: 'menu_item',
+      entityId: itemId,
+      before: auditService.pick(before, STOCK_FIELDS),
+      after: auditService.pick(after, STOCK_FIELDS)
+    }, connection);
+    return after;
+  });
+
+  broadcastStock([updated]);
+  return updated;
+};
+
+// Tops every item with a par level back up once per day. Items that had
+// sold out go back on sale unless an ingredient is still missing; a par
+// level of zero keeps them off the menu.
+const restockToPar = async (now = new Date()) => {
+  const day = toLocalDate(now);
+
+  const restocked = await withTransaction(async (connection) => {
+    const due = await menuRepository.findDueForRestock(day, connection);
+    if (due.length === 0) {
+      return [];
+    }
+
+    for (const item of due) {
+      let isAvailable = item.is_available;
+      if (item.par_level === 0) {
+        isAvailable = 0;
+      } else if (item.stock_quantity === 0 && !item.ingredients_depleted) {
+        isAvailable = 1;
+      }
+
+      await menuRepository.updateStock(item.item_id, {
+        stock_quantity: item.par_level,
+        stock_reset_on: day,
+        is_available: isAvailable
+      }, connection);
+    }
+
+    return menuRepository.findStockByIds(due.map((item) => item.item_id), connection);
+  });
+
+  if (restocked.length > 0) {
+    broadcastStock(restocked);
+    console.log(`[STOCK] Restocked ${restocked.length} item(s) to par for ${day}`);
+  }
+  return restocked;
+};
+
+const getItemOrderCounts = () => menuRepository.findOrderCounts();
+
+module.exports = {
+  listMenu,
+  getMenuItem,
+  createMenuItem,
+  updateMenuItem,
+  deactivateMenuItem,
+  updateModifiers,
+  updateStock,
+  restockToPar,
+  broadcastStock,
+  getItemOrderCounts
+};
@@ -0,0 +1,150 @@
+// services/modifierService.js - Modifier groups on menu items and validation of customer selections
+const HttpError = require('../utils/httpError');
+const { toMoney } = require('../utils/money');
+const modifierRepository = require('../repositories/modifierRepository');
+
+// Map of item_id => [{ group_id, name, min_select, max_select, options }].
+const loadForItems = async (itemIds, conn) => {
+  const byItem = new Map();
+  if (itemIds.length === 0) {
+    return byItem;
+  }
+
+  const groups = await modifierRepository.findGroupsByItemIds(itemIds, conn);
+  if (groups.length === 0) {
+    return byItem;
+  }
+
+  const options = await modifierRepository.findOptionsByGroupIds(groups.map((group) => group.group_id), conn);
+  for (const group of groups) {
+    const entry = {
+      group_id: group.group_id,
+      name: group.name,
+      min_select: group.min_select,
+      max_select: group.max_select,
+      options: options
+        .filter((option) => option.group_id === group.group_id)
+        .map(({ option_id, name, price_delta, is_available }) => ({
+          option_id,
+          name,
+          price_delta: Number(price_delta),
+          is_available
+        }))
+    };
+    byItem.set(group.item_id, [...(byItem.get(group.item_id) || []), entry]);
+  }
+  return byItem;
+};
+
+// Adds `modifier_groups` to each menu row.
+const attachToItems = async (items, conn) => {
+  const byItem = await loadForItems(items.map((item) => item.item_id), conn);
+  return items.map((item) => ({ ...item, modifier_groups: byItem.get(item.item_id) || [] }));
+};
+
+// Checks `optionIds` against the item's groups and min/max rules and returns
+// the snapshot rows to store with the order line. Prices come only from here.
+const resolveSelection = (itemName, groups, optionIds) => {
+  if (new Set(optionIds).size !== optionIds.length) {
+    throw new HttpError(400, `Each option can only be chosen once for "${itemName}".`);
+  }
+
+  const lookup = new Map();
+  for (const group of groups) {
+    for (const option of group.options) {
+      lookup.set(option.option_id, { group, option });
+    }
+  }
+
+  const chosen = optionIds.map((optionId) => {
+    const match = lookup.get(optionId);
+    if (!match) {
+      throw new HttpError(400, `The options for "${itemName}" have changed. Please add it to your cart again.`);
+    }
+    if (!match.option.is_available) {
+      throw new HttpError(400, `"${match.option.name}" is no longer available for "${itemName}".`);
+    }
+    return match;
+  });
+
+  for (const group of groups) {
+    const count = chosen.filter((match) => match.group === group).length;
+    if (count < group.min_select) {
+      throw new HttpError(400, `Please choose at least ${group.min_select} "${group.name}" option(s) for "${itemName}".`);
+    }
+    if (count > group.max_select) {
+      throw new HttpError(400, `Please choose at most ${group.max_select} "${group.name}" option(s) for "${itemName}".`);
+    }
+  }
+
+  return chosen.map(({ group, option }) => ({
+    option_id: option.option_id,
+    group_name: group.name,
+    option_name: option.name,
+    price_delta: option.price_delta
+  }));
+};
+
+const priceDelta = (modifiers) => toMoney(modifiers.reduce((sum, modifier) => sum + modifier.price_delta, 0));
+
+// Replaces every group on an item; runs inside the caller's transaction.
+const replaceForItem = async (itemId, groups, conn) => {
+  await modifierRepository.deleteForItem(itemId, conn);
+
+  for (const [index, group] of groups.entries()) {
+    if (group.min_select > group.max_select) {
+      throw new HttpError(400, `"${group.name}": minimum cannot exceed maximum`);
+    }
+    if (group.min_select > group.options.length) {
+      throw new HttpError(400, `"${group.name}" needs at least ${group.min_select} option(s)`);
+    }
+
+    const groupId = await modifierRepository.createGroup(itemId, {
+      name: group.name,
+      min_select: group.min_select,
+      max_select: group.max_select,
+      sort_order: index
+    }, conn);
+
+    if (group.options.length > 0) {
+      await modifierRepository.createOptions(groupId, group.options.map((option) => ({
+        name: option.name,
+        price_delta: option.price_delta || 0,
+        is_available: option.is_available === false ? 0 : 1
+      })), conn);
+    }
+  }
+
+  return (await loadForItems([itemId], conn)).get(itemId) || [];
+};
+
+// Groups stored order selections by order_item_id.
+const groupByOrderItem = (rows) => {
+  const byOrderItem = new Map();
+  for (const row of rows) {
+    const entry = {
+      option_id: row.option_id,
+      group_name: row.group_name,
+      option_name: row.option_name,
+      price_delta: Number(row.price_delta)
+    };
+    byOrderItem.set(row.order_item_id, [...(byOrderItem.get(row.order_item_id) || []), entry]);
+  }
+  return byOrderItem;
+};
+
+const loadForOrder = async (orderId, conn) => groupByOrderItem(await modifierRepository.findByOrderId(orderId, conn));
+
+// Like loadForOrder, for several orders at once.
+const loadForOrders = async (orderIds, conn) =>
+  orderIds.length === 0 ? new Map() : groupByOrderItem(await modifierRepository.findByOrderIds(orderIds, conn));
+
+module.exports = {
+  loadForItems,
+  attachToItems,
+  resolveSelection,
+  priceDelta,
+  replaceForItem,
+  loadForOrder,
+  loadForOrders
+};
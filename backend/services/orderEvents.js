@@ -0,0 +1,70 @@
+// services/orderEvents.js - Socket broadcasts of order changes
+//
+// Kept apart from orderService so the payment and refund services can
+// announce the orders they touch without requiring it.
+const orderRepository = require('../repositories/orderRepository');
+const { emit } = require('../sockets/emitter');
+const { toBoardEntry } = require('./kitchenService');
+
+// Shape shared by the admin list, the order:update event and the PUT response.
+const toOrderSummary = (order) => ({
+  order_id: order.order_id,
+  order_number: order.order_number,
+  user_id: order.user_id,
+  username: order.username,
+  full_name: order.full_name,
+  total_amount: order.total_amount,
+  refunded_amount: order.refunded_amount,
+  status: order.status,
+  payment_status: order.payment_status,
+  order_type: order.order_type,
+  scheduled_at: order.scheduled_at,
+  released_at: order.released_at,
+  overdue_at: order.overdue_at,
+  created_at: order.created_at,
+  email: order.email,
+});
+
+// A scheduled order the scheduler has not released to the kitchen yet.
+const isHeld = (order) => order.order_type === 'scheduled' && !order.released_at;
+
+// Sends the order's current summary to the admins room as order:update and,
+// with `toCustomer`, to the customer who placed it. The pickup board is told
+// where the order now belongs (board:update), which is how completed orders
+// leave it; held orders stay off it until released, as in getPickupBoard.
+// Returns the summary, or null if the order can't be read back.
+const broadcastOrder = async (orderId, { toCustomer = false } = {}) => {
+  const updated = await orderRepository.findWithCustomer(orderId);
+  if (!updated) {
+    console.error('[DB] Failed to fetch updated order for socket: Not found');
+    return null;
+  }
+
+  const socketData = toOrderSummary(updated);
+  emit('admins', 'order:update', socketData);
+  if (toCustomer) {
+    emit(`user:${socketData.user_id}`, 'order:update', socketData);
+  }
+  if (!isHeld(updated)) {
+    emit('pickup-board', 'board:update', toBoardEntry(updated));
+  }
+  return socketData;
+};
+
+// Tells the admins room (and so the kitchen display) about an order that
+// has just reached the kitchen: when it is placed, or for a scheduled order,
+// when the scheduler releases it.
+const announceNewOrder = (order) => {
+  emit('admins', 'order:new', {
+    orderId: order.order_id,
+    orderNumber: order.order_number,
+    totalAmount: Number(order.total_amount),
+    userId: order.user_id,
+    username: order.username,
+    orderType: order.order_type,
+    scheduledAt: order.scheduled_at,
+    at: Date.now()
+  });
+};
+
+module.exports = { toOrderSummary, broadcastOrder, announceNewOrder };
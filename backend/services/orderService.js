@@ -0,0 +1,825 @@
+// services/orderService.js - Order placement, customer history and admin updates
+const HttpError = require('../utils/httpError');
+const config = require('../config');
+const { withTransaction } = require('../db/pool');
+const { ORDER_STATUS, PAYMENT_STATUS, PAYMENT_METHODS, REFUND_REASONS, PERMISSIONS, ORDER_STATUS_TRANSITIONS, KITCHEN_STATUS_FLOW } = require('../constants');
+const menuRepository = require('../repositories/menuRepository');
+const orderRepository = require('../repositories/orderRepository');
+const auditService = require('./auditService');
+const menuService = require('./menuService');
+const inventoryService = require('./inventoryService');
+const modifierService = require('./modifierService');
+const comboService = require('./comboService');
+const promoService = require('./promoService');
+const refundService = require('./refundService');
+const modifierRepository = require('../repositories/modifierRepository');
+const refundRepository = require('../repositories/refundRepository');
+const paymentRepository = require('../repositories/paymentRepository');
+const orderStatusHistoryRepository = require('../repositories/orderStatusHistoryRepository');
+const { emit } = require('../sockets/emitter');
+const { broadcastOrder, announceNewOrder } = require('./orderEvents');
+const scheduleService = require('./scheduleService');
+const { toMysqlDateTime } = require('../utils/dateRange');
+const { toMoney } = require('../utils/money');
+
+const isOptionList = (value) => value === undefined || (Array.isArray(value) && value.every(Number.isInteger));
+
+const validatePromoCode = (promoCode) => {
+  if (promoCode !== undefined && promoCode !== null && (typeof promoCode !== 'string' || promoCode.length > 40)) {
+    throw new HttpError(400, 'Invalid promo code');
+  }
+};
+
+const validateLines = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new HttpError(400, 'Order must contain at least one item');
+  }
+
+  // Only the item structure is trusted; prices always come from the database.
+  // A line is either a menu item or a combo with its slot choices.
+  for (const item of items) {
+    const id = item.combo_id !== undefined ? item.combo_id : item.item_id;
+    if (!Number.isInteger(id) || !Number.isInteger(item.quantity)) {
+      throw new HttpError(400, 'Invalid item data (item ID or quantity missing/invalid).');
+    }
+    if (item.quantity < 1) {
+      throw new HttpError(400, 'Item quantity must be at least 1');
+    }
+    if (!isOptionList(item.modifiers)) {
+      throw new HttpError(400, 'Invalid item data (modifiers must be a list of option IDs).');
+    }
+    if (item.selections !== undefined) {
+      const valid = Array.isArray(item.selections) && item.selections.every((selection) =>
+        selection && Number.isInteger(selection.slot_id) &&
+        (selection.item_id === undefined || Number.isInteger(selection.item_id)) &&
+        isOptionList(selection.modifiers)
+      );
+      if (!valid) {
+        throw new HttpError(400, 'Invalid item data (combo selections are malformed).');
+      }
+    }
+  }
+};
+
+const validateOrderRequest = ({ items, payment_method, order_type, scheduled_at, promo_code }) => {
+  const orderType = order_type === 'scheduled' ? 'scheduled' : 'asap';
+  let scheduledAt = null;
+  let released = true;
+
+  if (orderType === 'scheduled') {
+    if (!scheduled_at) {
+      throw new HttpError(400, 'Scheduled time is required for scheduled orders.');
+    }
+
+    const orderDate = new Date(scheduled_at);
+    if (isNaN(orderDate.getTime()) || orderDate <= new Date()) {
+      throw new HttpError(400, 'Invalid or past scheduled time.');
+    }
+
+    scheduledAt = toMysqlDateTime(orderDate);
+    // Orders placed inside the lead time go to the kitchen straight away.
+    released = scheduleService.isDueForRelease(orderDate);
+  }
+
+  validateLines(items);
+
+  if (!payment_method || typeof payment_method !== 'string') {
+    throw new HttpError(400, 'Payment method is required');
+  }
+  if (!Object.values(PAYMENT_METHODS).includes(payment_method)) {
+    throw new HttpError(400, 'Payment method must be cash, card or wallet');
+  }
+
+  validatePromoCode(promo_code);
+
+  return { orderType, scheduledAt, released };
+};
+
+// Looks up every requested item and prices the order from the database,
+// including any chosen options. Combos arrive here already expanded into
+// their items, each carrying its share of the bundle price as base_price.
+const priceOrderItems = async (requested, connection) => {
+  const items = await comboService.expandOrderLines(requested, connection);
+  const itemIds = items.map((item) => item.item_id);
+  const dbItems = await menuRepository.findByIds(itemIds, connection);
+  const dbItemMap = new Map(dbItems.map((item) => [item.item_id, item]));
+  const modifierGroups = await modifierService.loadForItems(itemIds, connection);
+
+  let total = 0;
+  const orderItems = [];
+  // Requested quantity per stock-tracked item, summed across cart lines.
+  const stockDemand = new Map();
+
+  for (const item of items) {
+    const dbItem = dbItemMap.get(item.item_id);
+    // Items taken off sale by hand or by the ingredient tracker can't be
+    // ordered. Sold-out stock is left to reserveStock, which says so.
+    const soldOut = Boolean(dbItem) && dbItem.stock_quantity !== null && dbItem.stock_quantity <= 0;
+
+    if (!dbItem || dbItem.is_active === 0 || (dbItem.is_available === 0 && !soldOut)) {
+      throw new HttpError(
+        400,
+        `Item "${dbItem?.item_name || item.item_id}" is no longer available. Please remove it from your cart.`
+      );
+    }
+
+    const modifiers = modifierService.resolveSelection(
+      dbItem.item_name,
+      modifierGroups.get(item.item_id) || [],
+      item.modifiers || []
+    );
+    const basePrice = item.base_price !== undefined ? item.base_price : Number(dbItem.price);
+    const unitPrice = toMoney(basePrice + modifierService.priceDelta(modifiers));
+    if (unitPrice <= 0) {
+      throw new HttpError(400, `The options chosen for "${dbItem.item_name}" are not valid.`);
+    }
+    const subtotal = unitPrice * item.quantity;
+    total += subtotal;
+
+    orderItems.push({
+      item_id: item.item_id,
+      category_id: dbItem.category_id,
+      quantity: item.quantity,
+      unit_price: unitPrice,
+      subtotal,
+      tax_rate: Number(dbItem.tax_rate) || 0,
+      modifiers,
+      combo: item.combo || null
+    });
+
+    if (dbItem.stock_quantity !== null && dbItem.stock_quantity !== undefined) {
+      const demand = stockDemand.get(item.item_id) || { itemName: dbItem.item_name, quantity: 0 };
+      demand.quantity += item.quantity;
+      stockDemand.set(item.item_id, demand);
+    }
+  }
+
+  return { total, orderItems, stockDemand };
+};
+
+// Decrements stock inside the order transaction. The guarded UPDATE is the
+// source of truth, so two orders racing for the last portion cannot both
+// succeed. Returns the new stock rows for broadcasting after commit.
+const reserveStock = async (stockDemand, connection) => {
+  if (stockDemand.size === 0) {
+    return [];
+  }
+
+  for (const [itemId, { itemName, quantity }] of stockDemand) {
+    const affected = await menuRepository.decrementStock(itemId, quantity, connection);
+    if (affected === 0) {
+      const [current] = await menuRepository.findStockByIds([itemId], connection);
+      const left = current ? Math.max(current.stock_quantity || 0, 0) : 0;
+      throw new HttpError(
+        400,
+        left === 0
+          ? `Item "${itemName}" is sold out. Please remove it from your cart.`
+          : `Only ${left} of "${itemName}" left. Please reduce the quantity in your cart.`
+      );
+    }
+  }
+
+  return menuRepository.findStockByIds([...stockDemand.keys()], connection);
+};
+
+// Builds the receipt totals for priced lines. Tax is charged at each line's
+// category rate on what the customer actually pays for it, so a promo's
+// discount is shared across the lines it was taken from first. The service
+// charge applies to the discounted subtotal and is not taxed.
+const computeCharges = (orderItems, applied) => {
+  const subtotal = toMoney(orderItems.reduce((sum, item) => sum + item.subtotal, 0));
+  const discount = applied ? applied.discount : 0;
+  const discounted = applied ? applied.eligibleItems : [];
+  const discountedTotal = discounted.reduce((sum, item) => sum + item.subtotal, 0);
+
+  const tax = toMoney(orderItems.reduce((sum, item) => {
+    const share = discounted.includes(item) ? (discount * item.subtotal) / discountedTotal : 0;
+    return sum + ((item.subtotal - share) * item.tax_rate) / 100;
+  }, 0));
+  const serviceCharge = toMoney(((subtotal - discount) * config.SERVICE_CHARGE_PERCENT) / 100);
+
+  return {
+    subtotal,
+    discount,
+    tax,
+    serviceCharge,
+    total: toMoney(subtotal - discount + tax + serviceCharge)
+  };
+};
+
+// Prices a cart without placing it, so Cart.js can show the full breakdown.
+// A code that can't be used doesn't fail the quote; its reason is returned
+// as promo_error instead.
+const quoteOrder = async (user, { items, promo_code }) => {
+  validateLines(items);
+  validatePromoCode(promo_code);
+
+  const { orderItems } = await priceOrderItems(items);
+  let applied = null;
+  let promoError = null;
+
+  if (promo_code) {
+    try {
+      applied = await promoService.applyPromo(promo_code, { userId: user.userId, orderItems });
+    } catch (err) {
+      if (!(err instanceof HttpError)) throw err;
+      promoError = err.message;
+    }
+  }
+
+  const charges = computeCharges(orderItems, applied);
+  return {
+    subtotal: charges.subtotal,
+    discount: charges.discount,
+    tax: charges.tax,
+    service_charge: charges.serviceCharge,
+    service_charge_percent: config.SERVICE_CHARGE_PERCENT,
+    total: charges.total,
+    promo: applied ? { code: applied.code, description: applied.promo.description } : null,
+    promo_error: promoError
+  };
+};
+
+// Stores priced lines and the options chosen on each.
+const saveOrderItems = async (orderId, orderItems, connection) => {
+  const orderItemIds = await orderRepository.addItems(orderId, orderItems, connection);
+  const selections = orderItems.flatMap((item, index) =>
+    item.modifiers.map((modifier) => ({ ...modifier, order_item_id: orderItemIds[index] }))
+  );
+  if (selections.length > 0) {
+    await modifierRepository.addOrderItemModifiers(selections, connection);
+  }
+};
+
+const createOrder = async (user, body) => {
+  const { items, payment_method, special_instructions, promo_code } = body;
+  const { orderType, scheduledAt, released } = validateOrderRequest(body);
+  const userId = user.userId;
+  const orderNumber = 'ORD' + Date.now();
+
+  const { orderId, total, stockChanges } = await withTransaction(async (connection) => {
+    const { orderItems, stockDemand } = await priceOrderItems(items, connection);
+
+    // The code is checked again here, under lock, whatever the quote said.
+    const applied = promo_code
+      ? await promoService.applyPromo(promo_code, { userId, orderItems, lock: true }, connection)
+      : null;
+    const charges = computeCharges(orderItems, applied);
+
+    const stockChanges = await reserveStock(stockDemand, connection);
+
+    const orderId = await orderRepository.create({
+      user_id: userId,
+      order_number: orderNumber,
+      subtotal_amount: charges.subtotal,
+      discount_amount: charges.discount,
+      tax_amount: charges.tax,
+      service_charge_amount: charges.serviceCharge,
+      total_amount: charges.total,
+      promo_id: applied ? applied.promo.promo_id : null,
+      promo_code: applied ? applied.code : null,
+      payment_method,
+      special_instructions: special_instructions || null,
+      status: ORDER_STATUS.PENDING,
+      payment_status: PAYMENT_STATUS.PENDING,
+      order_type: orderType,
+      scheduled_at: scheduledAt,
+      released
+    }, connection);
+
+    await saveOrderItems(orderId, orderItems, connection);
+    await orderStatusHistoryRepository.create({
+      order_id: orderId,
+      from_status: null,
+      to_status: ORDER_STATUS.PENDING,
+      changed_by: userId
+    }, connection);
+    return { orderId, total: charges.total, stockChanges };
+  });
+
+  menuService.broadcastStock(stockChanges);
+
+  const announced = {
+    order_id: orderId,
+    order_number: orderNumber,
+    total_amount: total,
+    user_id: userId,
+    username: user.username,
+    order_type: orderType,
+    scheduled_at: scheduledAt
+  };
+  if (released) {
+    announceNewOrder(announced);
+  } else {
+    scheduleService.announceHeldOrder(announced);
+  }
+
+  console.log(`[ORDER] New order ${orderNumber} created by user ${userId}`);
+  return { orderId, orderNumber, totalAmount: total };
+};
+
+// Customers can cancel or edit an order the kitchen hasn't started on:
+// while it is pending, and once confirmed for ORDER_CHANGE_GRACE_MINUTES
+// after placing it. Repositories compare created_at with this cutoff.
+const changeCutoff = () => new Date(Date.now() - config.ORDER_CHANGE_GRACE_MINUTES * 60 * 1000);
+
+const isChangeable = (order) =>
+  order.status === ORDER_STATUS.PENDING ||
+  (order.status === ORDER_STATUS.CONFIRMED && Boolean(Number(order.within_grace)));
+
+// Paid orders can only be cancelled (and refunded), since an edit would
+// change what was charged.
+const isEditable = (order) => isChangeable(order) && order.payment_status === PAYMENT_STATUS.PENDING;
+
+const withChangeFlags = ({ within_grace, ...order }) => ({
+  ...order,
+  can_cancel: isChangeable({ ...order, within_grace }),
+  can_edit: isEditable({ ...order, within_grace })
+});
+
+const listRecentOrders = async (userId, page) => {
+  const limit = 20;
+  const offset = (page - 1) * limit;
+  const orders = await orderRepository.findByUserWithItemCount(userId, { limit, offset, changeCutoff: changeCutoff() });
+  return { orders: orders.map(withChangeFlags), page, limit, count: orders.length };
+};
+
+const listOrders = async (userId, page, limit) => {
+  const offset = (page - 1) * limit;
+  const totalCount = await orderRepository.countByUser(userId);
+  const orders = await orderRepository.findByUserWithItemQuantity(userId, { limit, offset, changeCutoff: changeCutoff() });
+  return { orders: orders.map(withChangeFlags), page, limit, count: totalCount };
+};
+
+// Items that came from a combo share combo_line within their order.
+const toComboRef = (row) =>
+  row.combo_name ? { combo_id: row.combo_id, combo_name: row.combo_name, combo_line: row.combo_line } : null;
+
+// Status changes oldest first, starting with the order being placed.
+// Orders from before history was kept may lack that first row, so it is
+// rebuilt from created_at.
+const loadStatusHistory = async (order) => {
+  const rows = await orderStatusHistoryRepository.findByOrder(order.order_id);
+  const history = rows.map((row) => ({
+    status: row.to_status,
+    from_status: row.from_status,
+    changed_at: row.created_at,
+    changed_by: row.changed_by,
+    changed_by_username: row.changed_by_username
+  }));
+  if (!rows.some((row) => row.from_status === null)) {
+    history.unshift({
+      status: ORDER_STATUS.PENDING,
+      from_status: null,
+      changed_at: order.created_at,
+      changed_by: order.user_id,
+      changed_by_username: order.username || null
+    });
+  }
+  return history;
+};
+
+const getCustomerOrder = async (orderId, userId) => {
+  const rows = await orderRepository.findUserOrderRows(orderId, userId, changeCutoff());
+  if (rows.length === 0) {
+    throw new HttpError(404, 'Order not found');
+  }
+  const modifiers = await modifierService.loadForOrder(orderId);
+  const history = await loadStatusHistory(rows[0]);
+
+  const orderData = rows[0];
+  const items = rows
+    .filter(r => r.order_item_id !== null)
+    .map(r => ({
+      orderItemId: r.order_item_id,
+      itemId: r.item_id,
+      quantity: r.quantity,
+      unitPrice: r.unit_price,
+      taxRate: r.tax_rate,
+      subtotal: r.subtotal,
+      itemName: r.item_name,
+      imageUrl: r.image_url,
+      modifiers: modifiers.get(r.order_item_id) || [],
+      combo: toComboRef(r)
+    }));
+
+  return {
+    orderId: orderData.order_id,
+    orderNumber: orderData.order_number,
+    subtotalAmount: orderData.subtotal_amount,
+    discountAmount: orderData.discount_amount,
+    taxAmount: orderData.tax_amount,
+    serviceChargeAmount: orderData.service_charge_amount,
+    totalAmount: orderData.total_amount,
+    refundedAmount: orderData.refunded_amount,
+    promoCode: orderData.promo_code,
+    paymentMethod: orderData.payment_method,
+    status: orderData.status,
+    paymentStatus: orderData.payment_status,
+    specialInstructions: orderData.special_instructions,
+    createdAt: orderData.created_at,
+    statusHistory: history.map((entry) => ({ status: entry.status, at: entry.changed_at })),
+    canCancel: isChangeable(orderData),
+    canEdit: isEditable(orderData),
+    items
+  };
+};
+
+const listAllOrders = async (page) => {
+  const limit = 20;
+  const offset = (page - 1) * limit;
+  const orders = await orderRepository.findAllWithCustomer({ limit, offset });
+  return { orders, page, limit, count: orders.length };
+};
+
+// Orders staff still have to move along KITCHEN_STATUS_FLOW, or hand over.
+const QUEUE_STATUSES = [ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED, ORDER_STATUS.PREPARING, ORDER_STATUS.READY];
+
+const listQueueOrders = async () => ({
+  orders: await orderRepository.findOpenWithCustomer(QUEUE_STATUSES)
+});
+
+const getAdminOrder = async (orderId) => {
+  const rows = await orderRepository.findAdminOrderRows(orderId);
+  if (rows.length === 0) {
+    throw new HttpError(404, 'Order not found');
+  }
+  const modifiers = await modifierService.loadForOrder(orderId);
+  const refundedQuantities = new Map(
+    (await refundRepository.sumQuantitiesByOrder(orderId)).map((row) => [row.order_item_id, Number(row.quantity)])
+  );
+  const statusHistory = await loadStatusHistory(rows[0]);
+
+  const orderData = rows[0];
+  const items = rows
+    .filter(r => r.order_item_id !== null)
+    .map(r => {
+      const safeQuantity = parseInt(r.quantity) || 0;
+      const safeUnitPrice = parseFloat(r.unit_price) || 0.00;
+      const safeSubtotal = parseFloat(r.subtotal) || (safeQuantity * safeUnitPrice);
+
+      return {
+        order_item_id: r.order_item_id,
+        item_id: r.item_id,
+        item_name: r.item_name || `Item Not Found (ID: ${r.item_id})`,
+        description: r.description || 'No description available.',
+        quantity: safeQuantity,
+        price: safeUnitPrice,
+        subtotal: safeSubtotal,
+        tax_rate: parseFloat(r.tax_rate) || 0,
+        refunded_quantity: refundedQuantities.get(r.order_item_id) || 0,
+        image_url: r.image_url,
+        modifiers: modifiers.get(r.order_item_id) || [],
+        combo: toComboRef(r)
+      };
+    });
+
+  const itemCount = items.reduce((sum, item) => sum + item.quantity, 0);
+
+  return {
+    order_id: orderData.order_id,
+    order_number: orderData.order_number,
+    user_id: orderData.user_id,
+    username: orderData.username,
+    full_name: orderData.full_name,
+    email: orderData.email,
+    phone: orderData.phone,
+    subtotal_amount: orderData.subtotal_amount,
+    discount_amount: orderData.discount_amount,
+    tax_amount: orderData.tax_amount,
+    service_charge_amount: orderData.service_charge_amount,
+    total_amount: orderData.total_amount,
+    refunded_amount: orderData.refunded_amount,
+    promo_code: orderData.promo_code,
+    payment_method: orderData.payment_method,
+    status: orderData.status,
+    payment_status: orderData.payment_status,
+    order_type: orderData.order_type,
+    scheduled_at: orderData.scheduled_at,
+    special_instructions: orderData.special_instructions,
+    created_at: orderData.created_at,
+    updated_at: orderData.updated_at,
+    item_count: itemCount,
+    status_history: statusHistory,
+    items: items
+  };
+};
+
+// Throws unless ORDER_STATUS_TRANSITIONS allows moving from `from` to `to`.
+const assertTransition = (from, to) => {
+  if (!(ORDER_STATUS_TRANSITIONS[from] || []).includes(to)) {
+    throw new HttpError(409, `Cannot move an order from ${from} to ${to}`);
+  }
+};
+
+// Refunds need orders.refund, other payment changes orders.update_payment.
+// Without orders.update_status, orders.advance only allows one step along
+// KITCHEN_STATUS_FLOW.
+const assertUpdateAllowed = async (orderId, { status, payment_status }, permissions) => {
+  const can = (permission) => permissions.includes(permission);
+
+  if (payment_status !== undefined) {
+    const needed = payment_status === PAYMENT_STATUS.REFUNDED
+      ? PERMISSIONS.ORDERS_REFUND
+      : PERMISSIONS.ORDERS_UPDATE_PAYMENT;
+    if (!can(needed)) {
+      throw new HttpError(403, 'Insufficient permissions to change payment status');
+    }
+  }
+
+  if (status === undefined || can(PERMISSIONS.ORDERS_UPDATE_STATUS)) {
+    return;
+  }
+
+  if (!can(PERMISSIONS.ORDERS_ADVANCE)) {
+    throw new HttpError(403, 'Insufficient permissions to change order status');
+  }
+
+  const order = await orderRepository.findWithCustomer(orderId);
+  if (!order) {
+    throw new HttpError(404, 'Order not found');
+  }
+
+  if (KITCHEN_STATUS_FLOW[order.status] !== status) {
+    throw new HttpError(403, `Cannot move an order from ${order.status} to ${status}`);
+  }
+};
+
+// `access` comes from the permission guard (see middleware/auth.js) and
+// `context` from utils/auditContext. Status and payment changes are audited
+// as separate entries.
+const updateOrderStatus = async (orderId, { status, payment_status }, access, context) => {
+  await assertUpdateAllowed(orderId, { status, payment_status }, access.permissions);
+  // Refunds carry amounts and reasons, so they only come from refundService.
+  if (payment_status === PAYMENT_STATUS.REFUNDED) {
+    throw new HttpError(400, 'Issue a refund to mark an order as refunded');
+  }
+
+  const fields = {};
+
+  if (status && Object.values(ORDER_STATUS).includes(status)) {
+    fields.status = status;
+  }
+
+  if (payment_status && Object.values(PAYMENT_STATUS).includes(payment_status)) {
+    fields.payment_status = payment_status;
+  }
+
+  if (Object.keys(fields).length === 0) {
+    throw new HttpError(400, 'No valid fields provided for update');
+  }
+
+  const availability = await withTransaction(async (connection) => {
+    const before = await orderRepository.findByIdForUpdate(orderId, connection);
+    if (!before) {
+      throw new HttpError(404, 'Order not found');
+    }
+    const statusChanged = fields.status !== undefined && fields.status !== before.status;
+    if (statusChanged) {
+      assertTransition(before.status, fields.status);
+    }
+    await orderRepository.update(orderId, fields, connection);
+
+    // Cancelled or paid at the counter, the order no longer takes online
+    // payments, so open intents are voided.
+    const paidByHand = fields.payment_status === PAYMENT_STATUS.PAID && before.payment_status !== PAYMENT_STATUS.PAID;
+    if ((statusChanged && fields.status === ORDER_STATUS.CANCELLED) || paidByHand) {
+      await paymentRepository.cancelOpenByOrder(orderId, connection);
+    }
+    if (statusChanged) {
+      await orderStatusHistoryRepository.create({
+        order_id: orderId,
+        from_status: before.status,
+        to_status: fields.status,
+        changed_by: context ? context.userId : null
+      }, connection);
+      await auditService.record(context, {
+        action: 'order.status_update',
+        entityType: 'order',
+        entityId: orderId,
+        before: { status: before.status },
+        after: { status: fields.status }
+      }, connection);
+    }
+    if (fields.payment_status !== undefined && fields.payment_status !== before.payment_status) {
+      await auditService.record(context, {
+        action: 'order.payment_update',
+        entityType: 'order',
+        entityId: orderId,
+        before: { payment_status: before.payment_status },
+        after: { payment_status: fields.payment_status }
+      }, connection);
+    }
+
+    // Ingredients are only consumed once the food has actually gone out.
+    if (fields.status === ORDER_STATUS.COMPLETED) {
+      return inventoryService.deductForOrder(orderId, connection);
+    }
+    // A cancelled order hands back the stock it was holding.
+    if (statusChanged && fields.status === ORDER_STATUS.CANCELLED) {
+      const released = await releaseStock(orderId, connection);
+      return released.length > 0 ? menuRepository.findStockByIds(released, connection) : [];
+    }
+    return [];
+  });
+
+  menuService.broadcastStock(availability);
+
+  const socketData = await broadcastOrder(orderId, { toCustomer: Boolean(status) });
+  if (!socketData) {
+    const fallbackData = { order_id: orderId, status, payment_status };
+    emit('admins', 'order:update', fallbackData);
+    return fallbackData;
+  }
+
+  return socketData;
+};
+
+// Locks the customer's order and checks it can still be changed.
+const loadChangeableOrder = async (userId, orderId, connection) => {
+  const order = await orderRepository.findForCustomerChange(orderId, userId, changeCutoff(), connection);
+  if (!order) {
+    throw new HttpError(404, 'Order not found');
+  }
+  if (order.status === ORDER_STATUS.CANCELLED) {
+    throw new HttpError(409, 'This order was already cancelled.');
+  }
+  if (!isChangeable(order)) {
+    throw new HttpError(409, 'This order can no longer be changed. Please contact the counter.');
+  }
+  return order;
+};
+
+// Puts the stock held by an order's lines back. Returns the ids of the
+// tracked items that changed.
+const releaseStock = async (orderId, connection) => {
+  const lines = (await orderRepository.findAdminOrderRows(orderId, connection))
+    .filter((row) => row.order_item_id !== null);
+  const quantities = new Map();
+  lines.forEach((line) => quantities.set(line.item_id, (quantities.get(line.item_id) || 0) + line.quantity));
+
+  const released = [];
+  for (const [itemId, quantity] of quantities) {
+    if (await menuRepository.incrementStock(itemId, quantity, connection)) {
+      released.push(itemId);
+    }
+  }
+  return released;
+};
+
+// Cancels one of the customer's own orders, putting its stock back and
+// refunding it in full if it was already paid. The cancellation stands even
+// if the refund cannot go through the provider (it declines, or is no longer
+// the one configured); the order then stays paid for staff to settle.
+const cancelOrder = async (user, orderId, context) => {
+  const { order, stockChanges, refund } = await withTransaction(async (connection) => {
+    const order = await loadChangeableOrder(user.userId, orderId, connection);
+    assertTransition(order.status, ORDER_STATUS.CANCELLED);
+
+    const released = await releaseStock(orderId, connection);
+    await orderRepository.update(orderId, { status: ORDER_STATUS.CANCELLED }, connection);
+    await paymentRepository.cancelOpenByOrder(orderId, connection);
+    await orderStatusHistoryRepository.create({
+      order_id: orderId,
+      from_status: order.status,
+      to_status: ORDER_STATUS.CANCELLED,
+      changed_by: user.userId
+    }, connection);
+    await auditService.record(context, {
+      action: 'order.cancel',
+      entityType: 'order',
+      entityId: orderId,
+      before: { status: order.status },
+      after: { status: ORDER_STATUS.CANCELLED }
+    }, connection);
+
+    const refund = order.payment_status === PAYMENT_STATUS.PAID
+      ? await refundService.reserveRefund(orderId, {
+        reason_code: REFUND_REASONS.CUSTOMER_REQUEST,
+        note: 'Cancelled by the customer'
+      }, context, connection)
+      : null;
+
+    const stockChanges = released.length > 0 ? await menuRepository.findStockByIds(released, connection) : [];
+    return { order, stockChanges, refund };
+  });
+
+  if (refund) {
+    try {
+      await refundService.settleRefund(refund, context);
+    } catch (err) {
+      console.error(`[ORDER] Refund for cancelled order ${order.order_number} failed:`, err.message);
+    }
+  }
+
+  menuService.broadcastStock(stockChanges);
+  await broadcastOrder(orderId, { toCustomer: true });
+  emit('admins', 'order:cancel', {
+    orderId,
+    orderNumber: order.order_number,
+    totalAmount: Number(order.total_amount),
+    userId: user.userId,
+    username: user.username,
+    at: Date.now()
+  });
+
+  console.log(`[ORDER] Order ${order.order_number} cancelled by user ${user.userId}`);
+  return getCustomerOrder(orderId, user.userId);
+};
+
+// Replaces the lines of one of the customer's own unpaid orders. `items`
+// takes the same shape as when ordering and is priced, checked against
+// stock and discounted the same way. Leaving promo_code out keeps the
+// current code; null removes it.
+const modifyOrder = async (user, orderId, body, context) => {
+  const { items, special_instructions } = body;
+  validateLines(items);
+  validatePromoCode(body.promo_code);
+  if (special_instructions !== undefined && special_instructions !== null && typeof special_instructions !== 'string') {
+    throw new HttpError(400, 'Invalid special instructions');
+  }
+  const userId = user.userId;
+
+  const { order, charges, stockChanges } = await withTransaction(async (connection) => {
+    const order = await loadChangeableOrder(userId, orderId, connection);
+    if (order.payment_status !== PAYMENT_STATUS.PENDING) {
+      throw new HttpError(400, 'This order has already been paid. Cancel it instead to get a refund.');
+    }
+
+    // The old lines' stock goes back first so the new ones can reuse it.
+    const released = await releaseStock(orderId, connection);
+    const { orderItems, stockDemand } = await priceOrderItems(items, connection);
+
+    const promoCode = body.promo_code === undefined ? order.promo_code : body.promo_code;
+    const applied = promoCode
+      ? await promoService.applyPromo(promoCode, { userId, orderItems, lock: true, excludeOrderId: orderId }, connection)
+      : null;
+    const charges = computeCharges(orderItems, applied);
+
+    await reserveStock(stockDemand, connection);
+    await orderRepository.deleteItems(orderId, connection);
+    await saveOrderItems(orderId, orderItems, connection);
+
+    const fields = {
+      subtotal_amount: charges.subtotal,
+      discount_amount: charges.discount,
+      tax_amount: charges.tax,
+      service_charge_amount: charges.serviceCharge,
+      total_amount: charges.total,
+      promo_id: applied ? applied.promo.promo_id : null,
+      promo_code: applied ? applied.code : null
+    };
+    if (special_instructions !== undefined) {
+      fields.special_instructions = special_instructions || null;
+    }
+    await orderRepository.update(orderId, fields, connection);
+    // Any intent opened for the old total is void; paying needs a new one.
+    await paymentRepository.cancelOpenByOrder(orderId, connection);
+
+    await auditService.record(context, {
+      action: 'order.customer_edit',
+      entityType: 'order',
+      entityId: orderId,
+      before: { total_amount: Number(order.total_amount), promo_code: order.promo_code },
+      after: {
+        total_amount: charges.total,
+        promo_code: fields.promo_code,
+        items: orderItems.map((item) => ({ item_id: item.item_id, quantity: item.quantity }))
+      }
+    }, connection);
+
+    const changedIds = [...new Set([...released, ...stockDemand.keys()])];
+    const stockChanges = changedIds.length > 0 ? await menuRepository.findStockByIds(changedIds, connection) : [];
+    return { order, charges, stockChanges };
+  });
+
+  menuService.broadcastStock(stockChanges);
+  await broadcastOrder(orderId);
+  emit('admins', 'order:edit', {
+    orderId,
+    orderNumber: order.order_number,
+    totalAmount: charges.total,
+    previousTotal: Number(order.total_amount),
+    userId,
+    username: user.username,
+    at: Date.now()
+  });
+
+  console.log(`[ORDER] Order ${order.order_number} edited by user ${userId}`);
+  return getCustomerOrder(orderId, userId);
+};
+
+module.exports = {
+  quoteOrder,
+  createOrder,
+  listRecentOrders,
+  listOrders,
+  getCustomerOrder,
+  cancelOrder,
+  modifyOrder,
+  listAllOrders,
+  listQueueOrders,
+  getAdminOrder,
+  updateOrderStatus,
+  assertTransition
+};
@@ -0,0 +1,234 @@
+// services/paymentService.js - Card and wallet payments through the configured provider
+const HttpError = require('../utils/httpError');
+const config = require('../config');
+const { withTransaction } = require('../db/pool');
+const { toMinor } = require('../utils/money');
+const { ORDER_STATUS, PAYMENT_STATUS, PAYMENT_METHODS } = require('../constants');
+const orderRepository = require('../repositories/orderRepository');
+const paymentRepository = require('../repositories/paymentRepository');
+const auditService = require('./auditService');
+const { broadcastOrder } = require('./orderEvents');
+const { getProvider } = require('../payments');
+
+const PAYMENT_STATE = {
+  REQUIRES_PAYMENT: 'requires_payment',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  REJECTED: 'rejected',
+  REFUNDED: 'refunded'
+};
+
+const toIntent = (payment) => ({
+  payment_id: payment.payment_id,
+  order_id: payment.order_id,
+  provider: payment.provider,
+  intent_id: payment.intent_id,
+  amount: Number(payment.amount),
+  currency: payment.currency,
+  status: payment.status
+});
+
+// The order must be the customer's own, unpaid and still live.
+const loadPayableOrder = async (orderId, userId) => {
+  const order = await orderRepository.findWithCustomer(orderId);
+  if (!order || order.user_id !== userId) {
+    throw new HttpError(404, 'Order not found');
+  }
+  if (order.payment_method === PAYMENT_METHODS.CASH) {
+    throw new HttpError(400, 'Cash orders are paid at the counter.');
+  }
+  if (order.status === ORDER_STATUS.CANCELLED) {
+    throw new HttpError(400, 'This order was cancelled.');
+  }
+  if (order.payment_status !== PAYMENT_STATUS.PENDING) {
+    throw new HttpError(400, 'This order has already been paid.');
+  }
+  return order;
+};
+
+// Starts (or resumes) online payment of an order. Calling it again while
+// an intent for the same amount is still open returns that intent, so a
+// reload can't charge the customer twice.
+const createIntent = async (orderId, user) => {
+  const order = await loadPayableOrder(orderId, user.userId);
+  const open = await paymentRepository.findOpenByOrder(orderId);
+  if (open && toMinor(open.amount) === toMinor(order.total_amount)) {
+    return toIntent(open);
+  }
+
+  const provider = getProvider();
+  const { intentId, status } = await provider.createIntent({
+    orderId,
+    orderNumber: order.order_number,
+    amountMinor: toMinor(order.total_amount),
+    currency: config.payments.currency,
+    method: order.payment_method
+  });
+
+  const paymentId = await paymentRepository.create({
+    order_id: orderId,
+    provider: provider.name,
+    intent_id: intentId,
+    method: order.payment_method,
+    amount: order.total_amount,
+    currency: config.payments.currency,
+    status: status || PAYMENT_STATE.REQUIRES_PAYMENT
+  });
+  console.log(`[PAYMENT] Intent ${intentId} created for order ${order.order_number}`);
+  return toIntent(await paymentRepository.findById(paymentId));
+};
+
+// Sends money the order could not take straight back, outside the webhook
+// transaction so no row stays locked during the provider call. If the
+// provider turns it down the payment stays 'rejected' for staff to settle.
+const refundRejectedPayment = async ({ payment, orderNumber, reason }) => {
+  console.warn(`[PAYMENT] Payment ${payment.intent_id} for order ${orderNumber} rejected (${reason})`);
+  try {
+    const { refundId } = await getProvider().refund({
+      intentId: payment.intent_id,
+      amountMinor: toMinor(payment.amount),
+      currency: payment.currency,
+      reason
+    });
+    await paymentRepository.updateStatus(payment.payment_id, PAYMENT_STATE.REFUNDED);
+    await auditService.record(null, {
+      action: 'order.payment_refunded',
+      entityType: 'order',
+      entityId: payment.order_id,
+      before: { payment: PAYMENT_STATE.REJECTED },
+      after: { payment: PAYMENT_STATE.REFUNDED, intent_id: payment.intent_id, provider_refund_id: refundId }
+    });
+  } catch (err) {
+    console.error(`[PAYMENT] Automatic refund of ${payment.intent_id} failed:`, err.message);
+  }
+};
+
+// Applies a provider webhook. A payment for an order that was cancelled,
+// repriced or already paid meanwhile is rejected and refunded rather than
+// applied. Events are recorded by id first, so a redelivery is acknowledged
+// without touching the order again. Returns { duplicate } for the route to
+// acknowledge.
+const handleWebhook = async (rawBody, headers) => {
+  const provider = getProvider();
+  let event;
+  try {
+    event = provider.parseWebhook(rawBody || '', headers);
+  } catch (err) {
+    event = null;
+  }
+  if (!event) {
+    console.warn('[SECURITY] Payment webhook with an invalid signature');
+    throw new HttpError(400, 'Invalid webhook signature');
+  }
+
+  const result = await withTransaction(async (connection) => {
+    try {
+      await paymentRepository.recordWebhookEvent({
+        provider: provider.name,
+        event_id: event.id,
+        event_type: event.type,
+        intent_id: event.intentId
+      }, connection);
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return { duplicate: true };
+      }
+      throw err;
+    }
+
+    const payment = await paymentRepository.findByIntentIdForUpdate(event.intentId, connection);
+    if (!payment) {
+      throw new HttpError(404, 'Unknown payment intent');
+    }
+
+    if (event.type === 'payment.failed') {
+      if (payment.status === PAYMENT_STATE.REQUIRES_PAYMENT) {
+        await paymentRepository.updateStatus(payment.payment_id, PAYMENT_STATE.FAILED, connection);
+      }
+      return { duplicate: false };
+    }
+    if (event.type !== 'payment.succeeded') {
+      return { duplicate: false };
+    }
+
+    if (event.amountMinor !== toMinor(payment.amount)) {
+      throw new HttpError(400, 'Payment amount does not match the intent');
+    }
+
+    // Another success for an intent that was already applied or turned
+    // away changes nothing.
+    if ([PAYMENT_STATE.SUCCEEDED, PAYMENT_STATE.REJECTED, PAYMENT_STATE.REFUNDED].includes(payment.status)) {
+      return { duplicate: false };
+    }
+
+    const order = await orderRepository.findByIdForUpdate(payment.order_id, connection);
+    // The order may have been cancelled, repriced or paid some other way
+    // since the intent was opened; only its total as it stands now, on an
+    // order still waiting for payment, can settle it.
+    let rejection = null;
+    if (order.status === ORDER_STATUS.CANCELLED) {
+      rejection = 'order_cancelled';
+    } else if (order.payment_status !== PAYMENT_STATUS.PENDING) {
+      rejection = 'already_paid';
+    } else if (event.amountMinor !== toMinor(order.total_amount)) {
+      rejection = 'amount_changed';
+    }
+    if (rejection) {
+      await paymentRepository.updateStatus(payment.payment_id, PAYMENT_STATE.REJECTED, connection);
+      await auditService.record(null, {
+        action: 'order.payment_rejected',
+        entityType: 'order',
+        entityId: payment.order_id,
+        before: { payment_status: order.payment_status },
+        after: { reason: rejection, provider: payment.provider, intent_id: payment.intent_id, amount: Number(payment.amount) }
+      }, connection);
+      return { duplicate: false, rejected: { payment, orderNumber: order.order_number, reason: rejection } };
+    }
+
+    await paymentRepository.updateStatus(payment.payment_id, PAYMENT_STATE.SUCCEEDED, connection);
+    await orderRepository.update(payment.order_id, { payment_status: PAYMENT_STATUS.PAID }, connection);
+    await auditService.record(null, {
+      action: 'order.payment_update',
+      entityType: 'order',
+      entityId: payment.order_id,
+      before: { payment_status: order.payment_status },
+      after: { payment_status: PAYMENT_STATUS.PAID, provider: payment.provider, intent_id: payment.intent_id }
+    }, connection);
+    return { duplicate: false, paidOrderId: payment.order_id, orderNumber: order.order_number };
+  });
+
+  if (result.rejected) {
+    await refundRejectedPayment(result.rejected);
+  }
+  if (result.paidOrderId) {
+    console.log(`[PAYMENT] Order ${result.orderNumber} paid`);
+    await broadcastOrder(result.paidOrderId, { toCustomer: true });
+  }
+  return { duplicate: result.duplicate };
+};
+
+// Mock provider only: stands in for the hosted checkout by sending the
+// webhook the provider would, for one of the customer's own intents.
+const completeMockPayment = async (intentId, outcome, user) => {
+  const provider = getProvider();
+  if (typeof provider.simulateWebhook !== 'function') {
+    throw new HttpError(404, 'Not found');
+  }
+
+  const payment = await paymentRepository.findByIntentId(intentId);
+  const order = payment && (await orderRepository.findWithCustomer(payment.order_id));
+  if (!order || order.user_id !== user.userId) {
+    throw new HttpError(404, 'Payment not found');
+  }
+
+  const { rawBody, headers } = provider.simulateWebhook({
+    intentId,
+    amountMinor: toMinor(payment.amount),
+    currency: payment.currency,
+    outcome
+  });
+  await handleWebhook(rawBody, headers);
+  return toIntent(await paymentRepository.findById(payment.payment_id));
+};
+
+module.exports = { createIntent, handleWebhook, completeMockPayment };
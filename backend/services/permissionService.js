@@ -0,0 +1,78 @@
+// services/permissionService.js - Role → permission lookups and super-admin edits
+const HttpError = require('../utils/httpError');
+const { withTransaction } = require('../db/pool');
+const { ROLES } = require('../constants');
+const permissionRepository = require('../repositories/permissionRepository');
+const auditService = require('./auditService');
+
+// Resolves what a user may do right now. Super-admins hold every permission
+// regardless of their role's grants. Returns null for unknown or deactivated
+// users.
+const getUserAccess = async (userId) => {
+  const rows = await permissionRepository.findAccessRowsForUser(userId);
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const { role } = rows[0];
+  const isSuperAdmin = Boolean(rows[0].is_super_admin);
+  const permissions = isSuperAdmin
+    ? (await permissionRepository.findAll()).map((p) => p.permission_key)
+    : rows.map((row) => row.permission_key).filter(Boolean);
+
+  return { role, isSuperAdmin, permissions };
+};
+
+const listRolePermissions = async () => {
+  const [permissions, grants] = await Promise.all([
+    permissionRepository.findAll(),
+    permissionRepository.findRoleGrants()
+  ]);
+
+  const roles = Object.fromEntries(Object.values(ROLES).map((role) => [role, []]));
+  for (const { role, permission_key } of grants) {
+    if (roles[role]) {
+      roles[role].push(permission_key);
+    }
+  }
+
+  return {
+    permissions: permissions.map((p) => ({ key: p.permission_key, description: p.description })),
+    roles
+  };
+};
+
+const updateRolePermissions = async (role, permissionKeys, context) => {
+  if (!Object.values(ROLES).includes(role)) {
+    throw new HttpError(400, 'Invalid role');
+  }
+
+  if (!Array.isArray(permissionKeys) || permissionKeys.some((key) => typeof key !== 'string')) {
+    throw new HttpError(400, 'permissions must be an array of permission keys');
+  }
+
+  const known = new Set((await permissionRepository.findAll()).map((p) => p.permission_key));
+  const unknown = permissionKeys.filter((key) => !known.has(key));
+  if (unknown.length > 0) {
+    throw new HttpError(400, `Unknown permission: ${unknown.join(', ')}`);
+  }
+
+  const keys = [...new Set(permissionKeys)].sort();
+  await withTransaction(async (connection) => {
+    const before = (await permissionRepository.findRoleGrants(connection))
+      .filter((grant) => grant.role === role)
+      .map((grant) => grant.permission_key);
+    await permissionRepository.replaceForRole(role, keys, connection);
+    await auditService.record(context, {
+      action: 'role.permissions_update',
+      entityType: 'role',
+      before: { role, permissions: before },
+      after: { role, permissions: keys }
+    }, connection);
+  });
+
+  console.log(`[PERMISSIONS] ✓ ${role} now has: ${keys.join(', ') || '(none)'}`);
+  return { role, permissions: keys };
+};
+
+module.exports = { getUserAccess, listRolePermissions, updateRolePermissions };
@@ -0,0 +1,112 @@
+// services/profileService.js - Self-service edits to the signed-in user's own account
+const bcrypt = require('bcrypt');
+const HttpError = require('../utils/httpError');
+const { withTransaction } = require('../db/pool');
+const userRepository = require('../repositories/userRepository');
+const sessionRepository = require('../repositories/sessionRepository');
+const accountTokenService = require('./accountTokenService');
+const auditService = require('./auditService');
+const { getProfile } = require('./authService');
+
+const EDITABLE_FIELDS = ['full_name', 'phone', 'email'];
+
+// A new email address starts out unverified and gets its own confirmation link.
+const updateProfile = async (userId, body, context) => {
+  const current = await userRepository.findProfileById(userId);
+  if (!current || !current.is_active) {
+    throw new HttpError(404, 'User not found');
+  }
+
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = field === 'phone' ? body.phone || null : body[field];
+    }
+  }
+  if (Object.keys(fields).length === 0) {
+    throw new HttpError(400, 'No fields to update');
+  }
+
+  const emailChanged = fields.email !== undefined && fields.email !== current.email;
+  if (emailChanged) {
+    fields.email_verified_at = null;
+  }
+
+  const changed = EDITABLE_FIELDS.filter((field) => fields[field] !== undefined);
+  try {
+    await withTransaction(async (connection) => {
+      await userRepository.update(userId, fields, connection);
+      await auditService.record(context, {
+        action: 'user.profile_update',
+        entityType: 'user',
+        entityId: userId,
+        before: auditService.pick(current, changed),
+        after: auditService.pick(fields, changed)
+      }, connection);
+    });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      throw new HttpError(409, 'Email already in use');
+    }
+    throw err;
+  }
+
+  if (emailChanged) {
+    await accountTokenService.sendVerificationEmail({ user_id: userId, username: current.username, email: fields.email });
+  }
+
+  console.log(`[PROFILE] ✓ ${current.username} updated ${Object.keys(fields).join(', ')}`);
+  return getProfile(userId);
+};
+
+const verifyPassword = async (userId, password, message) => {
+  const user = await userRepository.findPasswordById(userId);
+  if (!user) {
+    throw new HttpError(404, 'User not found');
+  }
+  // 400 rather than 401: the caller is authenticated, only the re-typed
+  // password is wrong.
+  if (!user.password || !(await bcrypt.compare(password, user.password))) {
+    throw new HttpError(400, message);
+  }
+  return user;
+};
+
+// Keeps the current session and signs out every other device.
+const changePassword = async (userId, sessionId, { current_password, new_password }, context) => {
+  await verifyPassword(userId, current_password, 'Current password is incorrect');
+
+  const passwordHash = await bcrypt.hash(new_password, 10);
+  const revoked = await withTransaction(async (connection) => {
+    await userRepository.updatePassword(userId, passwordHash, connection);
+    await auditService.record(context, { action: 'user.password_change', entityType: 'user', entityId: userId }, connection);
+    return sessionRepository.revokeAllForUser(userId, sessionId, new Date(), connection);
+  });
+
+  console.log(`[PROFILE] ✓ Password changed for user ${userId}; ${revoked} other session(s) signed out`);
+};
+
+// Deactivated accounts keep their orders but can no longer sign in.
+const deactivateAccount = async (userId, { password }, context) => {
+  const user = await verifyPassword(userId, password, 'Password is incorrect');
+
+  if (user.is_super_admin && (await userRepository.countActiveSuperAdmins()) <= 1) {
+    throw new HttpError(400, 'The last super-admin cannot deactivate their account');
+  }
+
+  await withTransaction(async (connection) => {
+    await userRepository.update(userId, { is_active: false }, connection);
+    await sessionRepository.revokeAllForUser(userId, null, new Date(), connection);
+    await auditService.record(context, {
+      action: 'user.status_update',
+      entityType: 'user',
+      entityId: userId,
+      before: { is_active: true },
+      after: { is_active: false }
+    }, connection);
+  });
+
+  console.log(`[PROFILE] ✓ User ${userId} deactivated their account`);
+};
+
+module.exports = { updateProfile, changePassword, deactivateAccount };
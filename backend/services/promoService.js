@@ -0,0 +1,208 @@
+// services/promoService.js - Promo code management and the discount engine used at checkout
+const HttpError = require('../utils/httpError');
+const { withTransaction } = require('../db/pool');
+const { toMysqlDateTime } = require('../utils/dateRange');
+const { toMoney } = require('../utils/money');
+const promoRepository = require('../repositories/promoRepository');
+const menuRepository = require('../repositories/menuRepository');
+const categoryRepository = require('../repositories/categoryRepository');
+const auditService = require('./auditService');
+
+const AUDIT_FIELDS = [
+  'code', 'description', 'discount_type', 'discount_value', 'max_discount', 'min_order_amount',
+  'per_user_limit', 'starts_at', 'ends_at', 'is_active'
+];
+const EDITABLE_FIELDS = AUDIT_FIELDS.filter((field) => field !== 'code');
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+const withRestrictions = async (promos, conn) => {
+  const ids = promos.map((promo) => promo.promo_id);
+  const restrictions = await promoRepository.findRestrictions(ids, conn);
+  const uses = await promoRepository.countUses(ids, conn);
+  return promos.map((promo) => ({ ...promo, ...restrictions.get(promo.promo_id), times_used: uses.get(promo.promo_id) || 0 }));
+};
+
+const listPromos = async () => withRestrictions(await promoRepository.findAll());
+
+const getPromo = async (promoId, conn) => {
+  const promo = await promoRepository.findById(promoId, conn);
+  if (!promo) {
+    throw new HttpError(404, 'Promo code not found');
+  }
+  const [full] = await withRestrictions([promo], conn);
+  return full;
+};
+
+const checkRestrictions = async ({ category_ids = [], item_ids = [] }, conn) => {
+  for (const categoryId of category_ids) {
+    if (!(await categoryRepository.findById(categoryId, conn))) {
+      throw new HttpError(400, `Category ${categoryId} not found`);
+    }
+  }
+  if (item_ids.length > 0) {
+    const found = await menuRepository.findByIds(item_ids, conn);
+    const missing = item_ids.find((id) => !found.some((item) => item.item_id === id));
+    if (missing) {
+      throw new HttpError(400, `Menu item ${missing} not found`);
+    }
+  }
+  return { category_ids: [...new Set(category_ids)], item_ids: [...new Set(item_ids)] };
+};
+
+// Only the keys present in `body` are written, so PUT can change one field.
+const toColumns = (body, fields) => {
+  const columns = {};
+  for (const field of fields) {
+    if (body[field] === undefined) continue;
+    if (field === 'starts_at' || field === 'ends_at') {
+      columns[field] = body[field] ? toMysqlDateTime(new Date(body[field])) : null;
+    } else if (field === 'is_active') {
+      columns[field] = body[field] ? 1 : 0;
+    } else {
+      columns[field] = body[field];
+    }
+  }
+  return columns;
+};
+
+const snapshot = (promo) => ({
+  ...auditService.pick(promo, AUDIT_FIELDS),
+  category_ids: promo.category_ids,
+  item_ids: promo.item_ids
+});
+
+const createPromo = async (body, context) => {
+  try {
+    return await withTransaction(async (connection) => {
+      const restrictions = await checkRestrictions(body, connection);
+      const promoId = await promoRepository.create({
+        code: normalizeCode(body.code),
+        ...toColumns(body, EDITABLE_FIELDS)
+      }, connection);
+      await promoRepository.replaceRestrictions(promoId, restrictions, connection);
+
+      const created = await getPromo(promoId, connection);
+      await auditService.record(context, {
+        action: 'promo_code.create',
+        entityType: 'promo_code',
+        entityId: promoId,
+        after: snapshot(created)
+      }, connection);
+      return created;
+    });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      throw new HttpError(409, 'A promo code with that code already exists');
+    }
+    throw err;
+  }
+};
+
+const updatePromo = async (promoId, body, context) => {
+  return withTransaction(async (connection) => {
+    const before = await getPromo(promoId, connection);
+
+    const columns = toColumns(body, EDITABLE_FIELDS);
+    const type = columns.discount_type || before.discount_type;
+    const value = columns.discount_value !== undefined ? columns.discount_value : Number(before.discount_value);
+    if (type === 'percentage' && value >= 100) {
+      throw new HttpError(400, 'Percentage discounts must be below 100');
+    }
+    if (Object.keys(columns).length > 0) {
+      await promoRepository.update(promoId, columns, connection);
+    }
+    if (body.category_ids !== undefined || body.item_ids !== undefined) {
+      const restrictions = await checkRestrictions({
+        category_ids: body.category_ids !== undefined ? body.category_ids : before.category_ids,
+        item_ids: body.item_ids !== undefined ? body.item_ids : before.item_ids
+      }, connection);
+      await promoRepository.replaceRestrictions(promoId, restrictions, connection);
+    }
+
+    const after = await getPromo(promoId, connection);
+    await auditService.record(context, {
+      action: 'promo_code.update',
+      entityType: 'promo_code',
+      entityId: promoId,
+      before: snapshot(before),
+      after: snapshot(after)
+    }, connection);
+    return after;
+  });
+};
+
+// Works out the discount `code` gives `userId` on priced order lines
+// ({ item_id, category_id, subtotal }). `eligibleItems` are the lines the
+// discount was taken from. Throws a 400 explaining why a code
+// can't be used. Inside the order transaction pass `lock` so the per-user
+// limit can't be raced, and `excludeOrderId` when re-pricing an edited order.
+const applyPromo = async (code, { userId, orderItems, lock = false, excludeOrderId = null }, conn) => {
+  const normalized = normalizeCode(code);
+  const now = toMysqlDateTime(new Date());
+  const promo = lock
+    ? await promoRepository.findByCodeForUpdate(normalized, now, conn)
+    : await promoRepository.findByCode(normalized, now, conn);
+
+  if (!promo || !promo.is_active) {
+    throw new HttpError(400, `Promo code "${normalized}" is not valid.`);
+  }
+  if (!promo.has_started) {
+    throw new HttpError(400, `Promo code "${normalized}" is not active yet.`);
+  }
+  if (!promo.has_not_ended) {
+    throw new HttpError(400, `Promo code "${normalized}" has expired.`);
+  }
+
+  const subtotal = toMoney(orderItems.reduce((sum, item) => sum + item.subtotal, 0));
+  if (subtotal < Number(promo.min_order_amount)) {
+    throw new HttpError(
+      400,
+      `Promo code "${normalized}" needs an order of at least Rs ${Number(promo.min_order_amount).toFixed(2)}.`
+    );
+  }
+
+  if (promo.per_user_limit !== null && promo.per_user_limit !== undefined) {
+    const used = await promoRepository.countUsesByUser(promo.promo_id, userId, { excludeOrderId }, conn);
+    if (used >= promo.per_user_limit) {
+      throw new HttpError(
+        400,
+        promo.per_user_limit === 1
+          ? `You have already used promo code "${normalized}".`
+          : `You have already used promo code "${normalized}" ${promo.per_user_limit} times.`
+      );
+    }
+  }
+
+  const { category_ids, item_ids } = (await promoRepository.findRestrictions([promo.promo_id], conn)).get(promo.promo_id);
+  const restricted = category_ids.length > 0 || item_ids.length > 0;
+  const eligibleItems = orderItems.filter(
+    (item) => !restricted || item_ids.includes(item.item_id) || category_ids.includes(item.category_id)
+  );
+  const eligible = toMoney(eligibleItems.reduce((sum, item) => sum + item.subtotal, 0));
+  if (eligible === 0) {
+    throw new HttpError(400, `Promo code "${normalized}" does not apply to any item in your cart.`);
+  }
+
+  let discount = promo.discount_type === 'percentage'
+    ? toMoney((eligible * Number(promo.discount_value)) / 100)
+    : Math.min(Number(promo.discount_value), eligible);
+  if (promo.max_discount !== null && promo.max_discount !== undefined) {
+    discount = Math.min(discount, Number(promo.max_discount));
+  }
+
+  // Orders can't be free: total_amount has to stay above zero.
+  if (discount >= subtotal) {
+    throw new HttpError(400, `Add more to your order to use promo code "${normalized}".`);
+  }
+
+  return { promo, code: normalized, discount: toMoney(discount), eligibleItems };
+};
+
+module.exports = {
+  listPromos,
+  getPromo,
+  createPromo,
+  updatePromo,
+  applyPromo
+};
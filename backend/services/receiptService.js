@@ -0,0 +1,146 @@
+// services/receiptService.js - Order receipts as PDF or plain text for thermal printers
+const HttpError = require('../utils/httpError');
+const orderRepository = require('../repositories/orderRepository');
+const modifierService = require('./modifierService');
+const { renderTextPdf } = require('../utils/pdf');
+
+const STORE_NAME = 'GRAB N GO';
+const THERMAL_WIDTH = 42; // characters per line on 80mm paper
+const PDF_WIDTH = 56;
+
+const money = (value) => Number(value || 0).toFixed(2);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatDateTime = (value) => {
+  const date = new Date(value);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const capitalize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1) : '');
+
+// Loads everything a receipt prints. Pass `userId` to limit the lookup to
+// that customer's own orders; other people's orders are reported as missing.
+const getReceipt = async (orderId, { userId } = {}) => {
+  const rows = await orderRepository.findAdminOrderRows(orderId);
+  if (rows.length === 0 || (userId !== undefined && rows[0].user_id !== userId)) {
+    throw new HttpError(404, 'Order not found');
+  }
+  const modifiers = await modifierService.loadForOrder(orderId);
+
+  const order = rows[0];
+  return {
+    orderNumber: order.order_number,
+    customer: order.full_name || order.username,
+    createdAt: order.created_at,
+    updatedAt: order.updated_at,
+    scheduledAt: order.order_type === 'scheduled' ? order.scheduled_at : null,
+    paymentMethod: order.payment_method,
+    paymentStatus: order.payment_status,
+    status: order.status,
+    items: rows
+      .filter((row) => row.order_item_id !== null)
+      .map((row) => ({
+        name: row.item_name || `Item ${row.item_id}`,
+        quantity: row.quantity,
+        unitPrice: Number(row.unit_price),
+        subtotal: Number(row.subtotal),
+        modifiers: modifiers.get(row.order_item_id) || [],
+        comboName: row.combo_name
+      })),
+    subtotal: Number(order.subtotal_amount),
+    discount: Number(order.discount_amount),
+    promoCode: order.promo_code,
+    tax: Number(order.tax_amount),
+    serviceCharge: Number(order.service_charge_amount),
+    total: Number(order.total_amount)
+  };
+};
+
+// `label` on the left, `amount` flush right, wrapping the label if needed.
+const row = (label, amount, width) => {
+  const room = width - amount.length - 1;
+  const lines = [];
+  let rest = label;
+  while (rest.length > room) {
+    const cut = rest.lastIndexOf(' ', room) > 0 ? rest.lastIndexOf(' ', room) : room;
+    lines.push(rest.slice(0, cut));
+    rest = `  ${rest.slice(cut).trim()}`;
+  }
+  lines.push(`${rest.padEnd(room)} ${amount}`);
+  return lines;
+};
+
+const center = (text, width) => text.padStart(Math.floor((width + text.length) / 2)).padEnd(width);
+
+const receiptLines = (receipt, width) => {
+  const rule = '-'.repeat(width);
+  const lines = [
+    center(STORE_NAME, width),
+    center('Order Receipt', width),
+    rule,
+    `Order:    ${receipt.orderNumber}`,
+    `Placed:   ${formatDateTime(receipt.createdAt)}`
+  ];
+  if (receipt.scheduledAt) {
+    lines.push(`Pickup:   ${formatDateTime(receipt.scheduledAt)}`);
+  }
+  lines.push(`Customer: ${receipt.customer}`, rule);
+
+  for (const item of receipt.items) {
+    lines.push(...row(`${item.quantity} x ${item.name}`, money(item.subtotal), width));
+    if (item.quantity > 1) {
+      lines.push(`    @ ${money(item.unitPrice)} each`);
+    }
+    for (const modifier of item.modifiers) {
+      lines.push(`    + ${modifier.option_name}`);
+    }
+    if (item.comboName) {
+      lines.push(`    (${item.comboName})`);
+    }
+  }
+
+  lines.push(rule, ...row('Subtotal', money(receipt.subtotal), width));
+  if (receipt.discount > 0) {
+    lines.push(...row(`Discount (${receipt.promoCode})`, `-${money(receipt.discount)}`, width));
+  }
+  if (receipt.tax > 0) {
+    lines.push(...row('Tax', money(receipt.tax), width));
+  }
+  if (receipt.serviceCharge > 0) {
+    lines.push(...row('Service charge', money(receipt.serviceCharge), width));
+  }
+  lines.push(
+    ...row('TOTAL', `Rs ${money(receipt.total)}`, width),
+    rule,
+    `Payment:  ${capitalize(receipt.paymentMethod)} (${receipt.paymentStatus})`,
+    `Status:   ${capitalize(receipt.status)}`,
+    `Updated:  ${formatDateTime(receipt.updatedAt || receipt.createdAt)}`,
+    `Printed:  ${formatDateTime(new Date())}`,
+    rule,
+    center('Thank you!', width)
+  );
+  return lines.map((line) => line.trimEnd());
+};
+
+const renderText = (receipt) => `${receiptLines(receipt, THERMAL_WIDTH).join('\n')}\n`;
+
+const renderPdf = (receipt) => renderTextPdf(receiptLines(receipt, PDF_WIDTH));
+
+// What the routes send for `format` ('pdf' or 'text').
+const formatReceipt = (receipt, format) => {
+  if (format === 'text') {
+    return {
+      contentType: 'text/plain; charset=utf-8',
+      filename: `receipt-${receipt.orderNumber}.txt`,
+      body: renderText(receipt)
+    };
+  }
+  return {
+    contentType: 'application/pdf',
+    filename: `receipt-${receipt.orderNumber}.pdf`,
+    body: renderPdf(receipt)
+  };
+};
+
+module.exports = { getReceipt, renderText, renderPdf, formatReceipt };
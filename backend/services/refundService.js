@@ -0,0 +1,257 @@
+// services/refundService.js - Item-level refunds of paid orders, through the payment provider when paid online
+const HttpError = require('../utils/httpError');
+const { withTransaction } = require('../db/pool');
+const { toMoney, toMinor } = require('../utils/money');
+const { PAYMENT_STATUS } = require('../constants');
+const orderRepository = require('../repositories/orderRepository');
+const paymentRepository = require('../repositories/paymentRepository');
+const refundRepository = require('../repositories/refundRepository');
+const auditService = require('./auditService');
+const { broadcastOrder } = require('./orderEvents');
+const { getProvider } = require('../payments');
+
+// What the customer paid for each line: the order total shared out in
+// proportion to each line's subtotal plus its tax, so a discount and the
+// service charge go back pro rata with the food they came with.
+const lineValues = (order, lines) => {
+  const weights = lines.map((line) => Number(line.subtotal) * (1 + Number(line.tax_rate) / 100));
+  const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+  return new Map(lines.map((line, index) => [
+    line.order_item_id,
+    weightTotal > 0 ? (Number(order.total_amount) * weights[index]) / weightTotal : 0
+  ]));
+};
+
+// Prices the requested units and checks none were refunded already.
+// Returns the refund_items rows and the amount to send back.
+const priceRefund = (order, lines, alreadyRefunded, requested) => {
+  const lineMap = new Map(lines.map((line) => [line.order_item_id, line]));
+  const values = lineValues(order, lines);
+  const requestedQuantities = new Map();
+
+  const items = requested.map(({ order_item_id, quantity }) => {
+    const line = lineMap.get(order_item_id);
+    if (!line) {
+      throw new HttpError(400, `Item ${order_item_id} is not part of this order`);
+    }
+    if (requestedQuantities.has(order_item_id)) {
+      throw new HttpError(400, 'Each order item can only be listed once');
+    }
+
+    const left = line.quantity - (alreadyRefunded.get(order_item_id) || 0);
+    if (quantity > left) {
+      throw new HttpError(
+        400,
+        left === 0
+          ? `"${line.item_name}" has already been refunded`
+          : `Only ${left} of "${line.item_name}" can still be refunded`
+      );
+    }
+    requestedQuantities.set(order_item_id, quantity);
+    return { order_item_id, quantity, amount: toMoney((values.get(order_item_id) * quantity) / line.quantity) };
+  });
+
+  const remaining = toMoney(Number(order.total_amount) - Number(order.refunded_amount));
+  const closesOrder = lines.every((line) =>
+    (alreadyRefunded.get(line.order_item_id) || 0) + (requestedQuantities.get(line.order_item_id) || 0) === line.quantity
+  );
+
+  // Rounding each line can leave a cent over or under; the refund that
+  // returns the last unit settles exactly what is left.
+  const itemsTotal = toMoney(items.reduce((sum, item) => sum + item.amount, 0));
+  const amount = closesOrder ? remaining : Math.min(itemsTotal, remaining);
+  if (amount <= 0) {
+    throw new HttpError(400, 'Nothing is left to refund on this order');
+  }
+  const last = items[items.length - 1];
+  last.amount = toMoney(last.amount + amount - itemsTotal);
+
+  return { items, amount, closesOrder };
+};
+
+// The provider that took `payment`, which must still be the configured one.
+const providerFor = (payment) => {
+  const provider = getProvider();
+  if (provider.name !== payment.provider) {
+    throw new HttpError(400, `This order was paid through ${payment.provider}, which is no longer the payment provider.`);
+  }
+  return provider;
+};
+
+// Sends the money back through the provider that took it. Returns the
+// provider's refund id.
+const refundWithProvider = async (provider, payment, amount, reasonCode) => {
+  try {
+    const { refundId } = await provider.refund({
+      intentId: payment.intent_id,
+      amountMinor: toMinor(amount),
+      currency: payment.currency,
+      reason: reasonCode
+    });
+    return refundId;
+  } catch (err) {
+    console.error(`[PAYMENT] Refund of ${payment.intent_id} failed:`, err.message);
+    throw new HttpError(502, 'The payment provider could not process the refund');
+  }
+};
+
+// Prices a refund of part or all of a paid order and records it inside the
+// caller's transaction, before any money moves, so a second refund cannot
+// claim the same units while the provider is called. `items` is
+// [{ order_item_id, quantity }]; leaving it out refunds every unit still
+// unrefunded. The order is marked refunded once every unit has gone back.
+// `context` (utils/auditContext) identifies who issued it for created_by.
+// Pass the result to settleRefund after the transaction commits.
+const reserveRefund = async (orderId, { reason_code, note, items }, context, connection) => {
+  const order = await orderRepository.findByIdForUpdate(orderId, connection);
+  if (!order) {
+    throw new HttpError(404, 'Order not found');
+  }
+  if (order.payment_status === PAYMENT_STATUS.REFUNDED) {
+    throw new HttpError(400, 'This order has already been fully refunded.');
+  }
+  if (order.payment_status !== PAYMENT_STATUS.PAID) {
+    throw new HttpError(400, 'Only paid orders can be refunded.');
+  }
+
+  const lines = (await orderRepository.findAdminOrderRows(orderId, connection))
+    .filter((row) => row.order_item_id !== null);
+  const alreadyRefunded = new Map(
+    (await refundRepository.sumQuantitiesByOrder(orderId, connection))
+      .map((row) => [row.order_item_id, Number(row.quantity)])
+  );
+  const requested = items || lines
+    .map((line) => ({ order_item_id: line.order_item_id, quantity: line.quantity - (alreadyRefunded.get(line.order_item_id) || 0) }))
+    .filter((item) => item.quantity > 0);
+  const refund = priceRefund(order, lines, alreadyRefunded, requested);
+
+  // Cash refunds are handed over at the counter and only recorded here.
+  const payment = await paymentRepository.findSucceededByOrder(orderId, connection);
+
+  const refundId = await refundRepository.create({
+    order_id: orderId,
+    amount: refund.amount,
+    reason_code,
+    note: note || null,
+    payment_id: payment ? payment.payment_id : null,
+    provider: payment ? payment.provider : null,
+    provider_refund_id: null,
+    created_by: context ? context.userId : null
+  }, connection);
+  await refundRepository.addItems(refundId, refund.items, connection);
+
+  const fields = { refunded_amount: toMoney(Number(order.refunded_amount) + refund.amount) };
+  if (refund.closesOrder) {
+    fields.payment_status = PAYMENT_STATUS.REFUNDED;
+  }
+  await orderRepository.update(orderId, fields, connection);
+
+  return {
+    refundId,
+    order,
+    fields,
+    payment,
+    reasonCode: reason_code,
+    amount: refund.amount,
+    items: refund.items
+  };
+};
+
+// Undoes a reservation the provider turned down.
+const releaseRefund = ({ refundId, order, fields, amount }) => withTransaction(async (connection) => {
+  const current = await orderRepository.findByIdForUpdate(order.order_id, connection);
+  await refundRepository.remove(refundId, connection);
+  const restored = { refunded_amount: toMoney(Number(current.refunded_amount) - amount) };
+  if (fields.payment_status) {
+    restored.payment_status = order.payment_status;
+  }
+  await orderRepository.update(order.order_id, restored, connection);
+});
+
+// Pays out a reserved refund. The provider is looked up and called outside
+// any transaction so the order row is not locked for the round trip; if it
+// is no longer configured or declines, the reservation is released and the
+// error thrown. Returns the refund_id.
+const settleRefund = async (reservation, context) => {
+  const { refundId, order, fields, payment, reasonCode, amount, items } = reservation;
+
+  let providerRefundId = null;
+  if (payment) {
+    try {
+      providerRefundId = await refundWithProvider(providerFor(payment), payment, amount, reasonCode);
+    } catch (err) {
+      await releaseRefund(reservation);
+      throw err;
+    }
+  }
+
+  await withTransaction(async (connection) => {
+    if (providerRefundId) {
+      await refundRepository.setProviderRefundId(refundId, providerRefundId, connection);
+    }
+    await auditService.record(context, {
+      action: 'order.refund',
+      entityType: 'order',
+      entityId: order.order_id,
+      before: { payment_status: order.payment_status, refunded_amount: Number(order.refunded_amount) },
+      after: {
+        payment_status: fields.payment_status || order.payment_status,
+        refunded_amount: fields.refunded_amount,
+        refund_id: refundId,
+        amount,
+        reason_code: reasonCode,
+        items: items.map(({ order_item_id, quantity }) => ({ order_item_id, quantity })),
+        provider_refund_id: providerRefundId
+      }
+    }, connection);
+  });
+
+  console.log(`[REFUND] Rs ${amount.toFixed(2)} refunded on order ${order.order_number}`);
+  return refundId;
+};
+
+// Issues a refund from the admin panel and announces the order change.
+const issueRefund = async (orderId, body, context) => {
+  const reservation = await withTransaction((connection) => reserveRefund(orderId, body, context, connection));
+  const refundId = await settleRefund(reservation, context);
+
+  await broadcastOrder(orderId, { toCustomer: true });
+  const refunds = await listRefunds(orderId);
+  return refunds.find((refund) => refund.refund_id === refundId);
+};
+
+const listRefunds = async (orderId) => {
+  const order = await orderRepository.findWithCustomer(orderId);
+  if (!order) {
+    throw new HttpError(404, 'Order not found');
+  }
+
+  const refunds = await refundRepository.findByOrder(orderId);
+  if (refunds.length === 0) {
+    return [];
+  }
+  const items = await refundRepository.findItemsByRefundIds(refunds.map((refund) => refund.refund_id));
+
+  return refunds.map((refund) => ({
+    refund_id: refund.refund_id,
+    order_id: refund.order_id,
+    amount: Number(refund.amount),
+    reason_code: refund.reason_code,
+    note: refund.note,
+    provider: refund.provider,
+    provider_refund_id: refund.provider_refund_id,
+    created_by: refund.created_by,
+    created_by_username: refund.created_by_username,
+    created_at: refund.created_at,
+    items: items
+      .filter((item) => item.refund_id === refund.refund_id)
+      .map((item) => ({
+        order_item_id: item.order_item_id,
+        item_name: item.item_name,
+        quantity: item.quantity,
+        amount: Number(item.amount)
+      }))
+  }));
+};
+
+module.exports = { reserveRefund, settleRefund, issueRefund, listRefunds };
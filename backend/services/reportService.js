@@ -0,0 +1,34 @@
+// services/reportService.js - Revenue figures for the admin dashboard
+const orderRepository = require('../repositories/orderRepository');
+const refundRepository = require('../repositories/refundRepository');
+const { parseBound } = require('../utils/dateRange');
+const { toMoney } = require('../utils/money');
+
+// Takings from paid orders placed between `from` and `to` (both optional,
+// inclusive dates), less what was refunded on them. Refunds count against
+// the day the order was placed, so a period's net never goes negative.
+const getRevenue = async ({ from, to } = {}) => {
+  const range = { from: parseBound(from, false), to: parseBound(to, true) };
+  const [totals, reasons] = await Promise.all([
+    orderRepository.sumRevenue(range),
+    refundRepository.sumByReason(range)
+  ]);
+
+  const gross = toMoney(totals.gross);
+  const refunded = toMoney(totals.refunded);
+  return {
+    from: from || null,
+    to: to || null,
+    order_count: Number(totals.order_count),
+    gross,
+    refunded,
+    net: toMoney(gross - refunded),
+    refunds_by_reason: reasons.map((row) => ({
+      reason_code: row.reason_code,
+      refund_count: Number(row.refund_count),
+      amount: toMoney(row.amount)
+    }))
+  };
+};
+
+module.exports = { getRevenue };
@@ -0,0 +1,113 @@
+// services/scheduleService.js - Holds scheduled orders back from the kitchen until their lead time, and flags late ones
+//
+// A scheduled order is placed with released_at NULL and stays out of the
+// admin list, kitchen display and pickup board until SCHEDULED_ORDER_LEAD_MINUTES
+// before its scheduled_at. jobs/scheduledOrders.js runs the checks below.
+const config = require('../config');
+const { withTransaction } = require('../db/pool');
+const { ORDER_STATUS } = require('../constants');
+const orderRepository = require('../repositories/orderRepository');
+const { emit } = require('../sockets/emitter');
+const { broadcastOrder, announceNewOrder } = require('./orderEvents');
+const { toBoardEntry } = require('./kitchenService');
+const { toMysqlDateTime } = require('../utils/dateRange');
+
+// A scheduled order is overdue while it is still short of ready after its
+// pickup time.
+const OVERDUE_STATUSES = [ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED, ORDER_STATUS.PREPARING];
+
+// What the Scheduled view lists: everything not yet handed over.
+const OPEN_STATUSES = [...OVERDUE_STATUSES, ORDER_STATUS.READY];
+
+const leadMs = () => config.SCHEDULED_ORDER_LEAD_MINUTES * 60 * 1000;
+
+const isDueForRelease = (scheduledAt, now = new Date()) => scheduledAt.getTime() - leadMs() <= now.getTime();
+
+// Lets the admins room know an order was placed and is being held.
+const announceHeldOrder = (order) => {
+  emit('admins', 'order:scheduled', {
+    orderId: order.order_id,
+    orderNumber: order.order_number,
+    totalAmount: Number(order.total_amount),
+    userId: order.user_id,
+    username: order.username,
+    scheduledAt: order.scheduled_at,
+    at: Date.now()
+  });
+};
+
+// Sends every held order whose release time has come to the kitchen, each
+// announced as order:new once committed. One already confirmed while held
+// joins the pickup board now. Returns how many were released.
+const releaseDueOrders = async (now = new Date()) => {
+  const cutoff = toMysqlDateTime(new Date(now.getTime() + leadMs()));
+  const released = await withTransaction(async (connection) => {
+    const due = await orderRepository.findDueForRelease(cutoff, connection);
+    if (due.length > 0) {
+      await orderRepository.markReleased(due.map((order) => order.order_id), connection);
+    }
+    return due;
+  });
+
+  for (const order of released) {
+    announceNewOrder(order);
+    const entry = toBoardEntry(order);
+    if (entry.column) {
+      emit('pickup-board', 'board:update', entry);
+    }
+    console.log(`[SCHEDULE] Released order ${order.order_number} to the kitchen`);
+  }
+  return released.length;
+};
+
+// Flags scheduled orders that missed their pickup time, once each, and
+// tells the admins room with order:overdue. Returns how many were flagged.
+const flagOverdueOrders = async (now = new Date()) => {
+  const overdue = await withTransaction(async (connection) => {
+    const late = await orderRepository.findNewlyOverdue(toMysqlDateTime(now), OVERDUE_STATUSES, connection);
+    if (late.length > 0) {
+      await orderRepository.markOverdue(late.map((order) => order.order_id), connection);
+    }
+    return late;
+  });
+
+  for (const order of overdue) {
+    emit('admins', 'order:overdue', {
+      orderId: order.order_id,
+      orderNumber: order.order_number,
+      status: order.status,
+      scheduledAt: order.scheduled_at,
+      at: Date.now()
+    });
+    await broadcastOrder(order.order_id);
+    console.warn(`[SCHEDULE] Order ${order.order_number} is past its scheduled time`);
+  }
+  return overdue.length;
+};
+
+const runSchedule = async (now = new Date()) => ({
+  released: await releaseDueOrders(now),
+  overdue: await flagOverdueOrders(now)
+});
+
+// The admin Orders tab's Scheduled view. The lead time is sent along so the
+// timeline can show when each held order will be released.
+const listScheduledOrders = async () => {
+  const orders = await orderRepository.findScheduledWithCustomer(OPEN_STATUSES);
+  return {
+    orders: orders.map((order) => ({
+      ...order,
+      is_overdue: Boolean(order.overdue_at) && OVERDUE_STATUSES.includes(order.status)
+    })),
+    lead_minutes: config.SCHEDULED_ORDER_LEAD_MINUTES
+  };
+};
+
+module.exports = {
+  isDueForRelease,
+  announceHeldOrder,
+  releaseDueOrders,
+  flagOverdueOrders,
+  runSchedule,
+  listScheduledOrders
+};
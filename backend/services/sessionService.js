@@ -0,0 +1,78 @@
+// services/sessionService.js - Refresh-token sessions: create, rotate, list and revoke
+const config = require('../config');
+const HttpError = require('../utils/httpError');
+const { generateToken, hashToken } = require('../utils/tokens');
+const sessionRepository = require('../repositories/sessionRepository');
+
+const refreshExpiry = (now) => new Date(now.getTime() + config.REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const createSession = async (userId, { userAgent, ip } = {}) => {
+  const now = new Date();
+  const { token, tokenHash } = generateToken();
+  const expiresAt = refreshExpiry(now);
+
+  const sessionId = await sessionRepository.create({
+    userId,
+    tokenHash,
+    userAgent: userAgent ? String(userAgent).slice(0, 255) : null,
+    ipAddress: ip || null,
+    now,
+    expiresAt
+  });
+
+  return { sessionId, refresh: { token, expiresAt } };
+};
+
+// Exchanges a refresh token for a new one; the old token stops working.
+const rotateSession = async (refreshToken) => {
+  if (!refreshToken) {
+    throw new HttpError(401, 'No refresh token');
+  }
+
+  const now = new Date();
+  const currentHash = hashToken(refreshToken);
+  const session = await sessionRepository.findActiveByTokenHash(currentHash, now);
+  if (!session) {
+    throw new HttpError(401, 'Session expired or revoked');
+  }
+
+  const { token, tokenHash } = generateToken();
+  const expiresAt = refreshExpiry(now);
+  const rotated = await sessionRepository.rotate(session.session_id, currentHash, tokenHash, now, expiresAt);
+  if (rotated === 0) {
+    throw new HttpError(401, 'Session expired or revoked');
+  }
+
+  return { session, refresh: { token, expiresAt } };
+};
+
+const revokeByRefreshToken = async (refreshToken) => {
+  if (!refreshToken) {
+    return 0;
+  }
+  return sessionRepository.revokeByTokenHash(hashToken(refreshToken), new Date());
+};
+
+const listSessions = async (userId, currentSessionId) => {
+  const sessions = await sessionRepository.findActiveByUser(userId, new Date());
+  return sessions.map((session) => ({ ...session, current: session.session_id === currentSessionId }));
+};
+
+const revokeSession = async (userId, sessionId) => {
+  const revoked = await sessionRepository.revokeForUser(userId, sessionId, new Date());
+  if (revoked === 0) {
+    throw new HttpError(404, 'Session not found');
+  }
+};
+
+const revokeOtherSessions = (userId, currentSessionId) =>
+  sessionRepository.revokeAllForUser(userId, currentSessionId, new Date());
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeByRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions
+};
@@ -0,0 +1,126 @@
+// services/userService.js - Admin-side account management: listing, status, roles and resets
+const HttpError = require('../utils/httpError');
+const { withTransaction } = require('../db/pool');
+const { ROLES, PAYMENT_STATUS } = require('../constants');
+const userRepository = require('../repositories/userRepository');
+const sessionRepository = require('../repositories/sessionRepository');
+const accountTokenService = require('./accountTokenService');
+const auditService = require('./auditService');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const toListedUser = (row) => ({
+  ...row,
+  is_active: Boolean(row.is_active),
+  is_super_admin: Boolean(row.is_super_admin),
+  order_count: Number(row.order_count),
+  lifetime_spend: Number(row.lifetime_spend)
+});
+
+const listUsers = async ({ page = 1, limit = DEFAULT_PAGE_SIZE, search, role, status }) => {
+  const pageSize = Math.min(Math.max(1, limit), MAX_PAGE_SIZE);
+  const filters = {
+    search: search ? search.trim() : undefined,
+    role: Object.values(ROLES).includes(role) ? role : undefined,
+    isActive: status === 'active' ? true : status === 'inactive' ? false : undefined
+  };
+
+  const [rows, total] = await Promise.all([
+    userRepository.findPageWithOrderStats(filters, {
+      limit: pageSize,
+      offset: (page - 1) * pageSize,
+      paidStatus: PAYMENT_STATUS.PAID
+    }),
+    userRepository.countMatching(filters)
+  ]);
+
+  return { users: rows.map(toListedUser), page, limit: pageSize, total };
+};
+
+// Admins cannot act on their own account from the console, and only a
+// super-admin may touch another super-admin.
+const loadTarget = async (actor, access, userId) => {
+  if (userId === actor.userId) {
+    throw new HttpError(400, 'Use your profile page to change your own account');
+  }
+  const target = await userRepository.findAccountById(userId);
+  if (!target) {
+    throw new HttpError(404, 'User not found');
+  }
+  if (target.is_super_admin && !access.isSuperAdmin) {
+    throw new HttpError(403, 'Only a super-admin can modify a super-admin account');
+  }
+  return target;
+};
+
+// Deactivation also ends every session; the refresh lookup ignores inactive
+// users, so nothing can be renewed in the meantime.
+const setActive = async (actor, access, userId, isActive, context) => {
+  if (typeof isActive !== 'boolean') {
+    throw new HttpError(400, 'is_active must be true or false');
+  }
+  const target = await loadTarget(actor, access, userId);
+
+  await withTransaction(async (connection) => {
+    await userRepository.update(userId, { is_active: isActive }, connection);
+    if (!isActive) {
+      await sessionRepository.revokeAllForUser(userId, null, new Date(), connection);
+    }
+    await auditService.record(context, {
+      action: 'user.status_update',
+      entityType: 'user',
+      entityId: userId,
+      before: { is_active: Boolean(target.is_active) },
+      after: { is_active: isActive }
+    }, connection);
+  });
+
+  console.log(`[USERS] ✓ ${actor.username} ${isActive ? 'activated' : 'deactivated'} ${target.username}`);
+  return { user_id: userId, is_active: isActive };
+};
+
+// Granting or removing the admin role is reserved for super-admins. The
+// user is signed out so their next token carries the new role.
+const changeRole = async (actor, access, userId, role, context) => {
+  if (!Object.values(ROLES).includes(role)) {
+    throw new HttpError(400, `Role must be one of: ${Object.values(ROLES).join(', ')}`);
+  }
+  const target = await loadTarget(actor, access, userId);
+  if (target.role === role) {
+    return { user_id: userId, role };
+  }
+  if ((role === ROLES.ADMIN || target.role === ROLES.ADMIN) && !access.isSuperAdmin) {
+    throw new HttpError(403, 'Only a super-admin can grant or remove the admin role');
+  }
+
+  await withTransaction(async (connection) => {
+    await userRepository.update(userId, { role }, connection);
+    await sessionRepository.revokeAllForUser(userId, null, new Date(), connection);
+    await auditService.record(context, {
+      action: 'user.role_update',
+      entityType: 'user',
+      entityId: userId,
+      before: { role: target.role },
+      after: { role }
+    }, connection);
+  });
+
+  console.log(`[USERS] ✓ ${actor.username} changed ${target.username} from ${target.role} to ${role}`);
+  return { user_id: userId, role };
+};
+
+// Emails the user a reset link; the admin never sees or sets the password.
+const sendPasswordReset = async (actor, access, userId, context) => {
+  const target = await loadTarget(actor, access, userId);
+  if (!target.is_active) {
+    throw new HttpError(400, 'Reactivate the account before resetting its password');
+  }
+
+  await accountTokenService.sendPasswordReset(target);
+  await auditService.record(context, { action: 'user.password_reset_sent', entityType: 'user', entityId: userId });
+  console.log(`[USERS] ✓ ${actor.username} sent a password reset to ${target.username}`);
+  return { message: `Password reset link sent to ${target.email}` };
+};
+
+module.exports = { listUsers, setActive, changeRole, sendPasswordReset };
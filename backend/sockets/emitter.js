@@ -0,0 +1,28 @@
+// sockets/emitter.js - Holds the socket.io server so services can broadcast
+//
+// Services call emit() without caring whether a socket server is attached;
+// when none is (tests, scripts) the call is a no-op.
+let io = null;
+
+const setIO = (instance) => {
+  io = instance;
+};
+
+const getIO = () => io;
+
+const emit = (rooms, event, payload) => {
+  if (!io) return;
+  try {
+    for (const room of [].concat(rooms)) {
+      if (payload === undefined) {
+        io.to(room).emit(event);
+      } else {
+        io.to(room).emit(event, payload);
+      }
+    }
+  } catch (_e) {
+    console.warn(`[SOCKET] Failed to emit ${event}`);
+  }
+};
+
+module.exports = { setIO, getIO, emit };
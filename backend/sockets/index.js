@@ -0,0 +1,105 @@
+// sockets/index.js - socket.io server, handshake auth and client events
+const { Server } = require('socket.io');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const { setIO } = require('./emitter');
+const { isDisplayTokenValid } = require('../middleware/auth');
+
+const authenticateSocket = (socket, next) => {
+  // The pickup board connects with its display token rather than a user's.
+  if (socket.handshake.auth?.board !== undefined) {
+    if (!isDisplayTokenValid(socket.handshake.auth.board)) {
+      console.warn(`[SECURITY] Invalid display token from ${socket.handshake.address}`);
+      return next(new Error('Authentication error: Invalid display token'));
+    }
+    socket.board = true;
+    return next();
+  }
+
+  const token = socket.handshake.auth?.token;
+
+  if (!token) {
+    return next(new Error('Authentication error: No token provided'));
+  }
+
+  jwt.verify(token, config.JWT_SECRET, (err, user) => {
+    if (err) {
+      console.warn(`[SECURITY] Invalid socket token from ${socket.handshake.address}`);
+      return next(new Error('Authentication error: Invalid token'));
+    }
+
+    if (!user.userId || !user.username || !user.role) {
+      return next(new Error('Authentication error: Invalid token payload'));
+    }
+
+    socket.user = user;
+    next();
+  });
+};
+
+const registerConnectionHandlers = (io, socket) => {
+  // Board screens only listen; their room carries order numbers and nothing else.
+  if (socket.board) {
+    socket.join('pickup-board');
+    return;
+  }
+
+  console.log(`[SOCKET] User ${socket.user.userId} connected`);
+
+  const role = socket.user.role;
+
+  // Staff share the admins room so the kitchen sees new orders and updates.
+  if (role === 'admin' || role === 'staff') {
+    socket.join('admins');
+  } else {
+    socket.join('customers');
+  }
+
+  socket.join(`user:${socket.user.userId}`);
+
+  socket.on('cart:add', (payload) => {
+    if (!payload || typeof payload !== 'object') {
+      console.warn(`[SECURITY] Invalid cart:add payload from user ${socket.user.userId}`);
+      return;
+    }
+
+    const { item } = payload;
+    if (!item || typeof item !== 'object' || !Number.isInteger(item.item_id)) {
+      console.warn(`[SECURITY] Malformed item data from user ${socket.user.userId}`);
+      return;
+    }
+
+    io.to('admins').emit('cart:activity', {
+      type: 'cart_add',
+      userId: socket.user.userId,
+      username: socket.user.username,
+      item: {
+        item_id: item.item_id,
+        quantity: Number.isInteger(item.quantity) ? item.quantity : 1
+      },
+      at: Date.now()
+    });
+  });
+
+  socket.on('disconnect', () => {
+    console.log(`[SOCKET] User ${socket.user.userId} disconnected`);
+  });
+};
+
+const attachSockets = (httpServer) => {
+  const io = new Server(httpServer, {
+    cors: {
+      origin: config.CORS_ORIGIN,
+      methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+      allowedHeaders: ['Authorization', 'Content-Type']
+    }
+  });
+
+  io.use(authenticateSocket);
+  io.on('connection', (socket) => registerConnectionHandlers(io, socket));
+
+  setIO(io);
+  return io;
+};
+
+module.exports = { attachSockets };
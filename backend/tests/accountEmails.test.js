@@ -0,0 +1,158 @@
+const request = require('supertest');
+const { createTestContext } = require('./helpers/testApp');
+const { hashToken } = require('../utils/tokens');
+
+describe('password reset and email verification', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  const customerEmail = async () =>
+    (await ctx.queryRows('SELECT email FROM users WHERE user_id = 3'))[0].email;
+
+  const linkToken = (mail, route) => {
+    const match = mail.text.match(new RegExp(`/${route}/([a-f0-9]{64})`));
+    return match && match[1];
+  };
+
+  const login = (password) =>
+    ctx.api().post('/api/auth/login').send({ username: 'customer1', password });
+
+  describe('forgot / reset password', () => {
+    it('emails a reset link and stores only the token hash', async () => {
+      const email = await customerEmail();
+      const res = await ctx.api().post('/api/auth/forgot-password').send({ email });
+
+      expect(res.status).toBe(200);
+      const [mail] = ctx.sentMail();
+      expect(mail).toMatchObject({ to: email, subject: expect.stringMatching(/reset/i) });
+
+      const token = linkToken(mail, 'reset-password');
+      expect(token).toBeTruthy();
+      const rows = await ctx.queryRows("SELECT token_hash FROM user_tokens WHERE purpose = 'password_reset'");
+      expect(rows).toEqual([{ token_hash: hashToken(token) }]);
+    });
+
+    it('answers the same way for unknown emails without sending anything', async () => {
+      const res = await ctx.api().post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toMatch(/if that email is registered/i);
+      expect(ctx.sentMail()).toHaveLength(0);
+    });
+
+    it('does not send reset links to deactivated accounts', async () => {
+      await ctx.pool.query('UPDATE users SET is_active = FALSE WHERE user_id = 3');
+      const res = await ctx.api().post('/api/auth/forgot-password').send({ email: await customerEmail() });
+
+      expect(res.status).toBe(200);
+      expect(ctx.sentMail()).toHaveLength(0);
+    });
+
+    it('resets the password once and signs out existing sessions', async () => {
+      const device = request.agent(ctx.app);
+      await device.post('/api/auth/login').send({ username: 'customer1', password: 'Customer@12345' });
+
+      await ctx.api().post('/api/auth/forgot-password').send({ email: await customerEmail() });
+      const token = linkToken(ctx.sentMail()[0], 'reset-password');
+
+      const reset = await ctx.api().post('/api/auth/reset-password').send({ token, password: 'Brand-new-1' });
+      expect(reset.status).toBe(200);
+
+      expect((await login('Customer@12345')).status).toBe(401);
+      expect((await login('Brand-new-1')).status).toBe(200);
+      expect((await device.post('/api/auth/refresh')).status).toBe(401);
+
+      const replay = await ctx.api().post('/api/auth/reset-password').send({ token, password: 'Another-1' });
+      expect(replay.status).toBe(400);
+      expect(replay.body.error).toBe('Reset link is invalid or has expired');
+    });
+
+    it('only honours the most recently issued link', async () => {
+      const email = await customerEmail();
+      await ctx.api().post('/api/auth/forgot-password').send({ email });
+      await ctx.api().post('/api/auth/forgot-password').send({ email });
+      const [first, second] = ctx.sentMail().map((mail) => linkToken(mail, 'reset-password'));
+
+      expect((await ctx.api().post('/api/auth/reset-password').send({ token: first, password: 'Brand-new-1' })).status).toBe(400);
+      expect((await ctx.api().post('/api/auth/reset-password').send({ token: second, password: 'Brand-new-1' })).status).toBe(200);
+    });
+
+    it('rejects expired links', async () => {
+      await ctx.api().post('/api/auth/forgot-password').send({ email: await customerEmail() });
+      const token = linkToken(ctx.sentMail()[0], 'reset-password');
+      await ctx.pool.query('UPDATE user_tokens SET expires_at = ?', [new Date(Date.now() - 1000)]);
+
+      const res = await ctx.api().post('/api/auth/reset-password').send({ token, password: 'Brand-new-1' });
+      expect(res.status).toBe(400);
+    });
+
+    it('validates the new password', async () => {
+      const res = await ctx.api().post('/api/auth/reset-password').send({ token: 'abc', password: '123' });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Password must be at least 6 characters');
+    });
+  });
+
+  describe('email verification', () => {
+    const register = () =>
+      ctx.api().post('/api/auth/register').send({
+        username: 'newbie',
+        email: 'newbie@example.com',
+        password: 'secret123',
+        full_name: 'New Bie'
+      });
+
+    it('sends a verification link on registration and marks the email verified', async () => {
+      const res = await register();
+      expect(res.status).toBe(201);
+
+      const [mail] = ctx.sentMail();
+      expect(mail.to).toBe('newbie@example.com');
+      const token = linkToken(mail, 'verify-email');
+
+      const before = await ctx.api().get('/api/auth/me').set('Authorization', `Bearer ${res.body.token}`);
+      expect(before.body.emailVerified).toBe(false);
+
+      const verify = await ctx.api().post('/api/auth/verify-email').send({ token });
+      expect(verify.status).toBe(200);
+
+      const after = await ctx.api().get('/api/auth/me').set('Authorization', `Bearer ${res.body.token}`);
+      expect(after.body.emailVerified).toBe(true);
+
+      expect((await ctx.api().post('/api/auth/verify-email').send({ token })).status).toBe(400);
+    });
+
+    it('resends the link for unverified accounts only', async () => {
+      const { body } = await register();
+      const auth = `Bearer ${body.token}`;
+
+      const resend = await ctx.api().post('/api/auth/verify-email/resend').set('Authorization', auth);
+      expect(resend.status).toBe(200);
+      const [first, second] = ctx.sentMail().map((mail) => linkToken(mail, 'verify-email'));
+
+      expect((await ctx.api().post('/api/auth/verify-email').send({ token: first })).status).toBe(400);
+      expect((await ctx.api().post('/api/auth/verify-email').send({ token: second })).status).toBe(200);
+
+      const again = await ctx.api().post('/api/auth/verify-email/resend').set('Authorization', auth);
+      expect(again.status).toBe(400);
+      expect(again.body.error).toBe('Email is already verified');
+    });
+
+    it('still registers the user when mail delivery fails', async () => {
+      const { setMailer } = require('../mailer');
+      setMailer({ send: async () => { throw new Error('SMTP down'); } });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const res = await register();
+      expect(res.status).toBe(201);
+      console.error.mockRestore();
+    });
+  });
+});
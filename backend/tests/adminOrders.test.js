@@ -0,0 +1,58 @@
+const { createTestContext } = require('./helpers/testApp');
+
+describe('PUT /api/admin/orders/:id', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  const updateOrder = (orderId, body, token = ctx.tokens.admin) =>
+    ctx.api().put(`/api/admin/orders/${orderId}`).set('Authorization', `Bearer ${token}`).send(body);
+
+  it('updates the status and notifies admins and the customer', async () => {
+    const res = await updateOrder(2, { status: 'completed' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ order_id: 2, status: 'completed', user_id: 3, username: 'customer1' });
+
+    const [order] = await ctx.queryRows('SELECT status FROM orders WHERE order_id = ?', [2]);
+    expect(order.status).toBe('completed');
+
+    expect(ctx.io.emitted('order:update', 'admins')).toHaveLength(1);
+    const [customerEvent] = ctx.io.emitted('order:update', 'user:3');
+    expect(customerEvent.payload).toMatchObject({ order_id: 2, status: 'completed' });
+  });
+
+  it('only notifies admins of payment-only changes', async () => {
+    const res = await updateOrder(2, { payment_status: 'paid' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.payment_status).toBe('paid');
+    expect(ctx.io.emitted('order:update', 'admins')).toHaveLength(1);
+    expect(ctx.io.emitted('order:update', 'user:3')).toHaveLength(0);
+  });
+
+  it('rejects unknown status values', async () => {
+    const res = await updateOrder(2, { status: 'teleported' });
+
+    expect(res.status).toBe(400);
+    expect(ctx.io.events).toHaveLength(0);
+  });
+
+  it('returns 404 for a missing order', async () => {
+    const res = await updateOrder(999, { status: 'ready' });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('is limited to admins', async () => {
+    const res = await updateOrder(2, { status: 'ready' }, ctx.tokens.customer);
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,148 @@
+const { createTestContext } = require('./helpers/testApp');
+
+describe('audit logs', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  const asAdmin = (req) => req.set('Authorization', `Bearer ${ctx.tokens.admin}`);
+
+  const logs = async () => {
+    const rows = await ctx.queryRows('SELECT * FROM audit_logs ORDER BY log_id');
+    return rows.map((row) => ({
+      ...row,
+      old_values: typeof row.old_values === 'string' ? JSON.parse(row.old_values) : row.old_values,
+      new_values: typeof row.new_values === 'string' ? JSON.parse(row.new_values) : row.new_values
+    }));
+  };
+
+  describe('recording', () => {
+    it('records menu item changes with before/after snapshots, actor and IP', async () => {
+      const created = await asAdmin(ctx.api().post('/api/menu')).send({ category_id: 1, item_name: 'Veggie Wrap', price: 4.5, is_available: true });
+      const itemId = created.body.itemId;
+      await asAdmin(ctx.api().put(`/api/menu/${itemId}`)).send({ category_id: 1, item_name: 'Veggie Wrap', price: 5, is_available: true });
+      await asAdmin(ctx.api().delete(`/api/menu/${itemId}`));
+
+      const entries = await logs();
+      expect(entries.map((e) => e.action)).toEqual(['menu_item.create', 'menu_item.update', 'menu_item.delete']);
+      expect(entries.every((e) => e.user_id === 1 && e.entity_type === 'menu_item' && e.entity_id === itemId)).toBe(true);
+      expect(entries[0].ip_address).toEqual(expect.any(String));
+      expect(entries[0].old_values).toBeNull();
+      expect(entries[0].new_values).toMatchObject({ item_name: 'Veggie Wrap' });
+      expect(Number(entries[1].old_values.price)).toBe(4.5);
+      expect(Number(entries[1].new_values.price)).toBe(5);
+      expect(entries[2].new_values).toMatchObject({ is_active: 0 });
+    });
+
+    it('records category changes', async () => {
+      await asAdmin(ctx.api().post('/api/categories')).send({ category_name: 'Wraps' });
+      await asAdmin(ctx.api().put('/api/categories/1')).send({ category_name: 'Burgers', is_active: false });
+
+      const [create, update] = await logs();
+      expect(create).toMatchObject({ action: 'category.create', entity_type: 'category', new_values: { category_name: 'Wraps' } });
+      expect(update).toMatchObject({
+        action: 'category.update',
+        entity_id: 1,
+        old_values: { is_active: 1 },
+        new_values: { is_active: 0, items_affected: 3 }
+      });
+    });
+
+    it('records order status and payment changes as separate entries', async () => {
+      await asAdmin(ctx.api().put('/api/admin/orders/2')).send({ status: 'completed', payment_status: 'paid' });
+
+      const entries = await logs();
+      expect(entries).toEqual([
+        expect.objectContaining({ action: 'order.status_update', entity_id: 2, old_values: { status: 'ready' }, new_values: { status: 'completed' } }),
+        expect.objectContaining({ action: 'order.payment_update', entity_id: 2, old_values: { payment_status: 'pending' }, new_values: { payment_status: 'paid' } })
+      ]);
+    });
+
+    it('skips unchanged order fields', async () => {
+      await asAdmin(ctx.api().put('/api/admin/orders/2')).send({ status: 'ready' });
+      expect(await logs()).toEqual([]);
+    });
+
+    it('records user changes without leaking password hashes', async () => {
+      await asAdmin(ctx.api().patch('/api/admin/users/3/role')).send({ role: 'staff' });
+      await asAdmin(ctx.api().patch('/api/admin/users/3/status')).send({ is_active: false });
+      await ctx.api().patch('/api/auth/me').set('Authorization', `Bearer ${ctx.tokens.staff}`).send({ full_name: 'Kitchen Lead' });
+
+      const entries = await logs();
+      expect(entries.map((e) => [e.action, e.user_id, e.entity_id])).toEqual([
+        ['user.role_update', 1, 3],
+        ['user.status_update', 1, 3],
+        ['user.profile_update', 2, 2]
+      ]);
+      expect(entries[2]).toMatchObject({ old_values: { full_name: 'Staff Member' }, new_values: { full_name: 'Kitchen Lead' } });
+      expect(JSON.stringify(entries)).not.toMatch(/\$2b\$/);
+    });
+
+    it('does not log a change that was rolled back', async () => {
+      const res = await asAdmin(ctx.api().put('/api/menu/999')).send({ category_id: 1, item_name: 'Ghost', price: 1 });
+
+      expect(res.status).toBe(404);
+      expect(await logs()).toEqual([]);
+    });
+  });
+
+  describe('GET /api/admin/audit-logs', () => {
+    beforeEach(async () => {
+      await asAdmin(ctx.api().put('/api/categories/1')).send({ category_name: 'Burgers' });
+      await asAdmin(ctx.api().put('/api/admin/orders/2')).send({ status: 'completed' });
+      await ctx.api().put('/api/admin/orders/3').set('Authorization', `Bearer ${ctx.tokens.staff}`).send({ status: 'ready' });
+    });
+
+    it('returns newest first with the actor username and parsed snapshots', async () => {
+      const res = await asAdmin(ctx.api().get('/api/admin/audit-logs'));
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ page: 1, limit: 50, total: 3 });
+      expect(res.body.entity_types).toEqual(['category', 'order']);
+      expect(res.body.logs[0]).toMatchObject({
+        actor_username: 'staff1',
+        action: 'order.status_update',
+        entity_id: 3,
+        old_values: { status: 'preparing' },
+        new_values: { status: 'ready' }
+      });
+    });
+
+    it('filters by entity, actor and date range', async () => {
+      const byEntity = await asAdmin(ctx.api().get('/api/admin/audit-logs?entity_type=category'));
+      expect(byEntity.body.logs.map((l) => l.action)).toEqual(['category.update']);
+
+      const byEntityId = await asAdmin(ctx.api().get('/api/admin/audit-logs?entity_type=order&entity_id=2'));
+      expect(byEntityId.body.total).toBe(1);
+
+      const byActor = await asAdmin(ctx.api().get('/api/admin/audit-logs?actor=staff1'));
+      expect(byActor.body.logs.map((l) => l.entity_id)).toEqual([3]);
+
+      const byActorId = await asAdmin(ctx.api().get('/api/admin/audit-logs?actor_id=1'));
+      expect(byActorId.body.total).toBe(2);
+
+      const today = new Date().toISOString().slice(0, 10);
+      const inRange = await asAdmin(ctx.api().get(`/api/admin/audit-logs?from=${today}&to=${today}`));
+      expect(inRange.body.total).toBe(3);
+
+      const past = await asAdmin(ctx.api().get('/api/admin/audit-logs?to=2000-01-01'));
+      expect(past.body.total).toBe(0);
+    });
+
+    it('rejects malformed filters', async () => {
+      expect((await asAdmin(ctx.api().get('/api/admin/audit-logs?from=yesterday'))).status).toBe(400);
+      expect((await asAdmin(ctx.api().get('/api/admin/audit-logs?actor_id=abc'))).status).toBe(400);
+    });
+
+    it('requires audit.view', async () => {
+      const res = await ctx.api().get('/api/admin/audit-logs').set('Authorization', `Bearer ${ctx.tokens.staff}`);
+      expect(res.status).toBe(403);
+    });
+  });
+});
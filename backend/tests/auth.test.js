@@ -0,0 +1,106 @@
+const { createTestContext } = require('./helpers/testApp');
+
+describe('/api/auth', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  describe('POST /register', () => {
+    const newUser = {
+      username: 'jane',
+      email: 'jane@example.com',
+      password: 'secret123',
+      full_name: 'Jane Doe',
+      phone: '9800000000'
+    };
+
+    it('creates a customer and returns a token', async () => {
+      const res = await ctx.api().post('/api/auth/register').send(newUser);
+
+      expect(res.status).toBe(201);
+      expect(res.body.token).toEqual(expect.any(String));
+      expect(res.body.user).toMatchObject({ username: 'jane', email: 'jane@example.com', role: 'customer' });
+
+      const rows = await ctx.queryRows('SELECT role, password FROM users WHERE username = ?', ['jane']);
+      expect(rows).toHaveLength(1);
+      expect(rows[0].role).toBe('customer');
+      expect(rows[0].password).not.toBe(newUser.password);
+    });
+
+    it('rejects duplicate usernames with 409', async () => {
+      const res = await ctx.api().post('/api/auth/register').send({ ...newUser, username: 'customer1' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('Username or email already exists');
+    });
+
+    it('reports the first validation error', async () => {
+      const res = await ctx.api().post('/api/auth/register').send({ ...newUser, password: '123' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Password must be at least 6 characters');
+    });
+
+    it('always creates customers, whatever role is requested', async () => {
+      const res = await ctx.api().post('/api/auth/register').send({ ...newUser, role: 'admin' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.user.role).toBe('customer');
+      const [row] = await ctx.queryRows('SELECT role FROM users WHERE username = ?', [newUser.username]);
+      expect(row.role).toBe('customer');
+    });
+  });
+
+  describe('POST /login', () => {
+    it('logs in a seeded customer by username', async () => {
+      const res = await ctx.api().post('/api/auth/login').send({ username: 'customer1', password: 'Customer@12345' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.token).toEqual(expect.any(String));
+      expect(res.body.user).toEqual({
+        userId: 3,
+        username: 'customer1',
+        email: 'customer@grabngo.com',
+        emailVerified: false,
+        fullName: 'John Doe',
+        role: 'customer',
+        isSuperAdmin: false,
+        permissions: []
+      });
+    });
+
+    it('accepts the email address as login', async () => {
+      const res = await ctx.api().post('/api/auth/login').send({ username: 'admin@grabngo.com', password: 'Admin@12345' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.user.role).toBe('admin');
+    });
+
+    it('rejects a wrong password', async () => {
+      const res = await ctx.api().post('/api/auth/login').send({ username: 'customer1', password: 'nope' });
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Invalid credentials');
+    });
+
+    it('rejects an unknown user', async () => {
+      const res = await ctx.api().post('/api/auth/login').send({ username: 'ghost', password: 'whatever' });
+
+      expect(res.status).toBe(401);
+    });
+
+    it('returns a token that works for /me', async () => {
+      const login = await ctx.api().post('/api/auth/login').send({ username: 'customer1', password: 'Customer@12345' });
+      const me = await ctx.api().get('/api/auth/me').set('Authorization', `Bearer ${login.body.token}`);
+
+      expect(me.status).toBe(200);
+      expect(me.body).toMatchObject({ userId: 3, username: 'customer1', phone: '5555555555' });
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const { createTestContext } = require('./helpers/testApp');
+
+describe('PUT /api/categories/:id', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  const updateCategory = (categoryId, body) =>
+    ctx.api().put(`/api/categories/${categoryId}`).set('Authorization', `Bearer ${ctx.tokens.admin}`).send(body);
+
+  const burgerFlags = () =>
+    ctx.queryRows('SELECT is_active, is_available FROM menu_items WHERE category_id = ? ORDER BY item_id', [1]);
+
+  it('deactivation cascades to the category items', async () => {
+    const res = await updateCategory(1, { category_name: 'Burgers', is_active: false });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ category_id: 1, is_active: 0 });
+    expect(await burgerFlags()).toEqual([
+      { is_active: 0, is_available: 0 },
+      { is_active: 0, is_available: 0 },
+      { is_active: 0, is_available: 0 }
+    ]);
+
+    const [adminEvent] = ctx.io.emitted('category:update', 'admins');
+    expect(adminEvent.payload).toMatchObject({ category_id: 1, is_active: 0 });
+    expect(ctx.io.emitted('menu:full:refresh', 'customers')).toHaveLength(1);
+
+    const menu = await ctx.api().get('/api/menu');
+    expect(menu.body.some((item) => item.category_id === 1)).toBe(false);
+  });
+
+  it('reactivation restores the category items', async () => {
+    await updateCategory(1, { category_name: 'Burgers', is_active: false });
+    const res = await updateCategory(1, { category_name: 'Burgers', is_active: true });
+
+    expect(res.status).toBe(200);
+    expect(await burgerFlags()).toEqual([
+      { is_active: 1, is_available: 1 },
+      { is_active: 1, is_available: 1 },
+      { is_active: 1, is_available: 1 }
+    ]);
+  });
+
+  it('renaming leaves items alone and skips the menu refresh', async () => {
+    await ctx.pool.query('UPDATE menu_items SET is_available = 0 WHERE item_id = ?', [1]);
+
+    const res = await updateCategory(1, { category_name: 'Smash Burgers' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.category_name).toBe('Smash Burgers');
+    expect((await burgerFlags())[0]).toEqual({ is_active: 1, is_available: 0 });
+    expect(ctx.io.emitted('category:update', 'admins')).toHaveLength(1);
+    expect(ctx.io.emitted('menu:full:refresh')).toHaveLength(0);
+  });
+
+  it('returns 404 and rolls back for a missing category', async () => {
+    const res = await updateCategory(999, { category_name: 'Ghost', is_active: false });
+
+    expect(res.status).toBe(404);
+    expect(ctx.io.events).toHaveLength(0);
+  });
+});
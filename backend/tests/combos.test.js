@@ -0,0 +1,178 @@
+const { createTestContext } = require('./helpers/testApp');
+
+describe('combo meals', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  const auth = (req, token = ctx.tokens.admin) => req.set('Authorization', `Bearer ${token}`);
+
+  const createCombo = (body, token) => auth(ctx.api().post('/api/combos'), token).send(body);
+
+  const placeOrder = (items) =>
+    auth(ctx.api().post('/api/orders'), ctx.tokens.customer).send({ items, payment_method: 'cash' });
+
+  const lines = (orderId) =>
+    ctx.queryRows(
+      'SELECT item_id, quantity, unit_price, subtotal, combo_id, combo_name, combo_line FROM order_items WHERE order_id = ? ORDER BY order_item_id',
+      [orderId]
+    );
+
+  // Classic Burger (8.99) plus any drink for 10.00.
+  const burgerDeal = {
+    combo_name: 'Burger + Drink',
+    price: 10,
+    slots: [
+      { item_id: 1 },
+      { label: 'Drink', category_id: 4 }
+    ]
+  };
+
+  describe('admin CRUD', () => {
+    it('creates a combo, audits it and broadcasts it to the menu', async () => {
+      const res = await createCombo(burgerDeal);
+
+      expect(res.status).toBe(201);
+      expect(res.body.combo).toMatchObject({ combo_name: 'Burger + Drink', is_available: 1 });
+      expect(res.body.combo.slots).toEqual([
+        expect.objectContaining({ item_id: 1, item_name: 'Classic Burger', category_id: null, quantity: 1 }),
+        expect.objectContaining({ label: 'Drink', item_id: null, category_id: 4, category_name: 'Beverages' })
+      ]);
+
+      expect(ctx.io.emitted('menu:combo:add', 'customers')).toHaveLength(1);
+      const [log] = await ctx.queryRows("SELECT * FROM audit_logs WHERE action = 'combo.create'");
+      expect(JSON.parse(log.new_values).slots).toHaveLength(2);
+
+      const list = await ctx.api().get('/api/combos');
+      expect(list.body.map((combo) => combo.combo_name)).toEqual(['Burger + Drink']);
+    });
+
+    it('updates and soft-deletes a combo', async () => {
+      const { combo } = (await createCombo(burgerDeal)).body;
+
+      const updated = await auth(ctx.api().put(`/api/combos/${combo.combo_id}`)).send({ ...burgerDeal, price: 9.5, slots: [{ item_id: 2 }, { item_id: 9 }] });
+      expect(updated.status).toBe(200);
+      expect(Number(updated.body.combo.price)).toBe(9.5);
+      expect(updated.body.combo.slots.map((slot) => slot.item_id)).toEqual([2, 9]);
+
+      const removed = await auth(ctx.api().delete(`/api/combos/${combo.combo_id}`));
+      expect(removed.status).toBe(200);
+      expect(ctx.io.emitted('menu:combo:delete', 'customers')[0].payload).toEqual({ combo_id: combo.combo_id });
+      expect((await ctx.api().get('/api/combos')).body).toEqual([]);
+      expect((await ctx.api().get(`/api/combos/${combo.combo_id}`)).status).toBe(404);
+    });
+
+    it('validates slots', async () => {
+      expect((await createCombo({ ...burgerDeal, slots: [{ item_id: 1 }] })).status).toBe(400);
+      expect((await createCombo({ ...burgerDeal, price: 0 })).status).toBe(400);
+
+      const both = await createCombo({ ...burgerDeal, slots: [{ item_id: 1, category_id: 4 }, { item_id: 9 }] });
+      expect(both.body.error).toBe('Each combo slot needs either an item or a category');
+
+      const missing = await createCombo({ ...burgerDeal, slots: [{ item_id: 999 }, { item_id: 9 }] });
+      expect(missing.body.error).toBe('Menu item 999 not found');
+    });
+
+    it('refuses fixed items with required options, which a combo cannot carry', async () => {
+      await auth(ctx.api().put('/api/menu/1/modifiers')).send({
+        groups: [{ name: 'Size', min_select: 1, max_select: 1, options: [{ name: 'Regular' }, { name: 'Large', price_delta: 1.5 }] }]
+      });
+
+      const res = await createCombo(burgerDeal);
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('"Classic Burger" has options that must be chosen, so it cannot be a fixed combo item');
+
+      const { combo } = (await createCombo({ ...burgerDeal, slots: [{ item_id: 2 }, { item_id: 9 }] })).body;
+      const updated = await auth(ctx.api().put(`/api/combos/${combo.combo_id}`)).send(burgerDeal);
+      expect(updated.status).toBe(400);
+    });
+
+    it('requires menu write permission', async () => {
+      expect((await createCombo(burgerDeal, ctx.tokens.customer)).status).toBe(403);
+    });
+  });
+
+  describe('ordering combos', () => {
+    let combo;
+
+    beforeEach(async () => {
+      combo = (await createCombo(burgerDeal)).body.combo;
+    });
+
+    const drinkSlot = () => combo.slots[1].slot_id;
+
+    it('expands a combo into its items at apportioned prices that add up to the bundle', async () => {
+      const res = await placeOrder([
+        { combo_id: combo.combo_id, quantity: 2, selections: [{ slot_id: drinkSlot(), item_id: 9 }] },
+        { item_id: 10, quantity: 1 }
+      ]);
+
+      expect(res.status).toBe(201);
+      expect(res.body.totalAmount).toBeCloseTo(24.99);
+
+      const rows = await lines(res.body.orderId);
+      expect(rows.map((row) => [row.item_id, row.quantity, Number(row.unit_price)])).toEqual([
+        [1, 2, 7.51],
+        [9, 2, 2.49],
+        [10, 1, 4.99]
+      ]);
+      expect(rows[0]).toMatchObject({ combo_id: combo.combo_id, combo_name: 'Burger + Drink', combo_line: 1 });
+      expect(rows[2]).toMatchObject({ combo_id: null, combo_line: null });
+
+      const detail = await auth(ctx.api().get(`/api/orders/${res.body.orderId}`), ctx.tokens.customer);
+      expect(detail.body.items[1].combo).toEqual({ combo_id: combo.combo_id, combo_name: 'Burger + Drink', combo_line: 1 });
+      expect(detail.body.items[2].combo).toBeNull();
+    });
+
+    it('splits off a line when the bundle price does not divide evenly', async () => {
+      const pair = (await createCombo({ combo_name: 'Two Cheese + Juice', price: 15, slots: [{ item_id: 2, quantity: 2 }, { item_id: 9 }] })).body.combo;
+
+      const res = await placeOrder([{ combo_id: pair.combo_id, quantity: 1 }]);
+      expect(res.status).toBe(201);
+
+      const rows = await lines(res.body.orderId);
+      expect(rows.map((row) => [row.item_id, row.quantity, Number(row.unit_price)])).toEqual([
+        [2, 1, 6.52],
+        [2, 1, 6.53],
+        [9, 1, 1.95]
+      ]);
+      expect(rows.reduce((sum, row) => sum + Number(row.subtotal), 0)).toBeCloseTo(15);
+    });
+
+    it('requires a valid choice for every choice slot', async () => {
+      const missing = await placeOrder([{ combo_id: combo.combo_id, quantity: 1 }]);
+      expect(missing.body.error).toBe('Please choose Drink for "Burger + Drink".');
+
+      const wrongCategory = await placeOrder([{ combo_id: combo.combo_id, quantity: 1, selections: [{ slot_id: drinkSlot(), item_id: 10 }] }]);
+      expect(wrongCategory.body.error).toMatch(/not part of "Burger \+ Drink"/);
+
+      const unknownSlot = await placeOrder([{ combo_id: combo.combo_id, quantity: 1, selections: [{ slot_id: 999, item_id: 9 }] }]);
+      expect(unknownSlot.body.error).toMatch(/choices for "Burger \+ Drink" have changed/);
+
+      expect((await ctx.queryRows('SELECT COUNT(*) AS c FROM orders'))[0].c).toBe(3);
+    });
+
+    it('rejects combos that are off sale or whose items are', async () => {
+      await ctx.pool.query('UPDATE menu_items SET is_available = 0 WHERE item_id = 9');
+      const drinkOut = await placeOrder([{ combo_id: combo.combo_id, quantity: 1, selections: [{ slot_id: drinkSlot(), item_id: 9 }] }]);
+      expect(drinkOut.body.error).toMatch(/"Fresh Juice" in "Burger \+ Drink" is no longer available/);
+
+      await auth(ctx.api().delete(`/api/combos/${combo.combo_id}`));
+      const gone = await placeOrder([{ combo_id: combo.combo_id, quantity: 1, selections: [{ slot_id: drinkSlot(), item_id: 8 }] }]);
+      expect(gone.body.error).toMatch(/Combo "Burger \+ Drink" is no longer available/);
+    });
+
+    it('reserves stock for the items inside a combo', async () => {
+      await auth(ctx.api().patch('/api/menu/1/stock')).send({ stock_quantity: 1 });
+
+      const res = await placeOrder([{ combo_id: combo.combo_id, quantity: 2, selections: [{ slot_id: drinkSlot(), item_id: 8 }] }]);
+      expect(res.body.error).toBe('Only 1 of "Classic Burger" left. Please reduce the quantity in your cart.');
+    });
+  });
+});
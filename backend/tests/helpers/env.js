@@ -0,0 +1,3 @@
+// tests/helpers/env.js - Environment for the jest run (loaded before any module)
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
@@ -0,0 +1,456 @@
+// tests/helpers/memoryDb.js - In-memory MySQL stand-in backed by sql.js (SQLite)
+//
+// It mimics the small slice of the mysql2/promise pool API the repositories
+// use: query/execute resolving to [rows, fields], getConnection() with
+// transaction methods, `?` placeholders (including arrays for IN (?) and
+// nested arrays for bulk VALUES ?), and MySQL error codes for constraint
+// failures. MySQL-only syntax is rewritten to its SQLite equivalent, or
+// dropped when SQLite has nothing comparable (stored procedures, plain
+// indexes, ENUM checks, MODIFY COLUMN).
+const fs = require('fs');
+const initSqlJs = require('sql.js');
+
+let sqlModulePromise = null;
+
+// ---------------------------------------------------------------------------
+// Lexing helpers
+// ---------------------------------------------------------------------------
+
+// Splits SQL into [{ text, literal }] so rewrites never touch quoted strings.
+// `backslashEscapes` is true for SQL written for MySQL (where \' escapes a
+// quote) and false once literals have been normalised to SQLite's ''.
+const segmentSql = (sql, backslashEscapes = false) => {
+  const segments = [];
+  let current = '';
+  let i = 0;
+  while (i < sql.length) {
+    const ch = sql[i];
+    if (ch === "'" || ch === '"') {
+      if (current) segments.push({ text: current, literal: false });
+      current = '';
+      let j = i + 1;
+      while (j < sql.length) {
+        if (backslashEscapes && sql[j] === '\\') {
+          j += 2;
+          continue;
+        }
+        if (sql[j] === ch) {
+          if (sql[j + 1] === ch) {
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        j++;
+      }
+      segments.push({ text: sql.slice(i, j + 1), literal: true });
+      i = j + 1;
+      continue;
+    }
+    current += ch;
+    i++;
+  }
+  if (current) segments.push({ text: current, literal: false });
+  return segments;
+};
+
+const mapOutsideLiterals = (sql, fn, backslashEscapes = false) =>
+  segmentSql(sql, backslashEscapes).map((seg) => (seg.literal ? seg.text : fn(seg.text))).join('');
+
+const BACKSLASH_ESCAPES = { n: '\n', r: '\r', t: '\t', 0: '\0' };
+
+// MySQL strings may use "double quotes" and backslash escapes; SQLite only
+// understands single quotes with doubling.
+const normalizeLiterals = (sql) =>
+  segmentSql(sql, true)
+    .map((seg) => {
+      if (!seg.literal) return seg.text;
+      const quote = seg.text[0];
+      const doubled = quote + quote;
+      let body = '';
+      const raw = seg.text.slice(1, -1);
+      for (let i = 0; i < raw.length; i++) {
+        if (raw[i] === '\\' && i + 1 < raw.length) {
+          body += BACKSLASH_ESCAPES[raw[i + 1]] || raw[i + 1];
+          i++;
+        } else if (raw.startsWith(doubled, i)) {
+          body += quote;
+          i++;
+        } else {
+          body += raw[i];
+        }
+      }
+      return `'${body.replace(/'/g, "''")}'`;
+    })
+    .join('');
+
+// Splits on a delimiter character at parenthesis depth 0, outside literals.
+const splitTopLevel = (text, delimiter, backslashEscapes = false) => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const seg of segmentSql(text, backslashEscapes)) {
+    if (seg.literal) {
+      current += seg.text;
+      continue;
+    }
+    for (const ch of seg.text) {
+      if (ch === '(') depth++;
+      if (ch === ')') depth--;
+      if (ch === delimiter && depth === 0) {
+        parts.push(current);
+        current = '';
+        continue;
+      }
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts;
+};
+
+// ---------------------------------------------------------------------------
+// Placeholder formatting
+// ---------------------------------------------------------------------------
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const formatDate = (date) =>
+  `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ` +
+  `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+
+const escapeValue = (value) => {
+  if (value === undefined || value === null) return 'NULL';
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'NULL';
+  if (typeof value === 'bigint') return value.toString();
+  if (value instanceof Date) return `'${formatDate(value)}'`;
+  if (Buffer.isBuffer(value)) return `X'${value.toString('hex')}'`;
+  if (Array.isArray(value)) {
+    return value
+      .map((entry) => (Array.isArray(entry) ? `(${entry.map(escapeValue).join(', ')})` : escapeValue(entry)))
+      .join(', ');
+  }
+  if (typeof value === 'object') {
+    // mysql2 would expand objects into `key = value` pairs; nothing here
+    // relies on that, so fail loudly instead of guessing.
+    throw new TypeError('memoryDb: object placeholders are not supported, JSON.stringify the value first');
+  }
+  return `'${String(value).replace(/'/g, "''")}'`;
+};
+
+const formatPlaceholders = (sql, params = []) => {
+  let index = 0;
+  const formatted = mapOutsideLiterals(sql, (text) =>
+    text.replace(/\?/g, () => {
+      if (index >= params.length) {
+        throw new Error(`memoryDb: missing value for placeholder #${index + 1}`);
+      }
+      return escapeValue(params[index++]);
+    })
+  );
+  return formatted;
+};
+
+// ---------------------------------------------------------------------------
+// MySQL -> SQLite rewrites
+// ---------------------------------------------------------------------------
+
+const INTERVAL_UNITS = { SECOND: 'second', MINUTE: 'minute', HOUR: 'hour', DAY: 'day', MONTH: 'month', YEAR: 'year' };
+
+const rewriteExpressions = (text) =>
+  text
+    .replace(/\b(?:NOW|UTC_TIMESTAMP|CURRENT_TIMESTAMP)\(\)\s*([+-])\s*INTERVAL\s+(-?\d+)\s+(SECOND|MINUTE|HOUR|DAY|MONTH|YEAR)\b/gi,
+      (_m, sign, amount, unit) => `datetime('now', '${sign}${amount} ${INTERVAL_UNITS[unit.toUpperCase()]}')`)
+    .replace(/\b(?:NOW|UTC_TIMESTAMP|CURRENT_TIMESTAMP)\(\)/gi, "datetime('now')")
+    .replace(/\bCURDATE\(\)/gi, "date('now')")
+    .replace(/\bGREATEST\(/gi, 'MAX(')
+    .replace(/\bLEAST\(/gi, 'MIN(')
+    .replace(/\bIF\(/gi, 'IIF(')
+    .replace(/\bINSERT\s+IGNORE\b/gi, 'INSERT OR IGNORE')
+    .replace(/\bFOR\s+UPDATE\b/gi, '')
+    .replace(/\bLOCK\s+IN\s+SHARE\s+MODE\b/gi, '');
+
+const rewriteColumnType = (definition) =>
+  definition
+    .replace(/\bINT\s+AUTO_INCREMENT\s+PRIMARY\s+KEY\b/gi, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+    .replace(/\bAUTO_INCREMENT\b/gi, '')
+    .replace(/\bENUM\s*\([^)]*\)/gi, 'TEXT')
+    .replace(/\bON\s+UPDATE\s+CURRENT_TIMESTAMP\b/gi, '')
+    .replace(/\bUNSIGNED\b/gi, '')
+    .replace(/\bCHARACTER\s+SET\s+\w+/gi, '')
+    .replace(/\bCOLLATE\s+\w+/gi, '')
+    .replace(/\bCOMMENT\s+'(?:[^']|'')*'/gi, '');
+
+const rewriteCreateTable = (statement) => {
+  const open = statement.indexOf('(');
+  const head = statement.slice(0, open);
+  let depth = 0;
+  let close = open;
+  for (let i = open; i < statement.length; i++) {
+    if (statement[i] === '(') depth++;
+    if (statement[i] === ')') depth--;
+    if (depth === 0) {
+      close = i;
+      break;
+    }
+  }
+  const body = statement.slice(open + 1, close);
+  const definitions = splitTopLevel(body, ',')
+    .map((def) => def.trim())
+    .filter((def) => def && !/^(INDEX|KEY|FULLTEXT)\b/i.test(def))
+    .map((def) => {
+      const unique = def.match(/^UNIQUE\s+(?:INDEX|KEY)\s+\w+\s*(\(.*\))$/is);
+      if (unique) return `UNIQUE ${unique[1]}`;
+      return rewriteColumnType(def);
+    });
+  return [`${head}(\n  ${definitions.join(',\n  ')}\n)`];
+};
+
+const rewriteAlterTable = (statement) => {
+  const match = statement.match(/^ALTER\s+TABLE\s+(`?\w+`?)\s+([\s\S]*)$/i);
+  const table = match[1].replace(/`/g, '');
+  const statements = [];
+
+  for (const rawClause of splitTopLevel(match[2], ',')) {
+    const clause = rawClause.trim();
+    let m;
+    if ((m = clause.match(/^ADD\s+(?:COLUMN\s+)?(?!INDEX|KEY|UNIQUE|CONSTRAINT|FOREIGN|PRIMARY)([\s\S]+)$/i))) {
+      const definition = rewriteColumnType(m[1])
+        .replace(/\s+(AFTER\s+`?\w+`?|FIRST)\s*$/i, '')
+        // SQLite refuses non-constant defaults and NOT NULL without a
+        // default on ADD COLUMN; the stand-in does not need either.
+        .replace(/\bDEFAULT\s+CURRENT_TIMESTAMP\b/gi, '')
+        .replace(/\bNOT\s+NULL\b(?![\s\S]*\bDEFAULT\b)/gi, '')
+        .replace(/\bUNIQUE\b/gi, '');
+      statements.push(`ALTER TABLE ${table} ADD COLUMN ${definition}`);
+    } else if ((m = clause.match(/^ADD\s+UNIQUE\s+(?:INDEX|KEY)\s+`?(\w+)`?\s*(\([\s\S]*\))$/i))) {
+      statements.push(`CREATE UNIQUE INDEX IF NOT EXISTS ${table}_${m[1]} ON ${table} ${m[2]}`);
+    } else if ((m = clause.match(/^DROP\s+(?:INDEX|KEY)\s+`?(\w+)`?$/i))) {
+      statements.push(`DROP INDEX IF EXISTS ${table}_${m[1]}`);
+    } else if ((m = clause.match(/^DROP\s+(?:COLUMN\s+)?(?!FOREIGN|PRIMARY|INDEX|KEY)`?(\w+)`?$/i))) {
+      statements.push(`ALTER TABLE ${table} DROP COLUMN ${m[1]}`);
+    } else if ((m = clause.match(/^RENAME\s+COLUMN\s+`?(\w+)`?\s+TO\s+`?(\w+)`?$/i))) {
+      statements.push(`ALTER TABLE ${table} RENAME COLUMN ${m[1]} TO ${m[2]}`);
+    } else if ((m = clause.match(/^CHANGE\s+(?:COLUMN\s+)?`?(\w+)`?\s+`?(\w+)`?\s+/i))) {
+      if (m[1] !== m[2]) {
+        statements.push(`ALTER TABLE ${table} RENAME COLUMN ${m[1]} TO ${m[2]}`);
+      }
+    }
+    // ADD INDEX / ADD KEY / foreign keys / MODIFY have no SQLite equivalent
+    // and make no difference to query results, so they are dropped.
+  }
+
+  return statements;
+};
+
+// Returns the SQLite statements for one MySQL statement (possibly none).
+const translateStatement = (statement) => {
+  const sql = statement.trim();
+  if (!sql) return [];
+
+  if (/^(CREATE\s+DATABASE|USE\s|DELIMITER|(CREATE|DROP)\s+PROCEDURE|(CREATE|DROP)\s+TRIGGER|SET\s+NAMES)/i.test(sql)) {
+    return [];
+  }
+  if (/^SET\s+FOREIGN_KEY_CHECKS\s*=\s*(\d)/i.test(sql)) {
+    return [`PRAGMA foreign_keys = ${/=\s*1/.test(sql) ? 'ON' : 'OFF'}`];
+  }
+  if (/^CREATE\s+(UNIQUE\s+)?INDEX\b/i.test(sql)) {
+    const m = sql.match(/^CREATE\s+(UNIQUE\s+)?INDEX\s+`?(\w+)`?\s+ON\s+`?(\w+)`?\s*(\([\s\S]*\))/i);
+    return [`CREATE ${m[1] || ''}INDEX IF NOT EXISTS ${m[3]}_${m[2]} ON ${m[3]} ${m[4]}`];
+  }
+  if (/^DROP\s+INDEX\b/i.test(sql)) {
+    const m = sql.match(/^DROP\s+INDEX\s+`?(\w+)`?\s+ON\s+`?(\w+)`?/i);
+    return [`DROP INDEX IF EXISTS ${m[2]}_${m[1]}`];
+  }
+  if (/^CREATE\s+OR\s+REPLACE\s+VIEW\b/i.test(sql)) {
+    const name = sql.match(/^CREATE\s+OR\s+REPLACE\s+VIEW\s+`?(\w+)`?/i)[1];
+    return [`DROP VIEW IF EXISTS ${name}`, rewriteExpressions(sql.replace(/^CREATE\s+OR\s+REPLACE\s+VIEW/i, 'CREATE VIEW'))];
+  }
+  if (/^CREATE\s+TABLE\b/i.test(sql)) {
+    return rewriteCreateTable(sql);
+  }
+  if (/^ALTER\s+TABLE\b/i.test(sql)) {
+    return rewriteAlterTable(sql);
+  }
+  return [rewriteExpressions(sql)];
+};
+
+// Splits a .sql script into statements, skipping DELIMITER blocks
+// (stored procedures) and comments.
+const splitScript = (script) => {
+  const withoutProcedures = script.replace(/DELIMITER\s+\/\/[\s\S]*?DELIMITER\s*;/gi, '');
+  const withoutComments = mapOutsideLiterals(withoutProcedures, (text) =>
+    text.replace(/--[^\n]*/g, '').replace(/\/\*[\s\S]*?\*\//g, ''),
+  true);
+  return splitTopLevel(withoutComments, ';', true).map((s) => s.trim()).filter(Boolean);
+};
+
+// ---------------------------------------------------------------------------
+// Error mapping
+// ---------------------------------------------------------------------------
+
+const ERROR_CODES = [
+  [/UNIQUE constraint failed/i, 'ER_DUP_ENTRY', 1062],
+  [/FOREIGN KEY constraint failed/i, 'ER_NO_REFERENCED_ROW_2', 1452],
+  [/CHECK constraint failed/i, 'ER_CHECK_CONSTRAINT_VIOLATED', 3819],
+  [/NOT NULL constraint failed/i, 'ER_BAD_NULL_ERROR', 1048],
+  [/no such table/i, 'ER_NO_SUCH_TABLE', 1146],
+  [/no such column|has no column/i, 'ER_BAD_FIELD_ERROR', 1054],
+];
+
+const toMysqlError = (err, sql) => {
+  const mapped = ERROR_CODES.find(([pattern]) => pattern.test(err.message));
+  const error = new Error(err.message);
+  error.code = mapped ? mapped[1] : 'ER_UNKNOWN_ERROR';
+  error.errno = mapped ? mapped[2] : 1105;
+  error.sql = sql;
+  return error;
+};
+
+// ---------------------------------------------------------------------------
+// Pool and connections
+// ---------------------------------------------------------------------------
+
+const normalizeRow = (row) => {
+  const normalized = {};
+  for (const [key, value] of Object.entries(row)) {
+    normalized[key] = value instanceof Uint8Array ? Buffer.from(value) : value;
+  }
+  return normalized;
+};
+
+class MemoryPool {
+  constructor(database) {
+    this.database = database;
+    this.transactionLock = Promise.resolve();
+  }
+
+  runStatement(sql) {
+    const statements = translateStatement(sql);
+    let result = [{ affectedRows: 0, insertId: 0, changedRows: 0 }, undefined];
+
+    for (const finalSql of statements) {
+      let prepared;
+      try {
+        prepared = this.database.prepare(finalSql);
+        const columns = prepared.getColumnNames();
+        if (columns.length > 0) {
+          const rows = [];
+          while (prepared.step()) {
+            rows.push(normalizeRow(prepared.getAsObject()));
+          }
+          result = [rows, columns.map((name) => ({ name }))];
+        } else {
+          prepared.step();
+          const affectedRows = this.database.getRowsModified();
+          const insertId = /^\s*(INSERT|REPLACE)\b/i.test(finalSql)
+            ? this.database.exec('SELECT last_insert_rowid() AS id')[0].values[0][0]
+            : 0;
+          result = [{ affectedRows, insertId, changedRows: affectedRows }, undefined];
+        }
+      } catch (err) {
+        throw toMysqlError(err, finalSql);
+      } finally {
+        if (prepared) prepared.free();
+      }
+    }
+
+    return result;
+  }
+
+  async query(sql, params) {
+    const text = typeof sql === 'object' ? sql.sql : sql;
+    const values = typeof sql === 'object' && sql.values ? sql.values : params;
+    return this.runStatement(formatPlaceholders(normalizeLiterals(text), values));
+  }
+
+  async execute(sql, params) {
+    return this.query(sql, params);
+  }
+
+  // Runs a whole .sql script (e.g. db/seeds/sample_data.sql).
+  runScript(script) {
+    for (const statement of splitScript(script)) {
+      this.runStatement(normalizeLiterals(statement));
+    }
+  }
+
+  runFile(filePath) {
+    this.runScript(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  async getConnection() {
+    return new MemoryConnection(this);
+  }
+
+  async end() {
+    this.database.close();
+  }
+}
+
+// SQLite has a single writer, so transactions are serialised through the
+// pool's lock; statements outside a transaction run immediately.
+class MemoryConnection {
+  constructor(pool) {
+    this.pool = pool;
+    this.releaseLock = null;
+  }
+
+  query(sql, params) {
+    return this.pool.query(sql, params);
+  }
+
+  execute(sql, params) {
+    return this.pool.query(sql, params);
+  }
+
+  async beginTransaction() {
+    const previous = this.pool.transactionLock;
+    let releaseLock;
+    this.pool.transactionLock = new Promise((resolve) => {
+      releaseLock = resolve;
+    });
+    await previous;
+    this.releaseLock = releaseLock;
+    this.pool.database.run('BEGIN');
+  }
+
+  async commit() {
+    this.pool.database.run('COMMIT');
+    this.unlock();
+  }
+
+  async rollback() {
+    if (this.releaseLock) {
+      this.pool.database.run('ROLLBACK');
+    }
+    this.unlock();
+  }
+
+  unlock() {
+    if (this.releaseLock) {
+      this.releaseLock();
+      this.releaseLock = null;
+    }
+  }
+
+  release() {
+    if (this.releaseLock) {
+      this.pool.database.run('ROLLBACK');
+      this.unlock();
+    }
+  }
+}
+
+const createMemoryPool = async () => {
+  if (!sqlModulePromise) {
+    sqlModulePromise = initSqlJs();
+  }
+  const SQL = await sqlModulePromise;
+  const database = new SQL.Database();
+  database.run('PRAGMA foreign_keys = ON');
+  return new MemoryPool(database);
+};
+
+module.exports = { createMemoryPool, translateStatement, formatPlaceholders };
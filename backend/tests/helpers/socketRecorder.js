@@ -0,0 +1,24 @@
+// tests/helpers/socketRecorder.js - Fake socket.io server that records emits
+const createSocketRecorder = () => {
+  const events = [];
+
+  return {
+    events,
+    to(room) {
+      return {
+        emit(event, payload) {
+          events.push({ room, event, payload });
+        }
+      };
+    },
+    // All emits of `event`, optionally narrowed to one room.
+    emitted(event, room) {
+      return events.filter((e) => e.event === event && (room === undefined || e.room === room));
+    },
+    clear() {
+      events.length = 0;
+    }
+  };
+};
+
+module.exports = { createSocketRecorder };
@@ -0,0 +1,77 @@
+// tests/helpers/testApp.js - Boots the app against a freshly seeded stand-in DB
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../../app');
+const config = require('../../config');
+const { setPool } = require('../../db/pool');
+const { migrate } = require('../../db/migrator');
+const { setIO } = require('../../sockets/emitter');
+const { setMailer } = require('../../mailer');
+const { createFileMailer } = require('../../mailer/fileMailer');
+const { setProvider } = require('../../payments');
+const { createMockProvider } = require('../../payments/mockProvider');
+const { createMemoryPool } = require('./memoryDb');
+const { createSocketRecorder } = require('./socketRecorder');
+
+const SEED_PATH = path.join(__dirname, '..', '..', 'db', 'seeds', 'sample_data.sql');
+
+// Users seeded by db/seeds/sample_data.sql.
+const SEED_USERS = {
+  admin: { userId: 1, username: 'admin', role: 'admin' },
+  staff: { userId: 2, username: 'staff1', role: 'staff' },
+  customer: { userId: 3, username: 'customer1', role: 'customer' }
+};
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+
+const tokenFor = (user) => jwt.sign(user, config.JWT_SECRET, { expiresIn: '1h' });
+
+const createTestContext = async () => {
+  const pool = await createMemoryPool();
+  await migrate(pool);
+  pool.runFile(SEED_PATH);
+  setPool(pool);
+
+  const io = createSocketRecorder();
+  setIO(io);
+
+  // Outgoing mail goes through the real file adapter into a throwaway dir.
+  const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'grabngo-mail-'));
+  setMailer(createFileMailer({ dir: mailDir }));
+  const sentMail = () =>
+    fs.readdirSync(mailDir)
+      .sort()
+      .map((name) => JSON.parse(fs.readFileSync(path.join(mailDir, name), 'utf8')));
+
+  // Payments use the offline provider; tests sign webhooks with WEBHOOK_SECRET.
+  setProvider(createMockProvider({ webhookSecret: WEBHOOK_SECRET }));
+
+  const queryRows = async (sql, params) => (await pool.query(sql, params))[0];
+
+  return {
+    app,
+    pool,
+    io,
+    api: () => request(app),
+    queryRows,
+    sentMail,
+    tokens: {
+      admin: tokenFor(SEED_USERS.admin),
+      staff: tokenFor(SEED_USERS.staff),
+      customer: tokenFor(SEED_USERS.customer)
+    },
+    async teardown() {
+      setIO(null);
+      setMailer(null);
+      setProvider(null);
+      fs.rmSync(mailDir, { recursive: true, force: true });
+      setPool(null);
+      await pool.end();
+    }
+  };
+};
+
+module.exports = { createTestContext, tokenFor, SEED_USERS, WEBHOOK_SECRET };
@@ -0,0 +1,160 @@
+const { createTestContext } = require('./helpers/testApp');
+
+describe('ingredients and recipes', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  const as = (token, req) => req.set('Authorization', `Bearer ${token}`);
+  const asAdmin = (req) => as(ctx.tokens.admin, req);
+
+  const addIngredient = async (body) => {
+    const res = await asAdmin(ctx.api().post('/api/admin/ingredients')).send(body);
+    expect(res.status).toBe(201);
+    return res.body.ingredient_id;
+  };
+
+  const setRecipe = (itemId, ingredients) =>
+    asAdmin(ctx.api().put(`/api/admin/menu/${itemId}/recipe`)).send({ ingredients });
+
+  const setOrderStatus = (orderId, status) =>
+    asAdmin(ctx.api().put(`/api/admin/orders/${orderId}`)).send({ status });
+
+  const stockOf = async (ingredientId) =>
+    Number((await ctx.queryRows('SELECT stock_quantity FROM ingredients WHERE ingredient_id = ?', [ingredientId]))[0].stock_quantity);
+
+  const availability = async () =>
+    Object.fromEntries(
+      (await ctx.queryRows('SELECT item_id, is_available FROM menu_items WHERE item_id IN (1, 2, 3)')).map((r) => [r.item_id, r.is_available])
+    );
+
+  // Seed order 2 (status "ready") is one Cheese Burger (item 2) and one Chocolate Cake.
+  let bun;
+  let cheese;
+  beforeEach(async () => {
+    bun = await addIngredient({ name: 'Burger bun', unit: 'pcs', stock_quantity: 10, low_stock_threshold: 4 });
+    cheese = await addIngredient({ name: 'Cheddar slice', unit: 'pcs', stock_quantity: 1.5, low_stock_threshold: 2 });
+    await setRecipe(1, [{ ingredient_id: bun, quantity: 1 }]);
+    await setRecipe(2, [{ ingredient_id: bun, quantity: 1 }, { ingredient_id: cheese, quantity: 1 }]);
+    await setRecipe(3, [{ ingredient_id: bun, quantity: 1 }, { ingredient_id: cheese, quantity: 1 }]);
+    ctx.io.clear();
+  });
+
+  describe('ingredients', () => {
+    it('lists ingredients and rejects duplicate names', async () => {
+      const list = await asAdmin(ctx.api().get('/api/admin/ingredients'));
+      expect(list.body.map((i) => i.name)).toEqual(['Burger bun', 'Cheddar slice']);
+
+      const dup = await asAdmin(ctx.api().post('/api/admin/ingredients')).send({ name: 'Burger bun' });
+      expect(dup.status).toBe(409);
+    });
+
+    it('validates input', async () => {
+      expect((await asAdmin(ctx.api().post('/api/admin/ingredients')).send({ name: '' })).status).toBe(400);
+      expect((await asAdmin(ctx.api().put(`/api/admin/ingredients/${bun}`)).send({ stock_quantity: -1 })).status).toBe(400);
+      expect((await asAdmin(ctx.api().put('/api/admin/ingredients/999')).send({ stock_quantity: 1 })).status).toBe(404);
+    });
+
+    it('requires inventory.manage', async () => {
+      const res = await as(ctx.tokens.staff, ctx.api().get('/api/admin/ingredients'));
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('recipes', () => {
+    it('returns and replaces a recipe', async () => {
+      const res = await asAdmin(ctx.api().get('/api/admin/menu/2/recipe'));
+
+      expect(res.status).toBe(200);
+      expect(res.body.ingredients.map((i) => [i.name, Number(i.quantity)])).toEqual([['Burger bun', 1], ['Cheddar slice', 1]]);
+
+      const cleared = await setRecipe(2, []);
+      expect(cleared.body.ingredients).toEqual([]);
+    });
+
+    it('rejects unknown and repeated ingredients', async () => {
+      expect((await setRecipe(1, [{ ingredient_id: 999, quantity: 1 }])).body.error).toBe('Unknown ingredient in recipe');
+      expect((await setRecipe(1, [{ ingredient_id: bun, quantity: 1 }, { ingredient_id: bun, quantity: 2 }])).status).toBe(400);
+      expect((await setRecipe(1, [{ ingredient_id: bun, quantity: 0 }])).status).toBe(400);
+    });
+
+    it('takes an item off sale straight away when the recipe cannot be made', async () => {
+      await setRecipe(1, [{ ingredient_id: cheese, quantity: 2 }]);
+      expect((await availability())[1]).toBe(0);
+    });
+  });
+
+  describe('completing orders', () => {
+    it('deducts ingredients once and takes depleted items off sale', async () => {
+      const res = await setOrderStatus(2, 'completed');
+
+      expect(res.status).toBe(200);
+      expect(await stockOf(bun)).toBe(9);
+      expect(await stockOf(cheese)).toBe(0.5);
+      expect(await availability()).toEqual({ 1: 1, 2: 0, 3: 0 });
+      expect(ctx.io.emitted('menu:item:stock', 'customers').map((e) => e.payload.item_id).sort()).toEqual([2, 3]);
+
+      // Completed orders can't be reopened and completed a second time.
+      expect((await setOrderStatus(2, 'ready')).status).toBe(409);
+      expect(await stockOf(bun)).toBe(9);
+    });
+
+    it('does not deduct for other status changes', async () => {
+      await setOrderStatus(3, 'ready');
+      expect(await stockOf(bun)).toBe(10);
+    });
+
+    it('puts items back on sale when the ingredient is restocked, but not ones switched off by hand', async () => {
+      await asAdmin(ctx.api().put('/api/menu/3')).send({ category_id: 1, item_name: 'Bacon Burger', price: 10.99, is_available: false });
+      await setOrderStatus(2, 'completed');
+      ctx.io.clear();
+
+      const res = await asAdmin(ctx.api().put(`/api/admin/ingredients/${cheese}`)).send({ stock_quantity: 20 });
+
+      expect(res.status).toBe(200);
+      expect(await availability()).toEqual({ 1: 1, 2: 1, 3: 0 });
+      expect(ctx.io.emitted('menu:item:stock', 'customers').map((e) => e.payload)).toEqual([
+        expect.objectContaining({ item_id: 2, is_available: 1 })
+      ]);
+    });
+
+    it('keeps depleted items off sale through edits and category toggles', async () => {
+      await setOrderStatus(2, 'completed');
+
+      const edit = await asAdmin(ctx.api().put('/api/menu/2')).send({ category_id: 1, item_name: 'Cheese Burger', price: 10.49, is_available: true });
+      expect(edit.status).toBe(200);
+      expect(edit.body.item).toMatchObject({ price: 10.49, is_available: 0 });
+
+      await asAdmin(ctx.api().put('/api/categories/1')).send({ category_name: 'Burgers', is_active: false });
+      await asAdmin(ctx.api().put('/api/categories/1')).send({ category_name: 'Burgers', is_active: true });
+      expect(await availability()).toEqual({ 1: 1, 2: 0, 3: 0 });
+
+      const order = await as(ctx.tokens.customer, ctx.api().post('/api/orders')).send({ items: [{ item_id: 2, quantity: 1 }], payment_method: 'cash' });
+      expect(order.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/admin/inventory/low-stock', () => {
+    it('lists ingredients at or below their threshold with the items that use them', async () => {
+      await setOrderStatus(2, 'completed');
+      await asAdmin(ctx.api().put(`/api/admin/ingredients/${bun}`)).send({ stock_quantity: 4 });
+
+      const res = await asAdmin(ctx.api().get('/api/admin/inventory/low-stock'));
+
+      expect(res.status).toBe(200);
+      expect(res.body.map((i) => i.name)).toEqual(['Cheddar slice', 'Burger bun']);
+      expect(res.body[0]).toMatchObject({ depleted: false });
+      expect(res.body[0].items).toEqual([
+        { item_id: 3, item_name: 'Bacon Burger', is_available: 0 },
+        { item_id: 2, item_name: 'Cheese Burger', is_available: 0 }
+      ]);
+      expect(res.body[1].items.map((i) => i.item_id)).toEqual([3, 2, 1]);
+    });
+  });
+});
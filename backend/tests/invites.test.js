@@ -0,0 +1,122 @@
+const { createTestContext, tokenFor } = require('./helpers/testApp');
+
+describe('admin invitations', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  const invite = (body, token = ctx.tokens.admin) =>
+    ctx.api().post('/api/admin/invites').set('Authorization', `Bearer ${token}`).send(body);
+
+  const accept = (token, body) => ctx.api().post(`/api/auth/invites/${token}/accept`).send(body);
+
+  const newStaff = { username: 'cook', password: 'secret123', full_name: 'Line Cook' };
+
+  it('issues a single-use token and only stores its hash', async () => {
+    const res = await invite({ email: 'cook@example.com', role: 'staff' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ email: 'cook@example.com', role: 'staff', token: expect.any(String) });
+    expect(res.body.invite_url).toMatch(new RegExp(`/register/invite/${res.body.token}$`));
+
+    const [row] = await ctx.queryRows('SELECT token_hash FROM user_invites WHERE invite_id = ?', [res.body.invite_id]);
+    expect(row.token_hash).toHaveLength(64);
+    expect(row.token_hash).not.toBe(res.body.token);
+  });
+
+  it('lets the invitee look up and redeem the invite once', async () => {
+    const { body: created } = await invite({ email: 'cook@example.com', role: 'staff' });
+
+    const lookup = await ctx.api().get(`/api/auth/invites/${created.token}`);
+    expect(lookup.status).toBe(200);
+    expect(lookup.body).toMatchObject({ email: 'cook@example.com', role: 'staff' });
+
+    const res = await accept(created.token, newStaff);
+    expect(res.status).toBe(201);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.user).toMatchObject({ username: 'cook', email: 'cook@example.com', role: 'staff' });
+    expect(res.body.user.permissions).toContain('orders.advance');
+
+    const again = await accept(created.token, { ...newStaff, username: 'cook2' });
+    expect(again.status).toBe(404);
+    expect((await ctx.api().get(`/api/auth/invites/${created.token}`)).status).toBe(404);
+  });
+
+  it('creates admins only through an invite', async () => {
+    const { body: created } = await invite({ email: 'boss@example.com', role: 'admin' });
+    const missingName = await accept(created.token, { username: 'boss', password: 'secret123' });
+    expect(missingName.status).toBe(400);
+    expect(missingName.body.error).toBe('Full name is required');
+
+    const res = await accept(created.token, { username: 'boss', password: 'secret123', full_name: 'The Boss' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user.role).toBe('admin');
+  });
+
+  it('rejects expired invites', async () => {
+    const { body: created } = await invite({ email: 'late@example.com', role: 'staff' });
+    await ctx.queryRows('UPDATE user_invites SET expires_at = ? WHERE invite_id = ?', [
+      new Date(Date.now() - 60 * 1000),
+      created.invite_id
+    ]);
+
+    expect((await accept(created.token, newStaff)).status).toBe(404);
+  });
+
+  it('rejects unknown tokens', async () => {
+    expect((await accept('not-a-real-token', newStaff)).status).toBe(404);
+  });
+
+  it('keeps the invite usable when the username is taken', async () => {
+    const { body: created } = await invite({ email: 'cook@example.com', role: 'staff' });
+
+    const clash = await accept(created.token, { ...newStaff, username: 'customer1' });
+    expect(clash.status).toBe(409);
+
+    expect((await accept(created.token, newStaff)).status).toBe(201);
+  });
+
+  it('validates the invite request', async () => {
+    const badRole = await invite({ email: 'someone@example.com', role: 'customer' });
+    expect(badRole.status).toBe(400);
+
+    const taken = await invite({ email: 'customer@grabngo.com', role: 'staff' });
+    expect(taken.status).toBe(409);
+  });
+
+  it('lets only a super-admin invite admins', async () => {
+    const [result] = await ctx.pool.query(
+      "INSERT INTO users (username, email, password, full_name, role) VALUES ('manager', 'manager@example.com', 'x', 'Shift Manager', 'admin')"
+    );
+    const managerToken = tokenFor({ userId: result.insertId, username: 'manager', role: 'admin' });
+
+    const res = await invite({ email: 'boss@example.com', role: 'admin' }, managerToken);
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Only a super-admin can invite admins');
+    expect(await ctx.queryRows('SELECT * FROM user_invites')).toHaveLength(0);
+
+    expect((await invite({ email: 'cook@example.com', role: 'staff' }, managerToken)).status).toBe(201);
+  });
+
+  it('requires users.manage', async () => {
+    expect((await invite({ email: 'x@example.com', role: 'admin' }, ctx.tokens.staff)).status).toBe(403);
+    expect((await invite({ email: 'x@example.com', role: 'admin' }, ctx.tokens.customer)).status).toBe(403);
+  });
+
+  it('lists recent invites without their tokens', async () => {
+    await invite({ email: 'cook@example.com', role: 'staff' });
+
+    const res = await ctx.api().get('/api/admin/invites').set('Authorization', `Bearer ${ctx.tokens.admin}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body[0]).toMatchObject({ email: 'cook@example.com', role: 'staff', invited_by_username: 'admin' });
+    expect(res.body[0].token_hash).toBeUndefined();
+  });
+});
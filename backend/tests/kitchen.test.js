@@ -0,0 +1,56 @@
+const { createTestContext } = require('./helpers/testApp');
+
+describe('kitchen display', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  const auth = (req, token = ctx.tokens.admin) => req.set('Authorization', `Bearer ${token}`);
+
+  const tickets = (token) => auth(ctx.api().get('/api/admin/kitchen/tickets'), token);
+
+  it('lists the orders being worked on with what to cook', async () => {
+    await auth(ctx.api().put('/api/menu/1/modifiers')).send({
+      groups: [{ name: 'Size', min_select: 1, max_select: 1, options: [{ name: 'Regular' }, { name: 'Large', price_delta: 1.5 }] }]
+    });
+    const { body: burger } = await ctx.api().get('/api/menu/1');
+    const large = burger.modifier_groups[0].options.find((option) => option.name === 'Large');
+    const { body: order } = await auth(ctx.api().post('/api/orders'), ctx.tokens.customer).send({
+      items: [{ item_id: 1, quantity: 2, modifiers: [large.option_id] }],
+      payment_method: 'cash',
+      special_instructions: 'No pickles'
+    });
+
+    // Still pending, so the kitchen hasn't got it yet.
+    expect((await tickets()).body.tickets.map((ticket) => ticket.order_id)).toEqual([2, 3]);
+
+    await auth(ctx.api().put(`/api/admin/orders/${order.orderId}`)).send({ status: 'confirmed' });
+    const res = await tickets(ctx.tokens.staff);
+
+    expect(res.status).toBe(200);
+    expect(res.body.columns).toEqual(['confirmed', 'preparing', 'ready']);
+    // Seed order 2 is ready and 3 is being prepared; seed order 1 is completed.
+    expect(res.body.tickets.map((ticket) => [ticket.order_id, ticket.status])).toEqual([
+      [2, 'ready'],
+      [3, 'preparing'],
+      [order.orderId, 'confirmed']
+    ]);
+    expect(res.body.tickets[2]).toMatchObject({
+      order_number: order.orderNumber,
+      special_instructions: 'No pickles',
+      customer_name: 'John Doe',
+      items: [{ item_name: 'Classic Burger', quantity: 2, combo_name: null, modifiers: ['Large'] }]
+    });
+    expect(res.body.tickets[2]).not.toHaveProperty('total_amount');
+  });
+
+  it('needs orders.view', async () => {
+    expect((await tickets(ctx.tokens.customer)).status).toBe(403);
+  });
+});
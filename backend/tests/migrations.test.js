@@ -0,0 +1,84 @@
+const { createMemoryPool } = require('./helpers/memoryDb');
+const { loadMigrations, migrate, rollback, status } = require('../db/migrator');
+
+describe('db/migrator', () => {
+  let pool;
+
+  beforeEach(async () => {
+    pool = await createMemoryPool();
+  });
+
+  afterEach(async () => {
+    await pool.end();
+  });
+
+  const columns = async (table) => {
+    const [rows] = await pool.query(`PRAGMA table_info(${table})`);
+    return rows.map((row) => row.name);
+  };
+
+  const tables = async () => {
+    const [rows] = await pool.query("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'");
+    return rows.map((row) => row.name).sort();
+  };
+
+  it('applies every migration once and records it', async () => {
+    const migrations = loadMigrations();
+    const applied = await migrate(pool);
+
+    expect(applied.map((m) => m.version)).toEqual(migrations.map((m) => m.version));
+    expect(await migrate(pool)).toEqual([]);
+
+    const [rows] = await pool.query('SELECT version FROM schema_migrations ORDER BY version');
+    expect(rows.map((row) => row.version)).toEqual(migrations.map((m) => m.version));
+    expect((await status(pool)).every((m) => m.appliedAt)).toBe(true);
+  });
+
+  it('brings the legacy schema in line with the code', async () => {
+    await migrate(pool);
+
+    expect(await columns('users')).toEqual(expect.arrayContaining(['password']));
+    expect(await columns('users')).not.toContain('password_hash');
+    expect(await columns('menu_items')).toContain('is_active');
+    expect(await columns('orders')).toEqual(expect.arrayContaining(['order_type', 'scheduled_at', 'released_at', 'overdue_at']));
+    expect(await columns('order_items')).toContain('item_name_snapshot');
+  });
+
+  it('rolls back one step at a time and reports pending migrations', async () => {
+    const migrations = loadMigrations();
+    await migrate(pool);
+    const [last] = await rollback(pool);
+
+    expect(last.version).toBe(migrations[migrations.length - 1].version);
+    const report = await status(pool);
+    expect(report.find((m) => m.version === last.version).appliedAt).toBeNull();
+
+    expect(await migrate(pool)).toHaveLength(1);
+  });
+
+  it('rolls back to the legacy baseline', async () => {
+    const migrations = loadMigrations();
+    await migrate(pool);
+    await rollback(pool, { steps: migrations.length - 1 });
+
+    expect(await columns('users')).toContain('password_hash');
+    expect(await columns('orders')).not.toContain('order_type');
+    expect((await status(pool)).filter((m) => m.appliedAt)).toHaveLength(1);
+  });
+
+  it('rolls back everything and can migrate again', async () => {
+    const count = (await migrate(pool)).length;
+
+    expect(await rollback(pool, { steps: count })).toHaveLength(count);
+    expect(await tables()).toEqual(['schema_migrations']);
+
+    await migrate(pool);
+    expect(await tables()).toEqual(expect.arrayContaining(['users', 'menu_items', 'orders', 'order_items']));
+  });
+
+  it('refuses to roll back a version whose file is missing', async () => {
+    await migrate(pool);
+
+    await expect(rollback(pool, { migrations: [] })).rejects.toThrow(/is missing/);
+  });
+});
@@ -0,0 +1,157 @@
+const { createTestContext } = require('./helpers/testApp');
+
+describe('menu item modifiers', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  const setModifiers = (itemId, groups, token = ctx.tokens.admin) =>
+    ctx.api().put(`/api/menu/${itemId}/modifiers`).set('Authorization', `Bearer ${token}`).send({ groups });
+
+  const placeOrder = (items) =>
+    ctx.api().post('/api/orders').set('Authorization', `Bearer ${ctx.tokens.customer}`).send({ items, payment_method: 'cash' });
+
+  const burgerGroups = [
+    {
+      name: 'Size',
+      min_select: 1,
+      max_select: 1,
+      options: [{ name: 'Regular' }, { name: 'Large', price_delta: 1.5 }]
+    },
+    {
+      name: 'Extras',
+      min_select: 0,
+      max_select: 2,
+      options: [
+        { name: 'Extra cheese', price_delta: 0.75 },
+        { name: 'Bacon', price_delta: 1.25 },
+        { name: 'Jalapenos', price_delta: 0.5, is_available: false }
+      ]
+    }
+  ];
+
+  // Returns { 'Size:Large': option_id, ... } for the item's current options.
+  const optionIds = async (itemId) => {
+    const res = await ctx.api().get(`/api/menu/${itemId}`);
+    const ids = {};
+    for (const group of res.body.modifier_groups) {
+      for (const option of group.options) {
+        ids[`${group.name}:${option.name}`] = option.option_id;
+      }
+    }
+    return ids;
+  };
+
+  describe('PUT /api/menu/:id/modifiers', () => {
+    it('replaces the groups, audits and broadcasts the item', async () => {
+      const res = await setModifiers(1, burgerGroups);
+
+      expect(res.status).toBe(200);
+      expect(res.body.item.modifier_groups).toHaveLength(2);
+      expect(res.body.item.modifier_groups[0]).toMatchObject({ name: 'Size', min_select: 1, max_select: 1 });
+      expect(res.body.item.modifier_groups[1].options[0]).toMatchObject({ name: 'Extra cheese', price_delta: 0.75 });
+
+      const [event] = ctx.io.emitted('menu:item:update', 'customers');
+      expect(event.payload.modifier_groups).toHaveLength(2);
+
+      const [log] = await ctx.queryRows("SELECT * FROM audit_logs WHERE action = 'menu_item.modifiers_update'");
+      expect(log.entity_id).toBe(1);
+
+      await setModifiers(1, [burgerGroups[0]]);
+      const menu = await ctx.api().get('/api/menu');
+      const burger = menu.body.find((item) => item.item_id === 1);
+      expect(burger.modifier_groups.map((group) => group.name)).toEqual(['Size']);
+      expect(menu.body.find((item) => item.item_id === 2).modifier_groups).toEqual([]);
+    });
+
+    it('validates the groups', async () => {
+      expect((await setModifiers(1, [{ name: 'Size', options: [] }])).status).toBe(400);
+      expect((await setModifiers(1, [{ name: '', options: [{ name: 'A' }] }])).status).toBe(400);
+
+      const minOverMax = await setModifiers(1, [{ name: 'Size', min_select: 2, max_select: 1, options: [{ name: 'A' }, { name: 'B' }] }]);
+      expect(minOverMax.status).toBe(400);
+
+      const tooFewOptions = await setModifiers(1, [{ name: 'Size', min_select: 2, max_select: 2, options: [{ name: 'A' }] }]);
+      expect(tooFewOptions.status).toBe(400);
+
+      expect((await setModifiers(999, burgerGroups)).status).toBe(404);
+    });
+
+    it('requires menu write permission', async () => {
+      expect((await setModifiers(1, burgerGroups, ctx.tokens.customer)).status).toBe(403);
+    });
+  });
+
+  describe('ordering with options', () => {
+    beforeEach(async () => {
+      await setModifiers(1, burgerGroups);
+    });
+
+    it('prices options on the server and stores them with the order line', async () => {
+      const ids = await optionIds(1);
+      const res = await placeOrder([
+        { item_id: 1, quantity: 2, modifiers: [ids['Size:Large'], ids['Extras:Bacon']] },
+        { item_id: 1, quantity: 1, modifiers: [ids['Size:Regular']] }
+      ]);
+
+      expect(res.status).toBe(201);
+      const lines = await ctx.queryRows('SELECT unit_price, subtotal FROM order_items WHERE order_id = ? ORDER BY order_item_id', [res.body.orderId]);
+      expect(lines.map((line) => Number(line.unit_price))).toEqual([11.74, 8.99]);
+      expect(Number((await ctx.queryRows('SELECT total_amount FROM orders WHERE order_id = ?', [res.body.orderId]))[0].total_amount)).toBeCloseTo(32.47);
+
+      const detail = await ctx.api().get(`/api/orders/${res.body.orderId}`).set('Authorization', `Bearer ${ctx.tokens.customer}`);
+      expect(detail.body.items[0].modifiers).toEqual([
+        expect.objectContaining({ group_name: 'Size', option_name: 'Large', price_delta: 1.5 }),
+        expect.objectContaining({ group_name: 'Extras', option_name: 'Bacon', price_delta: 1.25 })
+      ]);
+
+      const admin = await ctx.api().get(`/api/admin/orders/${res.body.orderId}`).set('Authorization', `Bearer ${ctx.tokens.admin}`);
+      expect(admin.body.items[1].modifiers).toEqual([expect.objectContaining({ option_name: 'Regular' })]);
+    });
+
+    it('keeps the snapshot when the options are later replaced', async () => {
+      const ids = await optionIds(1);
+      const res = await placeOrder([{ item_id: 1, quantity: 1, modifiers: [ids['Size:Large']] }]);
+      await setModifiers(1, []);
+
+      const detail = await ctx.api().get(`/api/orders/${res.body.orderId}`).set('Authorization', `Bearer ${ctx.tokens.customer}`);
+      expect(detail.body.items[0].modifiers).toEqual([expect.objectContaining({ option_name: 'Large', option_id: null })]);
+    });
+
+    it('enforces the min and max rules', async () => {
+      const ids = await optionIds(1);
+
+      const missing = await placeOrder([{ item_id: 1, quantity: 1 }]);
+      expect(missing.status).toBe(400);
+      expect(missing.body.error).toMatch(/at least 1 "Size"/);
+
+      const tooMany = await placeOrder([{ item_id: 1, quantity: 1, modifiers: [ids['Size:Regular'], ids['Size:Large']] }]);
+      expect(tooMany.body.error).toMatch(/at most 1 "Size"/);
+    });
+
+    it('rejects unknown, unavailable and repeated options', async () => {
+      const ids = await optionIds(1);
+      const size = ids['Size:Regular'];
+
+      const foreign = await placeOrder([{ item_id: 2, quantity: 1, modifiers: [size] }]);
+      expect(foreign.body.error).toMatch(/options for "Cheese Burger" have changed/);
+
+      const unavailable = await placeOrder([{ item_id: 1, quantity: 1, modifiers: [size, ids['Extras:Jalapenos']] }]);
+      expect(unavailable.body.error).toMatch(/"Jalapenos" is no longer available/);
+
+      const repeated = await placeOrder([{ item_id: 1, quantity: 1, modifiers: [size, size] }]);
+      expect(repeated.status).toBe(400);
+
+      const malformed = await placeOrder([{ item_id: 1, quantity: 1, modifiers: 'large' }]);
+      expect(malformed.status).toBe(400);
+
+      expect((await ctx.queryRows('SELECT COUNT(*) AS c FROM order_item_modifiers'))[0].c).toBe(0);
+    });
+  });
+});
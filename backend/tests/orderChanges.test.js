@@ -0,0 +1,214 @@
+const { createTestContext, tokenFor, WEBHOOK_SECRET } = require('./helpers/testApp');
+const { setProvider } = require('../payments');
+const { createMockProvider } = require('../payments/mockProvider');
+const { signPayload } = require('../payments/signature');
+
+describe('customer order changes', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  const auth = (req, token = ctx.tokens.customer) => req.set('Authorization', `Bearer ${token}`);
+
+  const placeOrder = async (body) =>
+    (await auth(ctx.api().post('/api/orders')).send({ payment_method: 'cash', ...body })).body.orderId;
+
+  const cancel = (orderId, token) => auth(ctx.api().post(`/api/orders/${orderId}/cancel`), token);
+
+  const edit = (orderId, body, token) => auth(ctx.api().patch(`/api/orders/${orderId}`), token).send(body);
+
+  const setStatus = (orderId, status) => auth(ctx.api().put(`/api/admin/orders/${orderId}`), ctx.tokens.admin).send({ status });
+
+  const setStock = (itemId, stock_quantity) =>
+    auth(ctx.api().patch(`/api/menu/${itemId}/stock`), ctx.tokens.admin).send({ stock_quantity });
+
+  const stockOf = async (itemId) =>
+    (await ctx.queryRows('SELECT stock_quantity, is_available FROM menu_items WHERE item_id = ?', [itemId]))[0];
+
+  const payIntent = (intentId, amount) => {
+    const body = JSON.stringify({ id: `evt_${intentId}`, type: 'payment.succeeded', data: { intent_id: intentId, amount, currency: 'NPR' } });
+    return ctx.api()
+      .post('/api/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .set('X-Payment-Signature', signPayload(body, WEBHOOK_SECRET))
+      .send(body);
+  };
+
+  // Two Classic Burgers (17.98), paid online.
+  const placePaidCardOrder = async () => {
+    const orderId = await placeOrder({ items: [{ item_id: 1, quantity: 2 }], payment_method: 'card' });
+    const { body: intent } = await auth(ctx.api().post(`/api/orders/${orderId}/payment-intent`));
+    await payIntent(intent.intent_id, 1798);
+    return orderId;
+  };
+
+  const orderRow = async (orderId) =>
+    (await ctx.queryRows('SELECT * FROM orders WHERE order_id = ?', [orderId]))[0];
+
+  describe('POST /api/orders/:id/cancel', () => {
+    it('cancels a pending order, puts its stock back and tells the counter', async () => {
+      await setStock(1, 2);
+      const orderId = await placeOrder({ items: [{ item_id: 1, quantity: 2 }] });
+      expect(await stockOf(1)).toEqual({ stock_quantity: 0, is_available: 0 });
+      ctx.io.clear();
+
+      const res = await cancel(orderId);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ orderId, status: 'cancelled', canCancel: false, canEdit: false });
+      expect(res.body.statusHistory.map((entry) => entry.status)).toEqual(['pending', 'cancelled']);
+      expect(await stockOf(1)).toEqual({ stock_quantity: 2, is_available: 1 });
+
+      expect(ctx.io.emitted('menu:item:stock', 'customers')[0].payload).toMatchObject({ item_id: 1, stock_quantity: 2 });
+      expect(ctx.io.emitted('order:update', 'admins')[0].payload).toMatchObject({ order_id: orderId, status: 'cancelled' });
+      expect(ctx.io.emitted('order:cancel', 'admins')[0].payload).toMatchObject({ orderId, userId: 3, username: 'customer1' });
+
+      const [log] = await ctx.queryRows("SELECT * FROM audit_logs WHERE action = 'order.cancel'");
+      expect(log).toMatchObject({ user_id: 3, entity_id: orderId });
+
+      const again = await cancel(orderId);
+      expect(again.status).toBe(409);
+      expect(again.body.error).toBe('This order was already cancelled.');
+    });
+
+    it('allows confirmed orders only within the grace window', async () => {
+      const orderId = await placeOrder({ items: [{ item_id: 1, quantity: 1 }] });
+      await setStatus(orderId, 'confirmed');
+
+      const { body: list } = await auth(ctx.api().get('/api/orders/my-orders'));
+      expect(list.orders.find((order) => order.order_id === orderId)).toMatchObject({ can_cancel: true, can_edit: true });
+      expect(list.orders[0]).not.toHaveProperty('within_grace');
+
+      await ctx.queryRows("UPDATE orders SET created_at = '2020-01-01 12:00:00' WHERE order_id = ?", [orderId]);
+      const { body: late } = await auth(ctx.api().get(`/api/orders/${orderId}`));
+      expect(late).toMatchObject({ canCancel: false, canEdit: false });
+
+      const res = await cancel(orderId);
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('This order can no longer be changed. Please contact the counter.');
+      expect((await orderRow(orderId)).status).toBe('confirmed');
+    });
+
+    it('refuses orders the kitchen has started and other customers\' orders', async () => {
+      // Seed order 3 is being prepared.
+      expect((await cancel(3)).status).toBe(409);
+
+      const orderId = await placeOrder({ items: [{ item_id: 1, quantity: 1 }] });
+      const stranger = tokenFor({ userId: 4, username: 'someone', role: 'customer' });
+      expect((await cancel(orderId, stranger)).status).toBe(404);
+      expect((await edit(orderId, { items: [{ item_id: 9, quantity: 1 }] }, stranger)).status).toBe(404);
+      expect((await orderRow(orderId)).status).toBe('pending');
+    });
+
+    it('refunds paid orders in full', async () => {
+      const orderId = await placePaidCardOrder();
+
+      const paidEdit = await edit(orderId, { items: [{ item_id: 1, quantity: 1 }] });
+      expect(paidEdit.status).toBe(400);
+      expect(paidEdit.body.error).toBe('This order has already been paid. Cancel it instead to get a refund.');
+
+      const res = await cancel(orderId);
+      expect(res.body).toMatchObject({ status: 'cancelled', paymentStatus: 'refunded', refundedAmount: 17.98 });
+
+      const [refund] = await ctx.queryRows('SELECT * FROM refunds WHERE order_id = ?', [orderId]);
+      expect(refund).toMatchObject({ amount: 17.98, reason_code: 'customer_request', provider: 'mock', created_by: 3 });
+    });
+
+    it('still cancels when the order was paid through a provider no longer configured', async () => {
+      const orderId = await placePaidCardOrder();
+      setProvider({ ...createMockProvider({ webhookSecret: WEBHOOK_SECRET }), name: 'other' });
+
+      const res = await cancel(orderId);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ status: 'cancelled', paymentStatus: 'paid', refundedAmount: 0 });
+      expect(await ctx.queryRows('SELECT * FROM refunds')).toHaveLength(0);
+    });
+
+    it('still cancels when the provider declines the refund, leaving it to staff', async () => {
+      const orderId = await placePaidCardOrder();
+      setProvider({
+        ...createMockProvider({ webhookSecret: WEBHOOK_SECRET }),
+        refund: async () => {
+          throw new Error('Insufficient balance');
+        }
+      });
+
+      const res = await cancel(orderId);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ status: 'cancelled', paymentStatus: 'paid', refundedAmount: 0 });
+      expect(await ctx.queryRows('SELECT * FROM refunds')).toHaveLength(0);
+    });
+  });
+
+  describe('PATCH /api/orders/:id', () => {
+    it('re-prices the new lines and swaps the stock they hold', async () => {
+      await setStock(1, 3);
+      const orderId = await placeOrder({ items: [{ item_id: 1, quantity: 2 }], special_instructions: 'No onions' });
+      ctx.io.clear();
+
+      const res = await edit(orderId, { items: [{ item_id: 1, quantity: 1 }, { item_id: 9, quantity: 2 }] });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ subtotalAmount: 14.97, totalAmount: 14.97, specialInstructions: 'No onions', canEdit: true });
+      expect(res.body.items.map((item) => [item.itemId, item.quantity])).toEqual([[1, 1], [9, 2]]);
+      expect(await stockOf(1)).toMatchObject({ stock_quantity: 2 });
+      expect(ctx.io.emitted('order:edit', 'admins')[0].payload).toMatchObject({ orderId, totalAmount: 14.97, previousTotal: 17.98 });
+
+      const tooMany = await edit(orderId, { items: [{ item_id: 1, quantity: 4 }] });
+      expect(tooMany.status).toBe(400);
+      expect(tooMany.body.error).toBe('Only 3 of "Classic Burger" left. Please reduce the quantity in your cart.');
+      expect(await stockOf(1)).toMatchObject({ stock_quantity: 2 });
+
+      expect((await edit(orderId, { items: [] })).body.error).toBe('Order must contain at least one item');
+
+      const [log] = await ctx.queryRows("SELECT * FROM audit_logs WHERE action = 'order.customer_edit'");
+      expect(JSON.parse(log.old_values)).toEqual({ total_amount: 17.98, promo_code: null });
+    });
+
+    it('voids the intent opened for the old total, so paying it does not settle the order', async () => {
+      const orderId = await placeOrder({ items: [{ item_id: 1, quantity: 1 }], payment_method: 'card' });
+      const { body: intent } = await auth(ctx.api().post(`/api/orders/${orderId}/payment-intent`));
+
+      await edit(orderId, { items: [{ item_id: 1, quantity: 10 }] });
+      const [voided] = await ctx.queryRows('SELECT status FROM payments WHERE intent_id = ?', [intent.intent_id]);
+      expect(voided.status).toBe('cancelled');
+
+      const res = await payIntent(intent.intent_id, 899);
+
+      expect(res.status).toBe(200);
+      expect(await orderRow(orderId)).toMatchObject({ total_amount: 89.9, payment_status: 'pending' });
+      const [payment] = await ctx.queryRows('SELECT status FROM payments WHERE intent_id = ?', [intent.intent_id]);
+      expect(payment.status).toBe('refunded');
+      const [log] = await ctx.queryRows("SELECT * FROM audit_logs WHERE action = 'order.payment_rejected'");
+      expect(JSON.parse(log.new_values).reason).toBe('amount_changed');
+
+      const { body: fresh } = await auth(ctx.api().post(`/api/orders/${orderId}/payment-intent`));
+      expect(fresh).toMatchObject({ amount: 89.9, status: 'requires_payment' });
+      expect(fresh.intent_id).not.toBe(intent.intent_id);
+    });
+
+    it('checks the promo code again, not counting the order being edited', async () => {
+      await auth(ctx.api().post('/api/admin/promo-codes'), ctx.tokens.admin)
+        .send({ code: 'ONCE', discount_type: 'fixed', discount_value: 2, min_order_amount: 15, per_user_limit: 1 });
+      const orderId = await placeOrder({ items: [{ item_id: 1, quantity: 2 }], promo_code: 'ONCE' });
+
+      const kept = await edit(orderId, { items: [{ item_id: 1, quantity: 3 }] });
+      expect(kept.body).toMatchObject({ promoCode: 'ONCE', discountAmount: 2, totalAmount: 24.97 });
+
+      const tooSmall = await edit(orderId, { items: [{ item_id: 1, quantity: 1 }] });
+      expect(tooSmall.status).toBe(400);
+      expect(tooSmall.body.error).toBe('Promo code "ONCE" needs an order of at least Rs 15.00.');
+
+      const removed = await edit(orderId, { items: [{ item_id: 1, quantity: 1 }], promo_code: null });
+      expect(removed.body).toMatchObject({ promoCode: null, discountAmount: 0, totalAmount: 8.99 });
+    });
+  });
+});
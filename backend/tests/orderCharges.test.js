@@ -0,0 +1,105 @@
+const config = require('../config');
+const { createTestContext } = require('./helpers/testApp');
+
+describe('order tax and service charge', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    config.SERVICE_CHARGE_PERCENT = 0;
+    await ctx.teardown();
+  });
+
+  const auth = (req, token) => req.set('Authorization', `Bearer ${token}`);
+
+  const setTaxRate = (categoryId, categoryName, taxRate) =>
+    auth(ctx.api().put(`/api/categories/${categoryId}`), ctx.tokens.admin).send({ category_name: categoryName, tax_rate: taxRate });
+
+  const placeOrder = (body) =>
+    auth(ctx.api().post('/api/orders'), ctx.tokens.customer).send({ payment_method: 'cash', ...body });
+
+  // Two Classic Burgers (17.98, Burgers) and a Fresh Juice (2.99, Beverages).
+  const cart = [{ item_id: 1, quantity: 2 }, { item_id: 9, quantity: 1 }];
+
+  const storedTotals = async (orderId) => {
+    const [order] = await ctx.queryRows(
+      'SELECT subtotal_amount, discount_amount, tax_amount, service_charge_amount, total_amount FROM orders WHERE order_id = ?',
+      [orderId]
+    );
+    return Object.fromEntries(Object.entries(order).map(([key, value]) => [key, Number(value)]));
+  };
+
+  beforeEach(async () => {
+    expect((await setTaxRate(1, 'Burgers', 13)).status).toBe(200);
+    expect((await setTaxRate(4, 'Beverages', 5)).status).toBe(200);
+  });
+
+  it('taxes each line at its category rate and stores the breakdown', async () => {
+    const res = await placeOrder({ items: cart });
+
+    expect(res.status).toBe(201);
+    expect(res.body.totalAmount).toBe(23.46);
+    expect(await storedTotals(res.body.orderId)).toEqual({
+      subtotal_amount: 20.97,
+      discount_amount: 0,
+      tax_amount: 2.49,
+      service_charge_amount: 0,
+      total_amount: 23.46
+    });
+
+    const rates = await ctx.queryRows('SELECT item_id, tax_rate FROM order_items WHERE order_id = ? ORDER BY item_id', [res.body.orderId]);
+    expect(rates.map((row) => [row.item_id, Number(row.tax_rate)])).toEqual([[1, 13], [9, 5]]);
+
+    const detail = await auth(ctx.api().get(`/api/orders/${res.body.orderId}`), ctx.tokens.customer);
+    expect(detail.body).toMatchObject({ subtotalAmount: 20.97, taxAmount: 2.49, serviceChargeAmount: 0, totalAmount: 23.46 });
+  });
+
+  it('adds the configured service charge and taxes discounted lines on what is paid', async () => {
+    config.SERVICE_CHARGE_PERCENT = 10;
+    await auth(ctx.api().post('/api/admin/promo-codes'), ctx.tokens.admin)
+      .send({ code: 'DRINKS50', discount_type: 'percentage', discount_value: 50, category_ids: [4] });
+
+    const quote = await auth(ctx.api().post('/api/orders/quote'), ctx.tokens.customer).send({ items: cart, promo_code: 'DRINKS50' });
+    expect(quote.body).toMatchObject({
+      subtotal: 20.97,
+      discount: 1.5,
+      tax: 2.41,
+      service_charge: 1.95,
+      service_charge_percent: 10,
+      total: 23.83
+    });
+
+    const res = await placeOrder({ items: cart, promo_code: 'DRINKS50' });
+    expect(await storedTotals(res.body.orderId)).toEqual({
+      subtotal_amount: 20.97,
+      discount_amount: 1.5,
+      tax_amount: 2.41,
+      service_charge_amount: 1.95,
+      total_amount: 23.83
+    });
+
+    const admin = await auth(ctx.api().get(`/api/admin/orders/${res.body.orderId}`), ctx.tokens.admin);
+    expect(admin.body).toMatchObject({ subtotal_amount: 20.97, tax_amount: 2.41, service_charge_amount: 1.95 });
+  });
+
+  it('keeps the rate an order was taxed at when the category rate changes', async () => {
+    const res = await placeOrder({ items: [{ item_id: 9, quantity: 1 }] });
+    await setTaxRate(4, 'Beverages', 20);
+
+    const admin = await auth(ctx.api().get(`/api/admin/orders/${res.body.orderId}`), ctx.tokens.admin);
+    expect(admin.body.items[0].tax_rate).toBe(5);
+    expect(Number(admin.body.tax_amount)).toBe(0.15);
+
+    const [log] = await ctx.queryRows("SELECT * FROM audit_logs WHERE action = 'category.update' ORDER BY log_id DESC LIMIT 1");
+    expect(JSON.parse(log.new_values).tax_rate).toBe(20);
+  });
+
+  it('rejects tax rates outside 0-100', async () => {
+    const res = await setTaxRate(1, 'Burgers', 120);
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].message).toBe('Tax rate must be a percentage between 0 and 100');
+  });
+});
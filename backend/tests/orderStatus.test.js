@@ -0,0 +1,107 @@
+const path = require('path');
+const { createTestContext } = require('./helpers/testApp');
+const { createMemoryPool } = require('./helpers/memoryDb');
+const { loadMigrations, migrate } = require('../db/migrator');
+
+describe('order status transitions', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  const as = (token, req) => req.set('Authorization', `Bearer ${token}`);
+
+  const updateOrder = (orderId, body, token = ctx.tokens.admin) =>
+    as(token, ctx.api().put(`/api/admin/orders/${orderId}`)).send(body);
+
+  const orderStatus = async (orderId) =>
+    (await ctx.queryRows('SELECT status FROM orders WHERE order_id = ?', [orderId]))[0].status;
+
+  const placeOrder = async () =>
+    (await as(ctx.tokens.customer, ctx.api().post('/api/orders')).send({ items: [{ item_id: 1, quantity: 1 }], payment_method: 'cash' })).body;
+
+  it('only allows moves along the transition graph', async () => {
+    // Seed order 1 is completed; reopening it is refused.
+    const reopen = await updateOrder(1, { status: 'pending' });
+    expect(reopen.status).toBe(409);
+    expect(reopen.body.error).toBe('Cannot move an order from completed to pending');
+
+    const { orderId } = await placeOrder();
+    expect((await updateOrder(orderId, { status: 'ready' })).status).toBe(409);
+    expect((await updateOrder(orderId, { status: 'cancelled' })).status).toBe(200);
+    expect((await updateOrder(orderId, { status: 'ready' })).body.error).toBe('Cannot move an order from cancelled to ready');
+
+    expect(await orderStatus(1)).toBe('completed');
+    expect(await orderStatus(orderId)).toBe('cancelled');
+    expect(await ctx.queryRows("SELECT * FROM audit_logs WHERE action = 'order.status_update'")).toHaveLength(1);
+  });
+
+  it('records each transition with who made it', async () => {
+    const { orderId } = await placeOrder();
+    await updateOrder(orderId, { status: 'confirmed' });
+    await updateOrder(orderId, { status: 'preparing' }, ctx.tokens.staff);
+
+    const rows = await ctx.queryRows(
+      'SELECT from_status, to_status, changed_by, created_at FROM order_status_history WHERE order_id = ? ORDER BY history_id',
+      [orderId]
+    );
+    expect(rows.map((row) => [row.from_status, row.to_status, row.changed_by])).toEqual([
+      [null, 'pending', 3],
+      ['pending', 'confirmed', 1],
+      ['confirmed', 'preparing', 2]
+    ]);
+    expect(rows.every((row) => row.created_at)).toBe(true);
+
+    const { body: admin } = await as(ctx.tokens.admin, ctx.api().get(`/api/admin/orders/${orderId}`));
+    expect(admin.status_history.map((entry) => [entry.status, entry.changed_by_username])).toEqual([
+      ['pending', 'customer1'],
+      ['confirmed', 'admin'],
+      ['preparing', 'staff1']
+    ]);
+
+    const { body: customer } = await as(ctx.tokens.customer, ctx.api().get(`/api/orders/${orderId}`));
+    expect(customer.statusHistory.map((entry) => entry.status)).toEqual(['pending', 'confirmed', 'preparing']);
+    expect(Object.keys(customer.statusHistory[0]).sort()).toEqual(['at', 'status']);
+  });
+
+  it('does not record a status that did not change', async () => {
+    await updateOrder(2, { status: 'ready', payment_status: 'paid' });
+
+    expect(await ctx.queryRows('SELECT * FROM order_status_history WHERE order_id = 2')).toEqual([]);
+  });
+
+  it('starts the timeline of orders without history from when they were placed', async () => {
+    // Seed orders are inserted after the migrations, so they have no rows.
+    const { body } = await as(ctx.tokens.admin, ctx.api().get('/api/admin/orders/3'));
+
+    expect(body.status_history).toEqual([
+      expect.objectContaining({ status: 'pending', from_status: null, changed_at: body.created_at, changed_by_username: 'customer1' })
+    ]);
+  });
+});
+
+describe('017_create_order_status_history', () => {
+  it('backfills the placed and current status of existing orders', async () => {
+    const pool = await createMemoryPool();
+    const migrations = loadMigrations();
+    await migrate(pool, { migrations: migrations.filter((m) => m.version < '017') });
+    pool.runFile(path.join(__dirname, '..', 'db', 'seeds', 'sample_data.sql'));
+    await migrate(pool, { migrations });
+
+    const [rows] = await pool.query('SELECT order_id, from_status, to_status, changed_by FROM order_status_history ORDER BY order_id, history_id');
+    expect(rows.map((row) => [row.order_id, row.from_status, row.to_status, row.changed_by])).toEqual([
+      [1, null, 'pending', 3],
+      [1, 'pending', 'completed', null],
+      [2, null, 'pending', 3],
+      [2, 'pending', 'ready', null],
+      [3, null, 'pending', 3],
+      [3, 'pending', 'preparing', null]
+    ]);
+    await pool.end();
+  });
+});
@@ -0,0 +1,143 @@
+const { createTestContext } = require('./helpers/testApp');
+
+describe('POST /api/orders', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  const placeOrder = (body, token = ctx.tokens.customer) =>
+    ctx.api().post('/api/orders').set('Authorization', `Bearer ${token}`).send(body);
+
+  const countOrders = async () => (await ctx.queryRows('SELECT COUNT(*) AS c FROM orders'))[0].c;
+
+  it('prices the order from the database and notifies admins', async () => {
+    const res = await placeOrder({
+      items: [
+        { item_id: 1, quantity: 2, price: 0.01 },
+        { item_id: 9, quantity: 1 }
+      ],
+      payment_method: 'cash',
+      special_instructions: 'No onions'
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.orderNumber).toMatch(/^ORD\d+$/);
+    expect(res.body.totalAmount).toBeCloseTo(8.99 * 2 + 2.99);
+
+    const [order] = await ctx.queryRows('SELECT * FROM orders WHERE order_id = ?', [res.body.orderId]);
+    expect(order).toMatchObject({ user_id: 3, status: 'pending', payment_status: 'pending', order_type: 'asap' });
+
+    const items = await ctx.queryRows('SELECT item_id, quantity, unit_price FROM order_items WHERE order_id = ? ORDER BY item_id', [res.body.orderId]);
+    expect(items).toEqual([
+      { item_id: 1, quantity: 2, unit_price: 8.99 },
+      { item_id: 9, quantity: 1, unit_price: 2.99 }
+    ]);
+
+    const events = ctx.io.emitted('order:new');
+    expect(events).toHaveLength(1);
+    expect(events[0].room).toBe('admins');
+    expect(events[0].payload).toMatchObject({
+      orderId: res.body.orderId,
+      orderNumber: res.body.orderNumber,
+      userId: 3,
+      username: 'customer1',
+      orderType: 'asap',
+      scheduledAt: null
+    });
+  });
+
+  describe('scheduled orders', () => {
+    it('requires a scheduled time', async () => {
+      const res = await placeOrder({ items: [{ item_id: 1, quantity: 1 }], payment_method: 'cash', order_type: 'scheduled' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Scheduled time is required for scheduled orders.');
+    });
+
+    it('rejects a time in the past', async () => {
+      const res = await placeOrder({
+        items: [{ item_id: 1, quantity: 1 }],
+        payment_method: 'cash',
+        order_type: 'scheduled',
+        scheduled_at: new Date(Date.now() - 60 * 1000).toISOString()
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Invalid or past scheduled time.');
+      expect(await countOrders()).toBe(3);
+    });
+
+    it('stores the type and time and holds the order back from the kitchen', async () => {
+      const scheduledAt = new Date(Date.now() + 2 * 60 * 60 * 1000);
+      scheduledAt.setUTCMilliseconds(0);
+
+      const res = await placeOrder({
+        items: [{ item_id: 4, quantity: 1 }],
+        payment_method: 'card',
+        order_type: 'scheduled',
+        scheduled_at: scheduledAt.toISOString()
+      });
+
+      expect(res.status).toBe(201);
+      const expected = scheduledAt.toISOString().slice(0, 19).replace('T', ' ');
+      const [order] = await ctx.queryRows('SELECT order_type, scheduled_at FROM orders WHERE order_id = ?', [res.body.orderId]);
+      expect(order).toEqual({ order_type: 'scheduled', scheduled_at: expected });
+
+      expect(ctx.io.emitted('order:new')).toHaveLength(0);
+      const [event] = ctx.io.emitted('order:scheduled', 'admins');
+      expect(event.payload).toMatchObject({ orderId: res.body.orderId, scheduledAt: expected });
+    });
+  });
+
+  describe('unavailable items', () => {
+    it('rejects soft-deleted items and rolls back', async () => {
+      await ctx.pool.query('UPDATE menu_items SET is_active = 0 WHERE item_id = ?', [2]);
+
+      const res = await placeOrder({
+        items: [{ item_id: 1, quantity: 1 }, { item_id: 2, quantity: 1 }],
+        payment_method: 'cash'
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Item "Cheese Burger" is no longer available. Please remove it from your cart.');
+      expect(await countOrders()).toBe(3);
+      expect(ctx.io.emitted('order:new')).toHaveLength(0);
+    });
+
+    it('rejects items taken off sale', async () => {
+      await ctx.pool.query('UPDATE menu_items SET is_available = 0 WHERE item_id = ?', [2]);
+
+      const res = await placeOrder({ items: [{ item_id: 2, quantity: 1 }], payment_method: 'cash' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Item "Cheese Burger" is no longer available. Please remove it from your cart.');
+      expect(await countOrders()).toBe(3);
+    });
+
+    it('rejects items that do not exist', async () => {
+      const res = await placeOrder({ items: [{ item_id: 999, quantity: 1 }], payment_method: 'cash' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/"999" is no longer available/);
+    });
+  });
+
+  it('validates item structure', async () => {
+    const res = await placeOrder({ items: [{ item_id: 1, quantity: 0 }], payment_method: 'cash' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Item quantity must be at least 1');
+  });
+
+  it('is limited to customers', async () => {
+    const res = await placeOrder({ items: [{ item_id: 1, quantity: 1 }], payment_method: 'cash' }, ctx.tokens.admin);
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,269 @@
+const { createTestContext, tokenFor, WEBHOOK_SECRET } = require('./helpers/testApp');
+const { signPayload } = require('../payments/signature');
+const { checkProductionConfig, setProvider } = require('../payments');
+const { createMockProvider } = require('../payments/mockProvider');
+
+describe('online payments', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  const auth = (req, token = ctx.tokens.customer) => req.set('Authorization', `Bearer ${token}`);
+
+  // One Classic Burger: 8.99.
+  const placeOrder = async (paymentMethod = 'card') =>
+    (await auth(ctx.api().post('/api/orders')).send({ items: [{ item_id: 1, quantity: 1 }], payment_method: paymentMethod })).body;
+
+  const createIntent = (orderId) => auth(ctx.api().post(`/api/orders/${orderId}/payment-intent`));
+
+  const webhook = ({ id = 'evt_1', type = 'payment.succeeded', intentId, amount = 899 }, secret = WEBHOOK_SECRET) => {
+    const body = JSON.stringify({ id, type, data: { intent_id: intentId, amount, currency: 'NPR' } });
+    return ctx.api()
+      .post('/api/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .set('X-Payment-Signature', signPayload(body, secret))
+      .send(body);
+  };
+
+  const paymentStatus = async (orderId) =>
+    (await ctx.queryRows('SELECT payment_status FROM orders WHERE order_id = ?', [orderId]))[0].payment_status;
+
+  describe('intents', () => {
+    it('creates an intent for the order total and reuses it while it is open', async () => {
+      const { orderId } = await placeOrder();
+
+      const first = await createIntent(orderId);
+      expect(first.status).toBe(200);
+      expect(first.body).toMatchObject({ order_id: orderId, provider: 'mock', amount: 8.99, currency: 'NPR', status: 'requires_payment' });
+      expect(first.body.intent_id).toMatch(/^mock_pi_/);
+
+      const again = await createIntent(orderId);
+      expect(again.body.intent_id).toBe(first.body.intent_id);
+    });
+
+    it('refuses cash orders, paid orders and other customers', async () => {
+      const cash = await placeOrder('cash');
+      expect((await createIntent(cash.orderId)).body.error).toBe('Cash orders are paid at the counter.');
+
+      const { orderId } = await placeOrder();
+      const stranger = tokenFor({ userId: 4, username: 'someone', role: 'customer' });
+      expect((await auth(ctx.api().post(`/api/orders/${orderId}/payment-intent`), stranger)).status).toBe(404);
+
+      await ctx.pool.query("UPDATE orders SET payment_status = 'paid' WHERE order_id = ?", [orderId]);
+      expect((await createIntent(orderId)).body.error).toBe('This order has already been paid.');
+    });
+
+    it('only accepts known payment methods', async () => {
+      const res = await auth(ctx.api().post('/api/orders')).send({ items: [{ item_id: 1, quantity: 1 }], payment_method: 'cheque' });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Payment method must be cash, card or wallet');
+    });
+  });
+
+  describe('webhook', () => {
+    it('marks the order paid, audits it and tells admins and the customer', async () => {
+      const { orderId } = await placeOrder();
+      const { body: intent } = await createIntent(orderId);
+
+      const res = await webhook({ intentId: intent.intent_id });
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ received: true, duplicate: false });
+      expect(await paymentStatus(orderId)).toBe('paid');
+
+      const [payment] = await ctx.queryRows('SELECT status FROM payments WHERE intent_id = ?', [intent.intent_id]);
+      expect(payment.status).toBe('succeeded');
+
+      const [log] = await ctx.queryRows("SELECT * FROM audit_logs WHERE action = 'order.payment_update'");
+      expect(log).toMatchObject({ user_id: null, entity_id: orderId });
+      expect(JSON.parse(log.new_values)).toMatchObject({ payment_status: 'paid', provider: 'mock' });
+
+      expect(ctx.io.emitted('order:update', 'admins')[0].payload).toMatchObject({ order_id: orderId, payment_status: 'paid' });
+      expect(ctx.io.emitted('order:update', 'user:3')).toHaveLength(1);
+    });
+
+    it('acknowledges a redelivered event without applying it twice', async () => {
+      const { orderId } = await placeOrder();
+      const { body: intent } = await createIntent(orderId);
+
+      await webhook({ intentId: intent.intent_id });
+      const again = await webhook({ intentId: intent.intent_id });
+
+      expect(again.status).toBe(200);
+      expect(again.body.duplicate).toBe(true);
+      expect(await ctx.queryRows("SELECT * FROM audit_logs WHERE action = 'order.payment_update'")).toHaveLength(1);
+      expect(ctx.io.emitted('order:update', 'admins')).toHaveLength(1);
+    });
+
+    it('rejects bad signatures and mismatched amounts', async () => {
+      const { orderId } = await placeOrder();
+      const { body: intent } = await createIntent(orderId);
+
+      const forged = await webhook({ intentId: intent.intent_id }, 'wrong-secret');
+      expect(forged.status).toBe(400);
+      expect(forged.body.error).toBe('Invalid webhook signature');
+
+      const unsigned = await ctx.api().post('/api/payments/webhook').send({ id: 'evt_x', type: 'payment.succeeded' });
+      expect(unsigned.status).toBe(400);
+
+      const short = await webhook({ intentId: intent.intent_id, amount: 100 });
+      expect(short.status).toBe(400);
+      expect(await paymentStatus(orderId)).toBe('pending');
+
+      // The rejected event was not recorded, so a corrected retry still applies.
+      expect((await webhook({ intentId: intent.intent_id })).body.duplicate).toBe(false);
+      expect(await paymentStatus(orderId)).toBe('paid');
+    });
+  });
+
+  describe('late payments', () => {
+    const paymentRow = async (intentId) =>
+      (await ctx.queryRows('SELECT status FROM payments WHERE intent_id = ?', [intentId]))[0];
+
+    const cancel = (orderId) => auth(ctx.api().post(`/api/orders/${orderId}/cancel`));
+
+    it('voids the open intent, then rejects and refunds a late payment', async () => {
+      const { orderId } = await placeOrder();
+      const { body: intent } = await createIntent(orderId);
+      await cancel(orderId);
+      expect(await paymentRow(intent.intent_id)).toEqual({ status: 'cancelled' });
+
+      const res = await webhook({ intentId: intent.intent_id });
+
+      expect(res.status).toBe(200);
+      const [order] = await ctx.queryRows('SELECT status, payment_status FROM orders WHERE order_id = ?', [orderId]);
+      expect(order).toEqual({ status: 'cancelled', payment_status: 'pending' });
+      expect(await paymentRow(intent.intent_id)).toEqual({ status: 'refunded' });
+
+      const [rejected] = await ctx.queryRows("SELECT * FROM audit_logs WHERE action = 'order.payment_rejected'");
+      expect(JSON.parse(rejected.new_values)).toMatchObject({ reason: 'order_cancelled', intent_id: intent.intent_id });
+      const [refunded] = await ctx.queryRows("SELECT * FROM audit_logs WHERE action = 'order.payment_refunded'");
+      expect(JSON.parse(refunded.new_values).provider_refund_id).toMatch(/^mock_re_/);
+    });
+
+    it('keeps the rejected payment on record when the provider refuses the refund', async () => {
+      const { orderId } = await placeOrder();
+      const { body: intent } = await createIntent(orderId);
+      await auth(ctx.api().put(`/api/admin/orders/${orderId}`), ctx.tokens.admin).send({ status: 'cancelled' });
+      expect(await paymentRow(intent.intent_id)).toEqual({ status: 'cancelled' });
+
+      setProvider({
+        ...createMockProvider({ webhookSecret: WEBHOOK_SECRET }),
+        async refund() {
+          throw new Error('card issuer unavailable');
+        }
+      });
+      const res = await webhook({ intentId: intent.intent_id });
+
+      expect(res.status).toBe(200);
+      expect(await paymentStatus(orderId)).toBe('pending');
+      expect(await paymentRow(intent.intent_id)).toEqual({ status: 'rejected' });
+      expect(await ctx.queryRows("SELECT * FROM audit_logs WHERE action = 'order.payment_rejected'")).toHaveLength(1);
+      expect(await ctx.queryRows("SELECT * FROM audit_logs WHERE action = 'order.payment_refunded'")).toHaveLength(0);
+    });
+
+    it('refunds a payment for an order staff already marked paid', async () => {
+      const { orderId } = await placeOrder();
+      const { body: intent } = await createIntent(orderId);
+      await auth(ctx.api().put(`/api/admin/orders/${orderId}`), ctx.tokens.admin).send({ payment_status: 'paid' });
+      expect(await paymentRow(intent.intent_id)).toEqual({ status: 'cancelled' });
+
+      const res = await webhook({ intentId: intent.intent_id });
+
+      expect(res.status).toBe(200);
+      expect(await paymentStatus(orderId)).toBe('paid');
+      expect(await paymentRow(intent.intent_id)).toEqual({ status: 'refunded' });
+      const [rejected] = await ctx.queryRows("SELECT * FROM audit_logs WHERE action = 'order.payment_rejected'");
+      expect(JSON.parse(rejected.new_values)).toMatchObject({ reason: 'already_paid', intent_id: intent.intent_id });
+    });
+
+    it('refunds a failed intent that succeeds after a retry paid the order', async () => {
+      const { orderId } = await placeOrder();
+      const { body: first } = await createIntent(orderId);
+      await webhook({ id: 'evt_failed', type: 'payment.failed', intentId: first.intent_id });
+      const { body: retry } = await createIntent(orderId);
+      await webhook({ id: 'evt_retry', intentId: retry.intent_id });
+
+      await webhook({ id: 'evt_late', intentId: first.intent_id });
+      await webhook({ id: 'evt_late_again', intentId: first.intent_id });
+
+      expect(await paymentStatus(orderId)).toBe('paid');
+      expect(await paymentRow(retry.intent_id)).toEqual({ status: 'succeeded' });
+      expect(await paymentRow(first.intent_id)).toEqual({ status: 'refunded' });
+      expect(await ctx.queryRows("SELECT * FROM audit_logs WHERE action = 'order.payment_refunded'")).toHaveLength(1);
+    });
+  });
+
+  describe('mock checkout', () => {
+    it('pays through the signed webhook path', async () => {
+      const { orderId } = await placeOrder('wallet');
+      const { body: intent } = await createIntent(orderId);
+
+      const res = await auth(ctx.api().post(`/api/payments/mock/${intent.intent_id}/complete`)).send({ outcome: 'succeeded' });
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('succeeded');
+      expect(await paymentStatus(orderId)).toBe('paid');
+      expect(await ctx.queryRows('SELECT * FROM payment_webhook_events')).toHaveLength(1);
+    });
+
+    it('leaves the order unpaid after a failure and starts a new intent on retry', async () => {
+      const { orderId } = await placeOrder();
+      const { body: intent } = await createIntent(orderId);
+
+      const res = await auth(ctx.api().post(`/api/payments/mock/${intent.intent_id}/complete`)).send({ outcome: 'failed' });
+      expect(res.body.status).toBe('failed');
+      expect(await paymentStatus(orderId)).toBe('pending');
+
+      const retry = await createIntent(orderId);
+      expect(retry.body.intent_id).not.toBe(intent.intent_id);
+    });
+
+    it('is not mounted in production', () => {
+      const previous = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      let router;
+      try {
+        // A fresh module registry, so config is read again.
+        jest.isolateModules(() => {
+          router = require('../routes/payments');
+        });
+      } finally {
+        process.env.NODE_ENV = previous;
+      }
+
+      const paths = router.stack.map((layer) => layer.route.path);
+      expect(paths).toEqual(['/webhook']);
+    });
+
+    it("can't complete another customer's payment", async () => {
+      const { orderId } = await placeOrder();
+      const { body: intent } = await createIntent(orderId);
+      const stranger = tokenFor({ userId: 4, username: 'someone', role: 'customer' });
+
+      const res = await auth(ctx.api().post(`/api/payments/mock/${intent.intent_id}/complete`), stranger).send({});
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('production settings', () => {
+    const production = (payments) => checkProductionConfig({ NODE_ENV: 'production', payments });
+
+    it('refuses the mock provider and placeholder webhook secrets', () => {
+      expect(production({ provider: 'mock', webhookSecret: 'mock-webhook-secret' })).toEqual([
+        'PAYMENT_PROVIDER must name a real provider in production, not mock',
+        'PAYMENT_WEBHOOK_SECRET must be set to the secret the provider signs webhooks with'
+      ]);
+      expect(production({ provider: 'acme', webhookSecret: 'change_me' })).toHaveLength(1);
+      expect(production({ provider: 'acme', webhookSecret: 'whsec_live_1234' })).toEqual([]);
+    });
+
+    it('leaves development alone', () => {
+      expect(checkProductionConfig({ NODE_ENV: 'development', payments: { provider: 'mock', webhookSecret: '' } })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const { createTestContext, tokenFor } = require('./helpers/testApp');
+
+describe('permissions', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  const as = (token, req) => req.set('Authorization', `Bearer ${token}`);
+
+  describe('login and /me', () => {
+    it('returns the permissions granted to the role', async () => {
+      const res = await ctx.api().post('/api/auth/login').send({ username: 'staff1', password: 'Staff@12345' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.user).toMatchObject({ role: 'staff', isSuperAdmin: false });
+      expect(res.body.user.permissions.sort()).toEqual(['orders.advance', 'orders.view']);
+    });
+
+    it('gives super-admins every permission', async () => {
+      const me = await as(ctx.tokens.admin, ctx.api().get('/api/auth/me'));
+
+      expect(me.body.isSuperAdmin).toBe(true);
+      expect(me.body.permissions).toEqual(expect.arrayContaining(['menu.write', 'users.manage', 'orders.refund']));
+    });
+  });
+
+  describe('route guards', () => {
+    const secondAdmin = async () => {
+      await ctx.queryRows(
+        "INSERT INTO users (username, email, password, full_name, role) VALUES ('admin2', 'admin2@example.com', 'x', 'Second Admin', 'admin')"
+      );
+      const [row] = await ctx.queryRows("SELECT user_id FROM users WHERE username = 'admin2'");
+      return tokenFor({ userId: row.user_id, username: 'admin2', role: 'admin' });
+    };
+
+    it('checks permissions rather than the role name', async () => {
+      const token = await secondAdmin();
+      await ctx.queryRows("DELETE FROM role_permissions WHERE role = 'admin' AND permission_key = 'menu.write'");
+
+      const res = await as(token, ctx.api().post('/api/categories')).send({ category_name: 'Soups' });
+      expect(res.status).toBe(403);
+
+      const orders = await as(token, ctx.api().get('/api/admin/orders'));
+      expect(orders.status).toBe(200);
+    });
+
+    it('applies grants to other roles immediately', async () => {
+      await ctx.queryRows("INSERT INTO role_permissions (role, permission_key) VALUES ('staff', 'reports.view')");
+
+      const res = await as(ctx.tokens.staff, ctx.api().get('/api/admin/menu/order-counts'));
+      expect(res.status).toBe(200);
+    });
+
+    it('splits refunds from other payment changes', async () => {
+      const token = await secondAdmin();
+      await ctx.queryRows("DELETE FROM role_permissions WHERE role = 'admin' AND permission_key = 'orders.refund'");
+
+      const refund = await as(token, ctx.api().put('/api/admin/orders/3')).send({ payment_status: 'refunded' });
+      expect(refund.status).toBe(403);
+
+      const paid = await as(token, ctx.api().put('/api/admin/orders/2')).send({ payment_status: 'paid' });
+      expect(paid.status).toBe(200);
+    });
+
+    it('rejects tokens for users that no longer exist', async () => {
+      const token = tokenFor({ userId: 999, username: 'ghost', role: 'admin' });
+
+      expect((await as(token, ctx.api().get('/api/admin/orders'))).status).toBe(403);
+    });
+  });
+
+  describe('super-admin editing', () => {
+    it('lists every permission and the grants per role', async () => {
+      const res = await as(ctx.tokens.admin, ctx.api().get('/api/admin/permissions'));
+
+      expect(res.status).toBe(200);
+      expect(res.body.permissions.map((p) => p.key)).toContain('menu.write');
+      expect(res.body.roles.staff.sort()).toEqual(['orders.advance', 'orders.view']);
+      expect(res.body.roles.customer).toEqual([]);
+    });
+
+    it('replaces the permissions of a role', async () => {
+      const res = await as(ctx.tokens.admin, ctx.api().put('/api/admin/permissions/staff'))
+        .send({ permissions: ['orders.view', 'orders.update_status', 'orders.view'] });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ role: 'staff', permissions: ['orders.update_status', 'orders.view'] });
+
+      // Staff may now set any status, not just the next kitchen step.
+      const update = await as(ctx.tokens.staff, ctx.api().put('/api/admin/orders/2')).send({ status: 'completed' });
+      expect(update.status).toBe(200);
+    });
+
+    it('validates the role and permission keys', async () => {
+      const badRole = await as(ctx.tokens.admin, ctx.api().put('/api/admin/permissions/wizard')).send({ permissions: [] });
+      expect(badRole.status).toBe(400);
+
+      const badKey = await as(ctx.tokens.admin, ctx.api().put('/api/admin/permissions/staff'))
+        .send({ permissions: ['orders.view', 'kitchen.nap'] });
+      expect(badKey.status).toBe(400);
+      expect(badKey.body.error).toBe('Unknown permission: kitchen.nap');
+    });
+
+    it('is limited to super-admins', async () => {
+      await ctx.queryRows('UPDATE users SET is_super_admin = FALSE WHERE user_id = 1');
+
+      expect((await as(ctx.tokens.admin, ctx.api().get('/api/admin/permissions'))).status).toBe(403);
+      expect((await as(ctx.tokens.staff, ctx.api().put('/api/admin/permissions/staff')).send({ permissions: [] })).status).toBe(403);
+    });
+  });
+});
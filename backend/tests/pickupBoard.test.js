@@ -0,0 +1,67 @@
+const { createTestContext } = require('./helpers/testApp');
+const config = require('../config');
+const scheduleService = require('../services/scheduleService');
+
+describe('pickup board', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    config.PICKUP_BOARD_TOKEN = '';
+    await ctx.teardown();
+  });
+
+  const setStatus = (orderId, status) =>
+    ctx.api().put(`/api/admin/orders/${orderId}`).set('Authorization', `Bearer ${ctx.tokens.admin}`).send({ status });
+
+  const orderNumber = async (orderId) =>
+    (await ctx.queryRows('SELECT order_number FROM orders WHERE order_id = ?', [orderId]))[0].order_number;
+
+  it('lists order numbers being prepared and ready, without a login', async () => {
+    // Seed order 2 is ready and 3 is being prepared.
+    const res = await ctx.api().get('/api/pickup-board');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ preparing: [await orderNumber(3)], ready: [await orderNumber(2)] });
+  });
+
+  it('moves orders across the board and takes them off once collected', async () => {
+    await setStatus(3, 'ready');
+    await setStatus(2, 'completed');
+
+    expect(ctx.io.emitted('board:update', 'pickup-board').map((event) => event.payload)).toEqual([
+      { order_number: await orderNumber(3), column: 'ready' },
+      { order_number: await orderNumber(2), column: null }
+    ]);
+    expect((await ctx.api().get('/api/pickup-board')).body).toEqual({ preparing: [], ready: [await orderNumber(3)] });
+  });
+
+  it('keeps held scheduled orders off the live board until they are released', async () => {
+    const scheduledAt = new Date(Date.now() + 2 * 60 * 60 * 1000);
+    const { body } = await ctx.api()
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${ctx.tokens.customer}`)
+      .send({ items: [{ item_id: 1, quantity: 1 }], payment_method: 'cash', order_type: 'scheduled', scheduled_at: scheduledAt.toISOString() });
+    await setStatus(body.orderId, 'confirmed');
+
+    expect(ctx.io.emitted('board:update', 'pickup-board')).toHaveLength(0);
+
+    await scheduleService.releaseDueOrders(scheduledAt);
+    expect(ctx.io.emitted('board:update', 'pickup-board').map((event) => event.payload)).toEqual([
+      { order_number: body.orderNumber, column: 'preparing' }
+    ]);
+  });
+
+  it('needs the display token when one is configured', async () => {
+    config.PICKUP_BOARD_TOKEN = 'counter-screen';
+
+    const missing = await ctx.api().get('/api/pickup-board');
+    expect(missing.status).toBe(401);
+    expect(missing.body.error).toBe('A valid display token is required');
+    expect((await ctx.api().get('/api/pickup-board?token=wrong')).status).toBe(401);
+    expect((await ctx.api().get('/api/pickup-board?token=counter-screen')).status).toBe(200);
+  });
+});
@@ -0,0 +1,146 @@
+const request = require('supertest');
+const { createTestContext, tokenFor, SEED_USERS } = require('./helpers/testApp');
+
+describe('account self-service', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  const asCustomer = (req) => req.set('Authorization', `Bearer ${ctx.tokens.customer}`);
+
+  const login = (password = 'Customer@12345', username = 'customer1') =>
+    ctx.api().post('/api/auth/login').send({ username, password });
+
+  describe('PATCH /api/auth/me', () => {
+    it('updates the name and phone and returns the fresh profile', async () => {
+      const res = await asCustomer(ctx.api().patch('/api/auth/me')).send({ full_name: 'Johnny Doe', phone: '555-0100' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ userId: 3, fullName: 'Johnny Doe', phone: '555-0100' });
+
+      const [row] = await ctx.queryRows('SELECT full_name, phone FROM users WHERE user_id = 3');
+      expect(row).toEqual({ full_name: 'Johnny Doe', phone: '555-0100' });
+    });
+
+    it('clears the phone number when sent empty', async () => {
+      const res = await asCustomer(ctx.api().patch('/api/auth/me')).send({ phone: '' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.phone).toBeNull();
+    });
+
+    it('marks a changed email unverified and sends a confirmation link', async () => {
+      await ctx.pool.query('UPDATE users SET email_verified_at = ? WHERE user_id = 3', [new Date()]);
+
+      const res = await asCustomer(ctx.api().patch('/api/auth/me')).send({ email: 'john.new@example.com' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ email: 'john.new@example.com', emailVerified: false });
+      expect(ctx.sentMail().map((mail) => mail.to)).toEqual(['john.new@example.com']);
+    });
+
+    it('rejects an email that belongs to someone else', async () => {
+      const res = await asCustomer(ctx.api().patch('/api/auth/me')).send({ email: 'admin@grabngo.com' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('Email already in use');
+    });
+
+    it('validates input and ignores fields that are not editable', async () => {
+      const invalid = await asCustomer(ctx.api().patch('/api/auth/me')).send({ email: 'not-an-email' });
+      expect(invalid.status).toBe(400);
+
+      const nothing = await asCustomer(ctx.api().patch('/api/auth/me')).send({ role: 'admin' });
+      expect(nothing.status).toBe(400);
+      expect(nothing.body.error).toBe('No fields to update');
+
+      const [row] = await ctx.queryRows('SELECT role FROM users WHERE user_id = 3');
+      expect(row.role).toBe('customer');
+    });
+
+    it('requires authentication', async () => {
+      expect((await ctx.api().patch('/api/auth/me').send({ full_name: 'X' })).status).toBe(401);
+    });
+  });
+
+  describe('PUT /api/auth/me/password', () => {
+    it('re-checks the current password before changing it', async () => {
+      const res = await asCustomer(ctx.api().put('/api/auth/me/password'))
+        .send({ current_password: 'wrong-password', new_password: 'Fresh-pass-1' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Current password is incorrect');
+      expect((await login()).status).toBe(200);
+    });
+
+    it('changes the password and signs out other devices only', async () => {
+      const current = request.agent(ctx.app);
+      const other = request.agent(ctx.app);
+      const { body } = await current.post('/api/auth/login').send({ username: 'customer1', password: 'Customer@12345' });
+      await other.post('/api/auth/login').send({ username: 'customer1', password: 'Customer@12345' });
+
+      const res = await current.put('/api/auth/me/password')
+        .set('Authorization', `Bearer ${body.token}`)
+        .send({ current_password: 'Customer@12345', new_password: 'Fresh-pass-1' });
+
+      expect(res.status).toBe(200);
+      expect((await login()).status).toBe(401);
+      expect((await login('Fresh-pass-1')).status).toBe(200);
+      expect((await current.post('/api/auth/refresh')).status).toBe(200);
+      expect((await other.post('/api/auth/refresh')).status).toBe(401);
+    });
+  });
+
+  describe('POST /api/auth/me/deactivate', () => {
+    it('deactivates the account, ends its sessions and blocks future logins', async () => {
+      const agent = request.agent(ctx.app);
+      const { body } = await agent.post('/api/auth/login').send({ username: 'customer1', password: 'Customer@12345' });
+
+      const res = await agent.post('/api/auth/me/deactivate')
+        .set('Authorization', `Bearer ${body.token}`)
+        .send({ password: 'Customer@12345' });
+
+      expect(res.status).toBe(200);
+      const [row] = await ctx.queryRows('SELECT is_active FROM users WHERE user_id = 3');
+      expect(Boolean(row.is_active)).toBe(false);
+
+      expect((await agent.post('/api/auth/refresh')).status).toBe(401);
+
+      const relogin = await login();
+      expect(relogin.status).toBe(403);
+      expect(relogin.body.error).toBe('Account is deactivated');
+
+      const me = await asCustomer(ctx.api().get('/api/auth/me'));
+      expect(me.status).toBe(403);
+    });
+
+    it('requires the account password', async () => {
+      const res = await asCustomer(ctx.api().post('/api/auth/me/deactivate')).send({ password: 'nope' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Password is incorrect');
+    });
+
+    it('drops permissions immediately for outstanding access tokens', async () => {
+      await ctx.pool.query('UPDATE users SET is_active = FALSE WHERE user_id = 2');
+
+      const res = await ctx.api().get('/api/admin/orders').set('Authorization', `Bearer ${ctx.tokens.staff}`);
+      expect(res.status).toBe(403);
+    });
+
+    it('keeps the last super-admin active', async () => {
+      const res = await ctx.api().post('/api/auth/me/deactivate')
+        .set('Authorization', `Bearer ${tokenFor(SEED_USERS.admin)}`)
+        .send({ password: 'Admin@12345' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('The last super-admin cannot deactivate their account');
+    });
+  });
+});
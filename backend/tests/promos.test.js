@@ -0,0 +1,141 @@
+const { createTestContext } = require('./helpers/testApp');
+
+describe('promo codes', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  const auth = (req, token) => req.set('Authorization', `Bearer ${token}`);
+
+  const createPromo = (body, token = ctx.tokens.admin) =>
+    auth(ctx.api().post('/api/admin/promo-codes'), token).send(body);
+
+  const quote = (items, promo_code) =>
+    auth(ctx.api().post('/api/orders/quote'), ctx.tokens.customer).send({ items, promo_code });
+
+  const placeOrder = (items, promo_code) =>
+    auth(ctx.api().post('/api/orders'), ctx.tokens.customer).send({ items, promo_code, payment_method: 'cash' });
+
+  const hoursFromNow = (hours) => new Date(Date.now() + hours * 3600 * 1000).toISOString();
+
+  // Two Classic Burgers (17.98) and a Fresh Juice (2.99).
+  const cart = [{ item_id: 1, quantity: 2 }, { item_id: 9, quantity: 1 }];
+
+  describe('admin management', () => {
+    it('creates a code, normalising it and recording the audit entry', async () => {
+      const res = await createPromo({ code: 'save10', discount_type: 'percentage', discount_value: 10, category_ids: [1] });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ code: 'SAVE10', discount_type: 'percentage', category_ids: [1], item_ids: [], times_used: 0 });
+
+      const [log] = await ctx.queryRows("SELECT * FROM audit_logs WHERE action = 'promo_code.create'");
+      expect(JSON.parse(log.new_values)).toMatchObject({ code: 'SAVE10', category_ids: [1] });
+
+      expect((await createPromo({ code: 'SAVE10', discount_type: 'fixed', discount_value: 1 })).status).toBe(409);
+    });
+
+    it('updates a code and validates the payload', async () => {
+      const { body: promo } = await createPromo({ code: 'FLAT2', discount_type: 'fixed', discount_value: 2 });
+
+      const updated = await auth(ctx.api().put(`/api/admin/promo-codes/${promo.promo_id}`), ctx.tokens.admin)
+        .send({ is_active: false, item_ids: [9] });
+      expect(updated.status).toBe(200);
+      expect(updated.body).toMatchObject({ is_active: 0, item_ids: [9], discount_value: 2 });
+
+      expect((await createPromo({ code: 'X', discount_type: 'fixed', discount_value: 2 })).status).toBe(400);
+      expect((await createPromo({ code: 'ALL', discount_type: 'percentage', discount_value: 100 })).body.error)
+        .toBe('Percentage discounts must be below 100');
+      expect((await createPromo({ code: 'BADITEM', discount_type: 'fixed', discount_value: 1, item_ids: [999] })).body.error)
+        .toBe('Menu item 999 not found');
+    });
+
+    it('requires promos.manage', async () => {
+      expect((await createPromo({ code: 'NOPE', discount_type: 'fixed', discount_value: 1 }, ctx.tokens.staff)).status).toBe(403);
+    });
+  });
+
+  describe('quote and checkout', () => {
+    it('quotes a discount and stores it on the order', async () => {
+      await createPromo({ code: 'SAVE10', discount_type: 'percentage', discount_value: 10 });
+
+      const q = await quote(cart, 'save10');
+      expect(q.status).toBe(200);
+      expect(q.body).toMatchObject({ subtotal: 20.97, discount: 2.1, total: 18.87, promo: { code: 'SAVE10' }, promo_error: null });
+
+      const res = await placeOrder(cart, 'save10');
+      expect(res.status).toBe(201);
+      expect(res.body.totalAmount).toBe(18.87);
+
+      const [order] = await ctx.queryRows('SELECT total_amount, discount_amount, promo_code FROM orders WHERE order_id = ?', [res.body.orderId]);
+      expect(order).toMatchObject({ discount_amount: 2.1, promo_code: 'SAVE10' });
+      expect(Number(order.total_amount)).toBe(18.87);
+
+      const detail = await auth(ctx.api().get(`/api/orders/${res.body.orderId}`), ctx.tokens.customer);
+      expect(detail.body).toMatchObject({ discountAmount: 2.1, promoCode: 'SAVE10' });
+    });
+
+    it('only discounts lines in the restricted categories or items, up to the cap', async () => {
+      await createPromo({ code: 'DRINKS50', discount_type: 'percentage', discount_value: 50, category_ids: [4] });
+      await createPromo({ code: 'BURGER5', discount_type: 'fixed', discount_value: 5, item_ids: [1], max_discount: 3 });
+
+      expect((await quote(cart, 'DRINKS50')).body.discount).toBe(1.5);
+      expect((await quote(cart, 'BURGER5')).body.discount).toBe(3);
+
+      const none = await quote([{ item_id: 10, quantity: 1 }], 'DRINKS50');
+      expect(none.body).toMatchObject({ discount: 0, promo: null, promo_error: 'Promo code "DRINKS50" does not apply to any item in your cart.' });
+    });
+
+    it('enforces the minimum order and validity window', async () => {
+      await createPromo({ code: 'BIG', discount_type: 'fixed', discount_value: 5, min_order_amount: 25 });
+      await createPromo({ code: 'SOON', discount_type: 'fixed', discount_value: 1, starts_at: hoursFromNow(2) });
+      await createPromo({ code: 'OLD', discount_type: 'fixed', discount_value: 1, ends_at: hoursFromNow(-2) });
+
+      expect((await quote(cart, 'BIG')).body.promo_error).toBe('Promo code "BIG" needs an order of at least Rs 25.00.');
+      expect((await quote(cart, 'SOON')).body.promo_error).toBe('Promo code "SOON" is not active yet.');
+      expect((await quote(cart, 'OLD')).body.promo_error).toBe('Promo code "OLD" has expired.');
+      expect((await quote(cart, 'MISSING')).body.promo_error).toBe('Promo code "MISSING" is not valid.');
+
+      const rejected = await placeOrder(cart, 'OLD');
+      expect(rejected.status).toBe(400);
+      expect(rejected.body.error).toBe('Promo code "OLD" has expired.');
+    });
+
+    it('checks the window in UTC, to the minute', async () => {
+      const minutesFromNow = (minutes) => hoursFromNow(minutes / 60);
+      await createPromo({ code: 'LIVE', discount_type: 'fixed', discount_value: 1, starts_at: minutesFromNow(-5), ends_at: minutesFromNow(5) });
+      await createPromo({ code: 'NEXT', discount_type: 'fixed', discount_value: 1, starts_at: minutesFromNow(5) });
+
+      expect((await quote(cart, 'LIVE')).body.discount).toBe(1);
+      expect((await quote(cart, 'NEXT')).body.promo_error).toBe('Promo code "NEXT" is not active yet.');
+    });
+
+    it('limits uses per customer and gives a use back when the order is cancelled', async () => {
+      await createPromo({ code: 'ONCE', discount_type: 'fixed', discount_value: 2, per_user_limit: 1 });
+
+      const first = await placeOrder(cart, 'ONCE');
+      expect(first.status).toBe(201);
+
+      const second = await placeOrder(cart, 'ONCE');
+      expect(second.body.error).toBe('You have already used promo code "ONCE".');
+
+      await ctx.pool.query("UPDATE orders SET status = 'cancelled' WHERE order_id = ?", [first.body.orderId]);
+      expect((await placeOrder(cart, 'ONCE')).status).toBe(201);
+
+      const [promo] = (await auth(ctx.api().get('/api/admin/promo-codes'), ctx.tokens.admin)).body;
+      expect(promo.times_used).toBe(1);
+    });
+
+    it('never discounts an order down to nothing', async () => {
+      await createPromo({ code: 'TEN', discount_type: 'fixed', discount_value: 10 });
+
+      const res = await placeOrder([{ item_id: 9, quantity: 1 }], 'TEN');
+      expect(res.body.error).toBe('Add more to your order to use promo code "TEN".');
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const { createTestContext } = require('./helpers/testApp');
+
+describe('order receipts', () => {
+  let ctx;
+  let orderId;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+    await auth(ctx.api().put('/api/categories/1'), ctx.tokens.admin).send({ category_name: 'Burgers', tax_rate: 13 });
+    const res = await auth(ctx.api().post('/api/orders'), ctx.tokens.customer).send({
+      items: [{ item_id: 1, quantity: 2 }, { item_id: 9, quantity: 1 }],
+      payment_method: 'cash'
+    });
+    orderId = res.body.orderId;
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  const auth = (req, token) => req.set('Authorization', `Bearer ${token}`);
+
+  // supertest leaves unknown content types unparsed; collect them as text.
+  const asText = (req) => req.buffer(true).parse((res, done) => {
+    let data = '';
+    res.setEncoding('latin1');
+    res.on('data', (chunk) => { data += chunk; });
+    res.on('end', () => done(null, data));
+  });
+
+  it('prints a thermal text receipt with items, totals and payment', async () => {
+    const res = await auth(ctx.api().get(`/api/orders/${orderId}/receipt?format=text`), ctx.tokens.customer);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain/);
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="receipt-ORD\d+\.txt"$/);
+
+    const lines = res.text.split('\n');
+    expect(lines.every((line) => line.length <= 42)).toBe(true);
+    expect(res.text).toMatch(/Order: +ORD\d+/);
+    expect(res.text).toMatch(/2 x Classic Burger +17\.98/);
+    expect(res.text).toContain('@ 8.99 each');
+    expect(res.text).toMatch(/1 x Fresh Juice +2\.99/);
+    expect(res.text).toMatch(/Subtotal +20\.97/);
+    expect(res.text).toMatch(/Tax +2\.34/);
+    expect(res.text).toMatch(/TOTAL +Rs 23\.31/);
+    expect(res.text).toContain('Payment:  Cash (pending)');
+    expect(res.text).toMatch(/Placed: +\d{4}-\d{2}-\d{2} \d{2}:\d{2}/);
+  });
+
+  it('renders the same receipt as a PDF by default', async () => {
+    const res = await asText(auth(ctx.api().get(`/api/orders/${orderId}/receipt`), ctx.tokens.customer));
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.body.startsWith('%PDF-1.4')).toBe(true);
+    expect(res.body.trimEnd().endsWith('%%EOF')).toBe(true);
+    expect(res.body).toMatch(/\(2 x Classic Burger +17\.98\) Tj/);
+
+    // The xref table has to point at each object for viewers to open it.
+    const xref = res.body.slice(res.body.indexOf('\nxref\n'));
+    const offsets = xref.match(/^\d{10} 00000 n $/gm).map((entry) => parseInt(entry, 10));
+    expect(offsets.length).toBeGreaterThan(3);
+    offsets.forEach((offset, index) => {
+      expect(res.body.startsWith(`${index + 1} 0 obj`, offset)).toBe(true);
+    });
+  });
+
+  it('only gives customers their own receipts', async () => {
+    await ctx.pool.query('UPDATE orders SET user_id = 1 WHERE order_id = ?', [orderId]);
+
+    const res = await auth(ctx.api().get(`/api/orders/${orderId}/receipt`), ctx.tokens.customer);
+    expect(res.status).toBe(404);
+  });
+
+  it('lets staff reprint any receipt and checks the format', async () => {
+    const res = await auth(ctx.api().get(`/api/admin/orders/${orderId}/receipt?format=text`), ctx.tokens.staff);
+    expect(res.status).toBe(200);
+    expect(res.text).toMatch(/TOTAL +Rs 23\.31/);
+
+    const bad = await auth(ctx.api().get(`/api/admin/orders/${orderId}/receipt?format=docx`), ctx.tokens.admin);
+    expect(bad.status).toBe(400);
+    expect(bad.body.error).toBe('Format must be pdf or text');
+  });
+});
@@ -0,0 +1,190 @@
+const { createTestContext, WEBHOOK_SECRET } = require('./helpers/testApp');
+const { setProvider } = require('../payments');
+const { createMockProvider } = require('../payments/mockProvider');
+const { signPayload } = require('../payments/signature');
+
+describe('refunds', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  const auth = (req, token = ctx.tokens.admin) => req.set('Authorization', `Bearer ${token}`);
+
+  const refund = (orderId, body, token) => auth(ctx.api().post(`/api/admin/orders/${orderId}/refunds`), token).send(body);
+
+  const orderRow = async (orderId) =>
+    (await ctx.queryRows('SELECT payment_status, refunded_amount FROM orders WHERE order_id = ?', [orderId]))[0];
+
+  // Two Classic Burgers (17.98) paid by card through the mock provider.
+  const placePaidCardOrder = async () => {
+    const { body: order } = await auth(ctx.api().post('/api/orders'), ctx.tokens.customer)
+      .send({ items: [{ item_id: 1, quantity: 2 }], payment_method: 'card' });
+    const { body: intent } = await auth(ctx.api().post(`/api/orders/${order.orderId}/payment-intent`), ctx.tokens.customer);
+    const body = JSON.stringify({ id: 'evt_paid', type: 'payment.succeeded', data: { intent_id: intent.intent_id, amount: 1798, currency: 'NPR' } });
+    await ctx.api()
+      .post('/api/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .set('X-Payment-Signature', signPayload(body, WEBHOOK_SECRET))
+      .send(body);
+    const [item] = await ctx.queryRows('SELECT order_item_id FROM order_items WHERE order_id = ?', [order.orderId]);
+    return { orderId: order.orderId, orderItemId: item.order_item_id };
+  };
+
+  describe('issuing', () => {
+    it('refunds card payments through the provider, one unit at a time', async () => {
+      const { orderId, orderItemId } = await placePaidCardOrder();
+      ctx.io.events.length = 0;
+
+      const first = await refund(orderId, { reason_code: 'quality_issue', note: 'Cold', items: [{ order_item_id: orderItemId, quantity: 1 }] });
+      expect(first.status).toBe(201);
+      expect(first.body).toMatchObject({
+        order_id: orderId,
+        amount: 8.99,
+        reason_code: 'quality_issue',
+        note: 'Cold',
+        provider: 'mock',
+        created_by_username: 'admin',
+        items: [{ order_item_id: orderItemId, quantity: 1, amount: 8.99 }]
+      });
+      expect(first.body.provider_refund_id).toMatch(/^mock_re_/);
+      expect(await orderRow(orderId)).toEqual({ payment_status: 'paid', refunded_amount: 8.99 });
+      expect(ctx.io.emitted('order:update', 'admins')[0].payload).toMatchObject({ order_id: orderId, refunded_amount: 8.99 });
+      expect(ctx.io.emitted('order:update', 'user:3')).toHaveLength(1);
+
+      const second = await refund(orderId, { reason_code: 'quality_issue', items: [{ order_item_id: orderItemId, quantity: 1 }] });
+      expect(second.body.amount).toBe(8.99);
+      expect(await orderRow(orderId)).toEqual({ payment_status: 'refunded', refunded_amount: 17.98 });
+
+      const third = await refund(orderId, { reason_code: 'quality_issue', items: [{ order_item_id: orderItemId, quantity: 1 }] });
+      expect(third.status).toBe(400);
+      expect(third.body.error).toBe('This order has already been fully refunded.');
+    });
+
+    it('records orders paid at the counter without the provider and shares out discounts', async () => {
+      // Seed order 1: 2 x Classic Burger (17.98) and a juice (2.99), charged 19.98.
+      const res = await refund(1, { reason_code: 'wrong_item', items: [{ order_item_id: 1, quantity: 1 }] });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ amount: 8.57, provider: null, provider_refund_id: null });
+
+      const [log] = await ctx.queryRows("SELECT * FROM audit_logs WHERE action = 'order.refund'");
+      expect(log).toMatchObject({ user_id: 1, entity_type: 'order', entity_id: 1 });
+      expect(JSON.parse(log.old_values)).toEqual({ payment_status: 'paid', refunded_amount: 0 });
+      expect(JSON.parse(log.new_values)).toMatchObject({
+        payment_status: 'paid',
+        refunded_amount: 8.57,
+        amount: 8.57,
+        reason_code: 'wrong_item',
+        items: [{ order_item_id: 1, quantity: 1 }]
+      });
+
+      // The last units return exactly what is left of the 19.98.
+      const rest = await refund(1, { reason_code: 'wrong_item', items: [{ order_item_id: 1, quantity: 1 }, { order_item_id: 2, quantity: 1 }] });
+      expect(rest.body.amount).toBe(11.41);
+      expect(await orderRow(1)).toEqual({ payment_status: 'refunded', refunded_amount: 19.98 });
+    });
+
+    it('refuses units already refunded, other orders\' items and unpaid orders', async () => {
+      await refund(1, { reason_code: 'wrong_item', items: [{ order_item_id: 1, quantity: 1 }] });
+
+      const tooMany = await refund(1, { reason_code: 'wrong_item', items: [{ order_item_id: 1, quantity: 2 }] });
+      expect(tooMany.status).toBe(400);
+      expect(tooMany.body.error).toBe('Only 1 of "Classic Burger" can still be refunded');
+
+      const foreign = await refund(1, { reason_code: 'wrong_item', items: [{ order_item_id: 3, quantity: 1 }] });
+      expect(foreign.body.error).toBe('Item 3 is not part of this order');
+
+      const unpaid = await refund(2, { reason_code: 'wrong_item', items: [{ order_item_id: 3, quantity: 1 }] });
+      expect(unpaid.body.error).toBe('Only paid orders can be refunded.');
+
+      expect((await refund(999, { reason_code: 'wrong_item', items: [{ order_item_id: 1, quantity: 1 }] })).status).toBe(404);
+      expect(await ctx.queryRows('SELECT * FROM refunds')).toHaveLength(1);
+    });
+
+    it('validates the reason and items', async () => {
+      const badReason = await refund(1, { reason_code: 'changed_mind', items: [{ order_item_id: 1, quantity: 1 }] });
+      expect(badReason.status).toBe(400);
+      expect(badReason.body.error).toMatch(/^Reason must be one of/);
+
+      const noNote = await refund(1, { reason_code: 'other', items: [{ order_item_id: 1, quantity: 1 }] });
+      expect(noNote.body.error).toBe('Please describe the reason in the note');
+
+      const noItems = await refund(1, { reason_code: 'wrong_item', items: [] });
+      expect(noItems.body.error).toBe('Choose at least one item to refund');
+    });
+
+    it('holds the units during the provider call and gives them back when it declines', async () => {
+      const { orderId, orderItemId } = await placePaidCardOrder();
+      let duringCall;
+      setProvider({
+        ...createMockProvider({ webhookSecret: WEBHOOK_SECRET }),
+        refund: async () => {
+          duringCall = await orderRow(orderId);
+          throw new Error('Insufficient balance');
+        }
+      });
+
+      const res = await refund(orderId, { reason_code: 'late_order', items: [{ order_item_id: orderItemId, quantity: 2 }] });
+
+      expect(res.status).toBe(502);
+      expect(res.body.error).toBe('The payment provider could not process the refund');
+      expect(duringCall).toEqual({ payment_status: 'refunded', refunded_amount: 17.98 });
+      expect(await orderRow(orderId)).toEqual({ payment_status: 'paid', refunded_amount: 0 });
+      expect(await ctx.queryRows('SELECT * FROM refunds')).toHaveLength(0);
+    });
+
+    it('needs orders.refund and replaces setting the status by hand', async () => {
+      const staff = await refund(1, { reason_code: 'wrong_item', items: [{ order_item_id: 1, quantity: 1 }] }, ctx.tokens.staff);
+      expect(staff.status).toBe(403);
+
+      const manual = await auth(ctx.api().put('/api/admin/orders/1')).send({ payment_status: 'refunded' });
+      expect(manual.status).toBe(400);
+      expect(manual.body.error).toBe('Issue a refund to mark an order as refunded');
+      expect((await orderRow(1)).payment_status).toBe('paid');
+    });
+  });
+
+  describe('reporting', () => {
+    it('lists refunds and refunded quantities on the order', async () => {
+      await refund(1, { reason_code: 'wrong_item', items: [{ order_item_id: 1, quantity: 1 }] });
+
+      const list = await auth(ctx.api().get('/api/admin/orders/1/refunds'), ctx.tokens.staff);
+      expect(list.status).toBe(200);
+      expect(list.body).toHaveLength(1);
+      expect(list.body[0].items).toEqual([{ order_item_id: 1, item_name: 'Classic Burger', quantity: 1, amount: 8.57 }]);
+
+      const { body: order } = await auth(ctx.api().get('/api/admin/orders/1'));
+      expect(Number(order.refunded_amount)).toBe(8.57);
+      expect(order.items.map((item) => item.refunded_quantity)).toEqual([1, 0]);
+    });
+
+    it('nets refunds out of revenue', async () => {
+      // Seed orders 1 (19.98) and 3 (23.97) are paid.
+      const before = await auth(ctx.api().get('/api/admin/reports/revenue'));
+      expect(before.body).toMatchObject({ order_count: 2, gross: 43.95, refunded: 0, net: 43.95, refunds_by_reason: [] });
+
+      await refund(1, { reason_code: 'wrong_item', items: [{ order_item_id: 1, quantity: 1 }] });
+      await refund(3, { reason_code: 'other', note: 'Goodwill', items: [{ order_item_id: 6, quantity: 1 }] });
+
+      const after = await auth(ctx.api().get('/api/admin/reports/revenue'));
+      expect(after.body).toMatchObject({ gross: 43.95, refunded: 18.37, net: 25.58 });
+      expect(after.body.refunds_by_reason).toEqual([
+        { reason_code: 'other', refund_count: 1, amount: 9.8 },
+        { reason_code: 'wrong_item', refund_count: 1, amount: 8.57 }
+      ]);
+
+      const today = new Date().toISOString().slice(0, 10);
+      const todayOnly = await auth(ctx.api().get(`/api/admin/reports/revenue?from=${today}&to=${today}`));
+      expect(todayOnly.body).toMatchObject({ order_count: 1, gross: 23.97, refunded: 9.8, net: 14.17 });
+
+      expect((await auth(ctx.api().get('/api/admin/reports/revenue?from=soon'))).status).toBe(400);
+      expect((await auth(ctx.api().get('/api/admin/reports/revenue'), ctx.tokens.staff)).status).toBe(403);
+    });
+  });
+});
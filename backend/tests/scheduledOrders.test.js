@@ -0,0 +1,91 @@
+const { createTestContext } = require('./helpers/testApp');
+const scheduleService = require('../services/scheduleService');
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+describe('scheduled orders', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  const auth = (req, token = ctx.tokens.admin) => req.set('Authorization', `Bearer ${token}`);
+
+  const placeScheduled = async (scheduledAt) =>
+    (await auth(ctx.api().post('/api/orders'), ctx.tokens.customer).send({
+      items: [{ item_id: 1, quantity: 1 }],
+      payment_method: 'cash',
+      order_type: 'scheduled',
+      scheduled_at: scheduledAt.toISOString()
+    })).body.orderId;
+
+  const adminOrderIds = async () =>
+    (await auth(ctx.api().get('/api/admin/orders'))).body.orders.map((order) => order.order_id);
+
+  const scheduledView = async () => (await auth(ctx.api().get('/api/admin/orders?view=scheduled'))).body;
+
+  const setStatus = (orderId, status) => auth(ctx.api().put(`/api/admin/orders/${orderId}`)).send({ status });
+
+  it('holds an order until its lead time, then releases it with order:new', async () => {
+    const scheduledAt = new Date(Date.now() + 2 * HOUR);
+    const orderId = await placeScheduled(scheduledAt);
+
+    expect(ctx.io.emitted('order:new')).toHaveLength(0);
+    expect(await adminOrderIds()).not.toContain(orderId);
+    const view = await scheduledView();
+    expect(view.lead_minutes).toBe(20);
+    expect(view.orders.map((order) => order.order_id)).toEqual([orderId]);
+    expect(view.orders[0]).toMatchObject({ released_at: null, is_overdue: false });
+
+    expect(await scheduleService.releaseDueOrders()).toBe(0);
+
+    // 19 minutes before pickup is inside the 20 minute lead.
+    const released = await scheduleService.releaseDueOrders(new Date(scheduledAt.getTime() - 19 * MINUTE));
+    expect(released).toBe(1);
+    expect(ctx.io.emitted('order:new', 'admins')[0].payload).toMatchObject({ orderId, userId: 3, orderType: 'scheduled' });
+    expect(await adminOrderIds()).toContain(orderId);
+    expect((await scheduledView()).orders[0].released_at).not.toBeNull();
+
+    expect(await scheduleService.releaseDueOrders(new Date(scheduledAt.getTime()))).toBe(0);
+  });
+
+  it('sends orders placed inside the lead time to the kitchen straight away', async () => {
+    const orderId = await placeScheduled(new Date(Date.now() + 10 * MINUTE));
+
+    expect(ctx.io.emitted('order:new', 'admins')[0].payload).toMatchObject({ orderId });
+    expect(ctx.io.emitted('order:scheduled')).toHaveLength(0);
+    expect(await adminOrderIds()).toContain(orderId);
+  });
+
+  it('flags a late order once, until it is ready', async () => {
+    const scheduledAt = new Date(Date.now() + 2 * HOUR);
+    const orderId = await placeScheduled(scheduledAt);
+    const later = new Date(scheduledAt.getTime() + 5 * MINUTE);
+
+    expect(await scheduleService.runSchedule(later)).toEqual({ released: 1, overdue: 1 });
+    expect(ctx.io.emitted('order:overdue', 'admins')[0].payload).toMatchObject({ orderId, status: 'pending' });
+    expect(ctx.io.emitted('order:update', 'admins')[0].payload.overdue_at).not.toBeNull();
+    expect((await scheduledView()).orders[0].is_overdue).toBe(true);
+
+    expect(await scheduleService.runSchedule(later)).toEqual({ released: 0, overdue: 0 });
+    expect(ctx.io.emitted('order:overdue')).toHaveLength(1);
+
+    for (const status of ['confirmed', 'preparing', 'ready']) {
+      await setStatus(orderId, status);
+    }
+    expect((await scheduledView()).orders[0]).toMatchObject({ status: 'ready', is_overdue: false });
+  });
+
+  it('rejects unknown views', async () => {
+    const res = await auth(ctx.api().get('/api/admin/orders?view=later'));
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Unknown orders view');
+  });
+});
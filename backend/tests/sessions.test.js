@@ -0,0 +1,146 @@
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const config = require('../config');
+const { createTestContext } = require('./helpers/testApp');
+
+describe('refresh-token sessions', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  // Each agent is one "device" with its own cookie jar.
+  const device = () => request.agent(ctx.app);
+
+  const signIn = async (agent, username = 'customer1', password = 'Customer@12345') => {
+    const res = await agent.post('/api/auth/login').send({ username, password });
+    expect(res.status).toBe(200);
+    return res.body.token;
+  };
+
+  const refreshCookie = (res) => (res.headers['set-cookie'] || []).find((c) => c.startsWith('refresh_token='));
+
+  it('sets an httpOnly refresh cookie and a short-lived access token', async () => {
+    const res = await ctx.api().post('/api/auth/login').send({ username: 'customer1', password: 'Customer@12345' });
+
+    const cookie = refreshCookie(res);
+    expect(cookie).toMatch(/HttpOnly/);
+    expect(cookie).toMatch(/Path=\/api\/auth/);
+    expect(cookie).toMatch(/SameSite=Strict/);
+
+    const payload = jwt.decode(res.body.token);
+    expect(payload).toMatchObject({ userId: 3, username: 'customer1', role: 'customer', sid: expect.any(Number) });
+    expect(payload.exp - payload.iat).toBe(15 * 60);
+  });
+
+  it('rotates the refresh token and rejects the old one', async () => {
+    const agent = device();
+    const login = await agent.post('/api/auth/login').send({ username: 'customer1', password: 'Customer@12345' });
+    const firstCookie = refreshCookie(login).split(';')[0];
+
+    const refreshed = await agent.post('/api/auth/refresh');
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.token).toEqual(expect.any(String));
+    expect(refreshed.body.user).toMatchObject({ userId: 3, role: 'customer' });
+    expect(refreshCookie(refreshed).split(';')[0]).not.toBe(firstCookie);
+
+    const replay = await ctx.api().post('/api/auth/refresh').set('Cookie', firstCookie);
+    expect(replay.status).toBe(401);
+
+    expect((await agent.post('/api/auth/refresh')).status).toBe(200);
+  });
+
+  it('rejects refresh without a cookie', async () => {
+    const res = await ctx.api().post('/api/auth/refresh');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('logout revokes the session', async () => {
+    const agent = device();
+    await signIn(agent);
+
+    const res = await agent.post('/api/auth/logout');
+    expect(res.status).toBe(200);
+    expect(refreshCookie(res)).toMatch(/refresh_token=;/);
+
+    const [row] = await ctx.queryRows('SELECT revoked_at FROM user_sessions WHERE user_id = 3');
+    expect(row.revoked_at).not.toBeNull();
+  });
+
+  it('answers expired access tokens with 401 so the client can refresh', async () => {
+    const expired = jwt.sign({ userId: 3, username: 'customer1', role: 'customer', exp: Math.floor(Date.now() / 1000) - 10 }, config.JWT_SECRET);
+
+    const res = await ctx.api().get('/api/auth/me').set('Authorization', `Bearer ${expired}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Access token expired');
+  });
+
+  it('register issues a token that authenticates', async () => {
+    const res = await ctx.api().post('/api/auth/register').send({
+      username: 'jane',
+      email: 'jane@example.com',
+      password: 'secret123',
+      full_name: 'Jane Doe'
+    });
+    expect(refreshCookie(res)).toBeDefined();
+
+    const me = await ctx.api().get('/api/auth/me').set('Authorization', `Bearer ${res.body.token}`);
+    expect(me.status).toBe(200);
+    expect(me.body.username).toBe('jane');
+  });
+
+  describe('sessions list', () => {
+    it('lists live sessions and marks the current one', async () => {
+      const phone = device();
+      const laptop = device();
+      await signIn(phone);
+      const token = await signIn(laptop);
+
+      const res = await laptop.get('/api/auth/sessions').set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveLength(2);
+      expect(res.body.filter((s) => s.current)).toHaveLength(1);
+      expect(res.body[0].refresh_token_hash).toBeUndefined();
+    });
+
+    it('signs out other devices but keeps the current one', async () => {
+      const phone = device();
+      const laptop = device();
+      await signIn(phone);
+      const token = await signIn(laptop);
+
+      const res = await laptop.delete('/api/auth/sessions').set('Authorization', `Bearer ${token}`);
+      expect(res.body.revoked).toBe(1);
+
+      expect((await phone.post('/api/auth/refresh')).status).toBe(401);
+      expect((await laptop.post('/api/auth/refresh')).status).toBe(200);
+    });
+
+    it('revokes a single session of the same user only', async () => {
+      const phone = device();
+      await signIn(phone);
+      const [session] = await ctx.queryRows('SELECT session_id FROM user_sessions WHERE user_id = 3');
+      const adminToken = await signIn(device(), 'admin', 'Admin@12345');
+
+      const foreign = await ctx.api()
+        .delete(`/api/auth/sessions/${session.session_id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(foreign.status).toBe(404);
+
+      const customerToken = await signIn(device());
+      const own = await ctx.api()
+        .delete(`/api/auth/sessions/${session.session_id}`)
+        .set('Authorization', `Bearer ${customerToken}`);
+      expect(own.status).toBe(200);
+      expect((await phone.post('/api/auth/refresh')).status).toBe(401);
+    });
+  });
+});
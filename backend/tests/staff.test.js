@@ -0,0 +1,107 @@
+const { createTestContext } = require('./helpers/testApp');
+
+describe('staff role', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  const asStaff = (req) => req.set('Authorization', `Bearer ${ctx.tokens.staff}`);
+  const updateOrder = (orderId, body) => asStaff(ctx.api().put(`/api/admin/orders/${orderId}`)).send(body);
+  const orderStatus = async (orderId) =>
+    (await ctx.queryRows('SELECT status, payment_status FROM orders WHERE order_id = ?', [orderId]))[0];
+
+  it('can list and view orders', async () => {
+    const list = await asStaff(ctx.api().get('/api/admin/orders'));
+    expect(list.status).toBe(200);
+    expect(list.body.orders.length).toBeGreaterThan(0);
+
+    const detail = await asStaff(ctx.api().get('/api/admin/orders/3'));
+    expect(detail.status).toBe(200);
+  });
+
+  it('lists the whole queue, however many newer orders there are', async () => {
+    for (let i = 0; i < 20; i += 1) {
+      await ctx.queryRows(
+        "INSERT INTO orders (user_id, order_number, total_amount, payment_method, payment_status, status, created_at) VALUES (3, ?, 5, 'cash', 'paid', 'completed', '2030-01-01 12:00:00')",
+        [`ORD-DONE-${i}`]
+      );
+    }
+
+    const page = await asStaff(ctx.api().get('/api/admin/orders'));
+    expect(page.body.orders.map((order) => order.order_id)).not.toContain(2);
+
+    // Seed order 2 is ready, order 3 preparing and order 1 completed.
+    const queue = await asStaff(ctx.api().get('/api/admin/orders?view=queue'));
+    expect(queue.status).toBe(200);
+    expect(queue.body.orders.map((order) => [order.order_id, order.status])).toEqual([[2, 'ready'], [3, 'preparing']]);
+
+    expect((await asStaff(ctx.api().get('/api/admin/orders?view=everything'))).status).toBe(400);
+  });
+
+  it('advances an order one kitchen step at a time', async () => {
+    await ctx.queryRows("UPDATE orders SET status = 'pending' WHERE order_id = ?", [3]);
+
+    const confirmed = await updateOrder(3, { status: 'confirmed' });
+    expect(confirmed.status).toBe(200);
+    ctx.io.clear();
+
+    const preparing = await updateOrder(3, { status: 'preparing' });
+    expect(preparing.status).toBe(200);
+    expect(ctx.io.emitted('order:update', 'user:3')).toHaveLength(1);
+
+    const ready = await updateOrder(3, { status: 'ready' });
+    expect(ready.status).toBe(200);
+    expect((await orderStatus(3)).status).toBe('ready');
+  });
+
+  it('cannot skip steps or leave the kitchen chain', async () => {
+    await ctx.queryRows("UPDATE orders SET status = 'pending' WHERE order_id = ?", [3]);
+    expect((await updateOrder(3, { status: 'ready' })).status).toBe(403);
+    expect((await updateOrder(3, { status: 'preparing' })).status).toBe(403);
+
+    // Order 2 is already ready; completing or cancelling it is an admin call.
+    expect((await updateOrder(2, { status: 'completed' })).status).toBe(403);
+    expect((await updateOrder(2, { status: 'cancelled' })).status).toBe(403);
+    expect((await orderStatus(2)).status).toBe('ready');
+    expect(ctx.io.emitted('order:update', 'admins')).toHaveLength(0);
+  });
+
+  it('cannot change payment status', async () => {
+    await ctx.queryRows("UPDATE orders SET status = 'confirmed' WHERE order_id = ?", [3]);
+
+    const res = await updateOrder(3, { status: 'preparing', payment_status: 'refunded' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Insufficient permissions to change payment status');
+    expect(await orderStatus(3)).toEqual({ status: 'confirmed', payment_status: 'paid' });
+  });
+
+  it('returns 404 for unknown orders', async () => {
+    expect((await updateOrder(999, { status: 'preparing' })).status).toBe(404);
+  });
+
+  it('cannot edit the menu, categories or admin-only reports', async () => {
+    const item = { category_id: 1, item_name: 'Staff Special', price: 1 };
+    expect((await asStaff(ctx.api().post('/api/menu')).send(item)).status).toBe(403);
+    expect((await asStaff(ctx.api().put('/api/menu/1')).send({ ...item, price: 0.5 })).status).toBe(403);
+    expect((await asStaff(ctx.api().delete('/api/menu/1'))).status).toBe(403);
+    expect((await asStaff(ctx.api().post('/api/categories')).send({ category_name: 'Kitchen' })).status).toBe(403);
+    expect((await asStaff(ctx.api().put('/api/categories/1')).send({ category_name: 'Burgers' })).status).toBe(403);
+    expect((await asStaff(ctx.api().get('/api/admin/categories'))).status).toBe(403);
+    expect((await asStaff(ctx.api().get('/api/admin/menu/order-counts'))).status).toBe(403);
+  });
+
+  it('cannot place customer orders', async () => {
+    const res = await asStaff(ctx.api().post('/api/orders')).send({
+      items: [{ item_id: 1, quantity: 1 }],
+      payment_method: 'cash'
+    });
+    expect(res.status).toBe(403);
+  });
+});
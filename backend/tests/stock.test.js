@@ -0,0 +1,168 @@
+const { createTestContext } = require('./helpers/testApp');
+const menuService = require('../services/menuService');
+
+describe('menu item stock', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  const setStock = (itemId, body, token = ctx.tokens.admin) =>
+    ctx.api().patch(`/api/menu/${itemId}/stock`).set('Authorization', `Bearer ${token}`).send(body);
+
+  const placeOrder = (items) =>
+    ctx.api().post('/api/orders').set('Authorization', `Bearer ${ctx.tokens.customer}`).send({ items, payment_method: 'cash' });
+
+  const stockOf = async (itemId) =>
+    (await ctx.queryRows('SELECT stock_quantity, par_level, is_available FROM menu_items WHERE item_id = ?', [itemId]))[0];
+
+  const countOrders = async () => (await ctx.queryRows('SELECT COUNT(*) AS c FROM orders'))[0].c;
+
+  describe('PATCH /api/menu/:id/stock', () => {
+    it('sets stock and par level, audits and broadcasts the change', async () => {
+      const res = await setStock(1, { stock_quantity: 10, par_level: 20 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.item).toMatchObject({ item_id: 1, stock_quantity: 10, par_level: 20 });
+
+      const [event] = ctx.io.emitted('menu:item:stock', 'customers');
+      expect(event.payload).toEqual({ item_id: 1, stock_quantity: 10, par_level: 20, is_available: 1 });
+
+      const [log] = await ctx.queryRows("SELECT * FROM audit_logs WHERE action = 'menu_item.stock_update'");
+      expect(JSON.parse(log.new_values)).toMatchObject({ stock_quantity: 10, par_level: 20 });
+    });
+
+    it('takes an item off sale at zero and puts it back when restocked', async () => {
+      await setStock(1, { stock_quantity: 0 });
+      expect(await stockOf(1)).toMatchObject({ stock_quantity: 0, is_available: 0 });
+
+      await setStock(1, { stock_quantity: 5 });
+      expect(await stockOf(1)).toMatchObject({ stock_quantity: 5, is_available: 1 });
+    });
+
+    it('stops tracking an item when stock is cleared', async () => {
+      await setStock(1, { stock_quantity: 3 });
+      await setStock(1, { stock_quantity: null });
+
+      expect(await stockOf(1)).toMatchObject({ stock_quantity: null });
+      expect((await placeOrder([{ item_id: 1, quantity: 50 }])).status).toBe(201);
+    });
+
+    it('validates the payload', async () => {
+      expect((await setStock(1, { stock_quantity: -1 })).status).toBe(400);
+      expect((await setStock(1, { par_level: 2.5 })).status).toBe(400);
+      expect((await setStock(1, {})).body.error).toBe('No fields to update');
+      expect((await setStock(999, { stock_quantity: 1 })).status).toBe(404);
+    });
+
+    it('requires menu.write', async () => {
+      expect((await setStock(1, { stock_quantity: 1 }, ctx.tokens.customer)).status).toBe(403);
+    });
+  });
+
+  describe('POST /api/orders', () => {
+    it('decrements tracked items and broadcasts the new stock', async () => {
+      await setStock(1, { stock_quantity: 5 });
+      ctx.io.clear();
+
+      const res = await placeOrder([{ item_id: 1, quantity: 2 }, { item_id: 9, quantity: 1 }]);
+
+      expect(res.status).toBe(201);
+      expect(await stockOf(1)).toMatchObject({ stock_quantity: 3, is_available: 1 });
+      expect(await stockOf(9)).toMatchObject({ stock_quantity: null });
+      expect(ctx.io.emitted('menu:item:stock', 'customers').map((e) => e.payload)).toEqual([
+        { item_id: 1, stock_quantity: 3, par_level: null, is_available: 1 }
+      ]);
+    });
+
+    it('marks an item unavailable when the last portion sells', async () => {
+      await setStock(1, { stock_quantity: 2 });
+
+      expect((await placeOrder([{ item_id: 1, quantity: 2 }])).status).toBe(201);
+      expect(await stockOf(1)).toMatchObject({ stock_quantity: 0, is_available: 0 });
+    });
+
+    it('rejects orders that would oversell and rolls back every decrement', async () => {
+      await setStock(1, { stock_quantity: 5 });
+      await setStock(2, { stock_quantity: 3 });
+
+      const res = await placeOrder([
+        { item_id: 1, quantity: 1 },
+        { item_id: 2, quantity: 2 },
+        { item_id: 2, quantity: 2 }
+      ]);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Only 3 of "Cheese Burger" left. Please reduce the quantity in your cart.');
+      expect(await stockOf(1)).toMatchObject({ stock_quantity: 5 });
+      expect(await stockOf(2)).toMatchObject({ stock_quantity: 3 });
+      expect(await countOrders()).toBe(3);
+    });
+
+    it('rejects sold-out items', async () => {
+      await setStock(1, { stock_quantity: 0 });
+
+      const res = await placeOrder([{ item_id: 1, quantity: 1 }]);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Item "Classic Burger" is sold out. Please remove it from your cart.');
+    });
+
+    it('puts the stock back when staff cancel the order', async () => {
+      await setStock(1, { stock_quantity: 5 });
+      const { body } = await placeOrder([{ item_id: 1, quantity: 3 }]);
+      ctx.io.clear();
+
+      const res = await ctx.api()
+        .put(`/api/admin/orders/${body.orderId}`)
+        .set('Authorization', `Bearer ${ctx.tokens.admin}`)
+        .send({ status: 'cancelled' });
+
+      expect(res.status).toBe(200);
+      expect(await stockOf(1)).toMatchObject({ stock_quantity: 5, is_available: 1 });
+      expect(ctx.io.emitted('menu:item:stock', 'customers')[0].payload).toMatchObject({ item_id: 1, stock_quantity: 5 });
+    });
+
+    it('never lets concurrent orders take more than is left', async () => {
+      await setStock(1, { stock_quantity: 3 });
+
+      const results = await Promise.all([1, 2, 3, 4].map(() => placeOrder([{ item_id: 1, quantity: 1 }])));
+
+      expect(results.filter((r) => r.status === 201)).toHaveLength(3);
+      expect(await stockOf(1)).toMatchObject({ stock_quantity: 0, is_available: 0 });
+    });
+  });
+
+  describe('restockToPar', () => {
+    it('tops items up to par once per day and puts sold-out items back on sale', async () => {
+      await ctx.pool.query('UPDATE menu_items SET stock_quantity = 0, is_available = 0, par_level = 12 WHERE item_id = 1');
+      await ctx.pool.query('UPDATE menu_items SET par_level = 0 WHERE item_id = 2');
+
+      const restocked = await menuService.restockToPar(new Date(2030, 0, 15, 6));
+
+      expect(restocked.map((item) => item.item_id).sort()).toEqual([1, 2]);
+      expect(await stockOf(1)).toMatchObject({ stock_quantity: 12, is_available: 1 });
+      expect(await stockOf(2)).toMatchObject({ stock_quantity: 0, is_available: 0 });
+      expect(ctx.io.emitted('menu:item:stock', 'customers')).toHaveLength(2);
+
+      await placeOrder([{ item_id: 1, quantity: 4 }]);
+      expect(await menuService.restockToPar(new Date(2030, 0, 15, 18))).toEqual([]);
+      expect(await stockOf(1)).toMatchObject({ stock_quantity: 8 });
+
+      await menuService.restockToPar(new Date(2030, 0, 16, 6));
+      expect(await stockOf(1)).toMatchObject({ stock_quantity: 12 });
+    });
+
+    it('leaves a manual count in place for the rest of the day', async () => {
+      await setStock(1, { stock_quantity: 4, par_level: 10 });
+
+      expect(await menuService.restockToPar(new Date())).toEqual([]);
+      expect(await stockOf(1)).toMatchObject({ stock_quantity: 4 });
+    });
+  });
+});
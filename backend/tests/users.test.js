@@ -0,0 +1,154 @@
+const request = require('supertest');
+const { createTestContext, tokenFor } = require('./helpers/testApp');
+
+describe('admin user console', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(async () => {
+    await ctx.teardown();
+  });
+
+  const asAdmin = (req, token = ctx.tokens.admin) => req.set('Authorization', `Bearer ${token}`);
+
+  // A regular (non-super) admin alongside the seeded super-admin.
+  const createPlainAdmin = async () => {
+    const [result] = await ctx.pool.query(
+      "INSERT INTO users (username, email, password, full_name, role) VALUES ('manager', 'manager@example.com', 'x', 'Shift Manager', 'admin')"
+    );
+    return tokenFor({ userId: result.insertId, username: 'manager', role: 'admin' });
+  };
+
+  describe('GET /api/admin/users', () => {
+    it('lists users with order counts and paid lifetime spend', async () => {
+      const res = await asAdmin(ctx.api().get('/api/admin/users'));
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ page: 1, limit: 20, total: 3 });
+      const customer = res.body.users.find((u) => u.username === 'customer1');
+      expect(customer).toMatchObject({ role: 'customer', is_active: true, order_count: 3 });
+      expect(customer.lifetime_spend).toBeCloseTo(43.95);
+      expect(customer).not.toHaveProperty('password');
+    });
+
+    it('searches by name, username or email and filters by role and status', async () => {
+      const byName = await asAdmin(ctx.api().get('/api/admin/users?search=john'));
+      expect(byName.body.users.map((u) => u.username)).toEqual(['customer1']);
+
+      const byRole = await asAdmin(ctx.api().get('/api/admin/users?role=staff'));
+      expect(byRole.body.users.map((u) => u.username)).toEqual(['staff1']);
+
+      await ctx.pool.query('UPDATE users SET is_active = FALSE WHERE user_id = 3');
+      const inactive = await asAdmin(ctx.api().get('/api/admin/users?status=inactive'));
+      expect(inactive.body).toMatchObject({ total: 1 });
+      expect(inactive.body.users[0].username).toBe('customer1');
+    });
+
+    it('paginates', async () => {
+      const res = await asAdmin(ctx.api().get('/api/admin/users?limit=2&page=2'));
+
+      expect(res.body).toMatchObject({ page: 2, limit: 2, total: 3 });
+      expect(res.body.users).toHaveLength(1);
+    });
+
+    it('requires users.manage', async () => {
+      const res = await ctx.api().get('/api/admin/users').set('Authorization', `Bearer ${ctx.tokens.staff}`);
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('PATCH /api/admin/users/:id/status', () => {
+    it('deactivates a user, ends their sessions and blocks login', async () => {
+      const device = request.agent(ctx.app);
+      await device.post('/api/auth/login').send({ username: 'customer1', password: 'Customer@12345' });
+
+      const res = await asAdmin(ctx.api().patch('/api/admin/users/3/status')).send({ is_active: false });
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ user_id: 3, is_active: false });
+
+      expect((await device.post('/api/auth/refresh')).status).toBe(401);
+      const login = await ctx.api().post('/api/auth/login').send({ username: 'customer1', password: 'Customer@12345' });
+      expect(login.status).toBe(403);
+      expect(login.body.error).toBe('Account is deactivated');
+
+      await asAdmin(ctx.api().patch('/api/admin/users/3/status')).send({ is_active: true });
+      const again = await ctx.api().post('/api/auth/login').send({ username: 'customer1', password: 'Customer@12345' });
+      expect(again.status).toBe(200);
+    });
+
+    it('validates the payload and the id', async () => {
+      expect((await asAdmin(ctx.api().patch('/api/admin/users/3/status')).send({ is_active: 'no' })).status).toBe(400);
+      expect((await asAdmin(ctx.api().patch('/api/admin/users/abc/status')).send({ is_active: false })).status).toBe(400);
+      expect((await asAdmin(ctx.api().patch('/api/admin/users/999/status')).send({ is_active: false })).status).toBe(404);
+    });
+
+    it('does not let admins act on their own account', async () => {
+      const res = await asAdmin(ctx.api().patch('/api/admin/users/1/status')).send({ is_active: false });
+      expect(res.status).toBe(400);
+    });
+
+    it('protects super-admins from regular admins', async () => {
+      const managerToken = await createPlainAdmin();
+      const res = await asAdmin(ctx.api().patch('/api/admin/users/1/status'), managerToken).send({ is_active: false });
+
+      expect(res.status).toBe(403);
+      expect(res.body.error).toBe('Only a super-admin can modify a super-admin account');
+    });
+  });
+
+  describe('PATCH /api/admin/users/:id/role', () => {
+    it('changes a role and signs the user out so new tokens carry it', async () => {
+      const device = request.agent(ctx.app);
+      await device.post('/api/auth/login').send({ username: 'customer1', password: 'Customer@12345' });
+
+      const res = await asAdmin(ctx.api().patch('/api/admin/users/3/role')).send({ role: 'staff' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ user_id: 3, role: 'staff' });
+      expect((await device.post('/api/auth/refresh')).status).toBe(401);
+      const [row] = await ctx.queryRows('SELECT role FROM users WHERE user_id = 3');
+      expect(row.role).toBe('staff');
+    });
+
+    it('rejects unknown roles', async () => {
+      const res = await asAdmin(ctx.api().patch('/api/admin/users/3/role')).send({ role: 'owner' });
+      expect(res.status).toBe(400);
+    });
+
+    it('reserves the admin role for super-admins', async () => {
+      const managerToken = await createPlainAdmin();
+
+      const promote = await asAdmin(ctx.api().patch('/api/admin/users/3/role'), managerToken).send({ role: 'admin' });
+      expect(promote.status).toBe(403);
+
+      const allowed = await asAdmin(ctx.api().patch('/api/admin/users/3/role'), managerToken).send({ role: 'staff' });
+      expect(allowed.status).toBe(200);
+
+      const bySuper = await asAdmin(ctx.api().patch('/api/admin/users/3/role')).send({ role: 'admin' });
+      expect(bySuper.status).toBe(200);
+    });
+  });
+
+  describe('POST /api/admin/users/:id/reset-password', () => {
+    it('emails the user a reset link', async () => {
+      const res = await asAdmin(ctx.api().post('/api/admin/users/3/reset-password'));
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe('Password reset link sent to customer@grabngo.com');
+      const [mail] = ctx.sentMail();
+      expect(mail.to).toBe('customer@grabngo.com');
+      expect(mail.text).toMatch(/\/reset-password\/[a-f0-9]{64}/);
+    });
+
+    it('refuses deactivated accounts', async () => {
+      await ctx.pool.query('UPDATE users SET is_active = FALSE WHERE user_id = 3');
+      const res = await asAdmin(ctx.api().post('/api/admin/users/3/reset-password'));
+
+      expect(res.status).toBe(400);
+      expect(ctx.sentMail()).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,14 @@
+// utils/asyncHandler.js - Forwards async route errors to the error handler
+//
+// `fallbackMessage` is what the client sees when the error is unexpected
+// (a DB failure, say) rather than an HttpError raised on purpose.
+const asyncHandler = (handler, fallbackMessage) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch((err) => {
+    if (!err.status && fallbackMessage) {
+      err.publicMessage = fallbackMessage;
+    }
+    next(err);
+  });
+};
+
+module.exports = asyncHandler;
@@ -0,0 +1,12 @@
+// utils/auditContext.js - Who made a request and from where, for audit_logs entries
+//
+// Controllers build this from the request and pass it to services as their
+// last `context` argument; services hand it to auditService.record so each
+// change is logged against the acting user. System jobs pass null.
+
+const auditContext = (req) => ({
+  userId: req.user ? req.user.userId : null,
+  ip: req.ip || null
+});
+
+module.exports = auditContext;
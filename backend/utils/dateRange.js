@@ -0,0 +1,22 @@
+// utils/dateRange.js - Parses `from`/`to` query filters into Date bounds and formats DATETIME values
+const HttpError = require('./httpError');
+
+// Dates without a time cover the whole day, so `to=2024-05-01` includes
+// everything on the 1st. Use the result as `>= from` and `< to`.
+const parseBound = (value, isEnd) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new HttpError(400, 'Invalid date range');
+  }
+  if (isEnd && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+};
+
+// A Date as a MySQL DATETIME string in UTC, the form scheduled_at is stored
+// and compared in.
+const toMysqlDateTime = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+module.exports = { parseBound, toMysqlDateTime };
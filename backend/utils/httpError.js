@@ -0,0 +1,13 @@
+// utils/httpError.js - Error carrying an HTTP status for the error handler
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+}
+
+module.exports = HttpError;
@@ -0,0 +1,9 @@
+// utils/money.js - Rounding for DECIMAL(10,2) amounts and the provider's minor units
+
+// Accepts numbers or the strings mysql2 returns for DECIMAL columns.
+const toMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+// Cents (or the currency's equivalent), as payment providers expect.
+const toMinor = (amount) => Math.round(Number(amount) * 100);
+
+module.exports = { toMoney, toMinor };
@@ -0,0 +1,66 @@
+// utils/pdf.js - Minimal PDF writer for pages of monospaced text
+//
+// Receipts are fixed-width text, so a PDF only needs the built-in Courier
+// font: nothing is embedded and no layout engine is required. Characters
+// outside Latin-1 are printed as '?'.
+
+const FONT_SIZE = 10;
+const LEADING = 12;
+const MARGIN = 36;
+const PAGE_HEIGHT = 842; // A4
+const CHAR_WIDTH = FONT_SIZE * 0.6; // Courier advance width
+
+const toLatin1 = (text) => text.replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+const escapeText = (text) => toLatin1(text).replace(/([\\()])/g, '\\$1');
+
+const pageContent = (lines) => {
+  const top = PAGE_HEIGHT - MARGIN - FONT_SIZE;
+  const body = lines.map((line, index) => `${index === 0 ? '' : 'T* '}(${escapeText(line)}) Tj`);
+  return [`BT /F1 ${FONT_SIZE} Tf ${LEADING} TL ${MARGIN} ${top} Td`, ...body, 'ET'].join('\n');
+};
+
+// Lays `lines` out top to bottom, starting a new page when one fills up.
+// The page is just wide enough for the longest line. Returns a Buffer.
+const renderTextPdf = (lines) => {
+  const perPage = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LEADING);
+  const pages = [];
+  for (let start = 0; start < Math.max(lines.length, 1); start += perPage) {
+    pages.push(lines.slice(start, start + perPage));
+  }
+  const columns = Math.max(...lines.map((line) => line.length), 1);
+  const pageWidth = Math.ceil(2 * MARGIN + columns * CHAR_WIDTH);
+
+  // Objects 1-3 are the catalog, page tree and font; each page then takes
+  // two: the page itself and its content stream.
+  const pageIds = pages.map((_, index) => 4 + index * 2);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>'
+  ];
+  pages.forEach((pageLines, index) => {
+    const content = pageContent(pageLines);
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+module.exports = { renderTextPdf };
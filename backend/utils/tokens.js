@@ -0,0 +1,15 @@
+// utils/tokens.js - Random single-use tokens; only their SHA-256 hash is stored
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const generateToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
+
+// Constant-time comparison; hashing first evens out the lengths.
+const tokensMatch = (given, expected) =>
+  crypto.timingSafeEqual(Buffer.from(hashToken(given), 'hex'), Buffer.from(hashToken(expected), 'hex'));
+
+module.exports = { generateToken, hashToken, tokensMatch };
@@ -0,0 +1,113 @@
+// validators/auth.js - Request validation for /api/auth
+const { body } = require('express-validator');
+
+const validateRegister = [
+  body('username')
+    .trim()
+    .isLength({ min: 3, max: 20 })
+    .withMessage('Username must be 3-20 characters')
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username can only contain letters, numbers, and underscores'),
+
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Invalid email format')
+    .normalizeEmail(),
+
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters')
+    .matches(/^(?=.*[A-Z])(?=.*[a-z])(?=.*[0-9])(?=.*[!@#$%^&*])/)
+    .withMessage('Password must contain: Uppercase, lowercase, number, and special char (!@#$%^&*)'),
+
+  body('full_name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Full name must be 2-100 characters'),
+
+  body('phone')
+    .optional()
+    .trim()
+    .matches(/^[0-9\-\+\s]+$/)
+    .withMessage('Invalid phone format')
+];
+
+// Rules currently enforced by POST /api/auth/register.
+const validateRegistration = [
+  body('username').trim().isLength({ min: 3 }).withMessage('Username must be at least 3 characters'),
+  body('email').isEmail().withMessage('Invalid email address'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+];
+
+// POST /api/admin/invites
+const validateInvite = [
+  body('email').trim().isEmail().withMessage('Invalid email address'),
+  body('role').isIn(['staff', 'admin']).withMessage('Invites can only be issued for staff or admin accounts'),
+];
+
+// POST /api/auth/invites/:token/accept - the email comes from the invite.
+const validateInviteAcceptance = [
+  body('username').trim().isLength({ min: 3 }).withMessage('Username must be at least 3 characters'),
+  body('full_name').trim().isLength({ min: 1, max: 100 }).withMessage('Full name is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+];
+
+// POST /api/auth/forgot-password
+const validateForgotPassword = [
+  body('email').trim().isEmail().withMessage('Invalid email address'),
+];
+
+// POST /api/auth/reset-password
+const validatePasswordReset = [
+  body('token').isString().isLength({ min: 1 }).withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+];
+
+// POST /api/auth/verify-email
+const validateEmailVerification = [
+  body('token').isString().isLength({ min: 1 }).withMessage('Verification token is required'),
+];
+
+// PATCH /api/auth/me - every field is optional.
+const validateProfileUpdate = [
+  body('full_name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Full name is required'),
+  body('phone').optional({ values: 'null' }).trim().matches(/^[0-9\-+\s]*$/).withMessage('Invalid phone format'),
+  body('email').optional().trim().isEmail().withMessage('Invalid email address'),
+];
+
+// PUT /api/auth/me/password
+const validatePasswordChange = [
+  body('current_password').isLength({ min: 1 }).withMessage('Current password is required'),
+  body('new_password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+];
+
+// POST /api/auth/me/deactivate
+const validateDeactivation = [
+  body('password').isLength({ min: 1 }).withMessage('Password is required'),
+];
+
+const validateLogin = [
+  body('username')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Username is required'),
+
+  body('password')
+    .isLength({ min: 1 })
+    .withMessage('Password is required')
+];
+
+module.exports = {
+  validateRegister,
+  validateRegistration,
+  validateInvite,
+  validateInviteAcceptance,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateProfileUpdate,
+  validatePasswordChange,
+  validateDeactivation,
+  validateLogin
+};
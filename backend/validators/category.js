@@ -0,0 +1,22 @@
+// validators/category.js - Request validation for categories
+const { body } = require('express-validator');
+
+const validateCategory = [
+  body('category_name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Category name required (1-100 chars)'),
+
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be boolean'),
+
+  body('tax_rate')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Tax rate must be a percentage between 0 and 100')
+    .toFloat()
+];
+
+module.exports = { validateCategory };
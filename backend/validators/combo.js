@@ -0,0 +1,61 @@
+// validators/combo.js - Request validation for combo meals
+const { body } = require('express-validator');
+
+const validateCombo = [
+  body('combo_name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Combo name required (1-100 chars)'),
+
+  body('price')
+    .isFloat({ gt: 0 })
+    .withMessage('Price must be a valid number greater than 0')
+    .toFloat(),
+
+  body('description')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+
+  body('image_url')
+    .optional({ values: 'null' })
+    .trim(),
+
+  body('is_available')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('is_available must be a boolean'),
+
+  body('slots')
+    .isArray({ min: 2, max: 10 })
+    .withMessage('A combo needs between 2 and 10 slots'),
+
+  body('slots.*.label')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Slot label must be less than 100 characters'),
+
+  body('slots.*.item_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Invalid item ID')
+    .toInt(),
+
+  body('slots.*.category_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Invalid category ID')
+    .toInt(),
+
+  body('slots.*.quantity')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Slot quantity must be between 1 and 10')
+    .toInt()
+];
+
+module.exports = { validateCombo };
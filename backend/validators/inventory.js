@@ -0,0 +1,49 @@
+// validators/inventory.js - Request validation for ingredients and recipes
+const { body } = require('express-validator');
+
+const amount = (field, label) =>
+  body(field)
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage(`${label} must be a number of 0 or more`)
+    .toFloat();
+
+const validateIngredient = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Ingredient name required (1-100 chars)'),
+  body('unit')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Unit must be 1-20 characters'),
+  amount('stock_quantity', 'Stock quantity'),
+  amount('low_stock_threshold', 'Low-stock threshold')
+];
+
+// Same rules, but every field is optional on update.
+const validateIngredientUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Ingredient name must be 1-100 characters'),
+  ...validateIngredient.slice(1)
+];
+
+const validateRecipe = [
+  body('ingredients')
+    .isArray()
+    .withMessage('ingredients must be an array'),
+  body('ingredients.*.ingredient_id')
+    .isInt({ min: 1 })
+    .withMessage('Invalid ingredient ID')
+    .toInt(),
+  body('ingredients.*.quantity')
+    .isFloat({ gt: 0 })
+    .withMessage('Recipe quantities must be greater than 0')
+    .toFloat()
+];
+
+module.exports = { validateIngredient, validateIngredientUpdate, validateRecipe };
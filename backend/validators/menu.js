@@ -0,0 +1,111 @@
+// validators/menu.js - Request validation for menu items
+const { body } = require('express-validator');
+
+const validateMenuItem = [
+  body('item_name')
+    .trim()
+    .notEmpty()
+    .withMessage('Item name is required')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Item name must be 1-100 characters'),
+
+  body('price')
+    .notEmpty()
+    .withMessage('Price is required')
+    .custom((value) => {
+      const num = Number(value);
+      if (isNaN(num) || num <= 0) {
+        throw new Error('Price must be a valid number greater than 0');
+      }
+      return true;
+    }),
+
+  body('category_id')
+    .optional()
+    .custom((value) => {
+      if (value && isNaN(Number(value))) {
+        throw new Error('Invalid category ID');
+      }
+      return true;
+    }),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+
+  body('image_url')
+    .optional()
+    .trim(),
+
+  body('is_available')
+    .optional()
+    .custom((value) => {
+      if (value !== undefined && typeof value !== 'boolean') {
+        throw new Error('is_available must be a boolean');
+      }
+      return true;
+    })
+];
+
+// null clears the value: untracked stock, or no daily par level.
+const validateStockUpdate = [
+  body('stock_quantity')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('Stock quantity must be a whole number of 0 or more')
+    .toInt(),
+
+  body('par_level')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('Par level must be a whole number of 0 or more')
+    .toInt()
+];
+
+// A full replacement of an item's option groups.
+const validateModifiers = [
+  body('groups')
+    .isArray({ max: 20 })
+    .withMessage('groups must be an array of at most 20 groups'),
+
+  body('groups.*.name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Group name required (1-100 chars)'),
+
+  body('groups.*.min_select')
+    .isInt({ min: 0 })
+    .withMessage('Minimum selections must be a whole number of 0 or more')
+    .toInt(),
+
+  body('groups.*.max_select')
+    .isInt({ min: 1 })
+    .withMessage('Maximum selections must be at least 1')
+    .toInt(),
+
+  body('groups.*.options')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Each group needs between 1 and 50 options'),
+
+  body('groups.*.options.*.name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Option name required (1-100 chars)'),
+
+  body('groups.*.options.*.price_delta')
+    .optional()
+    .isFloat()
+    .withMessage('Option price must be a number')
+    .toFloat(),
+
+  body('groups.*.options.*.is_available')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('is_available must be a boolean')
+];
+
+module.exports = { validateMenuItem, validateStockUpdate, validateModifiers };
@@ -0,0 +1,94 @@
+// validators/promo.js - Request validation for promo codes
+const { body } = require('express-validator');
+
+const optionalAmount = (field, label) =>
+  body(field)
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage(`${label} must be a number of 0 or more`)
+    .toFloat();
+
+const idList = (field, label) => [
+  body(field)
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage(`${label} must be an array`),
+  body(`${field}.*`)
+    .isInt({ min: 1 })
+    .withMessage(`Invalid ${label.toLowerCase()} entry`)
+    .toInt()
+];
+
+// Rules shared by create and update; on update every field is optional.
+const promoFields = [
+  body('description')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description must be less than 255 characters'),
+  optionalAmount('max_discount', 'Maximum discount'),
+  optionalAmount('min_order_amount', 'Minimum order'),
+  body('per_user_limit')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Per-user limit must be a whole number of 1 or more')
+    .toInt(),
+  body('starts_at')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Start must be a valid date'),
+  body('ends_at')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('End must be a valid date')
+    .custom((value, { req }) => {
+      if (value && req.body.starts_at && new Date(value) <= new Date(req.body.starts_at)) {
+        throw new Error('End must be after the start');
+      }
+      return true;
+    }),
+  body('is_active')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('is_active must be a boolean'),
+  ...idList('category_ids', 'Categories'),
+  ...idList('item_ids', 'Items')
+];
+
+// Percentages stop short of 100 so an order can never come to nothing.
+const discountValue = () => body('discount_value')
+  .isFloat({ gt: 0 })
+  .withMessage('Discount must be greater than 0')
+  .toFloat()
+  .custom((value, { req }) => {
+    if (req.body.discount_type === 'percentage' && value >= 100) {
+      throw new Error('Percentage discounts must be below 100');
+    }
+    return true;
+  });
+
+const validatePromo = [
+  body('code')
+    .isString()
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,40}$/)
+    .withMessage('Code must be 3-40 letters, numbers, dashes or underscores'),
+  body('discount_type')
+    .isIn(['percentage', 'fixed'])
+    .withMessage('Discount type must be percentage or fixed'),
+  discountValue(),
+  ...promoFields
+];
+
+// The code itself is fixed once created; past orders refer to it.
+const validatePromoUpdate = [
+  body('discount_type')
+    .optional()
+    .isIn(['percentage', 'fixed'])
+    .withMessage('Discount type must be percentage or fixed'),
+  discountValue().optional(),
+  ...promoFields
+];
+
+module.exports = { validatePromo, validatePromoUpdate };
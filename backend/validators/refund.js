@@ -0,0 +1,32 @@
+// validators/refund.js - Request validation for order refunds
+const { body } = require('express-validator');
+const { REFUND_REASONS } = require('../constants');
+
+const validateRefund = [
+  body('reason_code')
+    .isIn(Object.values(REFUND_REASONS))
+    .withMessage(`Reason must be one of: ${Object.values(REFUND_REASONS).join(', ')}`),
+  body('note')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Note must be less than 255 characters'),
+  body('note')
+    .if(body('reason_code').equals(REFUND_REASONS.OTHER))
+    .notEmpty()
+    .withMessage('Please describe the reason in the note'),
+  body('items')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Choose at least one item to refund'),
+  body('items.*.order_item_id')
+    .isInt({ min: 1 })
+    .withMessage('Invalid order item ID')
+    .toInt(),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Refund quantity must be at least 1')
+    .toInt()
+];
+
+module.exports = { validateRefund };
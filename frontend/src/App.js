@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import {
   BrowserRouter as Router,
   Routes,
@@ -10,15 +10,71 @@ import "./App.css";
 import Navbar from "./components/Navbar";
 import Login from "./components/Login";
 import Register from "./components/Register";
+import InviteRegister from "./components/InviteRegister";
 import Menu from "./components/Menu";
 import Cart from "./components/Cart";
 import Orders from "./components/Orders";
 import AdminDashboard from "./components/AdminDashboard";
-import ProtectedRoute from "./components/ProtectedRoute";
+import ProtectedRoute, { hasPermission } from "./components/ProtectedRoute";
 import ScrollToTop from "./components/ScrollToTop";
 import NotFound from "./components/NotFound";
 import ToastProvider from "./components/ToastProvider";
 import About from "./components/About";
+import { authAPI } from "./services/api";
+import { disconnectSocket } from "./services/realtime";
+import RoleSelection from "./components/RoleSelection";
+import StaffOrders from "./components/StaffOrders";
+import KitchenDisplay from "./components/KitchenDisplay";
+import PickupBoard from "./components/PickupBoard";
+import Sessions from "./components/Sessions";
+import Profile from "./components/Profile";
+import ForgotPassword from "./components/ForgotPassword";
+import ResetPassword from "./components/ResetPassword";
+import VerifyEmail from "./components/VerifyEmail";
+
+// Where a signed-in user lands when they hit a login/register route.
+const homeFor = (user) => (user.role === "staff" ? "/staff" : "/menu");
+
+// Any one of these opens the admin dashboard; each tab checks its own.
+const DASHBOARD_PERMISSIONS = [
+  "reports.view",
+  "menu.write",
+  "orders.update_status",
+  "users.manage",
+  "audit.view",
+  "inventory.manage",
+  "promos.manage",
+];
+
+// Lines with the same item and the same options share a cart entry.
+const cartKey = (itemId, modifiers = []) =>
+  `${itemId}:${modifiers.map((m) => m.option_id).sort((a, b) => a - b).join(",")}`;
+
+// Cart lines keep the menu price as base_price and carry the option deltas in price.
+const toCartLine = (item, modifiers = [], quantity = 1) => {
+  const basePrice = Number(item.base_price ?? item.price);
+  const delta = modifiers.reduce((sum, m) => sum + Number(m.price_delta), 0);
+  return {
+    ...item,
+    base_price: basePrice,
+    price: Math.round((basePrice + delta) * 100) / 100,
+    modifiers,
+    cart_key: cartKey(item.item_id, modifiers),
+    quantity,
+  };
+};
+
+// Combo lines are keyed by their choices, so two different drinks make two lines.
+const comboCartLine = (combo, selections) => ({
+  combo_id: combo.combo_id,
+  item_name: combo.combo_name,
+  price: Number(combo.price),
+  image_url: combo.image_url,
+  slots: combo.slots,
+  selections,
+  cart_key: `combo:${combo.combo_id}:${selections.map((s) => `${s.slot_id}-${s.item_id}`).join(",")}`,
+  quantity: 1,
+});
 
 function App() {
   const [user, setUser] = useState(null);
@@ -29,9 +85,10 @@ function App() {
     // Check if user is logged in with safe parsing
     const token = localStorage.getItem("token");
     const userData = localStorage.getItem("user");
+    let parsed = null;
     if (token && userData) {
       try {
-        const parsed = JSON.parse(userData);
+        parsed = JSON.parse(userData);
         setUser(parsed);
       } catch (_e) {
         localStorage.removeItem("user");
@@ -42,10 +99,32 @@ function App() {
       const savedCart = localStorage.getItem("cart");
       if (savedCart) {
         const parsedCart = JSON.parse(savedCart);
-        if (Array.isArray(parsedCart)) setCart(parsedCart);
+        if (Array.isArray(parsedCart)) {
+          // Carts saved before options existed have no cart_key.
+          setCart(
+            parsedCart.map((line) =>
+              line.cart_key ? line : toCartLine(line, line.modifiers || [], line.quantity)
+            )
+          );
+        }
       }
     } catch (_e) {}
-    setInitializing(false);
+
+    if (!parsed) {
+      setInitializing(false);
+      return;
+    }
+
+    // Permissions can change server-side, so refresh the stored profile.
+    authAPI
+      .getCurrentUser()
+      .then((response) => {
+        const fresh = { ...parsed, ...response.data };
+        localStorage.setItem("user", JSON.stringify(fresh));
+        setUser(fresh);
+      })
+      .catch(() => {})
+      .finally(() => setInitializing(false));
   }, []);
 
   const handleLogin = (userData, token) => {
@@ -54,47 +133,111 @@ function App() {
     setUser(userData);
   };
 
+  // Stable so VerifyEmail's effect doesn't re-run (and re-spend the token).
+  const handleEmailVerified = useCallback(() => {
+    setUser((prev) => {
+      if (!prev) return prev;
+      const next = { ...prev, emailVerified: true };
+      localStorage.setItem("user", JSON.stringify(next));
+      return next;
+    });
+  }, []);
+
+  const handleProfileUpdated = (profile) => {
+    setUser((prev) => {
+      const next = {
+        ...prev,
+        fullName: profile.fullName,
+        email: profile.email,
+        phone: profile.phone,
+        emailVerified: profile.emailVerified,
+      };
+      localStorage.setItem("user", JSON.stringify(next));
+      return next;
+    });
+  };
+
   const handleLogout = () => {
+    // Revoke the refresh session server-side; local state is cleared regardless.
+    authAPI.logout().catch(() => {});
+    disconnectSocket();
     localStorage.removeItem("token");
     localStorage.removeItem("user");
     setUser(null);
     setCart([]);
   };
 
-  const addToCart = (item) => {
-    const existingItem = cart.find(
-      (cartItem) => cartItem.item_id === item.item_id
-    );
+  const addToCart = (item, modifiers = []) => {
+    const key = cartKey(item.item_id, modifiers);
+    const existingItem = cart.find((cartItem) => cartItem.cart_key === key);
 
     if (existingItem) {
       setCart(
         cart.map((cartItem) =>
-          cartItem.item_id === item.item_id
+          cartItem.cart_key === key
             ? { ...cartItem, quantity: cartItem.quantity + 1 }
             : cartItem
         )
       );
     } else {
-      setCart([...cart, { ...item, quantity: 1 }]);
+      setCart([...cart, toCartLine(item, modifiers)]);
     }
   };
 
-  const removeFromCart = (itemId) => {
-    setCart(cart.filter((item) => item.item_id !== itemId));
+  const addComboToCart = (combo, selections) => {
+    const line = comboCartLine(combo, selections);
+    if (cart.some((cartItem) => cartItem.cart_key === line.cart_key)) {
+      setCart(
+        cart.map((cartItem) =>
+          cartItem.cart_key === line.cart_key
+            ? { ...cartItem, quantity: cartItem.quantity + 1 }
+            : cartItem
+        )
+      );
+    } else {
+      setCart([...cart, line]);
+    }
   };
 
-  const updateCartQuantity = (itemId, quantity) => {
+  const removeFromCart = (key) => {
+    setCart(cart.filter((item) => item.cart_key !== key));
+  };
+
+  const updateCartQuantity = (key, quantity) => {
     if (quantity <= 0) {
-      removeFromCart(itemId);
+      removeFromCart(key);
     } else {
       setCart(
         cart.map((item) =>
-          item.item_id === itemId ? { ...item, quantity } : item
+          item.cart_key === key ? { ...item, quantity } : item
         )
       );
     }
   };
 
+  // Changing options can turn a line into one already in the cart; merge them.
+  const updateCartModifiers = (key, modifiers) => {
+    const line = cart.find((item) => item.cart_key === key);
+    if (!line) return;
+    const updated = toCartLine(line, modifiers, line.quantity);
+    const duplicate = cart.find(
+      (item) => item.cart_key === updated.cart_key && item.cart_key !== key
+    );
+    if (duplicate) {
+      setCart(
+        cart
+          .filter((item) => item.cart_key !== key)
+          .map((item) =>
+            item.cart_key === updated.cart_key
+              ? { ...item, quantity: item.quantity + line.quantity }
+              : item
+          )
+      );
+    } else {
+      setCart(cart.map((item) => (item.cart_key === key ? updated : item)));
+    }
+  };
+
   const clearCart = () => {
     setCart([]);
   };
@@ -127,28 +270,42 @@ function App() {
             <Route
               path="/login"
               element={
-                user ? (
-                  <Navigate to="/menu" />
-                ) : (
-                  <Navigate to="/login/customer" />
-                )
+                user ? <Navigate to={homeFor(user)} /> : <RoleSelection />
               }
             />
             <Route
               path="/login/:role"
               element={
-                user ? <Navigate to="/menu" /> : <Login onLogin={handleLogin} />
+                user ? (
+                  <Navigate to={homeFor(user)} />
+                ) : (
+                  <Login onLogin={handleLogin} />
+                )
               }
             />
 
             <Route
               path="/register"
-              element={user ? <Navigate to="/menu" /> : <Register />}
+              element={user ? <Navigate to={homeFor(user)} /> : <Register />}
             />
             <Route
-              path="/register/:role"
-              element={user ? <Navigate to="/menu" /> : <Register />}
+              path="/register/invite/:token"
+              element={
+                user ? (
+                  <Navigate to={homeFor(user)} />
+                ) : (
+                  <InviteRegister onLogin={handleLogin} />
+                )
+              }
+            />
+            <Route path="/register/:role" element={<Navigate to="/register" />} />
+
+            <Route
+              path="/forgot-password"
+              element={user ? <Navigate to={homeFor(user)} /> : <ForgotPassword />}
             />
+            <Route path="/reset-password/:token" element={<ResetPassword />} />
+            <Route path="/verify-email/:token" element={<VerifyEmail onVerified={handleEmailVerified} />} />
 
             <Route
               path="/menu"
@@ -162,7 +319,7 @@ function App() {
                   }
                   redirectTo="/login/customer"
                 >
-                  <Menu user={user} onAddToCart={addToCart} />
+                  <Menu user={user} onAddToCart={addToCart} onAddComboToCart={addComboToCart} />
                 </ProtectedRoute>
               }
             />
@@ -178,6 +335,7 @@ function App() {
                     cart={cart}
                     onUpdateQuantity={updateCartQuantity}
                     onRemove={removeFromCart}
+                    onUpdateModifiers={updateCartModifiers}
                     onClearCart={clearCart}
                   />
                 </ProtectedRoute>
@@ -200,14 +358,63 @@ function App() {
               path="/dashboard"
               element={
                 <ProtectedRoute
-                  isAllowed={!!user && user.role === "admin"}
+                  isAllowed={
+                    !!user &&
+                    (user.isSuperAdmin ||
+                      hasPermission(user, ...DASHBOARD_PERMISSIONS))
+                  }
                   redirectTo="/menu"
                 >
-                  <AdminDashboard />
+                  <AdminDashboard user={user} />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/profile"
+              element={
+                <ProtectedRoute isAllowed={!!user} redirectTo="/login">
+                  <Profile onProfileUpdated={handleProfileUpdated} onDeactivated={handleLogout} />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/sessions"
+              element={
+                <ProtectedRoute isAllowed={!!user} redirectTo="/login">
+                  <Sessions />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/staff"
+              element={
+                <ProtectedRoute
+                  isAllowed={!!user && user.role === "staff"}
+                  redirectTo="/login/staff"
+                >
+                  <StaffOrders user={user} />
                 </ProtectedRoute>
               }
             />
 
+            <Route
+              path="/kitchen"
+              element={
+                <ProtectedRoute
+                  isAllowed={!!user && hasPermission(user, "orders.view")}
+                  redirectTo="/login/staff"
+                >
+                  <KitchenDisplay user={user} />
+                </ProtectedRoute>
+              }
+            />
+
+            {/* Public kiosk screen; guarded by its display token, not a login. */}
+            <Route path="/pickup-board" element={<PickupBoard />} />
+
             <Route path="*" element={<NotFound />} />
           </Routes>
         </div>
@@ -1,6 +1,24 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { menuAPI, categoryAPI, adminAPI } from '../services/api';
+import { menuAPI, categoryAPI, adminAPI, comboAPI } from '../services/api';
 import { getSocket } from '../services/realtime';
+import { saveBlob } from '../services/download';
+import ProtectedRoute, { hasPermission } from './ProtectedRoute';
+import RefundDialog, { REFUND_REASONS } from './RefundDialog';
+import { ORDER_STATUS_TRANSITIONS, timelineLabel, timelineTime } from '../services/orderStatus';
+
+// Each tab is only shown to users holding its permission.
+const DASHBOARD_TABS = [
+  { id: 'overview', name: 'Overview', icon: '📊', permission: 'reports.view' },
+  { id: 'menu', name: 'Menu', icon: '🍔', permission: 'menu.write' },
+  { id: 'combos', name: 'Combos', icon: '🍱', permission: 'menu.write' },
+  { id: 'categories', name: 'Categories', icon: '🏷️', permission: 'menu.write' },
+  { id: 'orders', name: 'Orders', icon: '📦', permission: 'orders.view' },
+  { id: 'inventory', name: 'Inventory', icon: '🥫', permission: 'inventory.manage' },
+  { id: 'promos', name: 'Promos', icon: '🎟️', permission: 'promos.manage' },
+  { id: 'users', name: 'Users', icon: '👥', permission: 'users.manage' },
+  { id: 'invites', name: 'Invites', icon: '✉️', permission: 'users.manage' },
+  { id: 'activity', name: 'Activity', icon: '📝', permission: 'audit.view' }
+];
 
 const formatScheduleDisplay = (scheduledAt) => {
   if (!scheduledAt) return 'N/A';
@@ -62,30 +80,39 @@ const ItemPreparationList = ({ items, loading }) => {
   );
 };
 
-function AdminDashboard() {
-  const [activeTab, setActiveTab] = useState('overview');
+function AdminDashboard({ user }) {
+  const tabs = DASHBOARD_TABS.filter((tab) => hasPermission(user, tab.permission));
+  if (user?.isSuperAdmin) {
+    tabs.push({ id: 'permissions', name: 'Permissions', icon: '🔐' });
+  }
+  const canEditMenu = hasPermission(user, 'menu.write');
+  const canViewReports = hasPermission(user, 'reports.view');
+
+  const [activeTab, setActiveTab] = useState(tabs[0]?.id || 'orders');
   const [menuItems, setMenuItems] = useState([]);
   const [categories, setCategories] = useState([]);
   const [orders, setOrders] = useState([]);
   const [itemOrderCounts, setItemOrderCounts] = useState([]); // <-- NEW STATE
+  const [revenue, setRevenue] = useState(null);
   const [loading, setLoading] = useState(false);
 
   const loadData = useCallback(async () => {
     setLoading(true);
     try {
-        const shouldFetchMenuData = activeTab === 'menu' || activeTab === 'overview' || activeTab === 'categories';
+        const shouldFetchMenuData = activeTab === 'menu' || activeTab === 'overview' || activeTab === 'categories' || activeTab === 'inventory' || activeTab === 'combos' || activeTab === 'promos';
         const shouldFetchOrderData = activeTab === 'orders' || activeTab === 'overview';
 
         const promises = [];
 
         if (shouldFetchMenuData) {
             promises.push(menuAPI.getAllItems());
-            promises.push(categoryAPI.getAllAdminCategories()); 
+            promises.push(canEditMenu ? categoryAPI.getAllAdminCategories() : categoryAPI.getAllCategories());
         }
 
         if (shouldFetchOrderData) {
             promises.push(adminAPI.getAllOrders(1));
-            promises.push(adminAPI.getItemOrderCounts());
+            promises.push(canViewReports ? adminAPI.getItemOrderCounts() : Promise.resolve({ data: [] }));
+            promises.push(canViewReports ? adminAPI.getRevenueReport() : Promise.resolve({ data: null }));
         }
 
         const results = await Promise.all(promises);
@@ -101,16 +128,18 @@ function AdminDashboard() {
         if (shouldFetchOrderData) {
             const ordersRes = results[resultIndex++];
             const countsRes = results[resultIndex++];
+            const revenueRes = results[resultIndex++];
             const ordersList = ordersRes.data?.orders || [];
             setOrders(Array.isArray(ordersList) ? ordersList : []);
             setItemOrderCounts(countsRes.data || []);
+            setRevenue(revenueRes.data);
         }
     } catch (err) {
       console.error('Failed to load data:', err);
     } finally {
       setLoading(false);
     }
-  }, [activeTab]);
+  }, [activeTab, canEditMenu, canViewReports]);
 
   useEffect(() => {
     loadData();
@@ -137,9 +166,19 @@ function AdminDashboard() {
         setMenuItems((prev) => prev.filter((item) => item.item_id !== item_id));
       });
 
-      socket.on('order:new', (newOrder) => {
-        setOrders((prev) => [newOrder, ...prev]);
+      socket.on('menu:item:stock', (stock) => {
+        setMenuItems((prev) =>
+          prev.map((item) => (item.item_id === stock.item_id ? { ...item, ...stock } : item))
+        );
+      });
 
+      // order:new only carries a summary, and scheduled orders arrive when
+      // they are released rather than when placed, so reload the list.
+      socket.on('order:new', () => {
+        adminAPI
+          .getAllOrders(1)
+          .then((response) => setOrders(response.data?.orders || []))
+          .catch((err) => console.error('Failed to refresh orders:', err));
       });
 
       socket.on('order:update', (updated) => {
@@ -168,6 +207,7 @@ function AdminDashboard() {
           socket.off('menu:item:add');
           socket.off('menu:item:update');
           socket.off('menu:item:delete');
+          socket.off('menu:item:stock');
           socket.off('order:new');
           socket.off('order:update');
           socket.off('category:add');
@@ -217,12 +257,7 @@ function AdminDashboard() {
       <div className="bg-white shadow-sm border-b sticky top-0 z-10">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 overflow-x-auto">
           <div className="flex space-x-8 border-b">
-            {[
-              { id: 'overview', name: 'Overview', icon: '📊' },
-              { id: 'menu', name: 'Menu', icon: '🍔' },
-              { id: 'categories', name: 'Categories', icon: '🏷️' },
-              { id: 'orders', name: 'Orders', icon: '📦' }
-            ].map((tab) => (
+            {tabs.map((tab) => (
               <button
                 key={tab.id}
                 onClick={() => setActiveTab(tab.id)}
@@ -247,32 +282,91 @@ function AdminDashboard() {
         )}
         
         {!loading && activeTab === 'overview' && (
+          <ProtectedRoute user={user} permission="reports.view" hideWhenDenied>
             <OverviewTab 
                 menuItems={menuItems} 
                 orders={orders} 
                 itemOrderCounts={itemOrderCounts} // <-- NEW PROP
+                revenue={revenue}
                 loading={loading} // <-- NEW PROP
             />
+          </ProtectedRoute>
         )}
         
-        {!loading && activeTab === 'menu' && <MenuTab menuItems={menuItems} categories={categories} />}
-        {!loading && activeTab === 'categories' && <CategoriesTab categories={categories} onDataRefresh={loadData} />}
+        {!loading && activeTab === 'menu' && (
+          <ProtectedRoute user={user} permission="menu.write" hideWhenDenied>
+            <MenuTab menuItems={menuItems} categories={categories} />
+          </ProtectedRoute>
+        )}
+        {!loading && activeTab === 'combos' && (
+          <ProtectedRoute user={user} permission="menu.write" hideWhenDenied>
+            <CombosTab menuItems={menuItems} categories={categories} />
+          </ProtectedRoute>
+        )}
+        {!loading && activeTab === 'categories' && (
+          <ProtectedRoute user={user} permission="menu.write" hideWhenDenied>
+            <CategoriesTab categories={categories} onDataRefresh={loadData} />
+          </ProtectedRoute>
+        )}
         
-        {!loading && activeTab === 'orders' && <OrdersTab orders={orders} getStatusClasses={getStatusClasses} />}
+        {!loading && activeTab === 'orders' && (
+          <ProtectedRoute user={user} permission="orders.view" hideWhenDenied>
+            <OrdersTab orders={orders} getStatusClasses={getStatusClasses} user={user} />
+          </ProtectedRoute>
+        )}
+
+        {!loading && activeTab === 'inventory' && (
+          <ProtectedRoute user={user} permission="inventory.manage" hideWhenDenied>
+            <InventoryTab menuItems={menuItems} />
+          </ProtectedRoute>
+        )}
+
+        {!loading && activeTab === 'promos' && (
+          <ProtectedRoute user={user} permission="promos.manage" hideWhenDenied>
+            <PromosTab menuItems={menuItems} categories={categories} />
+          </ProtectedRoute>
+        )}
+
+        {activeTab === 'users' && (
+          <ProtectedRoute user={user} permission="users.manage" hideWhenDenied>
+            <UsersTab user={user} />
+          </ProtectedRoute>
+        )}
+
+        {activeTab === 'invites' && (
+          <ProtectedRoute user={user} permission="users.manage" hideWhenDenied>
+            <InvitesTab user={user} />
+          </ProtectedRoute>
+        )}
+
+        {activeTab === 'activity' && (
+          <ProtectedRoute user={user} permission="audit.view" hideWhenDenied>
+            <ActivityTab />
+          </ProtectedRoute>
+        )}
+
+        {activeTab === 'permissions' && (
+          <ProtectedRoute isAllowed={!!user?.isSuperAdmin} hideWhenDenied>
+            <PermissionsTab />
+          </ProtectedRoute>
+        )}
       </div>
     </div>
   );
 }
 
 // Overview Tab
-function OverviewTab({ menuItems, orders, itemOrderCounts, loading }) {
+function OverviewTab({ menuItems, orders, itemOrderCounts, revenue, loading }) {
   const totalOrders = orders.length;
-  const totalRevenue = orders.reduce((sum, o) => sum + (parseFloat(o.total_amount) || 0), 0);
+  // The report covers every paid order, net of refunds.
+  const totalRevenue = revenue
+    ? revenue.net
+    : orders.reduce((sum, o) => sum + (parseFloat(o.total_amount) || 0) - (parseFloat(o.refunded_amount) || 0), 0);
   const pendingOrders = orders.filter((o) => o.status === 'pending').length;
 
   const stats = [
     { name: 'Total Orders', value: totalOrders, icon: '🛒', color: 'bg-blue-500' },
-    { name: 'Total Revenue', value: `Rs ${totalRevenue.toFixed(2)}`, icon: '💰', color: 'bg-green-500' },
+    { name: 'Net Revenue', value: `Rs ${totalRevenue.toFixed(2)}`, icon: '💰', color: 'bg-green-500' },
     { name: 'Pending Orders', value: pendingOrders, icon: '⏳', color: 'bg-yellow-500' },
     { name: 'Menu Items', value: menuItems.length, icon: '🍽️', color: 'bg-purple-500' }
   ];
@@ -351,6 +445,291 @@ function OverviewTab({ menuItems, orders, itemOrderCounts, loading }) {
   );
 }
 
+const toStockInput = (value) => (value === null || value === undefined ? '' : String(value));
+const fromStockInput = (value) => (value.trim() === '' ? null : Number(value));
+
+// Stock count and daily par for one item. Leaving stock blank stops
+// tracking the item; leaving par blank turns off the daily top-up.
+function StockEditor({ item }) {
+  const [editing, setEditing] = useState(false);
+  const [stock, setStock] = useState('');
+  const [par, setPar] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const tracked = item.stock_quantity !== null && item.stock_quantity !== undefined;
+
+  const startEditing = () => {
+    setStock(toStockInput(item.stock_quantity));
+    setPar(toStockInput(item.par_level));
+    setEditing(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await menuAPI.updateStock(item.item_id, { stock_quantity: fromStockInput(stock), par_level: fromStockInput(par) });
+      setEditing(false);
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to update stock');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!editing) {
+    return (
+      <div className="flex justify-between items-center text-sm mb-3">
+        <span className={tracked && item.stock_quantity <= 0 ? 'text-red-600 font-medium' : 'text-gray-600'}>
+          {tracked ? `Stock: ${item.stock_quantity}` : 'Stock not tracked'}
+          {item.par_level !== null && item.par_level !== undefined && ` · Par ${item.par_level}/day`}
+        </span>
+        <button onClick={startEditing} className="text-blue-600 hover:underline text-xs font-medium">
+          Edit stock
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSave} className="flex items-end gap-2 mb-3">
+      <label className="text-xs text-gray-600">
+        Stock
+        <input
+          type="number"
+          min="0"
+          step="1"
+          value={stock}
+          onChange={(e) => setStock(e.target.value)}
+          placeholder="—"
+          className="block w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+        />
+      </label>
+      <label className="text-xs text-gray-600">
+        Par / day
+        <input
+          type="number"
+          min="0"
+          step="1"
+          value={par}
+          onChange={(e) => setPar(e.target.value)}
+          placeholder="—"
+          className="block w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+        />
+      </label>
+      <button
+        type="submit"
+        disabled={saving}
+        className="px-3 py-1 bg-blue-500 text-white rounded text-xs font-medium hover:bg-blue-600 disabled:opacity-50"
+      >
+        Save
+      </button>
+      <button type="button" onClick={() => setEditing(false)} className="px-2 py-1 text-xs text-gray-600 hover:underline">
+        Cancel
+      </button>
+    </form>
+  );
+}
+
+const emptyOption = () => ({ name: '', price_delta: '', is_available: true });
+const emptyGroup = () => ({ name: '', min_select: 0, max_select: 1, options: [emptyOption()] });
+
+// Edits an item's option groups. Saving replaces them all; the update
+// reaches every open menu through the menu:item:update event.
+function ModifierEditor({ item }) {
+  const [groups, setGroups] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const current = item.modifier_groups || [];
+
+  const startEditing = () =>
+    setGroups(
+      current.map((group) => ({
+        name: group.name,
+        min_select: group.min_select,
+        max_select: group.max_select,
+        options: group.options.map((option) => ({
+          name: option.name,
+          price_delta: option.price_delta ? String(option.price_delta) : '',
+          is_available: !!option.is_available,
+        })),
+      }))
+    );
+
+  const updateGroup = (index, changes) =>
+    setGroups((prev) => prev.map((group, i) => (i === index ? { ...group, ...changes } : group)));
+
+  const updateOption = (groupIndex, optionIndex, changes) =>
+    updateGroup(groupIndex, {
+      options: groups[groupIndex].options.map((option, i) => (i === optionIndex ? { ...option, ...changes } : option)),
+    });
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await menuAPI.updateModifiers(
+        item.item_id,
+        groups.map((group) => ({
+          name: group.name.trim(),
+          min_select: parseInt(group.min_select, 10) || 0,
+          max_select: parseInt(group.max_select, 10) || 1,
+          options: group.options.map((option) => ({
+            name: option.name.trim(),
+            price_delta: option.price_delta === '' ? 0 : parseFloat(option.price_delta),
+            is_available: option.is_available,
+          })),
+        }))
+      );
+      setGroups(null);
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to update options');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!groups) {
+    return (
+      <div className="flex justify-between items-center text-sm mb-3">
+        <span className="text-gray-600 truncate">
+          {current.length > 0 ? `Options: ${current.map((group) => group.name).join(', ')}` : 'No options'}
+        </span>
+        <button onClick={startEditing} className="text-blue-600 hover:underline text-xs font-medium flex-shrink-0 ml-2">
+          Edit options
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="fixed inset-0 bg-gray-900/50 flex items-center justify-center z-[1000] p-4" onClick={() => setGroups(null)}>
+      <form
+        onSubmit={handleSave}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto p-6"
+      >
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Options for {item.item_name}</h3>
+
+        {groups.length === 0 && <p className="text-sm text-gray-500 mb-4">This item has no option groups.</p>}
+
+        <div className="space-y-4">
+          {groups.map((group, groupIndex) => (
+            <div key={groupIndex} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex flex-wrap items-end gap-2 mb-3">
+                <label className="text-xs text-gray-600 flex-1 min-w-[10rem]">
+                  Group name
+                  <input
+                    type="text"
+                    value={group.name}
+                    onChange={(e) => updateGroup(groupIndex, { name: e.target.value })}
+                    required
+                    className="block w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                  />
+                </label>
+                <label className="text-xs text-gray-600">
+                  Min
+                  <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={group.min_select}
+                    onChange={(e) => updateGroup(groupIndex, { min_select: e.target.value })}
+                    className="block w-16 px-2 py-1 border border-gray-300 rounded text-sm"
+                  />
+                </label>
+                <label className="text-xs text-gray-600">
+                  Max
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={group.max_select}
+                    onChange={(e) => updateGroup(groupIndex, { max_select: e.target.value })}
+                    className="block w-16 px-2 py-1 border border-gray-300 rounded text-sm"
+                  />
+                </label>
+                <button
+                  type="button"
+                  onClick={() => setGroups((prev) => prev.filter((_, i) => i !== groupIndex))}
+                  className="px-2 py-1 text-xs text-red-600 hover:underline"
+                >
+                  Remove group
+                </button>
+              </div>
+
+              {group.options.map((option, optionIndex) => (
+                <div key={optionIndex} className="flex items-center gap-2 mb-2">
+                  <input
+                    type="text"
+                    value={option.name}
+                    onChange={(e) => updateOption(groupIndex, optionIndex, { name: e.target.value })}
+                    placeholder="Option name"
+                    required
+                    className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm"
+                  />
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={option.price_delta}
+                    onChange={(e) => updateOption(groupIndex, optionIndex, { price_delta: e.target.value })}
+                    placeholder="+Rs 0.00"
+                    className="w-24 px-2 py-1 border border-gray-300 rounded text-sm"
+                  />
+                  <label className="text-xs text-gray-600 flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={option.is_available}
+                      onChange={(e) => updateOption(groupIndex, optionIndex, { is_available: e.target.checked })}
+                    />
+                    Available
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => updateGroup(groupIndex, { options: group.options.filter((_, i) => i !== optionIndex) })}
+                    disabled={group.options.length === 1}
+                    className="px-2 py-1 text-xs text-gray-500 hover:text-red-600 disabled:opacity-30"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => updateGroup(groupIndex, { options: [...group.options, emptyOption()] })}
+                className="text-blue-600 hover:underline text-xs font-medium"
+              >
+                + Add option
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-between items-center mt-6">
+          <button
+            type="button"
+            onClick={() => setGroups((prev) => [...prev, emptyGroup()])}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-100"
+          >
+            + Add group
+          </button>
+          <div className="flex gap-2">
+            <button type="button" onClick={() => setGroups(null)} className="px-4 py-2 text-sm text-gray-600 hover:underline">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-blue-500 text-white rounded-lg text-sm font-medium hover:bg-blue-600 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save options'}
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+}
+
 // Menu Tab
 function MenuTab({ menuItems, categories }) {
   const [showForm, setShowForm] = useState(false);
@@ -603,6 +982,8 @@ function MenuTab({ menuItems, categories }) {
                 </div>
                 <p className="text-sm text-gray-600 mb-2">{item.category_name}</p>
                 <p className="text-sm text-gray-600 mb-3">{item.description}</p>
+                <StockEditor item={item} />
+                <ModifierEditor item={item} />
                 <div className="flex justify-between items-center">
                   <span className="text-lg font-bold text-blue-600">Rs {parseFloat(item.price).toFixed(2)}</span>
                   <div className="flex gap-2">
@@ -631,6 +1012,301 @@ function MenuTab({ menuItems, categories }) {
   );
 }
 
+// Combos Tab - bundles of menu items (or a choice from a category) at one price
+const emptySlot = () => ({ kind: 'item', item_id: '', category_id: '', label: '', quantity: 1 });
+const emptyCombo = () => ({ combo_name: '', description: '', price: '', is_available: true, slots: [emptySlot(), emptySlot()] });
+
+// What the slots would cost bought separately; choice slots count their cheapest option.
+const comboListPrice = (combo, menuItems) =>
+  combo.slots.reduce((sum, slot) => {
+    const prices = slot.item_id
+      ? [Number(slot.item_price)]
+      : menuItems.filter((item) => item.category_id === slot.category_id).map((item) => Number(item.price));
+    return sum + (prices.length > 0 ? Math.min(...prices) : 0) * slot.quantity;
+  }, 0);
+
+function CombosTab({ menuItems, categories }) {
+  const [combos, setCombos] = useState([]);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadCombos = useCallback(async () => {
+    try {
+      const response = await comboAPI.getAll();
+      setCombos(Array.isArray(response.data) ? response.data : []);
+    } catch (err) {
+      console.error('Failed to load combos:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCombos();
+  }, [loadCombos]);
+
+  const startEditing = (combo) => {
+    setEditingId(combo.combo_id);
+    setForm({
+      combo_name: combo.combo_name,
+      description: combo.description || '',
+      price: String(combo.price),
+      is_available: !!combo.is_available,
+      slots: combo.slots.map((slot) => ({
+        kind: slot.item_id ? 'item' : 'category',
+        item_id: slot.item_id ? String(slot.item_id) : '',
+        category_id: slot.category_id ? String(slot.category_id) : '',
+        label: slot.label || '',
+        quantity: slot.quantity,
+      })),
+    });
+  };
+
+  const updateSlot = (index, changes) =>
+    setForm((prev) => ({ ...prev, slots: prev.slots.map((slot, i) => (i === index ? { ...slot, ...changes } : slot)) }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const payload = {
+      combo_name: form.combo_name.trim(),
+      description: form.description.trim() || null,
+      price: parseFloat(form.price),
+      is_available: form.is_available,
+      slots: form.slots.map((slot) => ({
+        label: slot.label.trim() || null,
+        item_id: slot.kind === 'item' ? parseInt(slot.item_id, 10) : null,
+        category_id: slot.kind === 'category' ? parseInt(slot.category_id, 10) : null,
+        quantity: parseInt(slot.quantity, 10) || 1,
+      })),
+    };
+    try {
+      if (editingId) {
+        await comboAPI.update(editingId, payload);
+      } else {
+        await comboAPI.add(payload);
+      }
+      setForm(null);
+      setEditingId(null);
+      await loadCombos();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to save combo');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (combo) => {
+    if (!window.confirm(`Remove ${combo.combo_name} from the menu?`)) return;
+    try {
+      await comboAPI.remove(combo.combo_id);
+      await loadCombos();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to remove combo');
+    }
+  };
+
+  const describeSlot = (slot) =>
+    `${slot.quantity > 1 ? `${slot.quantity} × ` : ''}${slot.item_id ? slot.item_name : `any ${slot.category_name}`}`;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">Combos ({combos.length})</h2>
+        {!form && (
+          <button
+            onClick={() => {
+              setEditingId(null);
+              setForm(emptyCombo());
+            }}
+            className="px-4 py-2 bg-blue-500 text-white rounded-lg text-sm font-medium hover:bg-blue-600 transition-colors"
+          >
+            + Add Combo
+          </button>
+        )}
+      </div>
+
+      {form && (
+        <form onSubmit={handleSave} className="bg-white rounded-lg shadow-sm border border-gray-100 p-6 mb-6 space-y-4">
+          <h3 className="text-lg font-semibold text-gray-900">{editingId ? 'Edit Combo' : 'New Combo'}</h3>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <input
+              type="text"
+              value={form.combo_name}
+              onChange={(e) => setForm({ ...form, combo_name: e.target.value })}
+              placeholder="Combo name"
+              required
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm md:col-span-2"
+            />
+            <input
+              type="number"
+              step="0.01"
+              min="0.01"
+              value={form.price}
+              onChange={(e) => setForm({ ...form, price: e.target.value })}
+              placeholder="Bundle price"
+              required
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          </div>
+          <textarea
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+            placeholder="Description"
+            rows="2"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+
+          <div className="space-y-2">
+            <p className="text-sm font-medium text-gray-700">Slots</p>
+            {form.slots.map((slot, index) => (
+              <div key={index} className="flex flex-wrap items-center gap-2">
+                <select
+                  value={slot.kind}
+                  onChange={(e) => updateSlot(index, { kind: e.target.value })}
+                  className="px-2 py-1 border border-gray-300 rounded text-sm"
+                >
+                  <option value="item">Fixed item</option>
+                  <option value="category">Choice from category</option>
+                </select>
+                {slot.kind === 'item' ? (
+                  <select
+                    value={slot.item_id}
+                    onChange={(e) => updateSlot(index, { item_id: e.target.value })}
+                    required
+                    className="px-2 py-1 border border-gray-300 rounded text-sm flex-1 min-w-[10rem]"
+                  >
+                    <option value="">Select item</option>
+                    {menuItems.map((item) => (
+                      <option key={item.item_id} value={item.item_id}>
+                        {item.item_name} (Rs {parseFloat(item.price).toFixed(2)})
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <select
+                    value={slot.category_id}
+                    onChange={(e) => updateSlot(index, { category_id: e.target.value })}
+                    required
+                    className="px-2 py-1 border border-gray-300 rounded text-sm flex-1 min-w-[10rem]"
+                  >
+                    <option value="">Select category</option>
+                    {categories.filter((cat) => cat.is_active).map((cat) => (
+                      <option key={cat.category_id} value={cat.category_id}>{cat.category_name}</option>
+                    ))}
+                  </select>
+                )}
+                <input
+                  type="text"
+                  value={slot.label}
+                  onChange={(e) => updateSlot(index, { label: e.target.value })}
+                  placeholder="Label (e.g. Drink)"
+                  className="px-2 py-1 border border-gray-300 rounded text-sm w-36"
+                />
+                <input
+                  type="number"
+                  min="1"
+                  max="10"
+                  value={slot.quantity}
+                  onChange={(e) => updateSlot(index, { quantity: e.target.value })}
+                  className="px-2 py-1 border border-gray-300 rounded text-sm w-16"
+                />
+                <button
+                  type="button"
+                  onClick={() => setForm((prev) => ({ ...prev, slots: prev.slots.filter((_, i) => i !== index) }))}
+                  disabled={form.slots.length <= 2}
+                  className="px-2 py-1 text-xs text-gray-500 hover:text-red-600 disabled:opacity-30"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => setForm((prev) => ({ ...prev, slots: [...prev.slots, emptySlot()] }))}
+              className="text-blue-600 hover:underline text-xs font-medium"
+            >
+              + Add slot
+            </button>
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.is_available}
+              onChange={(e) => setForm({ ...form, is_available: e.target.checked })}
+            />
+            Available
+          </label>
+
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-blue-500 text-white rounded-lg text-sm font-medium hover:bg-blue-600 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Combo'}
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setForm(null);
+                setEditingId(null);
+              }}
+              className="px-4 py-2 text-sm text-gray-600 hover:underline"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+        {combos.map((combo) => {
+          const listPrice = comboListPrice(combo, menuItems);
+          return (
+            <div key={combo.combo_id} className="bg-white rounded-lg shadow-sm border border-gray-100 p-4">
+              <div className="flex justify-between items-start mb-2">
+                <h3 className="font-semibold text-gray-900">{combo.combo_name}</h3>
+                <span className={`px-2 py-1 rounded text-xs font-medium ${combo.is_available ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                  {combo.is_available ? 'Available' : 'Unavailable'}
+                </span>
+              </div>
+              {combo.description && <p className="text-sm text-gray-600 mb-2">{combo.description}</p>}
+              <ul className="text-sm text-gray-700 mb-3 list-disc list-inside">
+                {combo.slots.map((slot) => (
+                  <li key={slot.slot_id}>{slot.label ? `${slot.label}: ` : ''}{describeSlot(slot)}</li>
+                ))}
+              </ul>
+              <div className="flex justify-between items-center">
+                <div>
+                  <span className="text-lg font-bold text-blue-600">Rs {parseFloat(combo.price).toFixed(2)}</span>
+                  {listPrice > combo.price && (
+                    <span className="ml-2 text-xs text-gray-500 line-through">Rs {listPrice.toFixed(2)}</span>
+                  )}
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => startEditing(combo)}
+                    className="px-3 py-1 bg-blue-500 text-white rounded text-sm hover:bg-blue-600 transition-colors"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(combo)}
+                    className="px-3 py-1 bg-red-500 text-white rounded text-sm hover:bg-red-600 transition-colors"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
 // Categories Tab
 function CategoriesTab({ categories, onDataRefresh }) {
   const [newCatName, setNewCatName] = useState('');
@@ -676,6 +1352,20 @@ function CategoriesTab({ categories, onDataRefresh }) {
     }
   };
 
+  // Applies to orders placed from now on.
+  const handleTaxRate = async (cat, value) => {
+    const taxRate = value === '' ? 0 : parseFloat(value);
+    if (Number.isNaN(taxRate) || taxRate === parseFloat(cat.tax_rate)) return;
+    try {
+      await categoryAPI.updateCategory(cat.category_id, { category_name: cat.category_name, tax_rate: taxRate });
+      if (onDataRefresh) {
+        onDataRefresh();
+      }
+    } catch (err) {
+      alert('Failed to update tax rate: ' + (err.response?.data?.details?.[0]?.message || err.response?.data?.error || err.message));
+    }
+  };
+
   return (
     <div>
       <div className="flex items-center justify-between mb-6">
@@ -704,6 +1394,7 @@ function CategoriesTab({ categories, onDataRefresh }) {
             <tr>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">#</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Tax %</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th>
             </tr>
@@ -717,6 +1408,19 @@ function CategoriesTab({ categories, onDataRefresh }) {
               >
                 <td className="px-6 py-3 text-gray-900 font-bold text-sm">{index + 1}</td> 
                 <td className="px-6 py-3 text-gray-900 font-medium">{cat.category_name}</td>
+                <td className="px-6 py-3">
+                  <input
+                    key={cat.tax_rate}
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="0.01"
+                    defaultValue={parseFloat(cat.tax_rate || 0)}
+                    onBlur={(e) => handleTaxRate(cat, e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                    className="w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+                  />
+                </td>
                 <td className="px-6 py-3">
                   <span className={`px-2 py-1 rounded text-xs font-medium ${cat.is_active ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-700'}`}>
                     {cat.is_active ? 'Active' : 'Inactive'}
@@ -740,7 +1444,43 @@ function CategoriesTab({ categories, onDataRefresh }) {
 }
 
 
-function OrderDetailModal({ order, orderDetails, loading, onClose, getStatusClasses }) {
+const refundReasonLabel = (code) => REFUND_REASONS.find((reason) => reason.value === code)?.label || code;
+
+function OrderDetailModal({ order, orderDetails, loading, onClose, onRefunded, getStatusClasses, user }) {
+  const [refunds, setRefunds] = useState([]);
+  const [refunding, setRefunding] = useState(false);
+  const canRefund = hasPermission(user, 'orders.refund') && orderDetails?.payment_status === 'paid';
+
+  const loadRefunds = useCallback(async () => {
+    try {
+      const response = await adminAPI.getOrderRefunds(order.order_id);
+      setRefunds(response.data);
+    } catch (err) {
+      console.error('Failed to fetch refunds:', err);
+    }
+  }, [order.order_id]);
+
+  useEffect(() => {
+    loadRefunds();
+  }, [loadRefunds]);
+
+  const handleRefunded = (refund) => {
+    setRefunding(false);
+    alert(`Refunded Rs ${refund.amount.toFixed(2)}`);
+    loadRefunds();
+    onRefunded();
+  };
+
+  // 'text' is the narrow layout for thermal receipt printers.
+  const downloadReceipt = async (format) => {
+    try {
+      const response = await adminAPI.getOrderReceipt(order.order_id, format);
+      saveBlob(response.data, `receipt-${order.order_number}.${format === 'text' ? 'txt' : 'pdf'}`);
+    } catch (err) {
+      alert('Failed to download receipt: ' + err.message);
+    }
+  };
+
   return (
     <div className="fixed inset-0 bg-gray-900/50 backdrop-blur-md transition-opacity duration-300 ease-out flex items-center justify-center z-[1000] p-4"> 
       <div 
@@ -754,14 +1494,36 @@ function OrderDetailModal({ order, orderDetails, loading, onClose, getStatusClas
             <h2 className="text-2xl font-bold">Order Details</h2>
             <p className="text-indigo-100 text-sm mt-1">Order #{order.order_number}</p>
           </div>
-          <button
-            onClick={onClose}
-            className="text-white hover:bg-white hover:bg-opacity-20 rounded-full p-2 transition-colors"
-          >
-            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
-            </svg>
-          </button>
+          <div className="flex items-center gap-2">
+            {canRefund && (
+              <button
+                onClick={() => setRefunding(true)}
+                className="px-3 py-1.5 rounded-lg bg-red-500 hover:bg-red-600 text-sm font-medium transition-colors"
+              >
+                Refund
+              </button>
+            )}
+            <button
+              onClick={() => downloadReceipt('pdf')}
+              className="px-3 py-1.5 rounded-lg bg-white/20 hover:bg-white/30 text-sm font-medium transition-colors"
+            >
+              Download receipt
+            </button>
+            <button
+              onClick={() => downloadReceipt('text')}
+              className="px-3 py-1.5 rounded-lg bg-white/20 hover:bg-white/30 text-sm font-medium transition-colors"
+            >
+              Thermal text
+            </button>
+            <button
+              onClick={onClose}
+              className="text-white hover:bg-white hover:bg-opacity-20 rounded-full p-2 transition-colors"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
         </div>
 
         {/* Modal Content */}
@@ -837,6 +1599,25 @@ function OrderDetailModal({ order, orderDetails, loading, onClose, getStatusClas
                 </div>
               </div>
 
+              {/* Status Timeline */}
+              {orderDetails.status_history && (
+                <div className="bg-gray-50 rounded-xl p-6 border border-gray-200">
+                  <h3 className="text-lg font-bold text-gray-900 mb-4">Timeline</h3>
+                  <ol className="relative border-l-2 border-indigo-200 ml-2 space-y-3">
+                    {orderDetails.status_history.map((entry, index, history) => (
+                      <li key={index} className="ml-4">
+                        <span className={`absolute -left-[7px] mt-1.5 w-3 h-3 rounded-full ${entry.status === 'cancelled' ? 'bg-red-500' : 'bg-indigo-500'}`}></span>
+                        <p className="text-sm">
+                          <span className="font-semibold text-gray-900">{timelineLabel(entry.status)}</span>{' '}
+                          <span className="text-gray-600">{timelineTime(entry.changed_at, history[0].changed_at)}</span>
+                        </p>
+                        <p className="text-xs text-gray-500">{entry.changed_by_username ? `by ${entry.changed_by_username}` : 'automatic'}</p>
+                      </li>
+                    ))}
+                  </ol>
+                </div>
+              )}
+
               {/* Order Items */}
               <div className="bg-gray-50 rounded-xl p-6 border border-gray-200">
                 <h3 className="text-lg font-bold text-gray-900 mb-4 flex items-center">
@@ -852,6 +1633,19 @@ function OrderDetailModal({ order, orderDetails, loading, onClose, getStatusClas
                         <div className="flex justify-between items-start">
                           <div className="flex-1 pr-4">
                             <p className="font-semibold text-gray-900 text-base">{item.item_name} <span className="text-sm font-normal text-gray-500">x{item.quantity}</span></p>
+                            {item.combo && (
+                              <p className="text-xs font-medium text-purple-700 mt-0.5">Part of {item.combo.combo_name} #{item.combo.combo_line}</p>
+                            )}
+                            {item.modifiers && item.modifiers.length > 0 && (
+                              <ul className="mt-1 text-sm text-gray-700">
+                                {item.modifiers.map((m, i) => (
+                                  <li key={i}>
+                                    <span className="text-gray-500">{m.group_name}:</span> {m.option_name}
+                                    {m.price_delta !== 0 && ` (${m.price_delta > 0 ? '+' : '-'}Rs ${Math.abs(m.price_delta).toFixed(2)})`}
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
                             {/* Display description if available and not the fallback 'No description available.' */}
                             {item.description && item.description !== 'No description available.' && (
                                 <p className="text-xs text-gray-500 mt-1 italic line-clamp-2">{item.description}</p>
@@ -878,11 +1672,56 @@ function OrderDetailModal({ order, orderDetails, loading, onClose, getStatusClas
                     <p className="text-2xl font-bold text-gray-900">{order.item_count}</p>
                   </div>
                   <div className="text-right">
+                    <p className="text-sm text-gray-600">Subtotal: Rs {parseFloat(orderDetails.subtotal_amount).toFixed(2)}</p>
+                    {parseFloat(orderDetails.discount_amount) > 0 && (
+                      <p className="text-sm font-medium text-green-700">
+                        Promo {orderDetails.promo_code}: -Rs {parseFloat(orderDetails.discount_amount).toFixed(2)}
+                      </p>
+                    )}
+                    {parseFloat(orderDetails.tax_amount) > 0 && (
+                      <p className="text-sm text-gray-600">Tax: Rs {parseFloat(orderDetails.tax_amount).toFixed(2)}</p>
+                    )}
+                    {parseFloat(orderDetails.service_charge_amount) > 0 && (
+                      <p className="text-sm text-gray-600">
+                        Service charge: Rs {parseFloat(orderDetails.service_charge_amount).toFixed(2)}
+                      </p>
+                    )}
                     <p className="text-gray-700 font-medium">Total Amount</p>
                     <p className="text-3xl font-extrabold text-indigo-600">Rs {parseFloat(order.total_amount).toFixed(2)}</p>
+                    {parseFloat(orderDetails.refunded_amount) > 0 && (
+                      <p className="text-sm font-medium text-red-600">
+                        Refunded: -Rs {parseFloat(orderDetails.refunded_amount).toFixed(2)}
+                      </p>
+                    )}
                   </div>
                 </div>
               </div>
+
+              {/* Refunds */}
+              {refunds.length > 0 && (
+                <div className="bg-gray-50 rounded-xl p-6 border border-gray-200">
+                  <h3 className="text-lg font-bold text-gray-900 mb-4">Refunds</h3>
+                  <ul className="divide-y divide-gray-200">
+                    {refunds.map((refund) => (
+                      <li key={refund.refund_id} className="py-3 text-sm">
+                        <div className="flex justify-between">
+                          <span className="font-semibold text-gray-900">{refundReasonLabel(refund.reason_code)}</span>
+                          <span className="font-bold text-red-600">-Rs {refund.amount.toFixed(2)}</span>
+                        </div>
+                        <p className="text-gray-600">
+                          {refund.items.map((item) => `${item.quantity} × ${item.item_name}`).join(', ')}
+                        </p>
+                        {refund.note && <p className="text-gray-500 italic">{refund.note}</p>}
+                        <p className="text-xs text-gray-500 mt-1">
+                          {new Date(refund.created_at).toLocaleString()} by {refund.created_by_username || 'unknown'}
+                          {' · '}
+                          {refund.provider ? `${refund.provider} ${refund.provider_refund_id}` : 'cash, handed back at the counter'}
+                        </p>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
             </div>
           ) : (
             <div className="text-center py-12 text-gray-500">
@@ -891,6 +1730,10 @@ function OrderDetailModal({ order, orderDetails, loading, onClose, getStatusClas
           )}
         </div>
 
+        {refunding && (
+          <RefundDialog order={orderDetails} onRefunded={handleRefunded} onClose={() => setRefunding(false)} />
+        )}
+
         {/* Modal Footer */}
         <div className="bg-gray-50 px-8 py-4 rounded-b-2xl border-t border-gray-200 flex justify-end">
           <button
@@ -907,14 +1750,26 @@ function OrderDetailModal({ order, orderDetails, loading, onClose, getStatusClas
 
 
 // Order Actions Component
-function OrderActions({ order, busy, setBusy }) {
-  const [status, setStatus] = useState(order.status || 'pending');
+function OrderActions({ order, busy, setBusy, user }) {
+  const current = order.status || 'pending';
+  const [status, setStatus] = useState(current);
   const [payment, setPayment] = useState(order.payment_status || 'pending');
+  // The picker only offers the next statuses, so follow updates from elsewhere.
+  useEffect(() => {
+    setStatus(current);
+  }, [current]);
+  // Refunds are issued from the order details, so 'refunded' can't be picked here.
+  const canEditPayment = hasPermission(user, 'orders.update_payment') && order.payment_status !== 'refunded';
 
   const handleUpdate = async () => {
+    // Only send what changed so each field is checked against its own permission.
+    const changes = {};
+    if (status !== order.status) changes.status = status;
+    if (payment !== order.payment_status) changes.payment_status = payment;
+
     setBusy(true);
     try {
-      await adminAPI.updateOrderStatus(order.order_id, { status, payment_status: payment });
+      await adminAPI.updateOrderStatus(order.order_id, changes);
       alert('Order updated successfully!');
     } catch (err) {
       alert('Failed to update order: ' + (err.response?.data?.error || err.message));
@@ -930,7 +1785,7 @@ function OrderActions({ order, busy, setBusy }) {
         onChange={(e) => setStatus(e.target.value)}
         className="text-xs border border-gray-300 rounded px-2 py-1 focus:ring-2 focus:ring-blue-500"
       >
-        {['pending', 'confirmed', 'preparing', 'ready', 'completed', 'cancelled'].map((s) => (
+        {[current, ...ORDER_STATUS_TRANSITIONS[current]].map((s) => (
           <option key={s} value={s}>
             {s}
           </option>
@@ -939,10 +1794,11 @@ function OrderActions({ order, busy, setBusy }) {
       <select
         value={payment}
         onChange={(e) => setPayment(e.target.value)}
-        className="text-xs border border-gray-300 rounded px-2 py-1 focus:ring-2 focus:ring-blue-500"
+        disabled={!canEditPayment}
+        className="text-xs border border-gray-300 rounded px-2 py-1 focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
       >
         {['pending', 'paid', 'refunded'].map((p) => (
-          <option key={p} value={p}>
+          <option key={p} value={p} disabled={p === 'refunded'}>
             {p}
           </option>
         ))}
@@ -958,8 +1814,139 @@ function OrderActions({ order, busy, setBusy }) {
   );
 }
 
+// Events that change what the Scheduled view shows.
+const SCHEDULE_EVENTS = ['order:scheduled', 'order:new', 'order:update', 'order:overdue', 'order:cancel', 'order:edit'];
+
+// Open scheduled orders on a timeline grouped by pickup day. Held orders
+// show when the server will release them to the kitchen (their pickup time
+// less the lead time it reports); late ones are flagged by the server.
+function ScheduledTimeline({ getStatusClasses, onOpen }) {
+  const [orders, setOrders] = useState([]);
+  const [leadMinutes, setLeadMinutes] = useState(0);
+  const [loading, setLoading] = useState(true);
+
+  const loadScheduled = useCallback(async () => {
+    try {
+      const response = await adminAPI.getAllOrders(1, 'scheduled');
+      setOrders(response.data.orders);
+      setLeadMinutes(response.data.lead_minutes);
+    } catch (err) {
+      console.error('Failed to load scheduled orders:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadScheduled();
+    let socket;
+    try {
+      socket = getSocket();
+      SCHEDULE_EVENTS.forEach((event) => socket.on(event, loadScheduled));
+    } catch (err) {
+      console.warn('Socket connection failed:', err);
+    }
+    return () => {
+      try {
+        if (socket) SCHEDULE_EVENTS.forEach((event) => socket.off(event, loadScheduled));
+      } catch (_e) {}
+    };
+  }, [loadScheduled]);
+
+  if (loading) {
+    return <div className="text-center py-12 text-gray-500">Loading scheduled orders...</div>;
+  }
+  if (orders.length === 0) {
+    return (
+      <div className="bg-white rounded-xl shadow-lg p-12 text-center text-lg font-medium text-gray-500 border border-gray-100">
+        No scheduled orders are waiting.
+      </div>
+    );
+  }
+
+  const days = [];
+  orders.forEach((order) => {
+    const label = new Date(order.scheduled_at).toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' });
+    const day = days.find((entry) => entry.label === label);
+    if (day) {
+      day.orders.push(order);
+    } else {
+      days.push({ label, orders: [order] });
+    }
+  });
+
+  const formatTime = (date) => date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+  const overdueCount = orders.filter((order) => order.is_overdue).length;
+
+  return (
+    <div className="space-y-6">
+      <p className="text-sm text-gray-600">
+        Orders are released to the kitchen {leadMinutes} minutes before their pickup time.
+        {overdueCount > 0 && <span className="ml-2 font-semibold text-red-600">{overdueCount} overdue</span>}
+      </p>
+      {days.map((day) => (
+        <section key={day.label}>
+          <h3 className="text-sm font-bold uppercase tracking-wide text-gray-500 mb-3">{day.label}</h3>
+          <ol className="relative border-l-2 border-indigo-200 ml-3 space-y-4">
+            {day.orders.map((order) => {
+              const dueAt = new Date(order.scheduled_at);
+              const releaseAt = new Date(dueAt.getTime() - leadMinutes * 60 * 1000);
+              return (
+                <li key={order.order_id} className="ml-6">
+                  <span
+                    className={`absolute -left-2 mt-4 w-3.5 h-3.5 rounded-full border-2 border-white ${
+                      order.is_overdue ? 'bg-red-500' : order.released_at ? 'bg-indigo-500' : 'bg-gray-300'
+                    }`}
+                  />
+                  <div
+                    className={`bg-white rounded-xl shadow border p-4 flex flex-wrap items-center justify-between gap-3 ${
+                      order.is_overdue ? 'border-red-300' : 'border-gray-100'
+                    }`}
+                  >
+                    <div>
+                      <p className="text-lg font-bold text-gray-900">{formatTime(dueAt)}</p>
+                      <button
+                        onClick={() => onOpen(order)}
+                        className="font-semibold text-sm text-indigo-700 hover:text-indigo-900 hover:underline"
+                        title="View Order Details"
+                      >
+                        {order.order_number}
+                      </button>
+                      <span className="ml-2 text-xs text-gray-500">
+                        {order.full_name || order.username || `User #${order.user_id}`} · {order.item_count} Items · Rs{' '}
+                        {parseFloat(order.total_amount).toFixed(2)}
+                      </span>
+                    </div>
+                    <div className="flex items-center gap-2 text-xs">
+                      <span className={`px-3 py-1 rounded-full font-bold ${getStatusClasses(order.status)}`}>
+                        {order.status.toUpperCase()}
+                      </span>
+                      {order.is_overdue ? (
+                        <span className="px-2 py-1 rounded bg-red-100 text-red-700 font-semibold">Overdue</span>
+                      ) : order.released_at ? (
+                        <span className="px-2 py-1 rounded bg-indigo-50 text-indigo-700 font-semibold">
+                          In kitchen since {formatTime(new Date(order.released_at))}
+                        </span>
+                      ) : (
+                        <span className="px-2 py-1 rounded bg-gray-100 text-gray-700 font-semibold">
+                          Held until {formatTime(releaseAt)}
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                </li>
+              );
+            })}
+          </ol>
+        </section>
+      ))}
+    </div>
+  );
+}
+
 // Orders Tab
-function OrdersTab({ orders, getStatusClasses }) {
+function OrdersTab({ orders, getStatusClasses, user }) {
+  const [view, setView] = useState('all');
   const [updatingId, setUpdatingId] = useState(null);
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [orderDetails, setOrderDetails] = useState(null);
@@ -992,9 +1979,29 @@ function OrdersTab({ orders, getStatusClasses }) {
 
   return (
     <div>
-      <h2 className="text-2xl font-bold text-gray-900 mb-6 border-b pb-4">All Customer Orders ({orders.length})</h2>
+      <div className="flex items-center justify-between mb-6 border-b pb-4">
+        <h2 className="text-2xl font-bold text-gray-900">
+          {view === 'scheduled' ? 'Scheduled Orders' : `All Customer Orders (${orders.length})`}
+        </h2>
+        <div className="flex rounded-lg border border-gray-200 overflow-hidden text-sm font-semibold">
+          {[
+            ['all', 'All'],
+            ['scheduled', 'Scheduled']
+          ].map(([id, label]) => (
+            <button
+              key={id}
+              onClick={() => setView(id)}
+              className={`px-4 py-2 transition-colors ${view === id ? 'bg-indigo-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
 
-      {orders.length === 0 ? (
+      {view === 'scheduled' ? (
+        <ScheduledTimeline getStatusClasses={getStatusClasses} onOpen={handleOrderClick} />
+      ) : orders.length === 0 ? (
         <div className="bg-white rounded-xl shadow-lg p-12 text-center text-lg font-medium text-gray-500 border border-gray-100">
           No orders have been placed yet.
         </div>
@@ -1058,11 +2065,14 @@ function OrdersTab({ orders, getStatusClasses }) {
                       <p className="text-gray-500 mt-1">
                         {order.order_type === 'scheduled' ? formatScheduleDisplay(order.scheduled_at) : new Date(order.created_at).toLocaleDateString()}
                       </p>
+                      {order.overdue_at && ['pending', 'confirmed', 'preparing'].includes(order.status) && (
+                        <span className="inline-block mt-1 px-2 py-0.5 rounded bg-red-100 text-red-700 font-semibold">Overdue</span>
+                      )}
                   </td>
                   
                   {/* Actions */}
                   <td className="px-4 py-3">
-                    <OrderActions order={order} busy={updatingId === order.order_id} setBusy={(flag) => setUpdatingId(flag ? order.order_id : null)} />
+                    <OrderActions order={order} user={user} busy={updatingId === order.order_id} setBusy={(flag) => setUpdatingId(flag ? order.order_id : null)} />
                   </td>
                 </tr>
               ))}
@@ -1078,11 +2088,1321 @@ function OrdersTab({ orders, getStatusClasses }) {
           orderDetails={orderDetails}
           loading={loadingDetails}
           onClose={closeModal}
+          onRefunded={() => fetchOrderDetails(selectedOrder.order_id)}
           getStatusClasses={getStatusClasses}
+          user={user}
+        />
+      )}
+    </div>
+  );
+}
+
+// Inventory Tab - ingredient stock, recipes and the low-stock report
+const formatQuantity = (value) => Number(value).toFixed(2).replace(/\.?0+$/, '');
+
+function IngredientRow({ ingredient, onSaved }) {
+  const [stock, setStock] = useState(formatQuantity(ingredient.stock_quantity));
+  const [threshold, setThreshold] = useState(formatQuantity(ingredient.low_stock_threshold));
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setStock(formatQuantity(ingredient.stock_quantity));
+    setThreshold(formatQuantity(ingredient.low_stock_threshold));
+  }, [ingredient.stock_quantity, ingredient.low_stock_threshold]);
+
+  const dirty =
+    Number(stock) !== Number(ingredient.stock_quantity) || Number(threshold) !== Number(ingredient.low_stock_threshold);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await adminAPI.updateIngredient(ingredient.ingredient_id, {
+        stock_quantity: Number(stock),
+        low_stock_threshold: Number(threshold)
+      });
+      await onSaved();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to update ingredient');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <tr className="hover:bg-gray-50">
+      <td className="px-6 py-3 text-sm text-gray-900 font-medium">{ingredient.name}</td>
+      <td className="px-6 py-3">
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={stock}
+          onChange={(e) => setStock(e.target.value)}
+          className="w-24 px-2 py-1 border border-gray-300 rounded text-sm"
+        />
+        <span className="ml-2 text-xs text-gray-500">{ingredient.unit}</span>
+      </td>
+      <td className="px-6 py-3">
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={threshold}
+          onChange={(e) => setThreshold(e.target.value)}
+          className="w-24 px-2 py-1 border border-gray-300 rounded text-sm"
         />
+      </td>
+      <td className="px-6 py-3 text-right">
+        <button
+          onClick={handleSave}
+          disabled={!dirty || saving || stock === '' || threshold === ''}
+          className="text-xs px-3 py-1 rounded bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50 transition-colors"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </td>
+    </tr>
+  );
+}
+
+function RecipeEditor({ menuItems, ingredients }) {
+  const [itemId, setItemId] = useState('');
+  const [lines, setLines] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!itemId) {
+      setLines([]);
+      return;
+    }
+    setLoading(true);
+    adminAPI
+      .getRecipe(itemId)
+      .then((response) =>
+        setLines(response.data.ingredients.map((line) => ({
+          ingredient_id: String(line.ingredient_id),
+          quantity: formatQuantity(line.quantity)
+        })))
+      )
+      .catch((err) => alert(err.response?.data?.error || 'Failed to load recipe'))
+      .finally(() => setLoading(false));
+  }, [itemId]);
+
+  const updateLine = (index, key, value) =>
+    setLines((prev) => prev.map((line, i) => (i === index ? { ...line, [key]: value } : line)));
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await adminAPI.updateRecipe(itemId, lines.map((line) => ({
+        ingredient_id: Number(line.ingredient_id),
+        quantity: Number(line.quantity)
+      })));
+      alert('Recipe saved');
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to save recipe');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const complete = lines.every((line) => line.ingredient_id && Number(line.quantity) > 0);
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">Recipes</h3>
+      <p className="text-sm text-gray-500 mb-4">Ingredients used per portion. Completed orders deduct these.</p>
+      <select
+        value={itemId}
+        onChange={(e) => setItemId(e.target.value)}
+        className="w-full md:w-80 px-3 py-2 border border-gray-300 rounded-lg text-sm mb-4"
+      >
+        <option value="">Select a menu item</option>
+        {menuItems.map((item) => (
+          <option key={item.item_id} value={item.item_id}>{item.item_name}</option>
+        ))}
+      </select>
+
+      {itemId && loading && <p className="text-sm text-gray-500">Loading...</p>}
+
+      {itemId && !loading && (
+        <div className="space-y-2">
+          {lines.length === 0 && <p className="text-sm text-gray-500">No ingredients yet.</p>}
+          {lines.map((line, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <select
+                value={line.ingredient_id}
+                onChange={(e) => updateLine(index, 'ingredient_id', e.target.value)}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+                <option value="">Ingredient</option>
+                {ingredients.map((ingredient) => (
+                  <option key={ingredient.ingredient_id} value={ingredient.ingredient_id}>
+                    {ingredient.name} ({ingredient.unit})
+                  </option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={line.quantity}
+                onChange={(e) => updateLine(index, 'quantity', e.target.value)}
+                className="w-24 px-2 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+              <button
+                onClick={() => setLines((prev) => prev.filter((_, i) => i !== index))}
+                className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                title="Remove"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          <div className="flex gap-2 pt-2">
+            <button
+              onClick={() => setLines((prev) => [...prev, { ingredient_id: '', quantity: '1' }])}
+              className="text-sm px-3 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100"
+            >
+              + Add ingredient
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving || !complete}
+              className="text-sm px-4 py-2 rounded-lg bg-blue-500 text-white font-medium hover:bg-blue-600 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save recipe'}
+            </button>
+          </div>
+        </div>
       )}
     </div>
   );
 }
 
+function InventoryTab({ menuItems }) {
+  const [ingredients, setIngredients] = useState([]);
+  const [lowStock, setLowStock] = useState([]);
+  const [newIngredient, setNewIngredient] = useState({ name: '', unit: 'pcs', stock_quantity: '', low_stock_threshold: '' });
+  const [loading, setLoading] = useState(true);
+
+  const loadInventory = useCallback(async () => {
+    try {
+      const [ingredientsRes, lowStockRes] = await Promise.all([
+        adminAPI.getIngredients(),
+        adminAPI.getLowStockReport()
+      ]);
+      setIngredients(ingredientsRes.data || []);
+      setLowStock(lowStockRes.data || []);
+    } catch (err) {
+      console.error('Failed to load inventory:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadInventory();
+  }, [loadInventory]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    try {
+      await adminAPI.createIngredient({
+        name: newIngredient.name.trim(),
+        unit: newIngredient.unit.trim() || 'pcs',
+        stock_quantity: Number(newIngredient.stock_quantity) || 0,
+        low_stock_threshold: Number(newIngredient.low_stock_threshold) || 0
+      });
+      setNewIngredient({ name: '', unit: 'pcs', stock_quantity: '', low_stock_threshold: '' });
+      await loadInventory();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to add ingredient');
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center py-12 text-gray-500">Loading...</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-2xl font-bold text-gray-900">Inventory</h2>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Low stock</h3>
+        {lowStock.length === 0 ? (
+          <p className="text-sm text-gray-500">Every ingredient is above its threshold.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {lowStock.map((ingredient) => (
+              <li key={ingredient.ingredient_id} className="py-3 flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+                <div>
+                  <span className="font-medium text-gray-900">{ingredient.name}</span>
+                  <span
+                    className={`ml-2 px-2 py-0.5 rounded text-xs font-medium ${
+                      ingredient.depleted ? 'bg-red-100 text-red-700' : 'bg-yellow-100 text-yellow-700'
+                    }`}
+                  >
+                    {ingredient.depleted ? 'Out' : 'Low'}
+                  </span>
+                  <p className="text-sm text-gray-500">
+                    {formatQuantity(ingredient.stock_quantity)} {ingredient.unit} left · threshold {formatQuantity(ingredient.low_stock_threshold)}
+                  </p>
+                </div>
+                <p className="text-xs text-gray-600 md:text-right">
+                  {ingredient.items.length === 0
+                    ? 'Not used by any menu item'
+                    : ingredient.items.map((item, index) => (
+                        <span key={item.item_id} className={item.is_available ? '' : 'line-through text-red-500'}>
+                          {index > 0 && ', '}
+                          {item.item_name}
+                        </span>
+                      ))}
+                </p>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-100 overflow-x-auto">
+        <form onSubmit={handleAdd} className="flex flex-wrap items-end gap-2 p-4 border-b border-gray-100">
+          <input
+            type="text"
+            value={newIngredient.name}
+            onChange={(e) => setNewIngredient({ ...newIngredient, name: e.target.value })}
+            placeholder="New ingredient"
+            required
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <input
+            type="text"
+            value={newIngredient.unit}
+            onChange={(e) => setNewIngredient({ ...newIngredient, unit: e.target.value })}
+            placeholder="Unit"
+            className="w-20 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={newIngredient.stock_quantity}
+            onChange={(e) => setNewIngredient({ ...newIngredient, stock_quantity: e.target.value })}
+            placeholder="Stock"
+            className="w-24 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={newIngredient.low_stock_threshold}
+            onChange={(e) => setNewIngredient({ ...newIngredient, low_stock_threshold: e.target.value })}
+            placeholder="Low at"
+            className="w-24 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <button type="submit" className="px-4 py-2 bg-blue-500 text-white rounded-lg text-sm font-medium hover:bg-blue-600 transition-colors">
+            + Add
+          </button>
+        </form>
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Ingredient</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">In stock</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Low-stock threshold</th>
+              <th className="px-6 py-3"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {ingredients.length === 0 && (
+              <tr>
+                <td colSpan={4} className="px-6 py-6 text-center text-gray-500 text-sm">No ingredients yet.</td>
+              </tr>
+            )}
+            {ingredients.map((ingredient) => (
+              <IngredientRow key={ingredient.ingredient_id} ingredient={ingredient} onSaved={loadInventory} />
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <RecipeEditor menuItems={menuItems} ingredients={ingredients} />
+    </div>
+  );
+}
+
+// Users Tab - customers' order counts and spend, plus account controls
+const USERS_PAGE_SIZE = 20;
+
+function UsersTab({ user }) {
+  const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState({ search: '', role: '', status: '' });
+  const [searchInput, setSearchInput] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadUsers = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { page, limit: USERS_PAGE_SIZE };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      const response = await adminAPI.getUsers(params);
+      setUsers(response.data?.users || []);
+      setTotal(response.data?.total || 0);
+    } catch (err) {
+      console.error('Failed to load users:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [page, filters]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const applyFilter = (key, value) => {
+    setPage(1);
+    setFilters((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    applyFilter('search', searchInput.trim());
+  };
+
+  const runAction = async (account, action) => {
+    setBusyId(account.user_id);
+    try {
+      await action();
+      await loadUsers();
+    } catch (err) {
+      alert(err.response?.data?.error || err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const toggleActive = (account) => {
+    const verb = account.is_active ? 'Deactivate' : 'Reactivate';
+    if (!window.confirm(`${verb} ${account.username}?`)) return;
+    runAction(account, () => adminAPI.updateUserStatus(account.user_id, !account.is_active));
+  };
+
+  const changeRole = (account, role) => {
+    if (role === account.role) return;
+    if (!window.confirm(`Change ${account.username} from ${account.role} to ${role}? They will be signed out.`)) return;
+    runAction(account, () => adminAPI.changeUserRole(account.user_id, role));
+  };
+
+  const sendReset = (account) =>
+    runAction(account, async () => {
+      const response = await adminAPI.sendUserPasswordReset(account.user_id);
+      alert(response.data.message);
+    });
+
+  // Mirrors the server: no self-edits here, and super-admin accounts are
+  // only editable by another super-admin.
+  const canEdit = (account) =>
+    account.user_id !== user?.userId && (!account.is_super_admin || user?.isSuperAdmin);
+
+  const totalPages = Math.max(1, Math.ceil(total / USERS_PAGE_SIZE));
+
+  return (
+    <div>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">Users</h2>
+        <div className="flex flex-wrap items-center gap-2">
+          <form onSubmit={handleSearch} className="flex items-center gap-2">
+            <input
+              type="search"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder="Search name, username or email"
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm w-64"
+            />
+            <button type="submit" className="px-4 py-2 bg-blue-500 text-white rounded-lg text-sm font-medium hover:bg-blue-600 transition-colors">
+              Search
+            </button>
+          </form>
+          <select
+            value={filters.role}
+            onChange={(e) => applyFilter('role', e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="">All roles</option>
+            <option value="customer">customer</option>
+            <option value="staff">staff</option>
+            <option value="admin">admin</option>
+          </select>
+          <select
+            value={filters.status}
+            onChange={(e) => applyFilter('status', e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="">Any status</option>
+            <option value="active">Active</option>
+            <option value="inactive">Deactivated</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-100 overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Orders</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Lifetime Spend</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {loading && (
+              <tr>
+                <td colSpan={6} className="px-6 py-6 text-center text-gray-500 text-sm">Loading...</td>
+              </tr>
+            )}
+            {!loading && users.length === 0 && (
+              <tr>
+                <td colSpan={6} className="px-6 py-6 text-center text-gray-500 text-sm">No users match these filters.</td>
+              </tr>
+            )}
+            {!loading && users.map((account) => {
+              const editable = canEdit(account);
+              const busy = busyId === account.user_id;
+              return (
+                <tr key={account.user_id} className="hover:bg-gray-50">
+                  <td className="px-6 py-3">
+                    <p className="text-gray-900 font-medium text-sm">
+                      {account.full_name}
+                      {account.is_super_admin && (
+                        <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-purple-100 text-purple-700">super-admin</span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500">{account.username} · {account.email}</p>
+                  </td>
+                  <td className="px-6 py-3">
+                    <select
+                      value={account.role}
+                      onChange={(e) => changeRole(account, e.target.value)}
+                      disabled={!editable || busy}
+                      className="px-2 py-1 border border-gray-300 rounded text-sm disabled:bg-gray-100 disabled:text-gray-500"
+                    >
+                      <option value="customer">customer</option>
+                      <option value="staff">staff</option>
+                      <option value="admin">admin</option>
+                    </select>
+                  </td>
+                  <td className="px-6 py-3 text-right text-sm text-gray-700">
+                    {account.role === 'customer' ? account.order_count : '—'}
+                  </td>
+                  <td className="px-6 py-3 text-right text-sm text-gray-900 font-medium">
+                    {account.role === 'customer' ? `Rs ${Number(account.lifetime_spend).toFixed(2)}` : '—'}
+                  </td>
+                  <td className="px-6 py-3">
+                    <span
+                      className={`px-2 py-1 rounded text-xs font-medium ${
+                        account.is_active ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-700'
+                      }`}
+                    >
+                      {account.is_active ? 'Active' : 'Deactivated'}
+                    </span>
+                  </td>
+                  <td className="px-6 py-3 text-right whitespace-nowrap">
+                    {editable && (
+                      <div className="flex justify-end gap-2">
+                        {account.is_active && (
+                          <button
+                            onClick={() => sendReset(account)}
+                            disabled={busy}
+                            className="text-xs px-3 py-1 rounded border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50 transition-colors"
+                          >
+                            Send reset link
+                          </button>
+                        )}
+                        <button
+                          onClick={() => toggleActive(account)}
+                          disabled={busy}
+                          className={`text-xs px-3 py-1 rounded text-white disabled:opacity-50 transition-colors ${
+                            account.is_active ? 'bg-red-500 hover:bg-red-600' : 'bg-green-500 hover:bg-green-600'
+                          }`}
+                        >
+                          {account.is_active ? 'Deactivate' : 'Reactivate'}
+                        </button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+        <span>{total} user{total === 1 ? '' : 's'}</span>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setPage((p) => Math.max(1, p - 1))}
+            disabled={page <= 1 || loading}
+            className="px-3 py-1 rounded border border-gray-300 hover:bg-gray-100 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span>Page {page} of {totalPages}</span>
+          <button
+            onClick={() => setPage((p) => Math.min(totalPages, p + 1))}
+            disabled={page >= totalPages || loading}
+            className="px-3 py-1 rounded border border-gray-300 hover:bg-gray-100 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Invites Tab - admin and staff accounts are created only from these links
+function InvitesTab({ user }) {
+  const [invites, setInvites] = useState([]);
+  const [form, setForm] = useState({ email: '', role: 'staff' });
+  const [saving, setSaving] = useState(false);
+  const [lastInvite, setLastInvite] = useState(null);
+
+  const loadInvites = useCallback(async () => {
+    try {
+      const response = await adminAPI.getInvites();
+      setInvites(Array.isArray(response.data) ? response.data : []);
+    } catch (err) {
+      console.error('Failed to load invites:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadInvites();
+  }, [loadInvites]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await adminAPI.createInvite(form);
+      setLastInvite(response.data);
+      setForm({ email: '', role: form.role });
+      loadInvites();
+    } catch (err) {
+      alert('Failed to create invite: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inviteState = (invite) => {
+    if (invite.used_at) return { label: `Used by ${invite.used_by_username || 'deleted user'}`, classes: 'bg-green-100 text-green-700' };
+    if (new Date(invite.expires_at) <= new Date()) return { label: 'Expired', classes: 'bg-gray-100 text-gray-700' };
+    return { label: 'Pending', classes: 'bg-yellow-100 text-yellow-700' };
+  };
+
+  return (
+    <div>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">Invites</h2>
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2">
+          <input
+            type="email"
+            value={form.email}
+            onChange={(e) => setForm({ ...form, email: e.target.value })}
+            placeholder="Email address"
+            required
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <select
+            value={form.role}
+            onChange={(e) => setForm({ ...form, role: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="staff">staff</option>
+            {user?.isSuperAdmin && <option value="admin">admin</option>}
+          </select>
+          <button
+            type="submit"
+            disabled={saving || !form.email.trim()}
+            className="px-4 py-2 bg-blue-500 text-white rounded-lg text-sm font-medium hover:bg-blue-600 disabled:opacity-50 transition-colors"
+          >
+            {saving ? 'Sending...' : 'Create Invite'}
+          </button>
+        </form>
+      </div>
+
+      {lastInvite && (
+        <div className="mb-6 bg-blue-50 border border-blue-200 rounded-lg p-4">
+          <p className="text-sm text-blue-900 mb-2">
+            Share this single-use link with <span className="font-semibold">{lastInvite.email}</span>. It expires{' '}
+            {new Date(lastInvite.expires_at).toLocaleString()} and will not be shown again.
+          </p>
+          <div className="flex items-center gap-2">
+            <input readOnly value={lastInvite.invite_url} className="flex-1 px-3 py-2 border border-blue-200 rounded text-sm bg-white" />
+            <button
+              type="button"
+              onClick={() => navigator.clipboard?.writeText(lastInvite.invite_url)}
+              className="px-3 py-2 bg-blue-500 text-white rounded text-sm hover:bg-blue-600 transition-colors"
+            >
+              Copy
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-100 overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Email</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Invited By</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {invites.length === 0 && (
+              <tr>
+                <td colSpan={4} className="px-6 py-6 text-center text-gray-500 text-sm">No invites yet.</td>
+              </tr>
+            )}
+            {invites.map((invite) => {
+              const state = inviteState(invite);
+              return (
+                <tr key={invite.invite_id} className="hover:bg-gray-50">
+                  <td className="px-6 py-3 text-gray-900 text-sm">{invite.email}</td>
+                  <td className="px-6 py-3 text-gray-700 text-sm">{invite.role}</td>
+                  <td className="px-6 py-3 text-gray-700 text-sm">{invite.invited_by_username}</td>
+                  <td className="px-6 py-3">
+                    <span className={`px-2 py-1 rounded text-xs font-medium ${state.classes}`}>{state.label}</span>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Promos Tab - discount codes customers enter at checkout
+const emptyPromo = () => ({
+  code: '',
+  description: '',
+  discount_type: 'percentage',
+  discount_value: '',
+  max_discount: '',
+  min_order_amount: '',
+  per_user_limit: '',
+  starts_at: '',
+  ends_at: '',
+  category_ids: [],
+  item_ids: [],
+});
+
+// datetime-local inputs want local "YYYY-MM-DDTHH:mm".
+const toLocalInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+};
+
+const describeDiscount = (promo) => {
+  const value = parseFloat(promo.discount_value);
+  const amount = promo.discount_type === 'percentage' ? `${value}% off` : `Rs ${value.toFixed(2)} off`;
+  return promo.max_discount !== null ? `${amount} (max Rs ${parseFloat(promo.max_discount).toFixed(2)})` : amount;
+};
+
+function PromosTab({ menuItems, categories }) {
+  const [promos, setPromos] = useState([]);
+  const [form, setForm] = useState(emptyPromo());
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadPromos = useCallback(async () => {
+    try {
+      const response = await adminAPI.getPromoCodes();
+      setPromos(Array.isArray(response.data) ? response.data : []);
+    } catch (err) {
+      console.error('Failed to load promo codes:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPromos();
+  }, [loadPromos]);
+
+  const startEdit = (promo) => {
+    setEditingId(promo.promo_id);
+    setForm({
+      code: promo.code,
+      description: promo.description || '',
+      discount_type: promo.discount_type,
+      discount_value: String(promo.discount_value),
+      max_discount: promo.max_discount !== null ? String(promo.max_discount) : '',
+      min_order_amount: parseFloat(promo.min_order_amount) > 0 ? String(promo.min_order_amount) : '',
+      per_user_limit: promo.per_user_limit !== null ? String(promo.per_user_limit) : '',
+      starts_at: toLocalInput(promo.starts_at),
+      ends_at: toLocalInput(promo.ends_at),
+      category_ids: promo.category_ids,
+      item_ids: promo.item_ids,
+    });
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setForm(emptyPromo());
+  };
+
+  const toggleId = (field, id) =>
+    setForm((prev) => ({
+      ...prev,
+      [field]: prev[field].includes(id) ? prev[field].filter((x) => x !== id) : [...prev[field], id],
+    }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = {
+      description: form.description.trim() || null,
+      discount_type: form.discount_type,
+      discount_value: parseFloat(form.discount_value),
+      max_discount: form.max_discount === '' ? null : parseFloat(form.max_discount),
+      min_order_amount: form.min_order_amount === '' ? 0 : parseFloat(form.min_order_amount),
+      per_user_limit: form.per_user_limit === '' ? null : parseInt(form.per_user_limit, 10),
+      starts_at: form.starts_at ? new Date(form.starts_at).toISOString() : null,
+      ends_at: form.ends_at ? new Date(form.ends_at).toISOString() : null,
+      category_ids: form.category_ids,
+      item_ids: form.item_ids,
+    };
+
+    setSaving(true);
+    try {
+      if (editingId) {
+        await adminAPI.updatePromoCode(editingId, payload);
+      } else {
+        await adminAPI.createPromoCode({ ...payload, code: form.code.trim() });
+      }
+      resetForm();
+      loadPromos();
+    } catch (err) {
+      alert('Failed to save promo code: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleActive = async (promo) => {
+    try {
+      await adminAPI.updatePromoCode(promo.promo_id, { is_active: !promo.is_active });
+      loadPromos();
+    } catch (err) {
+      alert('Failed to update promo code: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const restrictionLabel = (promo) => {
+    const names = [
+      ...promo.category_ids.map((id) => categories.find((c) => c.category_id === id)?.category_name || `Category ${id}`),
+      ...promo.item_ids.map((id) => menuItems.find((i) => i.item_id === id)?.item_name || `Item ${id}`),
+    ];
+    return names.length > 0 ? names.join(', ') : 'Whole order';
+  };
+
+  const inputClasses = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm';
+
+  return (
+    <div>
+      <h2 className="text-2xl font-bold text-gray-900 mb-6">Promo Codes</h2>
+
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-sm border border-gray-100 p-6 mb-6 space-y-4">
+        <h3 className="text-lg font-semibold text-gray-900">{editingId ? `Edit ${form.code}` : 'New Promo Code'}</h3>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <label className="text-sm text-gray-700">
+            Code
+            <input
+              value={form.code}
+              onChange={(e) => setForm({ ...form, code: e.target.value.toUpperCase() })}
+              disabled={!!editingId}
+              required
+              maxLength={40}
+              className={`${inputClasses} uppercase disabled:bg-gray-100`}
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Type
+            <select
+              value={form.discount_type}
+              onChange={(e) => setForm({ ...form, discount_type: e.target.value })}
+              className={inputClasses}
+            >
+              <option value="percentage">Percentage</option>
+              <option value="fixed">Fixed amount (Rs)</option>
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            {form.discount_type === 'percentage' ? 'Percent off' : 'Amount off (Rs)'}
+            <input
+              type="number"
+              min="0.01"
+              max={form.discount_type === 'percentage' ? '99.99' : undefined}
+              step="0.01"
+              value={form.discount_value}
+              onChange={(e) => setForm({ ...form, discount_value: e.target.value })}
+              required
+              className={inputClasses}
+            />
+          </label>
+          <label className="text-sm text-gray-700 md:col-span-3">
+            Description
+            <input
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              maxLength={255}
+              className={inputClasses}
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Max discount (Rs)
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={form.max_discount}
+              onChange={(e) => setForm({ ...form, max_discount: e.target.value })}
+              placeholder="No cap"
+              className={inputClasses}
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Minimum order (Rs)
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={form.min_order_amount}
+              onChange={(e) => setForm({ ...form, min_order_amount: e.target.value })}
+              placeholder="None"
+              className={inputClasses}
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Uses per customer
+            <input
+              type="number"
+              min="1"
+              step="1"
+              value={form.per_user_limit}
+              onChange={(e) => setForm({ ...form, per_user_limit: e.target.value })}
+              placeholder="Unlimited"
+              className={inputClasses}
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Starts
+            <input
+              type="datetime-local"
+              value={form.starts_at}
+              onChange={(e) => setForm({ ...form, starts_at: e.target.value })}
+              className={inputClasses}
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Ends
+            <input
+              type="datetime-local"
+              value={form.ends_at}
+              onChange={(e) => setForm({ ...form, ends_at: e.target.value })}
+              className={inputClasses}
+            />
+          </label>
+        </div>
+
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">
+            Applies to <span className="font-normal text-gray-500">(leave empty for the whole order)</span>
+          </p>
+          <div className="flex flex-wrap gap-2 mb-2">
+            {categories.map((category) => (
+              <label key={category.category_id} className="flex items-center gap-1 px-2 py-1 border border-gray-200 rounded text-sm">
+                <input
+                  type="checkbox"
+                  checked={form.category_ids.includes(category.category_id)}
+                  onChange={() => toggleId('category_ids', category.category_id)}
+                />
+                {category.category_name}
+              </label>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-2 max-h-32 overflow-y-auto">
+            {menuItems.map((item) => (
+              <label key={item.item_id} className="flex items-center gap-1 px-2 py-1 border border-gray-200 rounded text-xs">
+                <input
+                  type="checkbox"
+                  checked={form.item_ids.includes(item.item_id)}
+                  onChange={() => toggleId('item_ids', item.item_id)}
+                />
+                {item.item_name}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 bg-blue-500 text-white rounded-lg text-sm font-medium hover:bg-blue-600 disabled:opacity-50 transition-colors"
+          >
+            {saving ? 'Saving...' : editingId ? 'Save Changes' : 'Create Code'}
+          </button>
+          {editingId && (
+            <button
+              type="button"
+              onClick={resetForm}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 transition-colors"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-100 overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Code</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Discount</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Applies To</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Valid</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Used</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {promos.length === 0 && (
+              <tr>
+                <td colSpan={6} className="px-6 py-6 text-center text-gray-500 text-sm">No promo codes yet.</td>
+              </tr>
+            )}
+            {promos.map((promo) => (
+              <tr key={promo.promo_id} className={promo.is_active ? 'hover:bg-gray-50' : 'bg-gray-50 text-gray-400'}>
+                <td className="px-6 py-3 text-sm">
+                  <p className="font-mono font-semibold text-gray-900">{promo.code}</p>
+                  {promo.description && <p className="text-xs text-gray-500">{promo.description}</p>}
+                </td>
+                <td className="px-6 py-3 text-sm text-gray-700">
+                  {describeDiscount(promo)}
+                  {parseFloat(promo.min_order_amount) > 0 && (
+                    <p className="text-xs text-gray-500">Min order Rs {parseFloat(promo.min_order_amount).toFixed(2)}</p>
+                  )}
+                </td>
+                <td className="px-6 py-3 text-sm text-gray-700">{restrictionLabel(promo)}</td>
+                <td className="px-6 py-3 text-xs text-gray-700">
+                  {promo.starts_at ? new Date(promo.starts_at).toLocaleString() : 'Now'} –{' '}
+                  {promo.ends_at ? new Date(promo.ends_at).toLocaleString() : 'No end'}
+                </td>
+                <td className="px-6 py-3 text-sm text-gray-700">
+                  {promo.times_used}
+                  {promo.per_user_limit !== null && <span className="text-xs text-gray-500"> · {promo.per_user_limit}/customer</span>}
+                </td>
+                <td className="px-6 py-3 text-sm space-x-2 whitespace-nowrap">
+                  <button onClick={() => startEdit(promo)} className="text-blue-600 hover:underline">
+                    Edit
+                  </button>
+                  <button onClick={() => toggleActive(promo)} className="text-gray-600 hover:underline">
+                    {promo.is_active ? 'Disable' : 'Enable'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Activity Tab - who changed what, from the audit log
+const ACTIVITY_PAGE_SIZE = 50;
+
+const formatAuditValues = (values) =>
+  values
+    ? Object.entries(values)
+        .map(([key, value]) => `${key}: ${value === null ? '—' : value}`)
+        .join(', ')
+    : '—';
+
+function ActivityTab() {
+  const [logs, setLogs] = useState([]);
+  const [entityTypes, setEntityTypes] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState({ entity_type: '', actor: '', from: '', to: '' });
+  const [actorInput, setActorInput] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  const loadLogs = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { page, limit: ACTIVITY_PAGE_SIZE };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      const response = await adminAPI.getAuditLogs(params);
+      setLogs(response.data?.logs || []);
+      setTotal(response.data?.total || 0);
+      setEntityTypes(response.data?.entity_types || []);
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to load activity');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, filters]);
+
+  useEffect(() => {
+    loadLogs();
+  }, [loadLogs]);
+
+  const applyFilter = (key, value) => {
+    setPage(1);
+    setFilters((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleActorSearch = (e) => {
+    e.preventDefault();
+    applyFilter('actor', actorInput.trim());
+  };
+
+  const totalPages = Math.max(1, Math.ceil(total / ACTIVITY_PAGE_SIZE));
+
+  return (
+    <div>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">Activity</h2>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={filters.entity_type}
+            onChange={(e) => applyFilter('entity_type', e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="">All entities</option>
+            {entityTypes.map((type) => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+          <form onSubmit={handleActorSearch} className="flex items-center gap-2">
+            <input
+              type="search"
+              value={actorInput}
+              onChange={(e) => setActorInput(e.target.value)}
+              placeholder="Actor username"
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm w-44"
+            />
+            <button type="submit" className="px-4 py-2 bg-blue-500 text-white rounded-lg text-sm font-medium hover:bg-blue-600 transition-colors">
+              Filter
+            </button>
+          </form>
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => applyFilter('from', e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            aria-label="From date"
+          />
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => applyFilter('to', e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            aria-label="To date"
+          />
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-100 overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">When</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actor</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Entity</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Change</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {loading && (
+              <tr>
+                <td colSpan={5} className="px-6 py-6 text-center text-gray-500 text-sm">Loading...</td>
+              </tr>
+            )}
+            {!loading && logs.length === 0 && (
+              <tr>
+                <td colSpan={5} className="px-6 py-6 text-center text-gray-500 text-sm">No activity matches these filters.</td>
+              </tr>
+            )}
+            {!loading && logs.map((log) => (
+              <tr key={log.log_id} className="hover:bg-gray-50 align-top">
+                <td className="px-6 py-3 text-sm text-gray-700 whitespace-nowrap">{new Date(log.created_at).toLocaleString()}</td>
+                <td className="px-6 py-3 text-sm text-gray-900">
+                  {log.actor_username || 'system'}
+                  {log.ip_address && <p className="text-xs text-gray-500">{log.ip_address}</p>}
+                </td>
+                <td className="px-6 py-3 text-sm font-mono text-gray-700">{log.action}</td>
+                <td className="px-6 py-3 text-sm text-gray-700 whitespace-nowrap">
+                  {log.entity_type}{log.entity_id !== null && ` #${log.entity_id}`}
+                </td>
+                <td className="px-6 py-3 text-xs text-gray-600">
+                  <p className="text-red-600">{formatAuditValues(log.old_values)}</p>
+                  <p className="text-green-700">→ {formatAuditValues(log.new_values)}</p>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+        <span>{total} entr{total === 1 ? 'y' : 'ies'}</span>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setPage((p) => Math.max(1, p - 1))}
+            disabled={page <= 1 || loading}
+            className="px-3 py-1 rounded border border-gray-300 hover:bg-gray-100 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span>Page {page} of {totalPages}</span>
+          <button
+            onClick={() => setPage((p) => Math.min(totalPages, p + 1))}
+            disabled={page >= totalPages || loading}
+            className="px-3 py-1 rounded border border-gray-300 hover:bg-gray-100 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Permissions Tab (super-admins only)
+function PermissionsTab() {
+  const [permissions, setPermissions] = useState([]);
+  const [grants, setGrants] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [savingRole, setSavingRole] = useState(null);
+
+  useEffect(() => {
+    adminAPI.getPermissions()
+      .then((response) => {
+        setPermissions(response.data?.permissions || []);
+        setGrants(response.data?.roles || {});
+      })
+      .catch((err) => alert('Failed to load permissions: ' + (err.response?.data?.error || err.message)))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const roles = Object.keys(grants);
+
+  const toggle = (role, key) => {
+    setGrants((prev) => {
+      const current = prev[role] || [];
+      const next = current.includes(key) ? current.filter((k) => k !== key) : [...current, key];
+      return { ...prev, [role]: next };
+    });
+  };
+
+  const saveRole = async (role) => {
+    setSavingRole(role);
+    try {
+      const response = await adminAPI.updateRolePermissions(role, grants[role] || []);
+      setGrants((prev) => ({ ...prev, [role]: response.data.permissions }));
+      alert(`Permissions for ${role} saved.`);
+    } catch (err) {
+      alert('Failed to save permissions: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setSavingRole(null);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center py-12 text-gray-500">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <h2 className="text-2xl font-bold text-gray-900 mb-2">Role Permissions</h2>
+      <p className="text-sm text-gray-500 mb-6">
+        Super-admins always hold every permission. Changes apply on the user's next request.
+      </p>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-100 overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Permission</th>
+              {roles.map((role) => (
+                <th key={role} className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase">{role}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {permissions.map((permission) => (
+              <tr key={permission.key} className="hover:bg-gray-50">
+                <td className="px-6 py-3">
+                  <p className="text-gray-900 font-medium text-sm">{permission.key}</p>
+                  <p className="text-xs text-gray-500">{permission.description}</p>
+                </td>
+                {roles.map((role) => (
+                  <td key={role} className="px-6 py-3 text-center">
+                    <input
+                      type="checkbox"
+                      checked={(grants[role] || []).includes(permission.key)}
+                      onChange={() => toggle(role, permission.key)}
+                      aria-label={`${role}: ${permission.key}`}
+                      className="h-4 w-4"
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+          <tfoot className="bg-gray-50">
+            <tr>
+              <td className="px-6 py-3" />
+              {roles.map((role) => (
+                <td key={role} className="px-6 py-3 text-center">
+                  <button
+                    onClick={() => saveRole(role)}
+                    disabled={savingRole === role}
+                    className="text-xs px-3 py-1 rounded bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50 transition-colors"
+                  >
+                    {savingRole === role ? 'Saving...' : 'Save'}
+                  </button>
+                </td>
+              ))}
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    </div>
+  );
+}
+
 export default AdminDashboard;
\ No newline at end of file
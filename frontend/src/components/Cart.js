@@ -1,10 +1,12 @@
-import React, { useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import { useNavigate } from "react-router-dom";
-import { orderAPI } from "../services/api";
+import { orderAPI, menuAPI } from "../services/api";
 import { useToast } from "./ToastProvider";
+import ModifierPicker from "./ModifierPicker";
+import PaymentDialog from "./PaymentDialog";
 import "./Cart.css";
 
-function Cart({ cart, onUpdateQuantity, onRemove, onClearCart }) {
+function Cart({ cart, onUpdateQuantity, onRemove, onUpdateModifiers, onClearCart }) {
   const [paymentMethod, setPaymentMethod] = useState("cash");
   const [specialInstructions, setSpecialInstructions] = useState("");
 
@@ -14,6 +16,11 @@ function Cart({ cart, onUpdateQuantity, onRemove, onClearCart }) {
   // --------------------------------
 
   const [loading, setLoading] = useState(false);
+  const [editing, setEditing] = useState(null); // { line, item } while changing options
+  const [promoInput, setPromoInput] = useState("");
+  const [appliedCode, setAppliedCode] = useState(null);
+  const [paying, setPaying] = useState(null); // placed card/wallet order awaiting payment
+  const [quote, setQuote] = useState(null); // server pricing: tax, service charge and discount
   const navigate = useNavigate();
   const { showToast } = useToast();
 
@@ -21,6 +28,65 @@ function Cart({ cart, onUpdateQuantity, onRemove, onClearCart }) {
     return cart.reduce((total, item) => total + item.price * item.quantity, 0);
   };
 
+  // What the server is sent for the cart, rebuilt only when the cart changes.
+  const orderLines = useMemo(
+    () =>
+      cart.map((item) =>
+        item.combo_id
+          ? {
+              combo_id: item.combo_id,
+              quantity: item.quantity,
+              selections: item.selections.map(({ slot_id, item_id }) => ({ slot_id, item_id })),
+            }
+          : {
+              item_id: item.item_id,
+              quantity: item.quantity,
+              price: item.price,
+              modifiers: (item.modifiers || []).map((m) => m.option_id),
+            }
+      ),
+    [cart]
+  );
+
+  // Re-price whenever the cart changes so the breakdown always matches what
+  // the server will charge. Everything is worked out again when the order is placed.
+  useEffect(() => {
+    if (orderLines.length === 0) {
+      setQuote(null);
+      return;
+    }
+
+    let cancelled = false;
+    orderAPI
+      .quote({ items: orderLines, promo_code: appliedCode || undefined })
+      .then((response) => {
+        if (!cancelled) setQuote(response.data);
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setQuote(appliedCode ? { promo: null, promo_error: err.response?.data?.error || "Could not check promo code" } : null);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [orderLines, appliedCode]);
+
+  const applyPromo = (e) => {
+    e.preventDefault();
+    const code = promoInput.trim().toUpperCase();
+    if (code) setAppliedCode(code);
+  };
+
+  const removePromo = () => {
+    setAppliedCode(null);
+    setPromoInput("");
+  };
+
+  const discount = quote?.promo ? quote.discount : 0;
+  const subtotal = quote?.subtotal ?? calculateTotal();
+  const total = quote?.total ?? calculateTotal();
+
   // --- NEW: Helper to get current date/time for min attribute ---
   const getMinDateTime = () => {
     const now = new Date();
@@ -54,17 +120,14 @@ function Cart({ cart, onUpdateQuantity, onRemove, onClearCart }) {
 
     try {
       const orderData = {
-        items: cart.map((item) => ({
-          item_id: item.item_id,
-          quantity: item.quantity,
-          price: item.price,
-        })),
+        items: orderLines,
         payment_method: paymentMethod,
         special_instructions: specialInstructions,
         // --- NEW: Add scheduling data to payload ---
         order_type: orderType,
         scheduled_at: orderType === "scheduled" ? scheduledTime : null,
         // -------------------------------------------
+        promo_code: quote?.promo ? appliedCode : undefined,
       };
 
       const response = await orderAPI.createOrder(orderData);
@@ -73,7 +136,12 @@ function Cart({ cart, onUpdateQuantity, onRemove, onClearCart }) {
         "success"
       );
       onClearCart();
-      navigate("/orders");
+      // Cash is settled at the counter; card and wallet are paid online now.
+      if (paymentMethod === "cash") {
+        navigate("/orders");
+      } else {
+        setPaying({ order_id: response.data.orderId, order_number: response.data.orderNumber });
+      }
     } catch (err) {
       showToast(
         err.response?.data?.error || "Failed to place order. Please try again.",
@@ -84,9 +152,19 @@ function Cart({ cart, onUpdateQuantity, onRemove, onClearCart }) {
     }
   };
 
-  const confirmRemove = (itemId) => {
+  // Options may have changed since the item was added, so load them fresh.
+  const editOptions = async (line) => {
+    try {
+      const response = await menuAPI.getItemById(line.item_id);
+      setEditing({ line, item: { ...response.data, base_price: response.data.price } });
+    } catch (err) {
+      showToast(err.response?.data?.error || "Failed to load options", "error");
+    }
+  };
+
+  const confirmRemove = (key) => {
     if (window.confirm("Remove this item from cart?")) {
-      onRemove(itemId);
+      onRemove(key);
       showToast("Item removed from cart", "info");
     }
   };
@@ -98,6 +176,24 @@ function Cart({ cart, onUpdateQuantity, onRemove, onClearCart }) {
     }
   };
 
+  if (paying) {
+    return (
+      <div className="cart-container">
+        <PaymentDialog
+          order={paying}
+          onPaid={() => {
+            showToast("Payment received. Thank you!", "success");
+            navigate("/orders");
+          }}
+          onClose={() => {
+            showToast("You can pay for this order from My Orders.", "info");
+            navigate("/orders");
+          }}
+        />
+      </div>
+    );
+  }
+
   if (cart.length === 0) {
     return (
       <div className="cart-container">
@@ -122,7 +218,7 @@ function Cart({ cart, onUpdateQuantity, onRemove, onClearCart }) {
       <div className="cart-content">
         <div className="cart-items">
           {cart.map((item) => (
-            <div key={item.item_id} className="cart-item">
+            <div key={item.cart_key} className="cart-item">
               <div className="cart-item-image">
                 {item.image_url ? (
                   <img src={item.image_url} alt={item.item_name} />
@@ -133,13 +229,38 @@ function Cart({ cart, onUpdateQuantity, onRemove, onClearCart }) {
 
               <div className="cart-item-details">
                 <h3>{item.item_name}</h3>
+                {item.combo_id && (
+                  <p className="cart-item-options">
+                    {item.slots
+                      .map((slot) =>
+                        slot.item_id
+                          ? slot.item_name
+                          : item.selections.find((sel) => sel.slot_id === slot.slot_id)?.item_name
+                      )
+                      .join(" + ")}
+                  </p>
+                )}
+                {item.modifiers && item.modifiers.length > 0 && (
+                  <p className="cart-item-options">
+                    {item.modifiers.map((m) => m.option_name).join(", ")}
+                  </p>
+                )}
                 <p className="cart-item-price">Rs {item.price}</p>
+                {((item.modifiers && item.modifiers.length > 0) ||
+                  (item.modifier_groups && item.modifier_groups.length > 0)) && (
+                  <button
+                    onClick={() => editOptions(item)}
+                    className="edit-options-btn"
+                  >
+                    Edit options
+                  </button>
+                )}
               </div>
 
               <div className="cart-item-quantity">
                 <button
                   onClick={() =>
-                    onUpdateQuantity(item.item_id, item.quantity - 1)
+                    onUpdateQuantity(item.cart_key, item.quantity - 1)
                   }
                   className="quantity-btn"
                 >
@@ -148,7 +269,7 @@ function Cart({ cart, onUpdateQuantity, onRemove, onClearCart }) {
                 <span>{item.quantity}</span>
                 <button
                   onClick={() =>
-                    onUpdateQuantity(item.item_id, item.quantity + 1)
+                    onUpdateQuantity(item.cart_key, item.quantity + 1)
                   }
                   className="quantity-btn"
                 >
@@ -161,7 +282,7 @@ function Cart({ cart, onUpdateQuantity, onRemove, onClearCart }) {
               </div>
 
               <button
-                onClick={() => confirmRemove(item.item_id)}
+                onClick={() => confirmRemove(item.cart_key)}
                 className="remove-btn"
               >
                 ✕
@@ -175,12 +296,61 @@ function Cart({ cart, onUpdateQuantity, onRemove, onClearCart }) {
 
           <div className="summary-row">
             <span>Subtotal:</span>
-            <span>Rs{calculateTotal().toFixed(2)}</span>
+            <span>Rs{subtotal.toFixed(2)}</span>
           </div>
 
+          {discount > 0 && (
+            <div className="summary-row discount">
+              <span>Discount ({quote.promo.code}):</span>
+              <span>-Rs{discount.toFixed(2)}</span>
+            </div>
+          )}
+
+          {quote?.tax > 0 && (
+            <div className="summary-row">
+              <span>Tax:</span>
+              <span>Rs{quote.tax.toFixed(2)}</span>
+            </div>
+          )}
+
+          {quote?.service_charge > 0 && (
+            <div className="summary-row">
+              <span>Service Charge ({quote.service_charge_percent}%):</span>
+              <span>Rs{quote.service_charge.toFixed(2)}</span>
+            </div>
+          )}
+
           <div className="summary-row total">
             <span>Total:</span>
-            <span>Rs{calculateTotal().toFixed(2)}</span>
+            <span>Rs{total.toFixed(2)}</span>
+          </div>
+
+          <div className="promo-code-section">
+            {appliedCode ? (
+              <div className="promo-applied">
+                <span>
+                  Code <strong>{appliedCode}</strong>
+                  {quote?.promo?.description ? ` · ${quote.promo.description}` : ""}
+                </span>
+                <button type="button" onClick={removePromo} className="promo-remove-btn">
+                  Remove
+                </button>
+              </div>
+            ) : (
+              <form onSubmit={applyPromo} className="promo-form">
+                <input
+                  type="text"
+                  value={promoInput}
+                  onChange={(e) => setPromoInput(e.target.value)}
+                  placeholder="Promo code"
+                  maxLength={40}
+                />
+                <button type="submit" disabled={!promoInput.trim()}>
+                  Apply
+                </button>
+              </form>
+            )}
+            {quote?.promo_error && <p className="promo-error">{quote.promo_error}</p>}
           </div>
 
           {/* --- NEW: Order Timing Section --- */}
@@ -241,7 +411,8 @@ function Cart({ cart, onUpdateQuantity, onRemove, onClearCart }) {
               onChange={(e) => setPaymentMethod(e.target.value)}
             >
               <option value="cash">Cash</option>
-              <option value="card">Esewa</option>
+              <option value="card">Card</option>
+              <option value="wallet">Esewa</option>
             </select>
           </div>
 
@@ -268,6 +439,19 @@ function Cart({ cart, onUpdateQuantity, onRemove, onClearCart }) {
           </button>
         </div>
       </div>
+
+      {editing && (
+        <ModifierPicker
+          item={editing.item}
+          initialSelection={(editing.line.modifiers || []).map((m) => m.option_id)}
+          confirmLabel="Update"
+          onClose={() => setEditing(null)}
+          onConfirm={(modifiers) => {
+            onUpdateModifiers(editing.line.cart_key, modifiers);
+            setEditing(null);
+          }}
+        />
+      )}
     </div>
   );
 }
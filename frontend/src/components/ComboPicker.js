@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+
+// Items a customer can pick for a choice slot: on sale, in stock, and not
+// needing options of their own (combos don't carry per-item options).
+export const comboChoices = (slot, menuItems) =>
+  menuItems.filter(
+    (item) =>
+      item.category_id === slot.category_id &&
+      item.is_available &&
+      !(item.stock_quantity !== null && item.stock_quantity !== undefined && item.stock_quantity <= 0) &&
+      !(item.modifier_groups || []).some((group) => group.min_select > 0)
+  );
+
+// Asks for one item per choice slot of a combo. Fixed slots are listed for
+// reference; the bundle price does not change with the choice.
+function ComboPicker({ combo, menuItems, onConfirm, onClose }) {
+  const [chosen, setChosen] = useState({});
+
+  const choiceSlots = combo.slots.filter((slot) => !slot.item_id);
+  const complete = choiceSlots.every((slot) => chosen[slot.slot_id]);
+
+  const confirm = () =>
+    onConfirm(
+      choiceSlots.map((slot) => {
+        const item = menuItems.find((it) => it.item_id === chosen[slot.slot_id]);
+        return { slot_id: slot.slot_id, item_id: item.item_id, item_name: item.item_name };
+      })
+    );
+
+  return (
+    <div
+      className="fixed inset-0 bg-gray-900/50 backdrop-blur-md flex items-center justify-center z-[1000] p-4"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-2xl shadow-2xl max-w-md w-full max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-6 border-b border-gray-100">
+          <h2 className="text-xl font-bold text-gray-900">{combo.combo_name}</h2>
+          {combo.description && <p className="text-sm text-gray-500 mt-1">{combo.description}</p>}
+        </div>
+
+        <div className="p-6 space-y-6">
+          {combo.slots.map((slot) =>
+            slot.item_id ? (
+              <p key={slot.slot_id} className="text-sm text-gray-700">
+                <span className="font-semibold text-gray-900">{slot.label || 'Includes'}:</span>{' '}
+                {slot.quantity > 1 ? `${slot.quantity} × ` : ''}
+                {slot.item_name}
+              </p>
+            ) : (
+              <fieldset key={slot.slot_id}>
+                <legend className="font-semibold text-gray-900 mb-2">
+                  {slot.label || `Choose a ${slot.category_name}`}
+                  {slot.quantity > 1 && <span className="text-xs text-gray-500 ml-2">× {slot.quantity}</span>}
+                </legend>
+                <div className="space-y-2">
+                  {comboChoices(slot, menuItems).map((item) => (
+                    <label
+                      key={item.item_id}
+                      className="flex items-center gap-2 px-3 py-2 rounded-lg border border-gray-200 text-sm cursor-pointer hover:bg-gray-50"
+                    >
+                      <input
+                        type="radio"
+                        name={`slot-${slot.slot_id}`}
+                        checked={chosen[slot.slot_id] === item.item_id}
+                        onChange={() => setChosen((prev) => ({ ...prev, [slot.slot_id]: item.item_id }))}
+                      />
+                      {item.item_name}
+                    </label>
+                  ))}
+                </div>
+              </fieldset>
+            )
+          )}
+        </div>
+
+        <div className="p-6 border-t border-gray-100 flex items-center justify-between gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg border border-gray-200 text-gray-700 font-medium hover:bg-gray-100 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            disabled={!complete}
+            onClick={confirm}
+            className="px-5 py-2 rounded-lg bg-indigo-600 text-white font-semibold hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+          >
+            Add to Cart · Rs {parseFloat(combo.price).toFixed(2)}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ComboPicker;
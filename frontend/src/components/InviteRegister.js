@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { useToast } from './ToastProvider';
+
+// Redeems an admin/staff invite from /register/invite/:token.
+function InviteRegister({ onLogin }) {
+  const { token } = useParams();
+  const [invite, setInvite] = useState(null);
+  const [inviteError, setInviteError] = useState('');
+  const [formData, setFormData] = useState({
+    username: '',
+    password: '',
+    confirmPassword: '',
+    full_name: '',
+    phone: '',
+  });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const navigate = useNavigate();
+  const { showToast } = useToast();
+
+  useEffect(() => {
+    authAPI
+      .getInvite(token)
+      .then((response) => setInvite(response.data))
+      .catch((err) => setInviteError(err.response?.data?.error || 'Invite is invalid or has expired'));
+  }, [token]);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    if (formData.password.length < 6) {
+      setError('Password must be at least 6 characters long');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await authAPI.acceptInvite(token, {
+        username: formData.username,
+        password: formData.password,
+        full_name: formData.full_name,
+        phone: formData.phone,
+      });
+      const { token: sessionToken, user } = response.data;
+
+      onLogin(user, sessionToken);
+      showToast('Account created', 'success');
+      navigate(user.role === 'staff' ? '/staff' : '/dashboard');
+    } catch (err) {
+      const msg = err.response?.data?.error || 'Could not create your account. Please try again.';
+      setError(msg);
+      showToast(msg, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClasses =
+    'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-500 via-purple-600 to-primary-700 flex items-center justify-center px-4 py-12 font-sans">
+      <div className="max-w-md w-full">
+        <div className="bg-white rounded-2xl shadow-2xl p-8">
+          <div className="text-center mb-8">
+            <h2 className="text-3xl font-bold text-gray-900 mb-2 font-inter">Accept Invitation</h2>
+            {invite && (
+              <p className="text-gray-600">
+                You've been invited to join Grab N Go as{' '}
+                <span className="font-semibold text-purple-600">{invite.role}</span>.
+              </p>
+            )}
+          </div>
+
+          {!invite && !inviteError && <div className="text-center py-6 text-gray-500">Checking invite…</div>}
+
+          {inviteError && (
+            <div className="text-center">
+              <div className="mb-6 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{inviteError}</div>
+              <p className="text-gray-600">Ask an administrator to send you a new invite.</p>
+            </div>
+          )}
+
+          {invite && (
+            <>
+              {error && (
+                <div className="mb-6 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+              )}
+
+              <form onSubmit={handleSubmit} className="space-y-5">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Email</label>
+                  <input type="email" value={invite.email} disabled className={`${inputClasses} bg-gray-100 text-gray-500`} />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Full Name</label>
+                  <input type="text" name="full_name" value={formData.full_name} onChange={handleChange} required className={inputClasses} />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Username</label>
+                  <input type="text" name="username" value={formData.username} onChange={handleChange} required className={inputClasses} />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Phone</label>
+                  <input type="tel" name="phone" value={formData.phone} onChange={handleChange} className={inputClasses} />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Password</label>
+                  <input type="password" name="password" value={formData.password} onChange={handleChange} required className={inputClasses} placeholder="••••••••" />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Confirm Password</label>
+                  <input type="password" name="confirmPassword" value={formData.confirmPassword} onChange={handleChange} required className={inputClasses} placeholder="••••••••" />
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={loading}
+                  aria-busy={loading}
+                  className="w-full bg-purple-600 hover:bg-purple-700 text-white font-semibold py-3 px-4 rounded-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed shadow-md"
+                >
+                  {loading ? 'Creating Account...' : 'Create Account'}
+                </button>
+              </form>
+            </>
+          )}
+
+          <div className="mt-6 text-center">
+            <p className="text-gray-600">
+              Already have an account?{' '}
+              <Link to="/login" className="text-purple-600 hover:text-purple-700 font-semibold">
+                Login here
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default InviteRegister;
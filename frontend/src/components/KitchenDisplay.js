@@ -0,0 +1,259 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { adminAPI } from '../services/api';
+import { getSocket } from '../services/realtime';
+import { useToast } from './ToastProvider';
+import { hasPermission } from './ProtectedRoute';
+
+// A ticket's timer turns amber halfway to this and red past it.
+const LATE_AFTER_MINUTES = 15;
+
+const COLUMN_TITLES = {
+  confirmed: 'New',
+  preparing: 'Preparing',
+  ready: 'Ready',
+};
+
+// What the bump button on each column moves a ticket to.
+const BUMP_TO = {
+  confirmed: 'preparing',
+  preparing: 'ready',
+  ready: 'completed',
+};
+
+const BUMP_LABELS = {
+  preparing: 'Start',
+  ready: 'Ready',
+  completed: 'Picked up',
+};
+
+const COLUMN_CLASSES = {
+  confirmed: 'border-blue-500',
+  preparing: 'border-purple-500',
+  ready: 'border-green-500',
+};
+
+// Order events from the admins room that change what the kitchen sees.
+const REFRESH_EVENTS = ['order:new', 'order:update', 'order:cancel', 'order:edit'];
+
+const formatAge = (ms) => {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const ageClass = (ms) => {
+  const minutes = ms / 60000;
+  if (minutes >= LATE_AFTER_MINUTES) return 'bg-red-600 text-white';
+  if (minutes >= LATE_AFTER_MINUTES / 2) return 'bg-amber-400 text-gray-900';
+  return 'bg-gray-700 text-gray-100';
+};
+
+// A short two-tone chime, generated so the screen needs no audio files.
+const playChime = (context) => {
+  [880, 1320].forEach((frequency, index) => {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    const start = context.currentTime + index * 0.18;
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.25, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + 0.3);
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start(start);
+    oscillator.stop(start + 0.3);
+  });
+};
+
+// Full-screen kitchen display: one column per kitchen status, oldest
+// tickets first. Kept live by the admins socket room; every order event
+// reloads the tickets so the columns always match the server.
+function KitchenDisplay({ user }) {
+  const [columns, setColumns] = useState(['confirmed', 'preparing', 'ready']);
+  const [tickets, setTickets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [soundOn, setSoundOn] = useState(false);
+  const audioRef = useRef(null);
+  // Ticket ids from the last load; null until the first one finishes.
+  const seenIdsRef = useRef(null);
+  const { showToast } = useToast();
+
+  // Handing an order over needs the full status permission; orders.advance
+  // alone stops at ready.
+  const canComplete = hasPermission(user, 'orders.update_status');
+
+  const loadTickets = useCallback(async () => {
+    try {
+      const response = await adminAPI.getKitchenTickets();
+      const { tickets: loaded } = response.data;
+      // Chime only for tickets that have just reached the New column, not
+      // for orders still pending or for the tickets already on screen.
+      const seen = seenIdsRef.current;
+      const arrived = seen && loaded.some((ticket) => ticket.status === 'confirmed' && !seen.has(ticket.order_id));
+      seenIdsRef.current = new Set(loaded.map((ticket) => ticket.order_id));
+      if (arrived && audioRef.current) playChime(audioRef.current);
+      setColumns(response.data.columns);
+      setTickets(loaded);
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Failed to load kitchen tickets', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    loadTickets();
+  }, [loadTickets]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    let socket;
+
+    try {
+      socket = getSocket();
+      REFRESH_EVENTS.forEach((event) => socket.on(event, loadTickets));
+      // Anything missed while disconnected is picked up on reconnect.
+      socket.on('connect', loadTickets);
+    } catch (err) {
+      console.warn('Socket connection failed:', err);
+    }
+
+    return () => {
+      try {
+        if (socket) {
+          REFRESH_EVENTS.forEach((event) => socket.off(event, loadTickets));
+          socket.off('connect', loadTickets);
+        }
+      } catch (_e) {}
+    };
+  }, [loadTickets]);
+
+  // Browsers only allow sound after the user has interacted with the page.
+  const toggleSound = () => {
+    if (soundOn) {
+      audioRef.current.close();
+      audioRef.current = null;
+      setSoundOn(false);
+      return;
+    }
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) {
+      showToast('This browser cannot play alerts', 'error');
+      return;
+    }
+    audioRef.current = new AudioContext();
+    playChime(audioRef.current);
+    setSoundOn(true);
+  };
+
+  const bump = async (ticket) => {
+    const next = BUMP_TO[ticket.status];
+    setBusyId(ticket.order_id);
+    try {
+      await adminAPI.updateOrderStatus(ticket.order_id, { status: next });
+      setTickets((prev) =>
+        next === 'completed'
+          ? prev.filter((t) => t.order_id !== ticket.order_id)
+          : prev.map((t) => (t.order_id === ticket.order_id ? { ...t, status: next } : t))
+      );
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Failed to update order', 'error');
+      loadTickets();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-gray-100 flex flex-col">
+      <div className="flex items-center justify-between px-6 py-3 border-b border-gray-700">
+        <h1 className="text-2xl font-bold">Kitchen Display</h1>
+        <div className="flex items-center gap-4 text-sm">
+          <span className="text-gray-400">{tickets.length} open ticket(s)</span>
+          <button
+            type="button"
+            onClick={toggleSound}
+            className={`px-3 py-1.5 rounded-lg font-semibold ${soundOn ? 'bg-green-600 text-white' : 'bg-gray-700 text-gray-200'}`}
+          >
+            {soundOn ? 'Sound on' : 'Enable sound'}
+          </button>
+          <Link to={user?.role === 'staff' ? '/staff' : '/dashboard'} className="text-gray-400 hover:text-white">
+            Exit
+          </Link>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex-1 flex items-center justify-center text-gray-400">Loading...</div>
+      ) : (
+        <div className="flex-1 grid grid-cols-1 md:grid-cols-3 gap-4 p-4">
+          {columns.map((status) => {
+            const columnTickets = tickets.filter((ticket) => ticket.status === status);
+            return (
+              <section key={status} className={`flex flex-col rounded-xl bg-gray-800 border-t-4 ${COLUMN_CLASSES[status]}`}>
+                <h2 className="px-4 py-3 text-lg font-bold flex justify-between">
+                  <span>{COLUMN_TITLES[status]}</span>
+                  <span className="text-gray-400">{columnTickets.length}</span>
+                </h2>
+                <ul className="flex-1 overflow-y-auto px-3 pb-3 space-y-3">
+                  {columnTickets.map((ticket) => {
+                    const age = now - new Date(ticket.created_at).getTime();
+                    const next = BUMP_TO[status];
+                    return (
+                      <li key={ticket.order_id} className="rounded-lg bg-white text-gray-900 shadow">
+                        <div className="flex items-center justify-between px-3 py-2 border-b border-gray-200">
+                          <div>
+                            <p className="font-bold">#{ticket.order_number}</p>
+                            <p className="text-xs text-gray-500">{ticket.customer_name}</p>
+                          </div>
+                          <span className={`px-2 py-1 rounded font-mono text-sm font-bold ${ageClass(age)}`}>
+                            {formatAge(age)}
+                          </span>
+                        </div>
+                        <ul className="px-3 py-2 space-y-1">
+                          {ticket.items.map((item) => (
+                            <li key={item.order_item_id}>
+                              <span className="font-semibold">
+                                {item.quantity} × {item.item_name}
+                              </span>
+                              {item.combo_name && <span className="block text-xs text-gray-500">{item.combo_name}</span>}
+                              {item.modifiers.length > 0 && (
+                                <span className="block text-sm text-indigo-700">{item.modifiers.join(', ')}</span>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                        {ticket.special_instructions && (
+                          <p className="mx-3 mb-2 px-2 py-1 rounded bg-yellow-100 text-sm text-yellow-900">
+                            {ticket.special_instructions}
+                          </p>
+                        )}
+                        {(next !== 'completed' || canComplete) && (
+                          <button
+                            type="button"
+                            disabled={busyId === ticket.order_id}
+                            onClick={() => bump(ticket)}
+                            className="w-full py-2 rounded-b-lg bg-indigo-600 text-white font-semibold hover:bg-indigo-700 disabled:opacity-50"
+                          >
+                            {busyId === ticket.order_id ? 'Updating...' : BUMP_LABELS[next]}
+                          </button>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              </section>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default KitchenDisplay;
@@ -15,6 +15,7 @@ function Login({ onLogin }) {
   const { showToast } = useToast();
 
   const isAdmin = role === 'admin';
+  const isStaff = role === 'staff';
 
   const handleChange = (e) => {
     setFormData({
@@ -32,14 +33,20 @@ function Login({ onLogin }) {
       const response = await authAPI.login(formData);
       const { token, user } = response.data;
       
-      if (isAdmin && user.role !== 'admin' && user.role !== 'staff') {
+      if (isAdmin && user.role !== 'admin') {
         setError('Access denied. Admin credentials required.');
         setLoading(false);
         return;
       }
 
-      if (!isAdmin && (user.role === 'admin' || user.role === 'staff')) {
-        setError('Please use Admin login for staff accounts.');
+      if (isStaff && user.role !== 'staff') {
+        setError('Access denied. Staff credentials required.');
+        setLoading(false);
+        return;
+      }
+
+      if (!isAdmin && !isStaff && (user.role === 'admin' || user.role === 'staff')) {
+        setError('Please use the Admin or Staff login for staff accounts.');
         setLoading(false);
         return;
       }
@@ -47,8 +54,10 @@ function Login({ onLogin }) {
       onLogin(user, token);
       showToast('Logged in successfully', 'success');
       
-      if (user.role === 'admin' || user.role === 'staff') {
+      if (user.role === 'admin') {
         navigate('/dashboard');
+      } else if (user.role === 'staff') {
+        navigate('/staff');
       } else {
         navigate('/menu');
       }
@@ -65,7 +74,7 @@ function Login({ onLogin }) {
     <div className="min-h-screen bg-gradient-to-br from-primary-500 via-purple-600 to-primary-700 flex items-center justify-center px-4 py-12 font-sans">
       <div className="max-w-md w-full">
         <button
-          onClick={() => navigate('/')}
+          onClick={() => navigate('/login')}
           className="mb-6 flex items-center text-white hover:text-white/80 transition-colors"
         >
           <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -76,11 +85,15 @@ function Login({ onLogin }) {
 
         <div className="bg-white rounded-2xl shadow-2xl p-8">
           <div className="text-center mb-8">
-            <div className={`w-20 h-20 ${isAdmin ? 'bg-purple-100' : 'bg-primary-100'} rounded-full flex items-center justify-center mx-auto mb-4`}>
+            <div className={`w-20 h-20 ${isAdmin ? 'bg-purple-100' : isStaff ? 'bg-emerald-100' : 'bg-primary-100'} rounded-full flex items-center justify-center mx-auto mb-4`}>
               {isAdmin ? (
                 <svg className="w-10 h-10 text-purple-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
                 </svg>
+              ) : isStaff ? (
+                <svg className="w-10 h-10 text-emerald-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+                </svg>
               ) : (
                 <svg className="w-10 h-10 text-primary-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
@@ -88,21 +101,28 @@ function Login({ onLogin }) {
               )}
             </div>
             <h2 className="text-3xl font-bold text-gray-900 mb-2 font-inter">
-              {isAdmin ? 'Admin Login' : 'Customer Login'}
+              {isAdmin ? 'Admin Login' : isStaff ? 'Staff Login' : 'Customer Login'}
             </h2>
             <p className="text-gray-600">
-              {isAdmin ? 'Access your admin dashboard' : 'Sign in to order delicious food'}
+              {isAdmin ? 'Access your admin dashboard' : isStaff ? 'Open the kitchen queue' : 'Sign in to order delicious food'}
             </p>
           </div>
 
-          <div className="mb-6 grid grid-cols-2 gap-2">
+          <div className="mb-6 grid grid-cols-3 gap-2">
             <button
               onClick={() => navigate('/login/customer')}
-              className={`${!isAdmin ? 'bg-primary-600 text-white' : 'bg-gray-100 text-gray-700'} rounded-lg py-2 font-semibold hover:opacity-90 transition`}
+              className={`${!isAdmin && !isStaff ? 'bg-primary-600 text-white' : 'bg-gray-100 text-gray-700'} rounded-lg py-2 font-semibold hover:opacity-90 transition`}
               type="button"
             >
               Customer
             </button>
+            <button
+              onClick={() => navigate('/login/staff')}
+              className={`${isStaff ? 'bg-emerald-600 text-white' : 'bg-gray-100 text-gray-700'} rounded-lg py-2 font-semibold hover:opacity-90 transition`}
+              type="button"
+            >
+              Staff
+            </button>
             <button
               onClick={() => navigate('/login/admin')}
               className={`${isAdmin ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-700'} rounded-lg py-2 font-semibold hover:opacity-90 transition`}
@@ -152,6 +172,11 @@ function Login({ onLogin }) {
                 className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent transition-all"
                 placeholder="Enter your password"
               />
+              <div className="mt-2 text-right">
+                <Link to="/forgot-password" className="text-sm text-primary-600 hover:text-primary-700 font-medium">
+                  Forgot password?
+                </Link>
+              </div>
             </div>
 
           <button
@@ -159,7 +184,7 @@ function Login({ onLogin }) {
               disabled={loading}
               aria-disabled={loading}
               aria-busy={loading}
-              className={`w-full ${isAdmin ? 'bg-purple-600 hover:bg-purple-700 focus-visible:ring-purple-300' : 'bg-primary-600 hover:bg-primary-700 focus-visible:ring-primary-300'} text-white font-semibold py-3 px-4 rounded-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center shadow-md active:translate-y-[1px] focus-visible:outline-none focus-visible:ring-4`}
+              className={`w-full ${isAdmin ? 'bg-purple-600 hover:bg-purple-700 focus-visible:ring-purple-300' : isStaff ? 'bg-emerald-600 hover:bg-emerald-700 focus-visible:ring-emerald-300' : 'bg-primary-600 hover:bg-primary-700 focus-visible:ring-primary-300'} text-white font-semibold py-3 px-4 rounded-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center shadow-md active:translate-y-[1px] focus-visible:outline-none focus-visible:ring-4`}
             >
               {loading ? (
                 <>
@@ -181,15 +206,21 @@ function Login({ onLogin }) {
           </form>
 
           <div className="mt-6 text-center">
-            <p className="text-gray-600">
-              Don't have an account?{' '}
-              <Link 
-                to={`/register/${role || 'customer'}`}
-                className={`${isAdmin ? 'text-purple-600 hover:text-purple-700' : 'text-primary-600 hover:text-primary-700'} font-semibold`}
-              >
-                Register here
-              </Link>
-            </p>
+            {isAdmin || isStaff ? (
+              <p className="text-gray-600">
+                {isAdmin ? 'Admin' : 'Staff'} accounts are created from an invite sent by an administrator.
+              </p>
+            ) : (
+              <p className="text-gray-600">
+                Don't have an account?{' '}
+                <Link 
+                  to="/register"
+                  className="text-primary-600 hover:text-primary-700 font-semibold"
+                >
+                  Register here
+                </Link>
+              </p>
+            )}
           </div>
         </div>
       </div>
@@ -1,16 +1,26 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { menuAPI, categoryAPI } from '../services/api';
+import { menuAPI, categoryAPI, comboAPI } from '../services/api';
 import { useToast } from './ToastProvider';
 import { getSocket } from '../services/realtime';
+import ModifierPicker from './ModifierPicker';
+import ComboPicker, { comboChoices } from './ComboPicker';
 import './Menu.css';
 
-function Menu({ user, onAddToCart }) {
+// Tracked items at or below this count show an "Only N left" badge.
+const LOW_STOCK_THRESHOLD = 5;
+
+const isSoldOut = (item) => item.stock_quantity !== null && item.stock_quantity !== undefined && item.stock_quantity <= 0;
+
+function Menu({ user, onAddToCart, onAddComboToCart }) {
   const [menuItems, setMenuItems] = useState([]);
+  const [combos, setCombos] = useState([]);
   const [categories, setCategories] = useState([]);
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
+  const [pickerItem, setPickerItem] = useState(null);
+  const [pickerCombo, setPickerCombo] = useState(null);
 
   const { showToast } = useToast();
   
@@ -22,9 +32,10 @@ function Menu({ user, onAddToCart }) {
   const fetchData = useCallback(async () => {
     try {
       setLoading(true);
-      const [menuResponse, categoryResponse] = await Promise.all([
+      const [menuResponse, categoryResponse, comboResponse] = await Promise.all([
         menuAPI.getAllItems(),
         categoryAPI.getAllCategories(),
+        comboAPI.getAll(),
       ]);
       
       const rawMenuItems = menuResponse.data;
@@ -35,6 +46,7 @@ function Menu({ user, onAddToCart }) {
       console.log('Menu items fetched:', activeMenuItems.length, 'active items');
       setMenuItems(activeMenuItems);
       setCategories(categoryResponse.data);
+      setCombos(Array.isArray(comboResponse.data) ? comboResponse.data : []);
       setError('');
     } catch (err) {
       console.error('Failed to load menu:', err);
@@ -65,6 +77,17 @@ function Menu({ user, onAddToCart }) {
     );
   }, []);
 
+  // Stock changes (orders, restocks, admin counts) only carry the stock fields
+  const handleMenuItemStock = useCallback((stock) => {
+    if (!stock || !stock.item_id) {
+      console.warn('Invalid stock data:', stock);
+      return;
+    }
+    setMenuItems((prev) =>
+      prev.map((it) => (it.item_id === stock.item_id ? { ...it, ...stock } : it))
+    );
+  }, []);
+
   // Handle new menu items being added
   const handleMenuItemAdd = useCallback((added) => {
     if (!added || !added.item_id) {
@@ -101,6 +124,23 @@ function Menu({ user, onAddToCart }) {
     setMenuItems((prev) => prev.filter((it) => it.item_id !== item_id));
   }, []);
 
+  // Combo events carry the whole combo; deactivated ones arrive as a delete
+  const handleComboUpsert = useCallback((combo) => {
+    if (!combo || !combo.combo_id) {
+      console.warn('Invalid combo data:', combo);
+      return;
+    }
+    setCombos((prev) =>
+      prev.some((c) => c.combo_id === combo.combo_id)
+        ? prev.map((c) => (c.combo_id === combo.combo_id ? combo : c))
+        : [...prev, combo]
+    );
+  }, []);
+
+  const handleComboDelete = useCallback(({ combo_id }) => {
+    setCombos((prev) => prev.filter((c) => c.combo_id !== combo_id));
+  }, []);
+
   useEffect(() => {
     fetchData();
     
@@ -112,6 +152,10 @@ function Menu({ user, onAddToCart }) {
       socket.on('menu:item:add', handleMenuItemAdd);
       socket.on('menu:item:update', handleMenuItemUpdate);
       socket.on('menu:item:delete', handleMenuItemDelete); 
+      socket.on('menu:item:stock', handleMenuItemStock);
+      socket.on('menu:combo:add', handleComboUpsert);
+      socket.on('menu:combo:update', handleComboUpsert);
+      socket.on('menu:combo:delete', handleComboDelete);
       
       console.log('Socket listeners registered for menu updates');
     } catch (err) {
@@ -124,10 +168,14 @@ function Menu({ user, onAddToCart }) {
           socket.off('menu:item:add', handleMenuItemAdd);
           socket.off('menu:item:update', handleMenuItemUpdate);
           socket.off('menu:item:delete', handleMenuItemDelete);
+          socket.off('menu:item:stock', handleMenuItemStock);
+          socket.off('menu:combo:add', handleComboUpsert);
+          socket.off('menu:combo:update', handleComboUpsert);
+          socket.off('menu:combo:delete', handleComboDelete);
         }
       } catch (_e) {}
     };
-  }, [fetchData, handleMenuItemAdd, handleMenuItemUpdate, handleMenuItemDelete]);
+  }, [fetchData, handleMenuItemAdd, handleMenuItemUpdate, handleMenuItemDelete, handleMenuItemStock, handleComboUpsert, handleComboDelete]);
 
   const filteredItems = menuItems.filter((item) => {
     const matchesCategory =
@@ -142,12 +190,53 @@ function Menu({ user, onAddToCart }) {
     return matchesCategory && matchesSearch && isActive;
   });
 
+  // A combo can be sold while every fixed item is on sale and every choice
+  // slot has something left to choose.
+  const isComboAvailable = (combo) =>
+    combo.is_available &&
+    combo.slots.every((slot) => {
+      if (!slot.item_id) return comboChoices(slot, menuItems).length > 0;
+      const item = menuItems.find((it) => it.item_id === slot.item_id);
+      return item && item.is_available && !isSoldOut(item);
+    });
+
+  const visibleCombos = combos.filter(
+    (combo) => selectedCategory === 'all' && combo.combo_name.toLowerCase().includes(searchTerm.toLowerCase())
+  );
+
+  const handleAddCombo = (combo) => {
+    if (!user) {
+      showToast('Please login to add items to cart', 'error');
+      return;
+    }
+    if (user.role !== 'customer') {
+      showToast('Admins cannot place orders', 'error');
+      return;
+    }
+
+    if (combo.slots.some((slot) => !slot.item_id)) {
+      setPickerCombo(combo);
+      return;
+    }
+    addCombo(combo, []);
+  };
+
+  const addCombo = (combo, selections) => {
+    onAddComboToCart(combo, selections);
+    showToast(`${combo.combo_name} added to cart!`, 'success');
+  };
+
   const handleAddToCart = (item) => {
     // Prevent ordering of soft-deleted items
     if (item.is_active === 0) {
       showToast('This item has been removed from the menu and cannot be ordered.', 'error');
       return;
     }
+
+    if (isSoldOut(item)) {
+      showToast(`${item.item_name} is sold out`, 'error');
+      return;
+    }
     
     if (!user) {
       showToast('Please login to add items to cart', 'error');
@@ -159,7 +248,17 @@ function Menu({ user, onAddToCart }) {
       return;
     }
     
-    onAddToCart(item);
+    // Items with options go through the picker first
+    if (item.modifier_groups && item.modifier_groups.length > 0) {
+      setPickerItem(item);
+      return;
+    }
+
+    addItem(item, []);
+  };
+
+  const addItem = (item, modifiers) => {
+    onAddToCart(item, modifiers);
     showToast(`${item.item_name} added to cart!`, 'success');
     
     try {
@@ -169,7 +268,8 @@ function Menu({ user, onAddToCart }) {
           item_id: item.item_id,
           item_name: item.item_name,
           price: item.price,
-          quantity: 1
+          quantity: 1,
+          modifiers: modifiers.map((m) => m.option_id)
         }
       });
     } catch (_e) {
@@ -220,46 +320,119 @@ function Menu({ user, onAddToCart }) {
         </div>
       </div>
 
+      {visibleCombos.length > 0 && (
+        <>
+          <h2 className="menu-section-title">Combo Deals</h2>
+          <div className="menu-grid">
+            {visibleCombos.map((combo) => {
+              const available = isComboAvailable(combo);
+              return (
+                <div key={`combo-${combo.combo_id}`} className={`menu-card combo-card${available ? '' : ' sold-out'}`}>
+                  <span className="combo-badge">Combo</span>
+                  <div className="menu-card-image">
+                    {combo.image_url ? (
+                      <img src={combo.image_url} alt={combo.combo_name} />
+                    ) : (
+                      <div className="placeholder-image">🍱</div>
+                    )}
+                  </div>
+
+                  <div className="menu-card-content">
+                    <h3>{combo.combo_name}</h3>
+                    <p className="item-description">
+                      {combo.slots
+                        .map((slot) => `${slot.quantity > 1 ? `${slot.quantity} × ` : ''}${slot.item_name || slot.label || `any ${slot.category_name}`}`)
+                        .join(' + ')}
+                    </p>
+                    <div className="menu-card-footer">
+                      <span className="item-price">Rs {combo.price}</span>
+                      <button
+                        className="add-to-cart-btn"
+                        onClick={() => handleAddCombo(combo)}
+                        disabled={!available || (user && user.role !== 'customer')}
+                      >
+                        {!available ? 'Unavailable' : user && user.role !== 'customer' ? 'Customers Only' : 'Add to Cart'}
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+          <h2 className="menu-section-title">Menu</h2>
+        </>
+      )}
+
       <div className="menu-grid">
         {filteredItems.length === 0 ? (
           <p className="no-items">No items found</p>
         ) : (
-          filteredItems.map((item) => (
-            <div key={item.item_id} className="menu-card">
-              <div className="menu-card-image">
-                {item.image_url ? (
-                  <img src={item.image_url} alt={item.item_name} />
-                ) : (
-                  <div className="placeholder-image">🍽️</div>
-                )}
-              </div>
+          filteredItems.map((item) => {
+            const soldOut = isSoldOut(item);
+            const lowStock = !soldOut && item.stock_quantity !== null && item.stock_quantity !== undefined && item.stock_quantity <= LOW_STOCK_THRESHOLD;
+            return (
+              <div key={item.item_id} className={`menu-card${soldOut || !item.is_available ? ' sold-out' : ''}`}>
+                {lowStock && <span className="stock-badge">Only {item.stock_quantity} left</span>}
+                <div className="menu-card-image">
+                  {item.image_url ? (
+                    <img src={item.image_url} alt={item.item_name} />
+                  ) : (
+                    <div className="placeholder-image">🍽️</div>
+                  )}
+                </div>
 
-              <div className="menu-card-content">
-                <h3>{item.item_name}</h3>
-                <p className="item-description">{item.description}</p>
-                <div className="menu-card-footer">
-                  <span className="item-price">Rs {item.price}</span>
-                  <button
-                    className="add-to-cart-btn"
-                    onClick={() => handleAddToCart(item)}
-                    disabled={
-                      !item.is_available || (user && user.role !== 'customer') || item.is_active === 0
-                    }
-                  >
-                    {item.is_active === 0 
-                      ? 'Removed'
-                      : !item.is_available
-                      ? 'Unavailable'
-                      : user && user.role !== 'customer'
-                      ? 'Customers Only'
-                      : 'Add to Cart'}
-                  </button>
+                <div className="menu-card-content">
+                  <h3>{item.item_name}</h3>
+                  <p className="item-description">{item.description}</p>
+                  <div className="menu-card-footer">
+                    <span className="item-price">Rs {item.price}</span>
+                    <button
+                      className="add-to-cart-btn"
+                      onClick={() => handleAddToCart(item)}
+                      disabled={
+                        !item.is_available || soldOut || (user && user.role !== 'customer') || item.is_active === 0
+                      }
+                    >
+                      {item.is_active === 0 
+                        ? 'Removed'
+                        : soldOut
+                        ? 'Sold Out'
+                        : !item.is_available
+                        ? 'Unavailable'
+                        : user && user.role !== 'customer'
+                        ? 'Customers Only'
+                        : 'Add to Cart'}
+                    </button>
+                  </div>
                 </div>
               </div>
-            </div>
-          ))
+            );
+          })
         )}
       </div>
+
+      {pickerCombo && (
+        <ComboPicker
+          combo={pickerCombo}
+          menuItems={menuItems}
+          onClose={() => setPickerCombo(null)}
+          onConfirm={(selections) => {
+            addCombo(pickerCombo, selections);
+            setPickerCombo(null);
+          }}
+        />
+      )}
+
+      {pickerItem && (
+        <ModifierPicker
+          item={pickerItem}
+          onClose={() => setPickerItem(null)}
+          onConfirm={(modifiers) => {
+            addItem(pickerItem, modifiers);
+            setPickerItem(null);
+          }}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+
+// Lets the customer choose an item's options. Enforces each group's min/max
+// so the server only sees valid selections; prices are re-checked there.
+function ModifierPicker({ item, initialSelection = [], confirmLabel = 'Add to Cart', onConfirm, onClose }) {
+  const groups = item.modifier_groups || [];
+  const [selected, setSelected] = useState(() => new Set(initialSelection));
+
+  const chosenIn = (group) => group.options.filter((option) => selected.has(option.option_id));
+
+  const toggle = (group, option) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(option.option_id)) {
+        next.delete(option.option_id);
+        return next;
+      }
+      // Single-choice groups behave like radio buttons.
+      if (group.max_select === 1) {
+        group.options.forEach((o) => next.delete(o.option_id));
+      } else if (group.options.filter((o) => prev.has(o.option_id)).length >= group.max_select) {
+        return prev;
+      }
+      next.add(option.option_id);
+      return next;
+    });
+  };
+
+  const unmet = groups.filter((group) => chosenIn(group).length < group.min_select);
+
+  const modifiers = groups.flatMap((group) =>
+    chosenIn(group).map((option) => ({
+      option_id: option.option_id,
+      group_name: group.name,
+      option_name: option.name,
+      price_delta: option.price_delta,
+    }))
+  );
+  const unitPrice = Number(item.base_price ?? item.price) + modifiers.reduce((sum, m) => sum + m.price_delta, 0);
+
+  const describeRule = (group) => {
+    if (group.min_select === 0) return `Optional · up to ${group.max_select}`;
+    if (group.min_select === group.max_select) return `Required · choose ${group.min_select}`;
+    return `Required · choose ${group.min_select}-${group.max_select}`;
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-gray-900/50 backdrop-blur-md flex items-center justify-center z-[1000] p-4"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-2xl shadow-2xl max-w-md w-full max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-6 border-b border-gray-100">
+          <h2 className="text-xl font-bold text-gray-900">{item.item_name}</h2>
+          {item.description && <p className="text-sm text-gray-500 mt-1">{item.description}</p>}
+        </div>
+
+        <div className="p-6 space-y-6">
+          {groups.map((group) => (
+            <fieldset key={group.group_id}>
+              <legend className="flex items-baseline justify-between w-full mb-2">
+                <span className="font-semibold text-gray-900">{group.name}</span>
+                <span className="text-xs text-gray-500 ml-2">{describeRule(group)}</span>
+              </legend>
+              <div className="space-y-2">
+                {group.options.map((option) => (
+                  <label
+                    key={option.option_id}
+                    className={`flex items-center justify-between px-3 py-2 rounded-lg border text-sm ${
+                      option.is_available
+                        ? 'border-gray-200 cursor-pointer hover:bg-gray-50'
+                        : 'border-gray-100 text-gray-400 cursor-not-allowed'
+                    }`}
+                  >
+                    <span className="flex items-center gap-2">
+                      <input
+                        type={group.max_select === 1 ? 'radio' : 'checkbox'}
+                        name={`group-${group.group_id}`}
+                        checked={selected.has(option.option_id)}
+                        disabled={!option.is_available}
+                        onChange={() => toggle(group, option)}
+                      />
+                      {option.name}
+                      {!option.is_available && <span className="text-xs">(unavailable)</span>}
+                    </span>
+                    {option.price_delta !== 0 && (
+                      <span className="text-gray-600">
+                        {option.price_delta > 0 ? '+' : '-'}Rs {Math.abs(option.price_delta).toFixed(2)}
+                      </span>
+                    )}
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+          ))}
+        </div>
+
+        <div className="p-6 border-t border-gray-100 flex items-center justify-between gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg border border-gray-200 text-gray-700 font-medium hover:bg-gray-100 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            disabled={unmet.length > 0}
+            onClick={() => onConfirm(modifiers)}
+            title={unmet.length > 0 ? `Choose ${unmet[0].name}` : undefined}
+            className="px-5 py-2 rounded-lg bg-indigo-600 text-white font-semibold hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+          >
+            {confirmLabel} · Rs {unitPrice.toFixed(2)}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ModifierPicker;
@@ -1,10 +1,18 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Link, NavLink } from 'react-router-dom';
+import { Link, NavLink, useLocation } from 'react-router-dom';
+import { hasPermission } from './ProtectedRoute';
+import { authAPI } from '../services/api';
+import { useToast } from './ToastProvider';
 import './Navbar.css';
 
+// Screens that take over the whole display.
+const FULL_SCREEN_PATHS = ['/kitchen', '/pickup-board'];
+
 function Navbar({ user, onLogout, cartCount }) {
   const [showProfileMenu, setShowProfileMenu] = useState(false);
   const profileRef = useRef(null);
+  const { showToast } = useToast();
+  const location = useLocation();
 
   useEffect(() => {
     function handleClickOutside(event) {
@@ -26,6 +34,20 @@ function Navbar({ user, onLogout, cartCount }) {
     onLogout();
   };
 
+  const handleResendVerification = async () => {
+    setShowProfileMenu(false);
+    try {
+      await authAPI.resendVerification();
+      showToast(`Confirmation link sent to ${user.email}`, 'success');
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Failed to send confirmation email', 'error');
+    }
+  };
+
+  if (FULL_SCREEN_PATHS.includes(location.pathname)) {
+    return null;
+  }
+
   return (
     <nav className="navbar">
       <div className="navbar-container">
@@ -55,11 +77,21 @@ function Navbar({ user, onLogout, cartCount }) {
                   </li>
                 </>
               )}
-              {(user.role === 'admin' || user.role === 'staff') && (
+              {user.role === 'admin' && (
                 <li className="navbar-item">
                   <NavLink to="/dashboard" className={({ isActive }) => `navbar-link${isActive ? ' active' : ''}`}>Dashboard</NavLink>
                 </li>
               )}
+              {user.role === 'staff' && (
+                <li className="navbar-item">
+                  <NavLink to="/staff" className={({ isActive }) => `navbar-link${isActive ? ' active' : ''}`}>Kitchen</NavLink>
+                </li>
+              )}
+              {user.role !== 'customer' && hasPermission(user, 'orders.view') && (
+                <li className="navbar-item">
+                  <NavLink to="/kitchen" className="navbar-link">Kitchen Display</NavLink>
+                </li>
+              )}
               
               {/* Profile Menu */}
               <li className="navbar-item profile-dropdown" ref={profileRef}>
@@ -96,6 +128,20 @@ function Navbar({ user, onLogout, cartCount }) {
                       </div>
                     )}
                     <div className="profile-menu-divider"></div>
+                    <Link to="/profile" onClick={() => setShowProfileMenu(false)} className="profile-menu-link">
+                      <span>👤</span>
+                      <span>Profile</span>
+                    </Link>
+                    {user.emailVerified === false && (
+                      <button onClick={handleResendVerification} className="profile-menu-link">
+                        <span>✉️</span>
+                        <span>Confirm email address</span>
+                      </button>
+                    )}
+                    <Link to="/sessions" onClick={() => setShowProfileMenu(false)} className="profile-menu-link">
+                      <span>💻</span>
+                      <span>Active sessions</span>
+                    </Link>
                     <button onClick={handleLogout} className="profile-menu-logout">
                       <span>🚪</span>
                       <span>Logout</span>
@@ -0,0 +1,148 @@
+import React, { useEffect, useState } from 'react';
+import { orderAPI } from '../services/api';
+
+// Lets a customer change quantities, drop lines and rewrite the instructions
+// of an order the kitchen hasn't started on. The server prices the new lines
+// again and checks stock and any promo code, so the total shown afterwards
+// comes from its reply. Combo lines can't be rebuilt from the order, so
+// orders containing a combo are left as they are.
+function OrderEditDialog({ order, onSaved, onClose }) {
+  const [lines, setLines] = useState(null);
+  const [instructions, setInstructions] = useState(order.special_instructions || '');
+  const [hasCombo, setHasCombo] = useState(false);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    orderAPI
+      .getOrderById(order.order_id)
+      .then((response) => {
+        setHasCombo(response.data.items.some((item) => item.combo));
+        setLines(response.data.items);
+      })
+      .catch((err) => setError(err.response?.data?.error || 'Could not load the order'));
+  }, [order.order_id]);
+
+  const setQuantity = (orderItemId, quantity) =>
+    setLines((prev) =>
+      prev.map((line) => (line.orderItemId === orderItemId ? { ...line, quantity: Math.max(1, quantity) } : line))
+    );
+
+  const removeLine = (orderItemId) => setLines((prev) => prev.filter((line) => line.orderItemId !== orderItemId));
+
+  const save = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const response = await orderAPI.updateOrder(order.order_id, {
+        items: lines.map((line) => ({
+          item_id: line.itemId,
+          quantity: line.quantity,
+          modifiers: line.modifiers.map((m) => m.option_id)
+        })),
+        special_instructions: instructions.trim() || null
+      });
+      onSaved(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not update the order');
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-gray-900/50 backdrop-blur-md flex items-center justify-center z-[1000] p-4"
+      onClick={onClose}
+    >
+      <div className="bg-white rounded-2xl shadow-2xl max-w-md w-full max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="p-6 border-b border-gray-100">
+          <h2 className="text-xl font-bold text-gray-900">Edit order #{order.order_number}</h2>
+          <p className="text-sm text-gray-500 mt-1">Prices, stock and promo codes are checked again when you save.</p>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {!lines && !error && <p className="text-sm text-gray-500">Loading order...</p>}
+          {hasCombo && (
+            <p className="text-sm text-gray-700">
+              Orders with a combo can't be edited here. You can cancel this order and place a new one instead.
+            </p>
+          )}
+          {lines && !hasCombo && (
+            <>
+              <ul className="space-y-2">
+                {lines.map((line) => (
+                  <li key={line.orderItemId} className="flex items-center justify-between gap-3 text-sm">
+                    <span className="text-gray-800">
+                      {line.itemName}
+                      {line.modifiers.length > 0 && (
+                        <span className="block text-xs text-gray-500">{line.modifiers.map((m) => m.option_name).join(', ')}</span>
+                      )}
+                    </span>
+                    <span className="flex items-center gap-2">
+                      <button
+                        type="button"
+                        onClick={() => setQuantity(line.orderItemId, line.quantity - 1)}
+                        className="w-7 h-7 rounded border border-gray-300 text-gray-700"
+                      >
+                        −
+                      </button>
+                      <span className="w-6 text-center">{line.quantity}</span>
+                      <button
+                        type="button"
+                        onClick={() => setQuantity(line.orderItemId, line.quantity + 1)}
+                        className="w-7 h-7 rounded border border-gray-300 text-gray-700"
+                      >
+                        +
+                      </button>
+                      <button
+                        type="button"
+                        disabled={lines.length === 1}
+                        onClick={() => removeLine(line.orderItemId)}
+                        className="text-xs font-medium text-red-600 hover:text-red-800 disabled:opacity-40"
+                      >
+                        Remove
+                      </button>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+
+              <label className="block text-sm">
+                <span className="font-semibold text-gray-900">Special instructions</span>
+                <textarea
+                  value={instructions}
+                  onChange={(e) => setInstructions(e.target.value)}
+                  rows={2}
+                  className="mt-1 w-full border border-gray-300 rounded px-2 py-1.5"
+                />
+              </label>
+            </>
+          )}
+          {error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+
+        <div className="p-6 border-t border-gray-100 flex items-center justify-between gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg border border-gray-200 text-gray-700 font-medium hover:bg-gray-100 transition-colors"
+          >
+            Close
+          </button>
+          {!hasCombo && (
+            <button
+              type="button"
+              disabled={busy || !lines}
+              onClick={save}
+              className="px-5 py-2 rounded-lg bg-indigo-600 text-white font-semibold hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+            >
+              {busy ? 'Saving...' : 'Save changes'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default OrderEditDialog;
@@ -1,14 +1,27 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { orderAPI } from '../services/api';
 import { getSocket } from '../services/realtime';
+import { saveBlob } from '../services/download';
+import { useToast } from './ToastProvider';
+import PaymentDialog from './PaymentDialog';
+import OrderEditDialog from './OrderEditDialog';
+import { timelineLabel, timelineTime } from '../services/orderStatus';
 import './Orders.css';
 
+// Customers may cancel or edit while an order is in one of these (see
+// can_cancel / can_edit from the server for the grace window).
+const CHANGEABLE_STATUSES = ['pending', 'confirmed'];
+
 function Orders() {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [page, setPage] = useState(1);
   const [totalCount, setTotalCount] = useState(0);
+  const [details, setDetails] = useState({}); // order_id => detail, for expanded cards
+  const [paying, setPaying] = useState(null); // order being paid online
+  const [editing, setEditing] = useState(null); // order being changed
+  const { showToast } = useToast();
 
   const formatPrice = (price) => {
     if (!price && price !== 0) return '0.00';
@@ -20,12 +33,86 @@ function Orders() {
     setOrders((prev) =>
       prev.map((o) =>
         o.order_id === update.order_id
-          ? { ...o, status: update.status, payment_status: update.payment_status }
+          ? {
+              ...o,
+              status: update.status,
+              payment_status: update.payment_status,
+              // Once the kitchen starts, the order can't be changed any more.
+              can_cancel: o.can_cancel && CHANGEABLE_STATUSES.includes(update.status),
+              can_edit: o.can_edit && CHANGEABLE_STATUSES.includes(update.status) && update.payment_status === 'pending'
+            }
           : o
       )
     );
+    // An open card's timeline gains the new step as it happens.
+    setDetails((prev) => {
+      const detail = prev[update.order_id];
+      const history = detail?.statusHistory || [];
+      if (!detail || history[history.length - 1]?.status === update.status) {
+        return prev;
+      }
+      const step = { status: update.status, at: new Date().toISOString() };
+      return { ...prev, [update.order_id]: { ...detail, status: update.status, statusHistory: [...history, step] } };
+    });
   }, []);
 
+  const toggleItems = async (orderId) => {
+    if (details[orderId]) {
+      setDetails(({ [orderId]: _hidden, ...rest }) => rest);
+      return;
+    }
+    try {
+      const response = await orderAPI.getOrderById(orderId);
+      setDetails((prev) => ({ ...prev, [orderId]: response.data }));
+    } catch (err) {
+      console.error('Failed to load order items:', err.response?.data || err.message);
+    }
+  };
+
+  // Both return the order's new details; the list row is kept in step.
+  const applyChange = (detail) => {
+    setOrders((prev) =>
+      prev.map((o) =>
+        o.order_id === detail.orderId
+          ? {
+              ...o,
+              status: detail.status,
+              payment_status: detail.paymentStatus,
+              total_amount: detail.totalAmount,
+              special_instructions: detail.specialInstructions,
+              item_count: detail.items.reduce((sum, item) => sum + item.quantity, 0),
+              can_cancel: detail.canCancel,
+              can_edit: detail.canEdit
+            }
+          : o
+      )
+    );
+    setDetails((prev) => (prev[detail.orderId] ? { ...prev, [detail.orderId]: detail } : prev));
+  };
+
+  const cancelOrder = async (order) => {
+    if (!window.confirm(`Cancel order #${order.order_number}?`)) return;
+    try {
+      const response = await orderAPI.cancelOrder(order.order_id);
+      applyChange(response.data);
+      showToast(
+        response.data.refundedAmount > 0 ? 'Order cancelled. Your payment is being refunded.' : 'Order cancelled.',
+        'success'
+      );
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Could not cancel the order.', 'error');
+    }
+  };
+
+  const downloadReceipt = async (order) => {
+    try {
+      const response = await orderAPI.getReceipt(order.order_id);
+      saveBlob(response.data, `receipt-${order.order_number}.pdf`);
+    } catch (err) {
+      showToast('Could not download the receipt. Please try again.', 'error');
+    }
+  };
+
   const fetchOrders = useCallback(async () => {
     try {
       setLoading(true);
@@ -190,7 +277,99 @@ function Orders() {
               )}
             </div>
 
+            {details[order.order_id] && (
+              <ul className="order-items">
+                {details[order.order_id].items.map((item) => (
+                  <li key={item.orderItemId} className="order-item-line">
+                    <div>
+                      <span className="order-item-name">
+                        {item.quantity} × {item.itemName}
+                      </span>
+                      {item.combo && (
+                        <span className="order-item-options">Part of {item.combo.combo_name}</span>
+                      )}
+                      {item.modifiers.length > 0 && (
+                        <span className="order-item-options">
+                          {item.modifiers.map((m) => m.option_name).join(', ')}
+                        </span>
+                      )}
+                    </div>
+                    <span>Rs {formatPrice(item.subtotal)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {details[order.order_id] && (
+              <ol className="order-timeline">
+                {details[order.order_id].statusHistory.map((entry, index, history) => (
+                  <li key={index} className={`timeline-step ${entry.status}`}>
+                    <span>{timelineLabel(entry.status)}</span>
+                    <time dateTime={entry.at}>{timelineTime(entry.at, history[0].at)}</time>
+                  </li>
+                ))}
+              </ol>
+            )}
+
+            {details[order.order_id] && (
+              <ul className="order-charges">
+                <li>
+                  <span>Subtotal</span>
+                  <span>Rs {formatPrice(details[order.order_id].subtotalAmount)}</span>
+                </li>
+                {details[order.order_id].discountAmount > 0 && (
+                  <li className="order-discount-line">
+                    <span>Promo {details[order.order_id].promoCode}</span>
+                    <span>-Rs {formatPrice(details[order.order_id].discountAmount)}</span>
+                  </li>
+                )}
+                {details[order.order_id].taxAmount > 0 && (
+                  <li>
+                    <span>Tax</span>
+                    <span>Rs {formatPrice(details[order.order_id].taxAmount)}</span>
+                  </li>
+                )}
+                {details[order.order_id].serviceChargeAmount > 0 && (
+                  <li>
+                    <span>Service charge</span>
+                    <span>Rs {formatPrice(details[order.order_id].serviceChargeAmount)}</span>
+                  </li>
+                )}
+                {details[order.order_id].refundedAmount > 0 && (
+                  <li className="order-discount-line">
+                    <span>Refunded</span>
+                    <span>-Rs {formatPrice(details[order.order_id].refundedAmount)}</span>
+                  </li>
+                )}
+              </ul>
+            )}
+
             <div className="order-footer">
+              <div className="order-footer-actions">
+                <button className="order-items-toggle" onClick={() => toggleItems(order.order_id)}>
+                  {details[order.order_id] ? 'Hide items' : 'View items'}
+                </button>
+                <button className="order-items-toggle" onClick={() => downloadReceipt(order)}>
+                  Download receipt
+                </button>
+                {order.payment_method !== 'cash' &&
+                  order.payment_status === 'pending' &&
+                  order.status !== 'cancelled' && (
+                    <button className="order-items-toggle" onClick={() => setPaying(order)}>
+                      Pay now
+                    </button>
+                  )}
+                {order.can_edit && (
+                  <button className="order-items-toggle" onClick={() => setEditing(order)}>
+                    Edit order
+                  </button>
+                )}
+                {order.can_cancel && (
+                  <button className="order-items-toggle order-cancel-button" onClick={() => cancelOrder(order)}>
+                    Cancel order
+                  </button>
+                )}
+              </div>
               <div className="order-total">
                 <span>Total Amount:</span>
                 <span className="amount">Rs {formatPrice(order.total_amount)}</span>
@@ -220,6 +399,30 @@ function Orders() {
           </button>
         </div>
       )}
+
+      {paying && (
+        <PaymentDialog
+          order={paying}
+          onClose={() => setPaying(null)}
+          onPaid={() => {
+            handleOrderUpdate({ order_id: paying.order_id, status: paying.status, payment_status: 'paid' });
+            setPaying(null);
+            showToast('Payment received. Thank you!', 'success');
+          }}
+        />
+      )}
+
+      {editing && (
+        <OrderEditDialog
+          order={editing}
+          onClose={() => setEditing(null)}
+          onSaved={(detail) => {
+            applyChange(detail);
+            setEditing(null);
+            showToast('Order updated.', 'success');
+          }}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,93 @@
+import React, { useEffect, useState } from 'react';
+import { orderAPI, paymentAPI } from '../services/api';
+
+// Takes an unpaid card or wallet order through the payment provider. The
+// order is only marked paid once the provider's webhook arrives; with the
+// offline mock provider the buttons below stand in for its checkout page.
+function PaymentDialog({ order, onPaid, onClose }) {
+  const [intent, setIntent] = useState(null);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    orderAPI
+      .createPaymentIntent(order.order_id)
+      .then((response) => setIntent(response.data))
+      .catch((err) => setError(err.response?.data?.error || 'Could not start the payment'));
+  }, [order.order_id]);
+
+  const complete = async (outcome) => {
+    setBusy(true);
+    setError('');
+    try {
+      const response = await paymentAPI.completeMockPayment(intent.intent_id, outcome);
+      if (response.data.status === 'succeeded') {
+        onPaid();
+        return;
+      }
+      // A failed attempt closes that intent; the next one starts fresh.
+      setError('The payment did not go through. Please try again.');
+      const retry = await orderAPI.createPaymentIntent(order.order_id);
+      setIntent(retry.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Payment failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-gray-900/50 backdrop-blur-md flex items-center justify-center z-[1000] p-4"
+      onClick={onClose}
+    >
+      <div className="bg-white rounded-2xl shadow-2xl max-w-sm w-full" onClick={(e) => e.stopPropagation()}>
+        <div className="p-6 border-b border-gray-100">
+          <h2 className="text-xl font-bold text-gray-900">Pay for order #{order.order_number}</h2>
+          {intent && (
+            <p className="text-sm text-gray-500 mt-1">
+              {intent.currency} {intent.amount.toFixed(2)} · {intent.provider === 'mock' ? 'Test payment' : intent.provider}
+            </p>
+          )}
+        </div>
+
+        <div className="p-6 space-y-3">
+          {!intent && !error && <p className="text-sm text-gray-500">Starting payment...</p>}
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {intent && intent.provider === 'mock' && (
+            <>
+              <button
+                type="button"
+                disabled={busy}
+                onClick={() => complete('succeeded')}
+                className="w-full px-5 py-2 rounded-lg bg-indigo-600 text-white font-semibold hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+              >
+                {busy ? 'Processing...' : `Pay Rs ${intent.amount.toFixed(2)}`}
+              </button>
+              <button
+                type="button"
+                disabled={busy}
+                onClick={() => complete('failed')}
+                className="w-full px-5 py-2 rounded-lg border border-gray-200 text-gray-700 font-medium hover:bg-gray-100 disabled:opacity-50 transition-colors"
+              >
+                Simulate a declined payment
+              </button>
+            </>
+          )}
+        </div>
+
+        <div className="p-6 border-t border-gray-100 text-right">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg border border-gray-200 text-gray-700 font-medium hover:bg-gray-100 transition-colors"
+          >
+            Pay later
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PaymentDialog;
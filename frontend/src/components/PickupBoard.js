@@ -0,0 +1,95 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { pickupBoardAPI } from '../services/api';
+import { createBoardSocket } from '../services/realtime';
+
+const EMPTY_BOARD = { preparing: [], ready: [] };
+
+// Moves one order to its new column; a null column takes it off the board.
+const applyUpdate = (board, { order_number, column }) => {
+  const next = {
+    preparing: board.preparing.filter((number) => number !== order_number),
+    ready: board.ready.filter((number) => number !== order_number),
+  };
+  if (column) {
+    next[column] = [...next[column], order_number];
+  }
+  return next;
+};
+
+// Public, read-only screen for the pickup counter, opened in kiosk mode as
+// /pickup-board (or /pickup-board?token=... when a display token is set).
+// It only ever sees order numbers.
+function PickupBoard() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [board, setBoard] = useState(EMPTY_BOARD);
+  const [error, setError] = useState('');
+
+  const loadBoard = useCallback(async () => {
+    try {
+      const response = await pickupBoardAPI.getBoard(token);
+      setBoard(response.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'The board is offline');
+    }
+  }, [token]);
+
+  useEffect(() => {
+    loadBoard();
+    const socket = createBoardSocket(token);
+    const handleUpdate = (update) => setBoard((prev) => applyUpdate(prev, update));
+    socket.on('board:update', handleUpdate);
+    // Reloading on every (re)connect covers anything missed while offline.
+    socket.on('connect', loadBoard);
+    return () => {
+      socket.off('board:update', handleUpdate);
+      socket.off('connect', loadBoard);
+      socket.disconnect();
+    };
+  }, [token, loadBoard]);
+
+  // Newest ready orders first, where people look.
+  const ready = [...board.ready].reverse();
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white flex flex-col">
+      <header className="px-8 py-5 flex items-center justify-between border-b border-gray-700">
+        <h1 className="text-3xl font-bold">🍔 Grab N Go · Order pickup</h1>
+        {error && <span className="text-red-400 text-lg">{error}</span>}
+      </header>
+
+      <div className="flex-1 grid grid-cols-2 gap-6 p-8">
+        <section className="rounded-2xl bg-gray-800 p-6">
+          <h2 className="text-2xl font-semibold text-gray-300 mb-6">Preparing</h2>
+          <ul className="flex flex-wrap gap-4">
+            {board.preparing.map((number) => (
+              <li key={number} className="px-5 py-3 rounded-xl bg-gray-700 text-3xl font-mono font-bold text-gray-200">
+                {number}
+              </li>
+            ))}
+          </ul>
+        </section>
+
+        <section className="rounded-2xl bg-green-700 p-6">
+          <h2 className="text-2xl font-semibold mb-6">Ready for pickup</h2>
+          <ul className="flex flex-wrap gap-4">
+            {ready.map((number, index) => (
+              <li
+                key={number}
+                className={`px-5 py-3 rounded-xl bg-white text-green-800 text-4xl font-mono font-bold ${
+                  index === 0 ? 'animate-pulse' : ''
+                }`}
+              >
+                {number}
+              </li>
+            ))}
+          </ul>
+        </section>
+      </div>
+    </div>
+  );
+}
+
+export default PickupBoard;
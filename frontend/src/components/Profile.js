@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { useToast } from './ToastProvider';
+
+const inputClasses =
+  'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all';
+
+// Lets the signed-in user edit their details, change their password or
+// deactivate their account.
+function Profile({ onProfileUpdated, onDeactivated }) {
+  const [details, setDetails] = useState({ full_name: '', phone: '', email: '' });
+  const [profile, setProfile] = useState(null);
+  const [passwords, setPasswords] = useState({ current_password: '', new_password: '', confirm_password: '' });
+  const [deactivatePassword, setDeactivatePassword] = useState('');
+  const [confirmDeactivate, setConfirmDeactivate] = useState(false);
+  const [busy, setBusy] = useState(null);
+  const navigate = useNavigate();
+  const { showToast } = useToast();
+
+  useEffect(() => {
+    authAPI
+      .getCurrentUser()
+      .then((response) => {
+        setProfile(response.data);
+        setDetails({
+          full_name: response.data.fullName || '',
+          phone: response.data.phone || '',
+          email: response.data.email || '',
+        });
+      })
+      .catch((err) => showToast(err.response?.data?.error || 'Failed to load profile', 'error'));
+  }, [showToast]);
+
+  const saveDetails = async (e) => {
+    e.preventDefault();
+    setBusy('details');
+    try {
+      const response = await authAPI.updateProfile(details);
+      setProfile(response.data);
+      onProfileUpdated(response.data);
+      showToast(
+        response.data.email !== profile.email
+          ? `Profile saved. Check ${response.data.email} for a confirmation link.`
+          : 'Profile saved',
+        'success'
+      );
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Failed to save profile', 'error');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const changePassword = async (e) => {
+    e.preventDefault();
+    if (passwords.new_password !== passwords.confirm_password) {
+      showToast('Passwords do not match', 'error');
+      return;
+    }
+    if (passwords.new_password.length < 6) {
+      showToast('Password must be at least 6 characters long', 'error');
+      return;
+    }
+
+    setBusy('password');
+    try {
+      const response = await authAPI.changePassword(passwords.current_password, passwords.new_password);
+      setPasswords({ current_password: '', new_password: '', confirm_password: '' });
+      showToast(response.data.message || 'Password updated', 'success');
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Failed to change password', 'error');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const deactivate = async (e) => {
+    e.preventDefault();
+    setBusy('deactivate');
+    try {
+      await authAPI.deactivateAccount(deactivatePassword);
+      showToast('Your account has been deactivated', 'success');
+      onDeactivated();
+      navigate('/');
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Failed to deactivate account', 'error');
+      setBusy(null);
+    }
+  };
+
+  const handleDetailsChange = (e) => setDetails({ ...details, [e.target.name]: e.target.value });
+  const handlePasswordChange = (e) => setPasswords({ ...passwords, [e.target.name]: e.target.value });
+
+  if (!profile) {
+    return <div className="text-center py-12 text-gray-500">Loading...</div>;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-4 md:py-6">
+          <h1 className="text-3xl font-bold text-gray-900">My Profile</h1>
+          <p className="text-sm text-gray-500 mt-1">Signed in as {profile.username}</p>
+        </div>
+      </div>
+
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        <section className="bg-white rounded-xl shadow border border-gray-100 p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Details</h2>
+          <form onSubmit={saveDetails} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Full Name</label>
+              <input type="text" name="full_name" value={details.full_name} onChange={handleDetailsChange} required className={inputClasses} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Email
+                {!profile.emailVerified && (
+                  <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-bold bg-yellow-100 text-yellow-700">Unconfirmed</span>
+                )}
+              </label>
+              <input type="email" name="email" value={details.email} onChange={handleDetailsChange} required className={inputClasses} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Phone</label>
+              <input type="tel" name="phone" value={details.phone} onChange={handleDetailsChange} className={inputClasses} />
+            </div>
+            <button
+              type="submit"
+              disabled={busy === 'details'}
+              className="px-5 py-2.5 rounded-lg bg-indigo-600 text-white font-semibold hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+            >
+              {busy === 'details' ? 'Saving...' : 'Save Changes'}
+            </button>
+          </form>
+        </section>
+
+        <section className="bg-white rounded-xl shadow border border-gray-100 p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-1">Change Password</h2>
+          <p className="text-sm text-gray-500 mb-4">Other devices will be signed out.</p>
+          <form onSubmit={changePassword} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Current Password</label>
+              <input type="password" name="current_password" value={passwords.current_password} onChange={handlePasswordChange} required className={inputClasses} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">New Password</label>
+              <input type="password" name="new_password" value={passwords.new_password} onChange={handlePasswordChange} required className={inputClasses} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Confirm New Password</label>
+              <input type="password" name="confirm_password" value={passwords.confirm_password} onChange={handlePasswordChange} required className={inputClasses} />
+            </div>
+            <button
+              type="submit"
+              disabled={busy === 'password'}
+              className="px-5 py-2.5 rounded-lg bg-indigo-600 text-white font-semibold hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+            >
+              {busy === 'password' ? 'Updating...' : 'Update Password'}
+            </button>
+          </form>
+        </section>
+
+        <section className="bg-white rounded-xl shadow border border-red-100 p-6">
+          <h2 className="text-xl font-semibold text-red-700 mb-1">Deactivate Account</h2>
+          <p className="text-sm text-gray-500 mb-4">
+            You will be signed out everywhere and won't be able to log in again. Your order history is kept.
+          </p>
+          {!confirmDeactivate ? (
+            <button
+              type="button"
+              onClick={() => setConfirmDeactivate(true)}
+              className="px-5 py-2.5 rounded-lg border border-red-200 text-red-600 font-semibold hover:bg-red-50 transition-colors"
+            >
+              Deactivate my account
+            </button>
+          ) : (
+            <form onSubmit={deactivate} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Confirm with your password</label>
+                <input
+                  type="password"
+                  value={deactivatePassword}
+                  onChange={(e) => setDeactivatePassword(e.target.value)}
+                  required
+                  className={inputClasses}
+                />
+              </div>
+              <div className="flex gap-3">
+                <button
+                  type="submit"
+                  disabled={busy === 'deactivate'}
+                  className="px-5 py-2.5 rounded-lg bg-red-600 text-white font-semibold hover:bg-red-700 disabled:opacity-50 transition-colors"
+                >
+                  {busy === 'deactivate' ? 'Deactivating...' : 'Deactivate'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setConfirmDeactivate(false);
+                    setDeactivatePassword('');
+                  }}
+                  className="px-5 py-2.5 rounded-lg border border-gray-200 text-gray-700 font-semibold hover:bg-gray-100 transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
+
+export default Profile;
@@ -1,15 +1,22 @@
 import React from 'react';
 import { Navigate } from 'react-router-dom';
 
-function ProtectedRoute({ isAllowed, redirectTo = '/login', children }) {
-  if (!isAllowed) {
-    return <Navigate to={redirectTo} replace />;
+// True when the user holds at least one of the given permissions
+// (as returned by /api/auth/login and /api/auth/me).
+export function hasPermission(user, ...permissions) {
+  if (!user || !Array.isArray(user.permissions)) return false;
+  return permissions.some((permission) => user.permissions.includes(permission));
+}
+
+// `permission` may be a single key or an array (any of). With `hideWhenDenied`
+// nothing is rendered instead of redirecting, which suits tabs and buttons.
+function ProtectedRoute({ isAllowed = true, user, permission, hideWhenDenied = false, redirectTo = '/login', children }) {
+  const permitted = !permission || hasPermission(user, ...[].concat(permission));
+
+  if (!isAllowed || !permitted) {
+    return hideWhenDenied ? null : <Navigate to={redirectTo} replace />;
   }
   return children;
 }
 
 export default ProtectedRoute;
-
-
-
-
@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { adminAPI } from '../services/api';
+
+export const REFUND_REASONS = [
+  { value: 'customer_request', label: 'Customer request' },
+  { value: 'wrong_item', label: 'Wrong item' },
+  { value: 'quality_issue', label: 'Quality issue' },
+  { value: 'late_order', label: 'Late order' },
+  { value: 'other', label: 'Other' }
+];
+
+// Picks how many units of each item to refund. The server works out the
+// amount (each line's share of what was charged) and sends it back through
+// the payment provider when the order was paid online.
+function RefundDialog({ order, onRefunded, onClose }) {
+  const refundable = order.items.filter((item) => item.quantity > item.refunded_quantity);
+  const [quantities, setQuantities] = useState({});
+  const [reason, setReason] = useState('customer_request');
+  const [note, setNote] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const selected = refundable
+    .filter((item) => quantities[item.order_item_id] > 0)
+    .map((item) => ({ order_item_id: item.order_item_id, quantity: quantities[item.order_item_id] }));
+
+  const setQuantity = (item, value) => {
+    const left = item.quantity - item.refunded_quantity;
+    const quantity = Math.min(Math.max(parseInt(value) || 0, 0), left);
+    setQuantities((prev) => ({ ...prev, [item.order_item_id]: quantity }));
+  };
+
+  const selectAll = () =>
+    setQuantities(Object.fromEntries(refundable.map((item) => [item.order_item_id, item.quantity - item.refunded_quantity])));
+
+  const submit = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const response = await adminAPI.refundOrder(order.order_id, {
+        reason_code: reason,
+        note: note.trim() || null,
+        items: selected
+      });
+      onRefunded(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Refund failed');
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-gray-900/50 backdrop-blur-md flex items-center justify-center z-[1100] p-4"
+      onClick={onClose}
+    >
+      <div className="bg-white rounded-2xl shadow-2xl max-w-md w-full max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="p-6 border-b border-gray-100">
+          <h2 className="text-xl font-bold text-gray-900">Refund order #{order.order_number}</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            Charged Rs {parseFloat(order.total_amount).toFixed(2)} · refunded so far Rs {parseFloat(order.refunded_amount || 0).toFixed(2)}
+          </p>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h3 className="font-semibold text-gray-900">Items</h3>
+            <button type="button" onClick={selectAll} className="text-xs font-medium text-indigo-600 hover:text-indigo-800">
+              Refund everything left
+            </button>
+          </div>
+          <ul className="space-y-2">
+            {refundable.map((item) => (
+              <li key={item.order_item_id} className="flex items-center justify-between gap-3 text-sm">
+                <span className="text-gray-800">
+                  {item.item_name}
+                  <span className="text-gray-500"> · {item.quantity - item.refunded_quantity} of {item.quantity} left</span>
+                </span>
+                <input
+                  type="number"
+                  min="0"
+                  max={item.quantity - item.refunded_quantity}
+                  value={quantities[item.order_item_id] || 0}
+                  onChange={(e) => setQuantity(item, e.target.value)}
+                  className="w-16 border border-gray-300 rounded px-2 py-1 text-right"
+                />
+              </li>
+            ))}
+          </ul>
+
+          <label className="block text-sm">
+            <span className="font-semibold text-gray-900">Reason</span>
+            <select
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="mt-1 w-full border border-gray-300 rounded px-2 py-1.5"
+            >
+              {REFUND_REASONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="block text-sm">
+            <span className="font-semibold text-gray-900">Note{reason === 'other' ? '' : ' (optional)'}</span>
+            <textarea
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              maxLength={255}
+              rows={2}
+              className="mt-1 w-full border border-gray-300 rounded px-2 py-1.5"
+            />
+          </label>
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+
+        <div className="p-6 border-t border-gray-100 flex items-center justify-between gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg border border-gray-200 text-gray-700 font-medium hover:bg-gray-100 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            disabled={busy || selected.length === 0 || (reason === 'other' && !note.trim())}
+            onClick={submit}
+            className="px-5 py-2 rounded-lg bg-red-600 text-white font-semibold hover:bg-red-700 disabled:opacity-50 transition-colors"
+          >
+            {busy ? 'Refunding...' : 'Issue refund'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RefundDialog;
@@ -1,10 +1,11 @@
 import React, { useState } from 'react';
-import { Link, useNavigate, useParams } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { authAPI } from '../services/api';
 import { useToast } from './ToastProvider';
 
+// Public sign-up is for customers only; staff and admins join through an
+// invite link (see InviteRegister).
 function Register() {
-  const { role } = useParams();
   const [formData, setFormData] = useState({
     username: '',
     email: '',
@@ -18,8 +19,6 @@ function Register() {
   const [loading, setLoading] = useState(false);
   const navigate = useNavigate();
   const { showToast } = useToast();
-  const [selectedRole, setSelectedRole] = useState(role === 'admin' ? 'admin' : 'customer');
-  const isAdmin = selectedRole === 'admin';
 
   const handleChange = (e) => {
     setFormData({
@@ -52,14 +51,13 @@ function Register() {
         password: formData.password,
         full_name: formData.full_name,
         phone: formData.phone,
-        role: selectedRole,
       });
       
-      setSuccess('Registration successful! Redirecting to login...');
+      setSuccess(`Registration successful! We've sent a confirmation link to ${formData.email}. Redirecting to login...`);
       showToast('Registration successful', 'success');
       setTimeout(() => {
-        navigate(`/login/${selectedRole}`);
-      }, 2000);
+        navigate('/login/customer');
+      }, 3000);
     } catch (err) {
       const msg = err.response?.data?.error || 'Registration failed. Please try again.';
       setError(msg);
@@ -73,7 +71,7 @@ function Register() {
     <div className="min-h-screen bg-gradient-to-br from-primary-500 via-purple-600 to-primary-700 flex items-center justify-center px-4 py-12 font-sans">
       <div className="max-w-md w-full">
         <button
-          onClick={() => navigate('/')}
+          onClick={() => navigate('/login')}
           className="mb-6 flex items-center text-white hover:text-white/80 transition-colors"
         >
           <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -84,22 +82,16 @@ function Register() {
 
         <div className="bg-white rounded-2xl shadow-2xl p-8">
           <div className="text-center mb-8">
-            <div className={`w-20 h-20 ${isAdmin ? 'bg-purple-100' : 'bg-primary-100'} rounded-full flex items-center justify-center mx-auto mb-4`}>
-              {isAdmin ? (
-                <svg className="w-10 h-10 text-purple-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
-                </svg>
-              ) : (
-                <svg className="w-10 h-10 text-primary-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
-                </svg>
-              )}
+            <div className="w-20 h-20 bg-primary-100 rounded-full flex items-center justify-center mx-auto mb-4">
+              <svg className="w-10 h-10 text-primary-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
+              </svg>
             </div>
             <h2 className="text-3xl font-bold text-gray-900 mb-2 font-inter">
-              {isAdmin ? 'Admin Registration' : 'Customer Registration'}
+              Customer Registration
             </h2>
             <p className="text-gray-600">
-              Create your {isAdmin ? 'admin' : 'customer'} account
+              Create your customer account
             </p>
           </div>
 
@@ -192,27 +184,13 @@ function Register() {
                 placeholder="••••••••"
               />
             </div>
-            
-            <div className="flex items-center">
-              <input
-                type="checkbox"
-                checked={selectedRole === 'admin'}
-                onChange={(e) => setSelectedRole(e.target.checked ? 'admin' : 'customer')}
-                className="mr-2"
-                disabled={role === 'admin'}
-              />
-              <label className="block text-sm font-medium text-gray-700">
-                Click here to register as Admin
-                {role === 'admin' && <span className="text-xs text-purple-500 ml-2">(Locked via URL)</span>}
-              </label>
-            </div>
 
             <button
               type="submit"
               disabled={loading}
               aria-disabled={loading}
               aria-busy={loading}
-              className={`w-full ${isAdmin ? 'bg-purple-600 hover:bg-purple-700 focus-visible:ring-purple-300' : 'bg-primary-600 hover:bg-primary-700 focus-visible:ring-primary-300'} text-white font-semibold py-3 px-4 rounded-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center shadow-md active:translate-y-[1px] focus-visible:outline-none focus-visible:ring-4`}
+              className={`w-full bg-primary-600 hover:bg-primary-700 focus-visible:ring-primary-300 text-white font-semibold py-3 px-4 rounded-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center shadow-md active:translate-y-[1px] focus-visible:outline-none focus-visible:ring-4`}
             >
               {loading ? (
                 <>
@@ -237,8 +215,8 @@ function Register() {
             <p className="text-gray-600">
               Already have an account?{' '}
               <Link 
-                to={`/login/${selectedRole}`}
-                className={`${isAdmin ? 'text-purple-600 hover:text-purple-700' : 'text-primary-600 hover:text-primary-700'} font-semibold`}
+                to="/login/customer"
+                className="text-primary-600 hover:text-primary-700 font-semibold"
               >
                 Login here
               </Link>
@@ -0,0 +1,121 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { authAPI } from '../services/api';
+import { useToast } from './ToastProvider';
+
+// Lists the signed-in user's refresh sessions so other devices can be signed out.
+function Sessions() {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const { showToast } = useToast();
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const response = await authAPI.getSessions();
+      setSessions(Array.isArray(response.data) ? response.data : []);
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Failed to load sessions', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const revoke = async (sessionId) => {
+    setBusyId(sessionId);
+    try {
+      await authAPI.revokeSession(sessionId);
+      setSessions((prev) => prev.filter((session) => session.session_id !== sessionId));
+      showToast('Device signed out', 'success');
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Failed to sign out device', 'error');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const revokeOthers = async () => {
+    setBusyId('others');
+    try {
+      const response = await authAPI.revokeOtherSessions();
+      setSessions((prev) => prev.filter((session) => session.current));
+      showToast(response.data?.message || 'Signed out other devices', 'success');
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Failed to sign out other devices', 'error');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const others = sessions.filter((session) => !session.current);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-4 md:py-6 flex flex-col md:flex-row md:justify-between md:items-center gap-3">
+          <h1 className="text-3xl font-bold text-gray-900">Active Sessions</h1>
+          {others.length > 0 && (
+            <button
+              type="button"
+              onClick={revokeOthers}
+              disabled={busyId === 'others'}
+              className="text-sm px-4 py-2 rounded-lg bg-red-600 text-white hover:bg-red-700 disabled:opacity-50 transition-colors"
+            >
+              {busyId === 'others' ? 'Signing out...' : 'Sign out other devices'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {loading ? (
+          <div className="text-center py-12 text-gray-500">Loading...</div>
+        ) : sessions.length === 0 ? (
+          <div className="bg-white rounded-xl shadow-lg p-12 text-center text-lg font-medium text-gray-500 border border-gray-100">
+            No active sessions.
+          </div>
+        ) : (
+          <ul className="space-y-4">
+            {sessions.map((session) => (
+              <li
+                key={session.session_id}
+                className="bg-white rounded-xl shadow border border-gray-100 p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3"
+              >
+                <div className="min-w-0">
+                  <p className="font-semibold text-gray-900 truncate">
+                    {session.user_agent || 'Unknown device'}
+                    {session.current && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-bold bg-green-100 text-green-700">
+                        This device
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-0.5">
+                    {session.ip_address || 'Unknown IP'} · Last active{' '}
+                    {new Date(session.last_used_at || session.created_at).toLocaleString()}
+                  </p>
+                </div>
+
+                {!session.current && (
+                  <button
+                    type="button"
+                    onClick={() => revoke(session.session_id)}
+                    disabled={busyId === session.session_id}
+                    className="text-sm px-3 py-1.5 rounded border border-red-200 text-red-600 hover:bg-red-50 disabled:opacity-50 transition-colors"
+                  >
+                    {busyId === session.session_id ? 'Signing out...' : 'Sign out'}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Sessions;
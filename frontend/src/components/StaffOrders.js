@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { adminAPI } from '../services/api';
+import { getSocket } from '../services/realtime';
+import { useToast } from './ToastProvider';
+
+// Kitchen staff may only move an order one step along this chain
+// (mirrors KITCHEN_STATUS_FLOW on the server).
+const NEXT_STATUS = {
+  pending: 'confirmed',
+  confirmed: 'preparing',
+  preparing: 'ready',
+};
+
+const QUEUE_STATUSES = ['pending', 'confirmed', 'preparing', 'ready'];
+
+const STATUS_CLASSES = {
+  pending: 'bg-yellow-100 text-yellow-700',
+  confirmed: 'bg-blue-100 text-blue-700',
+  preparing: 'bg-purple-100 text-purple-700',
+  ready: 'bg-green-100 text-green-700',
+};
+
+function StaffOrders({ user }) {
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState('all');
+  const [busyId, setBusyId] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [detailsByOrder, setDetailsByOrder] = useState({});
+  const ordersRef = useRef(orders);
+  const { showToast } = useToast();
+
+  useEffect(() => {
+    ordersRef.current = orders;
+  }, [orders]);
+
+  // The server sends every order in the queue, not just the latest page.
+  const loadOrders = useCallback(async () => {
+    try {
+      const response = await adminAPI.getAllOrders(1, 'queue');
+      const list = response.data?.orders || [];
+      setOrders(Array.isArray(list) ? list : []);
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Failed to load orders', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    loadOrders();
+  }, [loadOrders]);
+
+  useEffect(() => {
+    let socket;
+    const handleNew = () => loadOrders();
+    // An order the list has not seen yet (e.g. a scheduled one just
+    // released) is fetched with the rest of the queue.
+    const handleUpdate = (updated) => {
+      if (!ordersRef.current.some((order) => order.order_id === updated.order_id)) {
+        if (QUEUE_STATUSES.includes(updated.status)) loadOrders();
+        return;
+      }
+      setOrders((prev) =>
+        prev.map((order) => (order.order_id === updated.order_id ? { ...order, ...updated } : order))
+      );
+    };
+
+    try {
+      socket = getSocket();
+      socket.on('order:new', handleNew);
+      socket.on('order:update', handleUpdate);
+    } catch (err) {
+      console.warn('Socket connection failed:', err);
+    }
+
+    return () => {
+      try {
+        if (socket) {
+          socket.off('order:new', handleNew);
+          socket.off('order:update', handleUpdate);
+        }
+      } catch (_e) {}
+    };
+  }, [loadOrders]);
+
+  const toggleItems = async (orderId) => {
+    if (expandedId === orderId) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(orderId);
+    if (detailsByOrder[orderId]) return;
+
+    try {
+      const response = await adminAPI.getOrderDetails(orderId);
+      setDetailsByOrder((prev) => ({ ...prev, [orderId]: response.data }));
+    } catch (err) {
+      showToast('Failed to load order items', 'error');
+    }
+  };
+
+  const advance = async (order) => {
+    const next = NEXT_STATUS[order.status];
+    if (!next) return;
+
+    setBusyId(order.order_id);
+    try {
+      const response = await adminAPI.updateOrderStatus(order.order_id, { status: next });
+      setOrders((prev) =>
+        prev.map((o) => (o.order_id === order.order_id ? { ...o, ...response.data } : o))
+      );
+      showToast(`${order.order_number} marked ${next}`, 'success');
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Failed to update order', 'error');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const queue = orders.filter((order) => QUEUE_STATUSES.includes(order.status));
+  const visible = filter === 'all' ? queue : queue.filter((order) => order.status === filter);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-4 md:py-6 flex flex-col md:flex-row md:justify-between md:items-center gap-3">
+          <h1 className="text-3xl font-bold text-gray-900">Kitchen Queue</h1>
+          <span className="text-sm text-gray-500">Signed in as {user?.fullName || user?.username}</span>
+        </div>
+      </div>
+
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="flex flex-wrap gap-2 mb-6">
+          {['all', ...QUEUE_STATUSES].map((status) => (
+            <button
+              key={status}
+              type="button"
+              onClick={() => setFilter(status)}
+              className={`px-4 py-2 rounded-lg text-sm font-semibold transition ${
+                filter === status ? 'bg-indigo-600 text-white' : 'bg-white text-gray-700 border border-gray-200 hover:bg-gray-100'
+              }`}
+            >
+              {status === 'all' ? 'All' : status.charAt(0).toUpperCase() + status.slice(1)}
+              <span className="ml-2 text-xs opacity-75">
+                {status === 'all' ? queue.length : queue.filter((order) => order.status === status).length}
+              </span>
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <div className="text-center py-12 text-gray-500">Loading...</div>
+        ) : visible.length === 0 ? (
+          <div className="bg-white rounded-xl shadow-lg p-12 text-center text-lg font-medium text-gray-500 border border-gray-100">
+            Nothing in the kitchen queue right now.
+          </div>
+        ) : (
+          <ul className="space-y-4">
+            {visible.map((order) => (
+              <li key={order.order_id} className="bg-white rounded-xl shadow border border-gray-100 p-4">
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                  <div>
+                    <button
+                      type="button"
+                      onClick={() => toggleItems(order.order_id)}
+                      className="font-bold text-indigo-700 hover:text-indigo-900 hover:underline"
+                    >
+                      {order.order_number}
+                    </button>
+                    <p className="text-xs text-gray-500 mt-0.5">
+                      {order.order_type === 'scheduled' && order.scheduled_at
+                        ? `Scheduled for ${new Date(order.scheduled_at).toLocaleString()}`
+                        : `Placed ${new Date(order.created_at).toLocaleTimeString()}`}
+                    </p>
+                  </div>
+
+                  <div className="flex items-center gap-3">
+                    <span className={`px-3 py-1 rounded-full text-xs font-bold ${STATUS_CLASSES[order.status]}`}>
+                      {order.status.toUpperCase()}
+                    </span>
+                    {NEXT_STATUS[order.status] && (
+                      <button
+                        type="button"
+                        onClick={() => advance(order)}
+                        disabled={busyId === order.order_id}
+                        className="text-sm px-3 py-1.5 rounded bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+                      >
+                        {busyId === order.order_id ? 'Updating...' : `Mark ${NEXT_STATUS[order.status]}`}
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {expandedId === order.order_id && (
+                  <div className="mt-4 border-t pt-3">
+                    {!detailsByOrder[order.order_id] ? (
+                      <p className="text-sm text-gray-500">Loading items...</p>
+                    ) : (
+                      <ul className="text-sm text-gray-800 space-y-1">
+                        {(detailsByOrder[order.order_id].items || []).map((item) => (
+                          <li key={item.order_item_id || item.item_id}>
+                            <span className="font-semibold">{item.quantity}×</span> {item.item_name}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {detailsByOrder[order.order_id]?.special_instructions && (
+                      <p className="mt-2 text-sm text-orange-700">
+                        Note: {detailsByOrder[order.order_id].special_instructions}
+                      </p>
+                    )}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default StaffOrders;
@@ -0,0 +1,72 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+
+// Tokens are single-use, so the request is shared between StrictMode's
+// double-mounted effects instead of being sent twice.
+const pendingVerifications = new Map();
+
+const verifyOnce = (token) => {
+  if (!pendingVerifications.has(token)) {
+    pendingVerifications.set(token, authAPI.verifyEmail(token));
+  }
+  return pendingVerifications.get(token);
+};
+
+// Landing page for the emailed /verify-email/:token link.
+function VerifyEmail({ onVerified }) {
+  const { token } = useParams();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    verifyOnce(token)
+      .then(() => {
+        if (cancelled) return;
+        setStatus('verified');
+        onVerified?.();
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setStatus('failed');
+        setMessage(err.response?.data?.error || 'Verification link is invalid or has expired');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [token, onVerified]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-500 via-purple-600 to-primary-700 flex items-center justify-center px-4 py-12 font-sans">
+      <div className="max-w-md w-full">
+        <div className="bg-white rounded-2xl shadow-2xl p-8 text-center">
+          <h2 className="text-3xl font-bold text-gray-900 mb-6 font-inter">Email Confirmation</h2>
+
+          {status === 'verifying' && <p className="text-gray-500">Confirming your email address…</p>}
+
+          {status === 'verified' && (
+            <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
+              Thanks! Your email address is confirmed.
+            </div>
+          )}
+
+          {status === 'failed' && (
+            <>
+              <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{message}</div>
+              <p className="text-gray-600">Sign in and use “Confirm email address” in your profile menu to get a new link.</p>
+            </>
+          )}
+
+          <div className="mt-6">
+            <Link to="/menu" className="text-primary-600 hover:text-primary-700 font-semibold">
+              Continue to menu
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmail;
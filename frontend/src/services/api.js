@@ -4,11 +4,35 @@ const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
 
 const api = axios.create({
   baseURL: API_URL,
+  // Sends the httpOnly refresh cookie to /api/auth/*.
+  withCredentials: true,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+const SESSION_ENDPOINTS = ['/api/auth/login', '/api/auth/refresh', '/api/auth/logout'];
+
+// Concurrent 401s share one refresh request; the rotated refresh token
+// would make a second, parallel refresh fail.
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = api
+      .post('/api/auth/refresh')
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('user', JSON.stringify(response.data.user));
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 api.interceptors.request.use(
   (config) => {
     const token = localStorage.getItem('token');
@@ -24,11 +48,23 @@ api.interceptors.request.use(
 
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const original = error.config;
+    const isSessionCall = SESSION_ENDPOINTS.includes(original?.url);
+
+    if (error.response?.status === 401 && original && !original._retried && !isSessionCall) {
+      original._retried = true;
+      try {
+        const token = await refreshAccessToken();
+        original.headers.Authorization = `Bearer ${token}`;
+        return api(original);
+      } catch (_refreshError) {
+        if (localStorage.getItem('token')) {
+          localStorage.removeItem('token');
+          localStorage.removeItem('user');
+          window.location.href = '/login';
+        }
+      }
     }
     return Promise.reject(error);
   }
@@ -38,6 +74,20 @@ export const authAPI = {
   register: (userData) => api.post('/api/auth/register', userData),
   login: (credentials) => api.post('/api/auth/login', credentials),
   getCurrentUser: () => api.get('/api/auth/me'),
+  updateProfile: (profileData) => api.patch('/api/auth/me', profileData),
+  changePassword: (currentPassword, newPassword) =>
+    api.put('/api/auth/me/password', { current_password: currentPassword, new_password: newPassword }),
+  deactivateAccount: (password) => api.post('/api/auth/me/deactivate', { password }),
+  logout: () => api.post('/api/auth/logout'),
+  getSessions: () => api.get('/api/auth/sessions'),
+  revokeSession: (sessionId) => api.delete(`/api/auth/sessions/${sessionId}`),
+  revokeOtherSessions: () => api.delete('/api/auth/sessions'),
+  forgotPassword: (email) => api.post('/api/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/api/auth/reset-password', { token, password }),
+  verifyEmail: (token) => api.post('/api/auth/verify-email', { token }),
+  resendVerification: () => api.post('/api/auth/verify-email/resend'),
+  getInvite: (token) => api.get(`/api/auth/invites/${token}`),
+  acceptInvite: (token, userData) => api.post(`/api/auth/invites/${token}/accept`, userData),
 };
 
 export const menuAPI = {
@@ -55,6 +105,16 @@ export const menuAPI = {
   addItem: (itemData) => api.post('/api/menu', itemData),
   updateItem: (id, itemData) => api.put(`/api/menu/${id}`, itemData),
   deleteItem: (id) => api.delete(`/api/menu/${id}`),
+  updateStock: (id, stockData) => api.patch(`/api/menu/${id}/stock`, stockData),
+  updateModifiers: (id, groups) => api.put(`/api/menu/${id}/modifiers`, { groups }),
+};
+
+export const comboAPI = {
+  getAll: () => api.get('/api/combos'),
+  getById: (id) => api.get(`/api/combos/${id}`),
+  add: (comboData) => api.post('/api/combos', comboData),
+  update: (id, comboData) => api.put(`/api/combos/${id}`, comboData),
+  remove: (id) => api.delete(`/api/combos/${id}`),
 };
 
 export const categoryAPI = {
@@ -73,9 +133,16 @@ export const categoryAPI = {
   
   updateCategory: (id, categoryData) => {
     const payload = {
-      category_name: categoryData.category_name?.trim(),
-      is_active: categoryData.is_active !== false
+      category_name: categoryData.category_name?.trim()
     };
+    // Sending is_active cascades to the category's items, so leave it out
+    // unless the status is what's being changed.
+    if (categoryData.is_active !== undefined) {
+      payload.is_active = categoryData.is_active !== false;
+    }
+    if (categoryData.tax_rate !== undefined) {
+      payload.tax_rate = categoryData.tax_rate;
+    }
     
     return api.put(`/api/categories/${id}`, payload);
   },
@@ -84,6 +151,7 @@ export const categoryAPI = {
 
 export const orderAPI = {
   createOrder: (orderData) => api.post('/api/orders', orderData),
+  quote: (quoteData) => api.post('/api/orders/quote', quoteData),
   
   getMyOrders: async (page = 1) => {
     try {
@@ -96,12 +164,28 @@ export const orderAPI = {
   },
   
   getOrderById: (id) => api.get(`/api/orders/${id}`),
+  cancelOrder: (id) => api.post(`/api/orders/${id}/cancel`),
+  updateOrder: (id, changes) => api.patch(`/api/orders/${id}`, changes),
+  createPaymentIntent: (id) => api.post(`/api/orders/${id}/payment-intent`),
+  getReceipt: (id, format = 'pdf') =>
+    api.get(`/api/orders/${id}/receipt`, { params: { format }, responseType: 'blob' }),
+};
+
+export const paymentAPI = {
+  // Offline provider only: stands in for the provider's hosted checkout.
+  completeMockPayment: (intentId, outcome) => api.post(`/api/payments/mock/${intentId}/complete`, { outcome }),
+};
+
+// Public kiosk screen; `token` is the display token, when one is configured.
+export const pickupBoardAPI = {
+  getBoard: (token) => api.get('/api/pickup-board', { params: token ? { token } : {} }),
 };
 
 export const adminAPI = {
-  getAllOrders: async (page = 1) => {
+  // `view` 'scheduled' lists open scheduled orders by pickup time instead.
+  getAllOrders: async (page = 1, view) => {
     try {
-      const response = await api.get(`/api/admin/orders?page=${page}`);
+      const response = await api.get('/api/admin/orders', { params: { page, view } });
       return response;
     } catch (error) {
       console.error('Failed to fetch admin orders:', error);
@@ -122,5 +206,39 @@ export const adminAPI = {
     return api.put(`/api/admin/orders/${id}`, statusData);
   },
 
+  getOrderReceipt: (id, format = 'pdf') =>
+    api.get(`/api/admin/orders/${id}/receipt`, { params: { format }, responseType: 'blob' }),
+
+  getKitchenTickets: () => api.get('/api/admin/kitchen/tickets'),
+
+  getOrderRefunds: (id) => api.get(`/api/admin/orders/${id}/refunds`),
+  refundOrder: (id, refundData) => api.post(`/api/admin/orders/${id}/refunds`, refundData),
+
   getItemOrderCounts: () => api.get('/api/admin/menu/order-counts'),
+  getRevenueReport: (params = {}) => api.get('/api/admin/reports/revenue', { params }),
+
+  getIngredients: () => api.get('/api/admin/ingredients'),
+  createIngredient: (ingredientData) => api.post('/api/admin/ingredients', ingredientData),
+  updateIngredient: (id, ingredientData) => api.put(`/api/admin/ingredients/${id}`, ingredientData),
+  getLowStockReport: () => api.get('/api/admin/inventory/low-stock'),
+  getRecipe: (itemId) => api.get(`/api/admin/menu/${itemId}/recipe`),
+  updateRecipe: (itemId, ingredients) => api.put(`/api/admin/menu/${itemId}/recipe`, { ingredients }),
+
+  getUsers: (params = {}) => api.get('/api/admin/users', { params }),
+  updateUserStatus: (userId, isActive) => api.patch(`/api/admin/users/${userId}/status`, { is_active: isActive }),
+  changeUserRole: (userId, role) => api.patch(`/api/admin/users/${userId}/role`, { role }),
+  sendUserPasswordReset: (userId) => api.post(`/api/admin/users/${userId}/reset-password`),
+
+  getInvites: () => api.get('/api/admin/invites'),
+  createInvite: (inviteData) => api.post('/api/admin/invites', inviteData),
+
+  getAuditLogs: (params = {}) => api.get('/api/admin/audit-logs', { params }),
+
+  getPromoCodes: () => api.get('/api/admin/promo-codes'),
+  createPromoCode: (promoData) => api.post('/api/admin/promo-codes', promoData),
+  updatePromoCode: (id, promoData) => api.put(`/api/admin/promo-codes/${id}`, promoData),
+
+  getPermissions: () => api.get('/api/admin/permissions'),
+  updateRolePermissions: (role, permissions) =>
+    api.put(`/api/admin/permissions/${role}`, { permissions }),
 };
\ No newline at end of file
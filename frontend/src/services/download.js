@@ -0,0 +1,12 @@
+// Hands a blob response (see responseType: 'blob' in api.js) to the
+// browser as a file download.
+export const saveBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
@@ -0,0 +1,32 @@
+// Mirrors ORDER_STATUS_TRANSITIONS in backend/constants.js: where an order
+// may go from each status. The server enforces it; this only keeps
+// impossible choices out of the admin status picker.
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['preparing', 'cancelled'],
+  preparing: ['ready', 'cancelled'],
+  ready: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+// How each step reads in a timeline: "Placed 12:01, Confirmed 12:03".
+const TIMELINE_LABELS = {
+  pending: 'Placed',
+  confirmed: 'Confirmed',
+  preparing: 'Preparing',
+  ready: 'Ready',
+  completed: 'Picked up',
+  cancelled: 'Cancelled'
+};
+
+export const timelineLabel = (status) => TIMELINE_LABELS[status] || status;
+
+// Times only, unless the step happened on another day than the first one.
+export const timelineTime = (value, firstValue = value) => {
+  const date = new Date(value);
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return date.toDateString() === new Date(firstValue).toDateString()
+    ? time
+    : `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${time}`;
+};
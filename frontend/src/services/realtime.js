@@ -4,16 +4,26 @@ let socket;
 
 export function getSocket() {
   if (!socket) {
-    const token = localStorage.getItem('token');
     socket = io('http://localhost:5000', {
       path: '/socket.io',
       transports: ['websocket'],
-      auth: token ? { token } : undefined,
+      // Read on every (re)connect so a refreshed access token is picked up.
+      auth: (cb) => cb({ token: localStorage.getItem('token') }),
     });
   }
   return socket;
 }
 
+// The pickup board has no user; it signs in with its display token and
+// only receives board:update events.
+export function createBoardSocket(displayToken) {
+  return io('http://localhost:5000', {
+    path: '/socket.io',
+    transports: ['websocket'],
+    auth: { board: displayToken || '' },
+  });
+}
+
 export function disconnectSocket() {
   if (socket) {
     socket.disconnect();